@@ -0,0 +1,73 @@
+const auth = require('./auth');
+const logger = require('../utils/logger');
+const { ApiKeyError, authenticateApiKey, consumeApiKeyQuota, toPrincipal } = require('../utils/apiKeys');
+
+/**
+ * Read the API key from `X-API-Key` or `Authorization: ApiKey <key>`
+ */
+const getApiKey = (req) => {
+  const header = req.get('X-API-Key');
+  if (header) {
+    return header.trim();
+  }
+
+  const authorization = req.get('Authorization') || '';
+  return authorization.startsWith('ApiKey ') ? authorization.slice(7).trim() : null;
+};
+
+/**
+ * Authenticate with a partner API key holding one of the given scopes, or
+ * with a user token when no key is sent. A key is accepted under the first
+ * listed scope it holds, so list the broadest scope first.
+ * @param {Array} scopes - Scopes that grant access to the route
+ * @returns {Function} - Express middleware function
+ */
+const authOrApiKey = (scopes) => {
+  return async (req, res, next) => {
+    const key = getApiKey(req);
+    if (!key) {
+      return auth(req, res, next);
+    }
+
+    try {
+      const apiKey = await authenticateApiKey(key);
+
+      const scope = scopes.find(candidate => apiKey.hasScope(candidate));
+      if (!scope) {
+        logger.warn(`API key ${apiKey.id} without scope ${scopes.join(' or ')} used for ${req.method} ${req.originalUrl}`);
+        return res.status(403).json({
+          success: false,
+          message: 'API key does not have the required scope',
+          requiredScopes: scopes
+        });
+      }
+
+      const headers = await consumeApiKeyQuota(apiKey);
+      res.set(headers);
+
+      req.apiKey = apiKey;
+      req.user = toPrincipal(apiKey, scope);
+      next();
+
+    } catch (error) {
+      if (error instanceof ApiKeyError) {
+        if (error.retryAfter) {
+          res.set('Retry-After', String(error.retryAfter));
+        }
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      logger.error('API key authentication error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error during authentication'
+      });
+    }
+  };
+};
+
+module.exports = {
+  authOrApiKey
+};
@@ -50,6 +50,11 @@ const errorHandler = (err, req, res, next) => {
     error = { message, statusCode: 400 };
   }
 
+  // Illegal report lifecycle transition
+  if (err.name === 'ReportTransitionError') {
+    error = { message: err.message, statusCode: err.statusCode || 409 };
+  }
+
   // JWT errors
   if (err.name === 'JsonWebTokenError') {
     const message = 'Invalid token';
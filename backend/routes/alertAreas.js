@@ -0,0 +1,377 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const AlertArea = require('../models/AlertArea');
+const AreaAlert = require('../models/AreaAlert');
+const Report = require('../models/Report');
+const auth = require('../middleware/auth');
+const logger = require('../utils/logger');
+const { PaginationError, paginate } = require('../utils/pagination');
+const { SEVERITIES, HAZARD_TYPES } = require('../utils/reportFilters');
+
+const router = express.Router();
+
+const MAX_ALERT_AREAS_PER_USER = 20;
+
+const { SHAPES, MAX_RADIUS_KM, MAX_POLYGON_POINTS } = AlertArea;
+
+// The fields a shape needs must come with it
+const requireGeometry = (shape, { req }) => {
+  if (shape === 'circle' && (!req.body.center || req.body.radiusKm === undefined)) {
+    throw new Error('A circle needs center and radiusKm');
+  }
+  if (shape === 'polygon' && !req.body.polygon) {
+    throw new Error('A polygon needs polygon points');
+  }
+  return true;
+};
+
+const areaFieldValidation = [
+  body('center')
+    .optional()
+    .isObject()
+    .withMessage('center must be an object with lat and lng'),
+
+  body('center.lat')
+    .if(body('center').exists())
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('center.lat must be between -90 and 90')
+    .toFloat(),
+
+  body('center.lng')
+    .if(body('center').exists())
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('center.lng must be between -180 and 180')
+    .toFloat(),
+
+  body('radiusKm')
+    .optional()
+    .isFloat({ gt: 0, max: MAX_RADIUS_KM })
+    .withMessage(`radiusKm must be greater than 0 and at most ${MAX_RADIUS_KM}`)
+    .toFloat(),
+
+  body('polygon')
+    .optional()
+    .isArray({ min: 3, max: MAX_POLYGON_POINTS })
+    .withMessage(`polygon must have between 3 and ${MAX_POLYGON_POINTS} points`),
+
+  body('polygon.*.lat')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Polygon latitudes must be between -90 and 90')
+    .toFloat(),
+
+  body('polygon.*.lng')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Polygon longitudes must be between -180 and 180')
+    .toFloat(),
+
+  body('hazardTypes')
+    .optional()
+    .isArray()
+    .withMessage('hazardTypes must be an array'),
+
+  body('hazardTypes.*')
+    .isIn(HAZARD_TYPES)
+    .withMessage(`Hazard types must be among: ${HAZARD_TYPES.join(', ')}`),
+
+  body('minSeverity')
+    .optional()
+    .isIn(SEVERITIES)
+    .withMessage(`minSeverity must be one of: ${SEVERITIES.join(', ')}`),
+
+  body('active')
+    .optional()
+    .isBoolean()
+    .withMessage('active must be a boolean')
+    .toBoolean()
+];
+
+const validateAlertArea = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+
+  body('shape')
+    .isIn(SHAPES)
+    .withMessage(`shape must be one of: ${SHAPES.join(', ')}`)
+    .bail()
+    .custom(requireGeometry),
+
+  ...areaFieldValidation
+];
+
+const validateAlertAreaUpdate = [
+  param('id').isUUID().withMessage('Invalid alert area ID'),
+
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+
+  body('shape')
+    .optional()
+    .isIn(SHAPES)
+    .withMessage(`shape must be one of: ${SHAPES.join(', ')}`)
+    .bail()
+    .custom(requireGeometry),
+
+  body(['center', 'radiusKm', 'polygon'])
+    .optional()
+    .custom((value, { req }) => req.body.shape !== undefined)
+    .withMessage('shape is required when changing the area'),
+
+  ...areaFieldValidation
+];
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// Geometry fields for the requested shape; the others are cleared by the model
+const geometryFrom = ({ shape, center, radiusKm, polygon }) => {
+  if (shape === 'circle') {
+    return { shape, center: { lat: center.lat, lng: center.lng }, radiusKm };
+  }
+  return { shape, polygon: polygon.map(point => ({ lat: point.lat, lng: point.lng })) };
+};
+
+const findOwnArea = (id, user) => AlertArea.findOne({ where: { id, userId: user.id } });
+
+// @route   GET /api/alert-areas
+// @desc    List the user's alert areas
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const alertAreas = await AlertArea.findAll({
+      where: { userId: req.user.id },
+      order: [['name', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        alertAreas
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get alert areas error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/alert-areas/alerts
+// @desc    Alerts the user has received or that wait for their quiet hours to end, newest first
+// @access  Private
+router.get('/alerts', auth, [
+  query('status').optional().isIn(['queued', 'deferred', 'sent', 'skipped', 'failed']),
+  query('cursor').optional().isString(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { status, cursor, limit = 20 } = req.query;
+    const where = { userId: req.user.id };
+    if (status) where.status = status;
+
+    const { rows: alerts, pageInfo } = await paginate(AreaAlert, {
+      where,
+      include: [{
+        model: Report,
+        as: 'report',
+        attributes: ['id', 'publicId', 'hazardType', 'severity', 'status', 'location', 'address', 'verifiedAt']
+      }],
+      cursor,
+      limit,
+      sortBy: 'createdAt',
+      sortOrder: 'DESC'
+    });
+
+    res.json({
+      success: true,
+      data: {
+        alerts,
+        pagination: pageInfo
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    logger.error('Get area alerts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/alert-areas/:id
+// @desc    Get an alert area
+// @access  Private (owner)
+router.get('/:id', auth, param('id').isUUID(), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const alertArea = await findOwnArea(req.params.id, req.user);
+    if (!alertArea) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert area not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        alertArea
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get alert area error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/alert-areas
+// @desc    Register an area (a circle or a polygon) to be alerted about verified hazards in
+// @access  Private
+router.post('/', auth, validateAlertArea, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const count = await AlertArea.count({ where: { userId: req.user.id } });
+    if (count >= MAX_ALERT_AREAS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_ALERT_AREAS_PER_USER} alert areas`
+      });
+    }
+
+    const { name, hazardTypes = [], minSeverity = 'medium', active = true } = req.body;
+
+    const alertArea = await AlertArea.create({
+      userId: req.user.id,
+      name,
+      ...geometryFrom(req.body),
+      hazardTypes: [...new Set(hazardTypes)],
+      minSeverity,
+      active
+    });
+
+    logger.info(`Alert area ${alertArea.id} created by user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Alert area created successfully',
+      data: {
+        alertArea
+      }
+    });
+
+  } catch (error) {
+    logger.error('Create alert area error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/alert-areas/:id
+// @desc    Update an alert area; a new shape replaces the old one entirely
+// @access  Private (owner)
+router.put('/:id', auth, validateAlertAreaUpdate, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const alertArea = await findOwnArea(req.params.id, req.user);
+    if (!alertArea) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert area not found'
+      });
+    }
+
+    const { name, shape, hazardTypes, minSeverity, active } = req.body;
+
+    if (name !== undefined) alertArea.name = name;
+    if (shape !== undefined) alertArea.set(geometryFrom(req.body));
+    if (hazardTypes !== undefined) alertArea.hazardTypes = [...new Set(hazardTypes)];
+    if (minSeverity !== undefined) alertArea.minSeverity = minSeverity;
+    if (active !== undefined) alertArea.active = active;
+
+    await alertArea.save();
+
+    res.json({
+      success: true,
+      message: 'Alert area updated successfully',
+      data: {
+        alertArea
+      }
+    });
+
+  } catch (error) {
+    logger.error('Update alert area error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/alert-areas/:id
+// @desc    Delete an alert area; alerts already sent for it are kept
+// @access  Private (owner)
+router.delete('/:id', auth, param('id').isUUID(), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const alertArea = await findOwnArea(req.params.id, req.user);
+    if (!alertArea) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert area not found'
+      });
+    }
+
+    await alertArea.destroy();
+
+    logger.info(`Alert area ${alertArea.id} deleted by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Alert area deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Delete alert area error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,18 +1,32 @@
 const express = require('express');
-const { query, validationResult } = require('express-validator');
+const { query, param, validationResult } = require('express-validator');
 const { Op, sequelize } = require('sequelize');
 const Report = require('../models/Report');
+const Incident = require('../models/Incident');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const { authOrApiKey } = require('../middleware/apiKeyAuth');
 const { canAccessAnalytics } = require('../middleware/authorization');
 const logger = require('../utils/logger');
+const { ReportFilterError } = require('../utils/reportFilters');
+const { validateMapFilters, buildMapReportFilter } = require('../utils/mapFilters');
+const { EXPORT_FORMATS, streamReportExport } = require('../utils/reportExport');
 
 const router = express.Router();
 
+// Aggregates only; raw exports take a user token, since they carry user
+// details and private reports that analytics:read does not cover
+const canReadAnalytics = authOrApiKey(['analytics:read']);
+
+// Anonymous reports have no submitter
+const submitterName = (report) => {
+  return report.submittedBy ? `${report.submittedBy.firstName} ${report.submittedBy.lastName}` : 'Anonymous';
+};
+
 // @route   GET /api/analytics/dashboard
 // @desc    Get analytics dashboard data
-// @access  Private (Analyst, Admin)
-router.get('/dashboard', auth, canAccessAnalytics, [
+// @access  Private (Analyst, Admin, or API key with analytics:read)
+router.get('/dashboard', canReadAnalytics, canAccessAnalytics, [
   query('dateRange').optional().isIn(['7d', '30d', '90d', '1y']),
   query('hazardType').optional()
 ], async (req, res) => {
@@ -205,8 +219,8 @@ router.get('/dashboard', auth, canAccessAnalytics, [
 
 // @route   GET /api/analytics/reports/trends
 // @desc    Get report submission trends
-// @access  Private (Analyst, Admin)
-router.get('/reports/trends', auth, canAccessAnalytics, [
+// @access  Private (Analyst, Admin, or API key with analytics:read)
+router.get('/reports/trends', canReadAnalytics, canAccessAnalytics, [
   query('period').optional().isIn(['hourly', 'daily', 'weekly', 'monthly']),
   query('days').optional().isInt({ min: 1, max: 365 }).toInt()
 ], async (req, res) => {
@@ -277,8 +291,8 @@ router.get('/reports/trends', auth, canAccessAnalytics, [
 
 // @route   GET /api/analytics/verification/performance
 // @desc    Get verification performance metrics
-// @access  Private (Analyst, Admin)
-router.get('/verification/performance', auth, canAccessAnalytics, async (req, res) => {
+// @access  Private (Analyst, Admin, or API key with analytics:read)
+router.get('/verification/performance', canReadAnalytics, canAccessAnalytics, async (req, res) => {
   try {
     // Verifier performance metrics
     const verifierStats = await User.findAll({
@@ -358,6 +372,78 @@ router.get('/verification/performance', auth, canAccessAnalytics, async (req, re
   }
 });
 
+// @route   GET /api/analytics/incidents
+// @desc    Get incident-level statistics (events rather than individual reports)
+// @access  Private (Analyst, Admin, or API key with analytics:read)
+router.get('/incidents', canReadAnalytics, canAccessAnalytics, [
+  query('days').optional().isInt({ min: 1, max: 365 }).toInt(),
+  query('hazardType').optional()
+], async (req, res) => {
+  try {
+    const { days = 30, hazardType } = req.query;
+
+    const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const whereClause = {
+      status: { [Op.ne]: 'merged' },
+      startedAt: { [Op.gte]: startDate }
+    };
+    if (hazardType) whereClause.hazardType = hazardType;
+
+    const incidents = await Incident.findAll({
+      where: whereClause,
+      order: [['reportCount', 'DESC']]
+    });
+
+    const byHazardType = incidents.reduce((acc, incident) => {
+      if (!acc[incident.hazardType]) {
+        acc[incident.hazardType] = { incidents: 0, reports: 0 };
+      }
+      acc[incident.hazardType].incidents++;
+      acc[incident.hazardType].reports += incident.reportCount;
+      return acc;
+    }, {});
+
+    const bySeverity = incidents.reduce((acc, incident) => {
+      if (incident.highestSeverity) {
+        acc[incident.highestSeverity] = (acc[incident.highestSeverity] || 0) + 1;
+      }
+      return acc;
+    }, {});
+
+    const groupedReports = incidents.reduce((sum, incident) => sum + incident.reportCount, 0);
+    const ungroupedReports = await Report.count({
+      where: {
+        incidentId: null,
+        createdAt: { [Op.gte]: startDate },
+        ...(hazardType && { hazardType })
+      }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        overview: {
+          totalIncidents: incidents.length,
+          activeIncidents: incidents.filter(incident => incident.status === 'active').length,
+          groupedReports,
+          ungroupedReports
+        },
+        byHazardType,
+        bySeverity,
+        largestIncidents: incidents.slice(0, 10).map(incident => incident.toSummaryJSON()),
+        daysAnalyzed: days
+      }
+    });
+
+  } catch (error) {
+    logger.error('Incident analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   GET /api/analytics/exports/csv
 // @desc    Export analytics data as CSV
 // @access  Private (Analyst, Admin)
@@ -402,7 +488,7 @@ router.get('/exports/csv', auth, canAccessAnalytics, [
 
         csvData = 'ID,Public ID,Hazard Type,Severity,Status,Description,Location,Submitted By,Created At,Verified At\n';
         reports.forEach(report => {
-          csvData += `"${report.id}","${report.publicId}","${report.hazardType}","${report.severity}","${report.status}","${report.description.replace(/"/g, '""')}","${report.location.lat}, ${report.location.lng}","${report.submittedBy.firstName} ${report.submittedBy.lastName}","${report.createdAt}","${report.verifiedAt || ''}"\n`;
+          csvData += `"${report.id}","${report.publicId}","${report.hazardType}","${report.severity}","${report.status}","${report.description.replace(/"/g, '""')}","${report.location.lat}, ${report.location.lng}","${submitterName(report)}","${report.createdAt}","${report.verifiedAt || ''}"\n`;
         });
         
         filename = `reports_export_${new Date().toISOString().split('T')[0]}.csv`;
@@ -449,7 +535,7 @@ router.get('/exports/csv', auth, canAccessAnalytics, [
           const responseTime = report.verifiedAt ? 
             ((new Date(report.verifiedAt) - new Date(report.createdAt)) / (1000 * 60 * 60)).toFixed(2) : '';
           
-          csvData += `"${report.publicId}","${report.hazardType}","${report.severity}","${report.status}","${report.submittedBy.firstName} ${report.submittedBy.lastName}","${report.verifiedBy.firstName} ${report.verifiedBy.lastName}","${responseTime}","${report.verifiedAt}"\n`;
+          csvData += `"${report.publicId}","${report.hazardType}","${report.severity}","${report.status}","${submitterName(report)}","${report.verifiedBy.firstName} ${report.verifiedBy.lastName}","${responseTime}","${report.verifiedAt}"\n`;
         });
         
         filename = `verification_export_${new Date().toISOString().split('T')[0]}.csv`;
@@ -471,4 +557,51 @@ router.get('/exports/csv', auth, canAccessAnalytics, [
   }
 });
 
+// @route   GET /api/analytics/exports/:format
+// @desc    Stream reports as GeoJSON, KML or GPX, filtered like GET /api/map/reports
+// @access  Private (Analyst, Admin)
+router.get('/exports/:format', auth, canAccessAnalytics, [
+  param('format').isIn(EXPORT_FORMATS).withMessage(`Export format must be one of: csv, ${EXPORT_FORMATS.join(', ')}`),
+  ...validateMapFilters
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid parameters',
+        errors: errors.array()
+      });
+    }
+
+    const { format } = req.params;
+    const { where } = await buildMapReportFilter(req.query, req.user);
+
+    const count = await streamReportExport(res, {
+      format,
+      where,
+      filename: `reports_export_${new Date().toISOString().split('T')[0]}`
+    });
+
+    logger.info(`Analytics export generated: ${count} reports as ${format} by user ${req.user.id}`);
+
+  } catch (error) {
+    if (error instanceof ReportFilterError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    logger.error('Analytics export error:', error);
+    // Once streaming has started the only way to signal failure is to cut the response short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating export'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
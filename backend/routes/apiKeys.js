@@ -0,0 +1,310 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const { body, param, query, validationResult } = require('express-validator');
+const ApiKey = require('../models/ApiKey');
+const ApiKeyUsage = require('../models/ApiKeyUsage');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/authorization');
+const logger = require('../utils/logger');
+const {
+  API_KEY_SCOPES,
+  ApiKeyError,
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey
+} = require('../utils/apiKeys');
+
+const router = express.Router();
+
+const isAdmin = requireRole(['admin']);
+
+const keyAttributeValidation = [
+  body('scopes').optional().isArray({ min: 1 }).withMessage('scopes must be a non-empty array'),
+  body('scopes.*').isIn(API_KEY_SCOPES).withMessage(`Scopes must be one of: ${API_KEY_SCOPES.join(', ')}`),
+  body('rateLimitPerMinute').optional().isInt({ min: 1, max: 10000 }).toInt(),
+  body('dailyQuota').optional().isInt({ min: 1, max: 10000000 }).toInt(),
+  body('expiresAt').optional({ nullable: true }).isISO8601().toDate()
+];
+
+const sendValidationErrors = (res, errors) => {
+  return res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+};
+
+// Send an API key error as a JSON response
+const sendApiKeyError = (res, error) => {
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message
+  });
+};
+
+// @route   GET /api/api-keys
+// @desc    List API keys
+// @access  Private (Admin only)
+router.get('/', auth, isAdmin, [
+  query('organizationName').optional().trim().isLength({ min: 1, max: 100 }),
+  query('status').optional().isIn(['active', 'revoked'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const where = {};
+    if (req.query.organizationName) where.organizationName = req.query.organizationName;
+    if (req.query.status) where.status = req.query.status;
+
+    const apiKeys = await ApiKey.findAll({
+      where,
+      order: [['organizationName', 'ASC'], ['createdAt', 'DESC']],
+      include: [{
+        model: User,
+        as: 'createdBy',
+        attributes: ['id', 'firstName', 'lastName']
+      }]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        apiKeys
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/api-keys
+// @desc    Issue an API key to an organization. The key is only returned here.
+// @access  Private (Admin only)
+router.post('/', auth, isAdmin, [
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('name is required'),
+  body('organizationName').trim().isLength({ min: 1, max: 100 }).withMessage('organizationName is required'),
+  body('scopes').exists().withMessage('scopes is required'),
+  ...keyAttributeValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const { apiKey, key } = await createApiKey(req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Store the key now: it will not be shown again.',
+      data: {
+        apiKey,
+        key
+      }
+    });
+
+  } catch (error) {
+    logger.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/api-keys/:id
+// @desc    Get an API key with its daily usage
+// @access  Private (Admin only)
+router.get('/:id', auth, isAdmin, [
+  param('id').isUUID(),
+  query('days').optional().isInt({ min: 1, max: 365 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const apiKey = await ApiKey.findByPk(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    const days = req.query.days || 30;
+    const since = new Date();
+    since.setUTCDate(since.getUTCDate() - days + 1);
+
+    const usage = await ApiKeyUsage.findAll({
+      where: {
+        apiKeyId: apiKey.id,
+        day: { [Op.gte]: since.toISOString().slice(0, 10) }
+      },
+      attributes: ['day', 'requestCount', 'rejectedCount'],
+      order: [['day', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        apiKey,
+        usage
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/api-keys/:id
+// @desc    Update an API key's name, scopes, limits or expiry
+// @access  Private (Admin only)
+router.put('/:id', auth, isAdmin, [
+  param('id').isUUID(),
+  body('name').optional().trim().isLength({ min: 1, max: 100 }),
+  ...keyAttributeValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const apiKey = await ApiKey.findByPk(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    const updates = {};
+    ['name', 'scopes', 'rateLimitPerMinute', 'dailyQuota', 'expiresAt'].forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    await apiKey.update(updates);
+
+    logger.info(`API key ${apiKey.id} updated by ${req.user.id}: ${Object.keys(updates).join(', ')}`);
+
+    res.json({
+      success: true,
+      message: 'API key updated',
+      data: {
+        apiKey
+      }
+    });
+
+  } catch (error) {
+    logger.error('Update API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/api-keys/:id/rotate
+// @desc    Issue a new secret for a key; the old one works for a grace period
+// @access  Private (Admin only)
+router.post('/:id/rotate', auth, isAdmin, [
+  param('id').isUUID(),
+  body('gracePeriodHours').optional().isInt({ min: 0, max: 168 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const apiKey = await ApiKey.findByPk(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    const result = await rotateApiKey(apiKey, {
+      gracePeriodHours: req.body.gracePeriodHours,
+      actor: req.user
+    });
+
+    res.json({
+      success: true,
+      message: 'API key rotated. Store the new key now: it will not be shown again.',
+      data: result
+    });
+
+  } catch (error) {
+    if (error instanceof ApiKeyError) {
+      return sendApiKeyError(res, error);
+    }
+    logger.error('Rotate API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/api-keys/:id/revoke
+// @desc    Revoke an API key
+// @access  Private (Admin only)
+router.post('/:id/revoke', auth, isAdmin, [
+  param('id').isUUID(),
+  body('reason').optional().trim().isLength({ min: 1, max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const apiKey = await ApiKey.findByPk(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    await revokeApiKey(apiKey, { reason: req.body.reason, actor: req.user });
+
+    res.json({
+      success: true,
+      message: 'API key revoked',
+      data: {
+        apiKey
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof ApiKeyError) {
+      return sendApiKeyError(res, error);
+    }
+    logger.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
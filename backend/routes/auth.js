@@ -5,6 +5,7 @@ const User = require('../models/User');
 const auth = require('../middleware/auth');
 const logger = require('../utils/logger');
 const { sendVerificationEmail, sendWelcomeEmail } = require('../utils/emailService');
+const { TIME_OF_DAY_PATTERN } = require('../utils/areaAlerts');
 
 const router = express.Router();
 
@@ -309,7 +310,19 @@ router.put('/profile', auth, [
   body('lastName').optional().trim().isLength({ min: 1, max: 50 }),
   body('phoneNumber').optional().isMobilePhone(),
   body('organizationName').optional().trim().isLength({ max: 100 }),
-  body('expertiseArea').optional().trim().isLength({ max: 100 })
+  body('expertiseArea').optional().trim().isLength({ max: 100 }),
+  body('preferences').optional().isObject(),
+  body(['preferences.emailNotifications', 'preferences.smsNotifications']).optional().isBoolean(),
+  body('preferences.timezone').optional().custom(timeZone => {
+    Intl.DateTimeFormat('en', { timeZone });
+    return true;
+  }).withMessage('preferences.timezone must be an IANA time zone, e.g. Asia/Kolkata'),
+  // Alert area notifications wait until quiet hours end, unless critical
+  body('preferences.quietHours').optional({ nullable: true }).isObject(),
+  body(['preferences.quietHours.start', 'preferences.quietHours.end'])
+    .if(body('preferences.quietHours').isObject())
+    .matches(TIME_OF_DAY_PATTERN)
+    .withMessage('Quiet hours must be given as HH:MM')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -0,0 +1,314 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const CapAlert = require('../models/CapAlert');
+const Report = require('../models/Report');
+const Incident = require('../models/Incident');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/authorization');
+const logger = require('../utils/logger');
+const { VERIFIER_ROLES } = require('../utils/reportLifecycle');
+const { CapAlertError, renderCapFeed, publishCapAlert, cancelCapAlert } = require('../utils/capAlerts');
+const { validateCapXml } = require('../utils/capValidator');
+
+const router = express.Router();
+
+const canPublishAlerts = requireRole(VERIFIER_ROLES);
+
+const CAP_CONTENT_TYPE = 'application/cap+xml; charset=utf-8';
+
+// Accept CAP documents posted as XML as well as { xml } JSON bodies
+const xmlBody = express.text({
+  type: ['application/xml', 'text/xml', 'application/cap+xml'],
+  limit: '1mb'
+});
+
+const alertUrl = (req, alert) => {
+  return `${req.protocol}://${req.get('host')}${req.baseUrl}/alerts/${encodeURIComponent(alert.identifier)}`;
+};
+
+// Send a CAP alert error as a JSON response
+const sendCapAlertError = (res, error) => {
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message
+  });
+};
+
+// @route   GET /api/cap/feed
+// @desc    Atom feed of current CAP alerts for downstream warning systems
+// @access  Public
+router.get('/feed', async (req, res) => {
+  try {
+    const alerts = await CapAlert.findForFeed();
+
+    res.setHeader('Content-Type', 'application/atom+xml; charset=utf-8');
+    res.setHeader('Cache-Control', 'public, max-age=60');
+    res.send(renderCapFeed(alerts, {
+      selfUrl: `${req.protocol}://${req.get('host')}${req.originalUrl}`,
+      alertUrl: alert => alertUrl(req, alert)
+    }));
+
+  } catch (error) {
+    logger.error('CAP feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/cap/alerts
+// @desc    List published CAP messages
+// @access  Private (Verifier, Analyst, Admin)
+router.get('/alerts', auth, canPublishAlerts, [
+  query('reportId').optional().isUUID(),
+  query('incidentId').optional().isUUID(),
+  query('current').optional().isBoolean().toBoolean(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        errors: errors.array()
+      });
+    }
+
+    const { reportId, incidentId, current, limit = 50 } = req.query;
+    const where = {};
+    if (reportId) where.reportId = reportId;
+    if (incidentId) where.incidentId = incidentId;
+    if (current) where.supersededAt = null;
+
+    const alerts = await CapAlert.findAll({
+      where,
+      attributes: { exclude: ['xml'] },
+      order: [['sentAt', 'DESC']],
+      limit,
+      include: [{
+        model: User,
+        as: 'publishedBy',
+        attributes: ['id', 'firstName', 'lastName'],
+        required: false
+      }]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        alerts: alerts.map(alert => ({
+          ...alert.toJSON(),
+          url: alertUrl(req, alert)
+        }))
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get CAP alerts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/cap/alerts/:identifier
+// @desc    Get a CAP message as XML
+// @access  Public
+router.get('/alerts/:identifier', async (req, res) => {
+  try {
+    const alert = await CapAlert.findOne({
+      where: { identifier: req.params.identifier }
+    });
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+
+    res.setHeader('Content-Type', CAP_CONTENT_TYPE);
+    // Published messages never change
+    res.setHeader('Cache-Control', 'public, max-age=86400, immutable');
+    res.send(alert.xml);
+
+  } catch (error) {
+    logger.error('Get CAP alert error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/cap/reports/:id/alert
+// @desc    Publish (or update) the CAP alert for a verified critical report
+// @access  Private (Verifier, Analyst, Admin)
+router.post('/reports/:id/alert', auth, canPublishAlerts, param('id').isUUID(), async (req, res) => {
+  try {
+    const report = validationResult(req).isEmpty() && await Report.findByPk(req.params.id);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    const alert = await publishCapAlert({ report, actor: req.user });
+
+    res.status(201).json({
+      success: true,
+      message: `CAP ${alert.msgType} published`,
+      data: {
+        identifier: alert.identifier,
+        msgType: alert.msgType,
+        url: alertUrl(req, alert)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof CapAlertError) {
+      return sendCapAlertError(res, error);
+    }
+    logger.error('Publish report CAP alert error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/cap/incidents/:id/alert
+// @desc    Publish (or update) the CAP alert for an incident from its verified reports
+// @access  Private (Verifier, Analyst, Admin)
+router.post('/incidents/:id/alert', auth, canPublishAlerts, param('id').isUUID(), async (req, res) => {
+  try {
+    const incident = validationResult(req).isEmpty() && await Incident.findByPk(req.params.id);
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        message: 'Incident not found'
+      });
+    }
+
+    const alert = await publishCapAlert({ incident, actor: req.user });
+
+    res.status(201).json({
+      success: true,
+      message: `CAP ${alert.msgType} published`,
+      data: {
+        identifier: alert.identifier,
+        msgType: alert.msgType,
+        url: alertUrl(req, alert)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof CapAlertError) {
+      return sendCapAlertError(res, error);
+    }
+    logger.error('Publish incident CAP alert error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/cap/alerts/:identifier/cancel
+// @desc    Publish a Cancel for a current CAP alert
+// @access  Private (Verifier, Analyst, Admin)
+router.post('/alerts/:identifier/cancel', auth, canPublishAlerts, [
+  body('reason').optional().trim().isLength({ min: 1, max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const alert = await CapAlert.findOne({
+      where: { identifier: req.params.identifier }
+    });
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+    if (alert.msgType === 'Cancel' || !alert.isCurrent()) {
+      return res.status(409).json({
+        success: false,
+        message: 'Only the current, unexpired alert for a report or incident can be cancelled'
+      });
+    }
+
+    const source = alert.reportId ? { reportId: alert.reportId } : { incidentId: alert.incidentId };
+    const cancellation = await cancelCapAlert(source, { reason: req.body.reason, actor: req.user });
+    if (!cancellation) {
+      return res.status(409).json({
+        success: false,
+        message: 'The alert was superseded before it could be cancelled'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'CAP Cancel published',
+      data: {
+        identifier: cancellation.identifier,
+        msgType: cancellation.msgType,
+        url: alertUrl(req, cancellation)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof CapAlertError) {
+      return sendCapAlertError(res, error);
+    }
+    logger.error('Cancel CAP alert error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/cap/validate
+// @desc    Validate a CAP 1.2 document (XML body, or JSON { xml })
+// @access  Private
+router.post('/validate', auth, xmlBody, async (req, res) => {
+  try {
+    const xml = typeof req.body === 'string' ? req.body : req.body && req.body.xml;
+    if (typeof xml !== 'string' || !xml.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Send the CAP document as an XML body or as { "xml": "..." }'
+      });
+    }
+
+    const result = validateCapXml(xml);
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('CAP validation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,186 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const ImportBatch = require('../models/ImportBatch');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/authorization');
+const logger = require('../utils/logger');
+const {
+  IMPORT_FORMATS,
+  IMPORT_STATUSES,
+  ReportImportError,
+  runImport,
+  rollbackImport
+} = require('../utils/reportImport');
+
+const router = express.Router();
+
+// Send an import error as a JSON response
+const sendImportError = (res, error) => {
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message,
+    rowErrors: error.rowErrors
+  });
+};
+
+// @route   POST /api/imports
+// @desc    Import reports from CSV or GeoJSON content (or validate it with dryRun)
+// @access  Private (Admin only)
+router.post('/', auth, requireRole(['admin']), [
+  body('format').isIn(IMPORT_FORMATS).withMessage(`format must be one of: ${IMPORT_FORMATS.join(', ')}`),
+  body('content').exists({ checkNull: true }).withMessage('content is required'),
+  body('mapping').optional().isObject().withMessage('mapping must be an object of field: column'),
+  body('name').optional().trim().isLength({ min: 1, max: 200 }),
+  body('fileName').optional().trim().isLength({ max: 255 }),
+  body('initialStatus').optional().isIn(IMPORT_STATUSES),
+  body('dryRun').optional().isBoolean().toBoolean(),
+  body('skipInvalid').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await runImport({
+      ...req.body,
+      actor: req.user
+    });
+
+    res.status(result.dryRun ? 200 : 201).json({
+      success: true,
+      message: result.dryRun
+        ? `Dry run: ${result.validRows} of ${result.totalRows} rows are valid`
+        : `Imported ${result.batch.importedCount} of ${result.totalRows} rows`,
+      data: result
+    });
+
+  } catch (error) {
+    if (error instanceof ReportImportError) {
+      return sendImportError(res, error);
+    }
+    logger.error('Report import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during import'
+    });
+  }
+});
+
+// @route   GET /api/imports
+// @desc    List import batches
+// @access  Private (Admin only)
+router.get('/', auth, requireRole(['admin']), async (req, res) => {
+  try {
+    const batches = await ImportBatch.findAll({
+      attributes: { exclude: ['rowErrors'] },
+      order: [['createdAt', 'DESC']],
+      limit: 100,
+      include: [{
+        model: User,
+        as: 'createdBy',
+        attributes: ['id', 'firstName', 'lastName']
+      }]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        batches
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get import batches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/imports/:id
+// @desc    Get an import batch with its row errors
+// @access  Private (Admin only)
+router.get('/:id', auth, requireRole(['admin']), param('id').isUUID(), async (req, res) => {
+  try {
+    const batch = validationResult(req).isEmpty() && await ImportBatch.findByPk(req.params.id, {
+      include: [
+        {
+          model: User,
+          as: 'createdBy',
+          attributes: ['id', 'firstName', 'lastName']
+        },
+        {
+          model: User,
+          as: 'rolledBackBy',
+          attributes: ['id', 'firstName', 'lastName'],
+          required: false
+        }
+      ]
+    });
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import batch not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        batch
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get import batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/imports/:id/rollback
+// @desc    Archive every report loaded by an import batch
+// @access  Private (Admin only)
+router.post('/:id/rollback', auth, requireRole(['admin']), param('id').isUUID(), async (req, res) => {
+  try {
+    if (!validationResult(req).isEmpty()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import batch not found'
+      });
+    }
+
+    const { batch, archivedReports } = await rollbackImport(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      message: `Import batch rolled back; ${archivedReports} report(s) archived`,
+      data: {
+        batch,
+        archivedReports
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof ReportImportError) {
+      return sendImportError(res, error);
+    }
+    logger.error('Import rollback error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
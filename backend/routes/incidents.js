@@ -0,0 +1,389 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Incident = require('../models/Incident');
+const Report = require('../models/Report');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { authOrApiKey } = require('../middleware/apiKeyAuth');
+const { requireRole } = require('../middleware/authorization');
+const logger = require('../utils/logger');
+const { PUBLIC_REPORT_WHERE, isPublicOnly } = require('../utils/apiKeys');
+
+const router = express.Router();
+
+const canManageIncidents = requireRole(['verifier', 'analyst', 'admin']);
+
+const canReadIncidents = authOrApiKey(['reports:read', 'reports:read-public']);
+
+const validateReportIds = body('reportIds')
+  .isArray({ min: 1, max: 500 })
+  .withMessage('reportIds must be a non-empty array');
+
+// @route   GET /api/incidents
+// @desc    List incidents
+// @access  Private (or API key with reports:read or reports:read-public)
+router.get('/', canReadIncidents, [
+  query('status').optional().isIn(['active', 'monitoring', 'resolved', 'merged']),
+  query('hazardType').optional(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        errors: errors.array()
+      });
+    }
+
+    const { status, hazardType, limit = 50 } = req.query;
+
+    const whereClause = {
+      status: status || { [Op.ne]: 'merged' }
+    };
+    if (hazardType) whereClause.hazardType = hazardType;
+
+    const incidents = await Incident.findAll({
+      where: whereClause,
+      order: [['startedAt', 'DESC']],
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: {
+        incidents
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get incidents error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/incidents/:id
+// @desc    Get an incident with its reports
+// @access  Private (or API key with reports:read or reports:read-public)
+router.get('/:id', canReadIncidents, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const incident = await Incident.findOne({
+      where: {
+        [Op.or]: [
+          { id },
+          { publicId: id }
+        ]
+      },
+      include: [
+        {
+          model: Report,
+          as: 'reports',
+          attributes: ['id', 'publicId', 'hazardType', 'severity', 'status', 'location', 'createdAt', 'visibility', 'submittedById']
+        },
+        {
+          model: User,
+          as: 'createdBy',
+          attributes: ['id', 'firstName', 'lastName', 'role']
+        }
+      ]
+    });
+
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        message: 'Incident not found'
+      });
+    }
+
+    // Citizens only see the public or own reports within an incident
+    const incidentData = incident.toJSON();
+    if (isPublicOnly(req.user)) {
+      incidentData.reports = incidentData.reports.filter(report =>
+        report.visibility === PUBLIC_REPORT_WHERE.visibility && PUBLIC_REPORT_WHERE.status.includes(report.status)
+      );
+    } else if (req.user.role === 'citizen') {
+      incidentData.reports = incidentData.reports.filter(report =>
+        report.visibility === 'public' || report.submittedById === req.user.id
+      );
+    }
+
+    res.json({
+      success: true,
+      data: {
+        incident: incidentData
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get incident error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/incidents
+// @desc    Create an incident from selected reports
+// @access  Private (Verifiers, Analysts, Admins)
+router.post('/', auth, canManageIncidents, [
+  validateReportIds,
+  body('title')
+    .trim()
+    .isLength({ min: 3, max: 200 })
+    .withMessage('Title must be between 3 and 200 characters'),
+  body('description').optional().trim().isLength({ max: 2000 }),
+  body('hazardType').optional()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { reportIds, title, description, hazardType } = req.body;
+
+    const incident = await sequelize.transaction(async (transaction) => {
+      return Incident.createFromReports(reportIds, {
+        title,
+        description,
+        hazardType,
+        createdById: req.user.id
+      }, { transaction });
+    });
+
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        message: 'None of the given reports were found'
+      });
+    }
+
+    logger.info(`Incident created: ${incident.publicId} with ${incident.reportCount} reports by user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Incident created successfully',
+      data: {
+        incident
+      }
+    });
+
+  } catch (error) {
+    logger.error('Create incident error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/incidents/:id/reports
+// @desc    Attach reports to an incident
+// @access  Private (Verifiers, Analysts, Admins)
+router.post('/:id/reports', auth, canManageIncidents, [validateReportIds], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const incident = await Incident.findByPk(req.params.id);
+    if (!incident || incident.isMerged()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Incident not found'
+      });
+    }
+
+    const attached = await sequelize.transaction(async (transaction) => {
+      return incident.attachReports(req.body.reportIds, { transaction });
+    });
+
+    logger.info(`${attached} reports attached to incident ${incident.publicId} by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Reports attached successfully',
+      data: {
+        incident,
+        attached
+      }
+    });
+
+  } catch (error) {
+    logger.error('Attach incident reports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/incidents/:id/merge
+// @desc    Merge other incidents into this one
+// @access  Private (Verifiers, Analysts, Admins)
+router.post('/:id/merge', auth, canManageIncidents, [
+  body('incidentIds')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('incidentIds must be a non-empty array')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const sourceIds = req.body.incidentIds.filter(sourceId => sourceId !== id);
+
+    const target = await Incident.findByPk(id);
+    if (!target || target.isMerged()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Incident not found'
+      });
+    }
+
+    const sources = await Incident.findAll({
+      where: {
+        id: sourceIds,
+        status: { [Op.ne]: 'merged' }
+      }
+    });
+
+    if (sources.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No incidents to merge'
+      });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await Report.update(
+        { incidentId: target.id },
+        { where: { incidentId: sources.map(source => source.id) }, transaction }
+      );
+
+      for (const source of sources) {
+        source.status = 'merged';
+        source.mergedIntoId = target.id;
+        await source.recalculate({ transaction });
+      }
+
+      await target.recalculate({ transaction });
+    });
+
+    logger.info(`Incidents ${sources.map(s => s.publicId).join(', ')} merged into ${target.publicId} by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Incidents merged successfully',
+      data: {
+        incident: target,
+        merged: sources.map(source => source.id)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Merge incidents error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/incidents/:id/split
+// @desc    Move some reports of an incident into a new incident
+// @access  Private (Verifiers, Analysts, Admins)
+router.post('/:id/split', auth, canManageIncidents, [
+  validateReportIds,
+  body('title')
+    .trim()
+    .isLength({ min: 3, max: 200 })
+    .withMessage('Title must be between 3 and 200 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { reportIds, title } = req.body;
+
+    const source = await Incident.findByPk(req.params.id);
+    if (!source || source.isMerged()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Incident not found'
+      });
+    }
+
+    const memberIds = (await Report.findAll({
+      where: { id: reportIds, incidentId: source.id },
+      attributes: ['id']
+    })).map(report => report.id);
+
+    if (memberIds.length === 0 || memberIds.length === source.reportCount) {
+      return res.status(400).json({
+        success: false,
+        message: 'Select some, but not all, of the incident\'s reports to split off'
+      });
+    }
+
+    const incident = await sequelize.transaction(async (transaction) => {
+      return Incident.createFromReports(memberIds, {
+        title,
+        hazardType: source.hazardType,
+        createdById: req.user.id
+      }, { transaction });
+    });
+
+    await source.reload();
+
+    logger.info(`Incident ${incident.publicId} split from ${source.publicId} by user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Incident split successfully',
+      data: {
+        source,
+        incident
+      }
+    });
+
+  } catch (error) {
+    logger.error('Split incident error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,151 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const JobRun = require('../models/JobRun');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/authorization');
+const logger = require('../utils/logger');
+const { SchedulerError, getJob, listJobs, runJob } = require('../utils/scheduler');
+
+const router = express.Router();
+
+// Send a scheduler error as a JSON response
+const sendSchedulerError = (res, error) => {
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message
+  });
+};
+
+// @route   GET /api/jobs
+// @desc    List scheduled jobs with their next and last run
+// @access  Private (Admin only)
+router.get('/', auth, requireRole(['admin']), async (req, res) => {
+  try {
+    const jobs = await Promise.all(listJobs().map(async job => ({
+      ...job,
+      lastRun: await JobRun.getLastRun(job.name)
+    })));
+
+    res.json({
+      success: true,
+      data: {
+        jobs
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/jobs/:name/runs
+// @desc    Get the run history of a job
+// @access  Private (Admin only)
+router.get('/:name/runs', auth, requireRole(['admin']), [
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        errors: errors.array()
+      });
+    }
+
+    const job = getJob(req.params.name);
+    const { limit = 50 } = req.query;
+
+    const runs = await JobRun.findAll({
+      where: { jobName: job.name },
+      order: [['startedAt', 'DESC']],
+      limit,
+      include: [{
+        model: User,
+        as: 'triggeredBy',
+        attributes: ['id', 'firstName', 'lastName'],
+        required: false
+      }]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        job: job.name,
+        runs
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof SchedulerError) {
+      return sendSchedulerError(res, error);
+    }
+    logger.error('Get job runs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/jobs/:name/run
+// @desc    Run a job now, optionally as a dry run
+// @access  Private (Admin only)
+router.post('/:name/run', auth, requireRole(['admin']), [
+  body('dryRun').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const job = getJob(req.params.name);
+    const { dryRun = false } = req.body;
+
+    const run = await runJob(job.name, {
+      dryRun,
+      trigger: 'manual',
+      triggeredById: req.user.id
+    });
+
+    if (!run) {
+      return res.status(409).json({
+        success: false,
+        message: `Job ${job.name} is already running`
+      });
+    }
+
+    logger.info(`Job ${job.name} run manually by user ${req.user.id}${dryRun ? ' (dry run)' : ''}`);
+
+    res.json({
+      success: run.status === 'succeeded',
+      message: run.status === 'succeeded' ? 'Job completed' : 'Job failed',
+      data: {
+        run
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof SchedulerError) {
+      return sendSchedulerError(res, error);
+    }
+    logger.error('Run job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,24 +1,34 @@
 const express = require('express');
 const { query, validationResult } = require('express-validator');
 const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
 const Report = require('../models/Report');
+const Incident = require('../models/Incident');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const { authOrApiKey } = require('../middleware/apiKeyAuth');
 const logger = require('../utils/logger');
+const { PaginationError, resolveSort, paginate } = require('../utils/pagination');
+const { SEVERITIES, HAZARD_TYPES, ReportFilterError } = require('../utils/reportFilters');
+const { BOUNDS_PATTERN, listOf, validateMapFilters, buildMapReportFilter } = require('../utils/mapFilters');
+const { ReportStreamError, openReportStream } = require('../utils/reportStream');
 
 const router = express.Router();
 
+// Columns map reports can be sorted and paginated by (all non-null)
+const MAP_SORT_FIELDS = ['createdAt', 'updatedAt', 'severity', 'priorityScore'];
+
 // @route   GET /api/map/reports
 // @desc    Get reports for map display with location filtering
-// @access  Private
-router.get('/reports', auth, [
-  query('lat').optional().isFloat({ min: -90, max: 90 }),
-  query('lng').optional().isFloat({ min: -180, max: 180 }),
-  query('radius').optional().isFloat({ min: 0.1, max: 100 }),
+// @access  Private (or API key with reports:read or reports:read-public)
+router.get('/reports', authOrApiKey(['reports:read', 'reports:read-public']), [
+  ...validateMapFilters,
   query('zoom').optional().isInt({ min: 1, max: 20 }),
-  query('bounds').optional().matches(/^-?\d+\.?\d*,-?\d+\.?\d*,-?\d+\.?\d*,-?\d+\.?\d*$/),
-  query('status').optional().isIn(['verified', 'pending', 'all']),
-  query('severity').optional().isIn(['low', 'medium', 'high', 'critical'])
+  query('cursor').optional().isString(),
+  query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+  query('sortBy').optional().isIn(MAP_SORT_FIELDS),
+  query('sortOrder').optional().isIn(['ASC', 'DESC', 'asc', 'desc']),
+  query('includeTotal').optional().isBoolean().toBoolean()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -30,111 +40,35 @@ router.get('/reports', auth, [
       });
     }
 
-    const {
-      lat,
-      lng,
-      radius = 10,
-      zoom = 10,
-      bounds,
-      status = 'verified',
-      severity,
-      hazardType
-    } = req.query;
-
-    let whereClause = {};
-    
-    // Filter by status
-    if (status === 'verified') {
-      whereClause.status = 'verified';
-    } else if (status === 'pending') {
-      whereClause.status = 'pending';
-    } else if (status === 'all') {
-      whereClause.status = ['verified', 'pending'];
-    }
-    
-    // Filter by severity
-    if (severity) {
-      whereClause.severity = severity;
-    }
-    
-    // Filter by hazard type
-    if (hazardType) {
-      whereClause.hazardType = hazardType;
-    }
+    const { cursor, includeTotal = false } = req.query;
 
-    // Only show public or own reports for citizens
-    if (req.user.role === 'citizen') {
-      whereClause[Op.or] = [
-        { visibility: 'public' },
-        { submittedById: req.user.id }
-      ];
-    }
+    const { sortBy, sortOrder } = resolveSort(req.query.sortBy, req.query.sortOrder, MAP_SORT_FIELDS);
 
-    let reports;
-    
-    if (bounds) {
-      // Use bounding box for map viewport
-      const [swLat, swLng, neLat, neLng] = bounds.split(',').map(parseFloat);
-      
-      reports = await Report.findAll({
-        where: {
-          ...whereClause,
-          [Op.and]: [
-            sequelize.where(
-              sequelize.cast(sequelize.json('location.lat'), 'float'),
-              { [Op.between]: [swLat, neLat] }
-            ),
-            sequelize.where(
-              sequelize.cast(sequelize.json('location.lng'), 'float'),
-              { [Op.between]: [swLng, neLng] }
-            )
-          ]
-        },
-        include: [{
-          model: User,
-          as: 'submittedBy',
-          attributes: ['firstName', 'lastName', 'role']
-        }],
-        limit: 500, // Prevent overwhelming the map
-        order: [['createdAt', 'DESC']]
-      });
-    } else if (lat && lng) {
-      // Use radius search around a point
-      const radiusInMeters = radius * 1000;
-      
-      reports = await Report.findAll({
-        where: {
-          ...whereClause,
-          [Op.and]: sequelize.literal(`
-            ST_DWithin(
-              ST_SetSRID(ST_MakePoint(CAST(location->>'lng' AS FLOAT), CAST(location->>'lat' AS FLOAT)), 4326),
-              ST_SetSRID(ST_MakePoint(${lng}, ${lat}), 4326),
-              ${radiusInMeters}
-            )
-          `)
-        },
-        include: [{
-          model: User,
-          as: 'submittedBy',
-          attributes: ['firstName', 'lastName', 'role']
-        }],
-        limit: 200,
-        order: [['createdAt', 'DESC']]
-      });
-    } else {
-      // Get recent reports without location filtering
-      reports = await Report.findAll({
-        where: whereClause,
-        include: [{
-          model: User,
-          as: 'submittedBy',
-          attributes: ['firstName', 'lastName', 'role']
-        }],
-        limit: 100,
-        order: [['createdAt', 'DESC']]
-      });
+    const { where, area, savedSearch, filters } = await buildMapReportFilter(req.query, req.user);
+
+    // Bounding boxes are map viewports; keep them from overwhelming the map
+    const maxLimit = area === 'bounds' ? 500 : area === 'radius' ? 200 : 100;
+
+    if (savedSearch && !cursor) {
+      await savedSearch.update({ lastUsedAt: new Date() });
     }
 
+    const limit = Math.min(req.query.limit || maxLimit, maxLimit);
+
+    const { rows: reports, pageInfo } = await paginate(Report, {
+      where,
+      include: [{
+        model: User,
+        as: 'submittedBy',
+        attributes: ['firstName', 'lastName', 'role']
+      }],
+      cursor,
+      limit,
+      sortBy,
+      sortOrder,
+      withTotal: includeTotal
+    });
+
     // Transform reports for map display
     const mapReports = reports.map(report => ({
       id: report.id,
@@ -148,7 +82,7 @@ router.get('/reports', auth, [
       status: report.status,
       description: report.description.substring(0, 100) + (report.description.length > 100 ? '...' : ''),
       createdAt: report.createdAt,
-      submittedBy: req.user.role !== 'citizen' ? 
+      submittedBy: req.user.role !== 'citizen' && report.submittedBy ? 
         `${report.submittedBy.firstName} ${report.submittedBy.lastName}` : 
         'Community Member',
       hasMedia: report.mediaFiles && report.mediaFiles.length > 0
@@ -159,17 +93,18 @@ router.get('/reports', auth, [
       data: {
         reports: mapReports,
         totalCount: mapReports.length,
-        filters: {
-          status,
-          severity,
-          hazardType,
-          location: lat && lng ? { lat, lng, radius } : null,
-          bounds: bounds || null
-        }
+        pagination: pageInfo,
+        filters
       }
     });
 
   } catch (error) {
+    if (error instanceof PaginationError || error instanceof ReportFilterError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     logger.error('Map reports error:', error);
     res.status(500).json({
       success: false,
@@ -178,6 +113,59 @@ router.get('/reports', auth, [
   }
 });
 
+// @route   GET /api/map/stream
+// @desc    Server-Sent Events stream of new, updated and verified reports.
+//          Filters: bounds, hazardType and severity (comma-separated lists).
+//          Reconnecting clients send Last-Event-ID (or ?lastEventId=) to
+//          have missed events replayed.
+// @access  Private (or API key with reports:read or reports:read-public)
+router.get('/stream', authOrApiKey(['reports:read', 'reports:read-public']), [
+  query('bounds').optional().matches(BOUNDS_PATTERN),
+  listOf('hazardType', HAZARD_TYPES),
+  listOf('severity', SEVERITIES),
+  query('lastEventId').optional().isInt({ min: 0 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    const lastEventHeader = req.get('Last-Event-ID');
+    if (!errors.isEmpty() || (lastEventHeader && !/^\d+$/.test(lastEventHeader))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        errors: errors.array()
+      });
+    }
+
+    const { bounds, hazardType, severity } = req.query;
+    const lastEventId = lastEventHeader ? parseInt(lastEventHeader, 10) : req.query.lastEventId;
+
+    await openReportStream(req, res, {
+      filters: {
+        bounds: bounds ? bounds.split(',').map(parseFloat) : null,
+        hazardTypes: hazardType || null,
+        severities: severity || null
+      },
+      lastEventId: lastEventId === undefined ? null : lastEventId
+    });
+
+  } catch (error) {
+    if (error instanceof ReportStreamError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    logger.error('Report stream error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   GET /api/map/clusters
 // @desc    Get clustered report data for map performance
 // @access  Private
@@ -276,8 +264,6 @@ router.get('/heatmap', auth, [
     if (hazardType) whereClause.hazardType = hazardType;
     if (severity) whereClause.severity = severity;
 
-    const heatmapData = await Report.findAll({
-      attributes: [
     const heatmapData = await Report.findAll({
       attributes: [
         [sequelize.json('location.lat'), 'lat'],
@@ -344,8 +330,8 @@ router.get('/statistics', auth, [
       const radiusInMeters = radius * 1000;
       locationFilter = sequelize.literal(`
         ST_DWithin(
-          ST_SetSRID(ST_MakePoint(CAST(location->>'lng' AS FLOAT), CAST(location->>'lat' AS FLOAT)), 4326),
-          ST_SetSRID(ST_MakePoint(${lng}, ${lat}), 4326),
+          ST_SetSRID(ST_MakePoint(CAST(location->>'lng' AS FLOAT), CAST(location->>'lat' AS FLOAT)), 4326)::geography,
+          ST_SetSRID(ST_MakePoint(${lng}, ${lat}), 4326)::geography,
           ${radiusInMeters}
         )
       `);
@@ -414,6 +400,76 @@ router.get('/statistics', auth, [
   }
 });
 
+// @route   GET /api/map/incidents
+// @desc    Get incidents for map display, one marker per incident instead of per report
+// @access  Private
+router.get('/incidents', auth, [
+  query('bounds').optional().matches(/^-?\d+\.?\d*,-?\d+\.?\d*,-?\d+\.?\d*,-?\d+\.?\d*$/),
+  query('status').optional().isIn(['active', 'monitoring', 'resolved']),
+  query('severity').optional().isIn(['low', 'medium', 'high', 'critical'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        errors: errors.array()
+      });
+    }
+
+    const { bounds, status, severity, hazardType } = req.query;
+
+    const whereClause = {
+      status: status || ['active', 'monitoring'],
+      reportCount: { [Op.gt]: 0 }
+    };
+    if (severity) whereClause.highestSeverity = severity;
+    if (hazardType) whereClause.hazardType = hazardType;
+
+    let incidents = await Incident.findAll({
+      where: whereClause,
+      order: [['startedAt', 'DESC']],
+      limit: 500
+    });
+
+    // Keep incidents whose footprint overlaps the map viewport
+    if (bounds) {
+      const [swLat, swLng, neLat, neLng] = bounds.split(',').map(parseFloat);
+      incidents = incidents.filter(incident => {
+        const box = incident.footprint && incident.footprint.bounds;
+        return box &&
+          box.south <= neLat && box.north >= swLat &&
+          box.west <= neLng && box.east >= swLng;
+      });
+    }
+
+    const mapIncidents = incidents.map(incident => incident.toSummaryJSON());
+
+    res.json({
+      success: true,
+      data: {
+        incidents: mapIncidents,
+        totalCount: mapIncidents.length,
+        totalReports: mapIncidents.reduce((sum, incident) => sum + incident.reportCount, 0),
+        filters: {
+          status,
+          severity,
+          hazardType,
+          bounds: bounds || null
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Map incidents error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // Helper function to assign weights for heatmap based on severity
 const getSeverityWeight = (severity) => {
   switch (severity) {
@@ -0,0 +1,299 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Report = require('../models/Report');
+const ReportComment = require('../models/ReportComment');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { sendCommentNotification } = require('../utils/emailService');
+const logger = require('../utils/logger');
+
+// Mounted at /api/reports/:id/comments
+const router = express.Router({ mergeParams: true });
+
+const validateComment = [
+  body('body')
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Comment must be between 1 and 2000 characters'),
+
+  body('visibility')
+    .optional()
+    .isIn(['public', 'internal'])
+    .withMessage('Invalid visibility')
+];
+
+// Load the report and check the same view rules as GET /api/reports/:id
+const loadViewableReport = async (req, res, next) => {
+  try {
+    const report = await Report.findByPk(req.params.id);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    if (!report.canBeViewedBy(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    req.report = report;
+    next();
+  } catch (error) {
+    logger.error('Load report for comments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// Email the submitter and earlier participants, except the author.
+// Internal comments only go to verifiers, analysts and admins.
+const notifyParticipants = async (report, comment, author) => {
+  try {
+    const previousComments = await ReportComment.findAll({
+      where: { reportId: report.id, deletedAt: null },
+      attributes: ['authorId']
+    });
+
+    const participantIds = new Set(previousComments.map(c => c.authorId));
+    if (report.submittedById) participantIds.add(report.submittedById);
+    participantIds.delete(author.id);
+
+    if (participantIds.size === 0) return;
+
+    const participants = await User.findAll({
+      where: {
+        id: [...participantIds],
+        status: 'active'
+      }
+    });
+
+    const excerpt = comment.body.length > 200 ? comment.body.substring(0, 200) + '...' : comment.body;
+
+    for (const participant of participants) {
+      if (comment.isInternal() && !participant.canVerifyReports()) continue;
+      if (!participant.preferences || !participant.preferences.emailNotifications) continue;
+
+      await sendCommentNotification(
+        participant.email,
+        participant.getFullName(),
+        report.publicId,
+        `${author.firstName} ${author.lastName}`,
+        excerpt
+      );
+    }
+  } catch (error) {
+    logger.error(`Failed to notify comment participants for report ${report.publicId}:`, error);
+  }
+};
+
+// @route   GET /api/reports/:id/comments
+// @desc    Get the discussion thread of a report
+// @access  Private
+router.get('/', auth, loadViewableReport, async (req, res) => {
+  try {
+    const { thread, total } = await ReportComment.getThread(req.report.id, req.user.canVerifyReports());
+
+    res.json({
+      success: true,
+      data: {
+        comments: thread,
+        total
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get comments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/reports/:id/comments
+// @desc    Add a comment or reply to a report
+// @access  Private
+router.post('/', auth, loadViewableReport, [
+  ...validateComment,
+  body('parentId').optional().isUUID().withMessage('Invalid parent comment')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { body: commentBody, visibility = 'public', parentId } = req.body;
+
+    if (visibility === 'internal' && !req.user.canVerifyReports()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only verifiers can post internal notes'
+      });
+    }
+
+    if (parentId) {
+      const parent = await ReportComment.findOne({
+        where: { id: parentId, reportId: req.report.id }
+      });
+
+      if (!parent || (parent.isInternal() && !req.user.canVerifyReports())) {
+        return res.status(404).json({
+          success: false,
+          message: 'Parent comment not found'
+        });
+      }
+
+      // Replies to internal notes stay internal
+      if (parent.isInternal() && visibility !== 'internal') {
+        return res.status(400).json({
+          success: false,
+          message: 'Replies to internal notes must be internal'
+        });
+      }
+    }
+
+    const comment = await ReportComment.create({
+      reportId: req.report.id,
+      authorId: req.user.id,
+      parentId: parentId || null,
+      body: commentBody,
+      visibility
+    });
+
+    logger.info(`Comment added to report ${req.report.publicId} by user ${req.user.id} (${visibility})`);
+
+    await notifyParticipants(req.report, comment, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added successfully',
+      data: {
+        comment
+      }
+    });
+
+  } catch (error) {
+    logger.error('Add comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/reports/:id/comments/:commentId
+// @desc    Edit your own comment
+// @access  Private
+router.put('/:commentId', auth, loadViewableReport, [validateComment[0]], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const comment = await ReportComment.findOne({
+      where: {
+        id: req.params.commentId,
+        reportId: req.report.id,
+        deletedAt: null
+      }
+    });
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    if (comment.authorId !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only edit your own comments'
+      });
+    }
+
+    comment.body = req.body.body;
+    comment.editedAt = new Date();
+    await comment.save();
+
+    res.json({
+      success: true,
+      message: 'Comment updated successfully',
+      data: {
+        comment
+      }
+    });
+
+  } catch (error) {
+    logger.error('Edit comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/reports/:id/comments/:commentId
+// @desc    Delete a comment (author or admin)
+// @access  Private
+router.delete('/:commentId', auth, loadViewableReport, async (req, res) => {
+  try {
+    const comment = await ReportComment.findOne({
+      where: {
+        id: req.params.commentId,
+        reportId: req.report.id,
+        deletedAt: null
+      }
+    });
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    if (comment.authorId !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    // Soft delete so that replies keep their place in the thread
+    comment.deletedAt = new Date();
+    await comment.save();
+
+    logger.info(`Comment ${comment.id} on report ${req.report.publicId} deleted by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Delete comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
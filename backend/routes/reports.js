@@ -1,56 +1,228 @@
 const express = require('express');
-const { body, query, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
+const rateLimit = require('express-rate-limit');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
 const Report = require('../models/Report');
+const ReportEvent = require('../models/ReportEvent');
+const ReportConfirmation = require('../models/ReportConfirmation');
+const ReportVersion = require('../models/ReportVersion');
 const User = require('../models/User');
+const SavedSearch = require('../models/SavedSearch');
+const Incident = require('../models/Incident');
 const auth = require('../middleware/auth');
+const { authOrApiKey } = require('../middleware/apiKeyAuth');
 const { requireRole } = require('../middleware/authorization');
 const upload = require('../middleware/upload');
+const { cleanupFiles } = require('../middleware/upload');
 const logger = require('../utils/logger');
+const { BULK_ACTIONS, runBulkAction } = require('../utils/bulkReportActions');
+const { refreshPriority } = require('../utils/triagePriority');
+const { LOW_TRUST_THRESHOLD } = require('../utils/reporterReputation');
+const { PaginationError, resolveSort, paginate } = require('../utils/pagination');
+const { reportSearch } = require('../utils/reportSearch');
+const { SEVERITIES, HAZARD_TYPES, buildFilterConditions } = require('../utils/reportFilters');
+const { BOUNDS_PATTERN, listOf, buildLocationConditions } = require('../utils/mapFilters');
+const { FEED_FORMATS, FEED_ATTRIBUTES, getFeedVersion, renderReportFeed } = require('../utils/reportFeeds');
+const { buildReportAttributes, finalizeNewReport } = require('../utils/reportSubmission');
+const { validateReportCreation } = require('../utils/reportValidation');
+const { MAX_SYNC_BATCH, syncReports } = require('../utils/offlineSync');
+const { PUBLIC_REPORT_WHERE, isPublicOnly } = require('../utils/apiKeys');
+const {
+  statusEvent,
+  escalationChanges,
+  emitReportEvent,
+  emitReportEvents
+} = require('../utils/webhooks');
+const { publishReportEvent, publishReportEvents } = require('../utils/reportStream');
+const {
+  AnonymousSubmissionError,
+  hashIp,
+  issueChallenge,
+  verifyChallenge,
+  assertWithinQuota,
+  createWithinQuota,
+  createClaimToken,
+  findClaimedReport
+} = require('../utils/anonymousSubmission');
+const {
+  ReportClaimError,
+  unclaimedOrOwnFilter,
+  claimReport,
+  releaseClaim,
+  assignReport
+} = require('../utils/reviewClaims');
+const {
+  MAX_VOTE_DISTANCE_KM,
+  VOTABLE_STATUSES,
+  castVote,
+  evaluateCommunityVerification
+} = require('../utils/communityVerification');
+const {
+  STATUSES,
+  VERIFIER_ROLES,
+  ReportTransitionError,
+  transitionReport,
+  runTransitionEffects
+} = require('../utils/reportLifecycle');
 
 const router = express.Router();
 
-// Validation middleware
-const validateReportCreation = [
-  body('hazardType')
-    .isIn(['flood', 'high-waves', 'coastal-erosion', 'storm-surge', 'tsunami', 'oil-spill', 'marine-debris', 'red-tide', 'infrastructure-damage', 'other'])
-    .withMessage('Invalid hazard type'),
-  
-  body('severity')
-    .isIn(['low', 'medium', 'high', 'critical'])
-    .withMessage('Invalid severity level'),
-  
-  body('urgency')
-    .optional()
-    .isIn(['routine', 'urgent', 'immediate', 'emergency'])
-    .withMessage('Invalid urgency level'),
-  
+// Report content that submitters and verifiers may edit directly. Status
+// goes through the lifecycle; every other column, isEmergency included, is
+// managed by the server.
+const EDITABLE_FIELDS = [
+  'description', 'severity', 'urgency', 'hazardType', 'location', 'address', 'tags',
+  'peopleAffected', 'affectedArea', 'estimatedDamage',
+  'weatherConditions', 'tideLevel', 'waveHeight', 'windSpeed', 'additionalData'
+];
+
+// Columns reports can be sorted and paginated by (all non-null)
+const REPORT_SORT_FIELDS = ['createdAt', 'updatedAt', 'priorityScore', 'severity', 'urgency', 'hazardType', 'status', 'publicId'];
+
+// Edits to these fields change a report's triage priority
+const PRIORITY_FIELDS = ['severity', 'urgency', 'peopleAffected', 'location', 'hazardType'];
+
+// Snippet and relevance columns added to search results; when sorting by
+// relevance, pagination selects the rank itself
+const searchAttributes = (searchFragments, sortBy) => {
+  const attributes = [[searchFragments.snippet, 'searchSnippet']];
+  if (sortBy !== 'relevance') {
+    attributes.push([searchFragments.rank, 'relevance']);
+  }
+  return attributes;
+};
+
+// Edits to these fields change the footprint or severity of the report's incident
+const INCIDENT_FIELDS = ['severity', 'location'];
+
+// Submitter edits to these fields after a decision are flagged for review
+const SENSITIVE_EDIT_FIELDS = ['severity', 'location', 'hazardType'];
+
+// Duplicate candidates name other people's reports, including ones the
+// viewer may not see, so only reviewers get them; others get a count
+const canSeeDuplicates = (user) => Boolean(user) && VERIFIER_ROLES.includes(user.role);
+
+const withoutDuplicates = (report, user) => {
+  if (!report || canSeeDuplicates(user)) return report;
+  const values = report.toJSON();
+  delete values.duplicateCandidates;
+  return values;
+};
+
+// Webhook events for bulk actions that change status
+const BULK_ACTION_EVENTS = {
+  verify: 'report.verified',
+  reject: 'report.rejected'
+};
+
+// Webhooks are queued in the background so that subscribers can never
+// slow down or fail the request that triggered them
+const emitWebhook = (type, report, details) => {
+  emitReportEvent(type, report, details).catch(error => {
+    logger.error(`Webhook ${type} for report ${report.publicId} could not be queued:`, error);
+  });
+};
+
+const emitWebhooks = (type, reportIds) => {
+  emitReportEvents(type, reportIds).catch(error => {
+    logger.error(`Webhook ${type} for ${reportIds.length} reports could not be queued:`, error);
+  });
+};
+
+// Realtime clients are updated in the background too
+const streamReport = (type, report) => {
+  publishReportEvent(type, report).catch(error => {
+    logger.error(`Stream event ${type} for report ${report.publicId} could not be recorded:`, error);
+  });
+};
+
+const streamReports = (type, reportIds) => {
+  publishReportEvents(type, reportIds).catch(error => {
+    logger.error(`Stream event ${type} for ${reportIds.length} reports could not be recorded:`, error);
+  });
+};
+
+// Status and escalation events for a saved edit
+const emitChangeWebhooks = (report, changes) => {
+  const statusType = changes.status && statusEvent(changes.status.to);
+  if (statusType) {
+    emitWebhook(statusType, report);
+  }
+
+  const escalated = escalationChanges(changes);
+  if (escalated) {
+    emitWebhook('report.escalated', report, { changes: escalated });
+  }
+};
+
+// Send a lifecycle error as a JSON response
+const sendTransitionError = (res, error) => {
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message,
+    currentStatus: error.from,
+    allowedTransitions: error.allowedTransitions
+  });
+};
+
+// Extra rules for anonymous submissions, on top of validateReportCreation
+const validateAnonymousReport = [
   body('description')
-    .trim()
-    .isLength({ min: 10, max: 2000 })
-    .withMessage('Description must be between 10 and 2000 characters'),
-  
-  body('location.lat')
-    .isFloat({ min: -90, max: 90 })
-    .withMessage('Invalid latitude'),
+    .isLength({ min: 30, max: 1000 })
+    .withMessage('Anonymous reports need a description between 30 and 1000 characters')
+    .not()
+    .matches(/https?:\/\/|www\./i)
+    .withMessage('Anonymous reports cannot contain links'),
   
-  body('location.lng')
-    .isFloat({ min: -180, max: 180 })
-    .withMessage('Invalid longitude'),
-  
-  body('address')
+  body('tags')
     .optional()
-    .trim()
-    .isLength({ max: 500 })
-    .withMessage('Address must not exceed 500 characters')
+    .custom(value => {
+      const tags = typeof value === 'string' ? JSON.parse(value) : value;
+      return Array.isArray(tags) && tags.length <= 5;
+    })
+    .withMessage('Anonymous reports can have at most 5 tags')
 ];
 
+// The solved challenge comes in headers so that it is checked, along with
+// the daily quota, before any uploaded file is stored
+const requireSolvedChallenge = async (req, res, next) => {
+  try {
+    verifyChallenge(req.get('X-Challenge'), req.get('X-Challenge-Solution'), req.ip);
+
+    req.submitterIpHash = hashIp(req.ip);
+    await assertWithinQuota(req.submitterIpHash);
+
+    next();
+  } catch (error) {
+    if (error instanceof AnonymousSubmissionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    logger.error('Anonymous challenge check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during report submission'
+    });
+  }
+};
+
+// Challenges are cheap to issue but should not be farmed
+const challengeLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: 'Too many challenge requests, please try again later.'
+});
+
 const validateReportUpdate = [
   body('status')
     .optional()
-    .isIn(['pending', 'verified', 'rejected', 'under_review', 'resolved'])
+    .isIn(STATUSES)
     .withMessage('Invalid status'),
   
   body('rejectionReason')
@@ -62,8 +234,8 @@ const validateReportUpdate = [
 
 // @route   POST /api/reports
 // @desc    Submit a new hazard report
-// @access  Private
-router.post('/', auth, upload.array('media', 5), validateReportCreation, async (req, res) => {
+// @access  Private (or API key with reports:submit)
+router.post('/', authOrApiKey(['reports:submit']), upload.array('media', 5), validateReportCreation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -74,58 +246,16 @@ router.post('/', auth, upload.array('media', 5), validateReportCreation, async (
       });
     }
 
-    const {
-      hazardType,
-      severity,
-      urgency = 'routine',
-      description,
-      location,
-      address,
-      weatherConditions,
-      tideLevel,
-      waveHeight,
-      windSpeed,
-      affectedArea,
-      estimatedDamage,
-      peopleAffected,
-      tags
-    } = req.body;
-
-    // Process uploaded media files
-    const mediaFiles = [];
-    if (req.files && req.files.length > 0) {
-      for (const file of req.files) {
-        mediaFiles.push({
-          filename: file.filename,
-          originalName: file.originalname,
-          mimetype: file.mimetype,
-          size: file.size,
-          path: file.path,
-          uploadedAt: new Date()
-        });
-      }
-    }
-
-    // Create the report
+    // Partner submissions are attributed to the key, not to a user
     const report = await Report.create({
-      hazardType,
-      severity,
-      urgency,
-      description,
-      location: JSON.parse(location),
-      address,
-      submittedById: req.user.id,
-      mediaFiles,
-      weatherConditions: weatherConditions ? JSON.parse(weatherConditions) : null,
-      tideLevel: parseFloat(tideLevel) || null,
-      waveHeight: parseFloat(waveHeight) || null,
-      windSpeed: parseFloat(windSpeed) || null,
-      affectedArea: parseFloat(affectedArea) || null,
-      estimatedDamage,
-      peopleAffected: parseInt(peopleAffected) || null,
-      tags: tags ? JSON.parse(tags) : []
+      ...buildReportAttributes(req.body, req.files),
+      ...(req.apiKey
+        ? { source: 'api', apiKeyId: req.apiKey.id }
+        : { submittedById: req.user.id })
     });
 
+    const { duplicates } = await finalizeNewReport(report, { actorId: req.apiKey ? null : req.user.id });
+
     // Load the report with user data
     const fullReport = await Report.findByPk(report.id, {
       include: [{
@@ -135,18 +265,26 @@ router.post('/', auth, upload.array('media', 5), validateReportCreation, async (
       }]
     });
 
-    logger.info(`New report submitted: ${report.publicId} by user ${req.user.id}`);
-
-    // Send notification for critical reports (implement as needed)
-    if (report.isCritical()) {
-      logger.warn(`Critical report submitted: ${report.publicId}`);
+    logger.info(req.apiKey
+      ? `New report submitted: ${report.publicId} with API key ${req.apiKey.id} (${req.apiKey.organizationName})`
+      : `New report submitted: ${report.publicId} by user ${req.user.id}`);
+    emitWebhook('report.created', report);
+    streamReport('report.created', report);
+
+    if (parseFloat(req.user.trustScore) < LOW_TRUST_THRESHOLD) {
+      logger.logSecurity('Report from low-trust reporter', {
+        reportId: report.publicId,
+        userId: req.user.id,
+        trustScore: req.user.trustScore
+      });
     }
 
     res.status(201).json({
       success: true,
       message: 'Report submitted successfully',
       data: {
-        report: fullReport
+        report: withoutDuplicates(fullReport, req.user),
+        ...(canSeeDuplicates(req.user) ? { duplicates } : { possibleDuplicates: duplicates.length })
       }
     });
 
@@ -159,18 +297,271 @@ router.post('/', auth, upload.array('media', 5), validateReportCreation, async (
   }
 });
 
-// @route   GET /api/reports
-// @desc    Get reports with filtering and pagination
+// @route   GET /api/reports/anonymous/challenge
+// @desc    Get a proof-of-work challenge for an anonymous submission; the solved challenge
+//          is sent back in the X-Challenge and X-Challenge-Solution headers
+// @access  Public
+router.get('/anonymous/challenge', challengeLimiter, (req, res) => {
+  res.json({
+    success: true,
+    data: issueChallenge(req.ip)
+  });
+});
+
+// @route   POST /api/reports/anonymous
+// @desc    Submit a hazard report without an account
+// @access  Public (solved challenge required)
+router.post('/anonymous', requireSolvedChallenge, upload.array('media', 2), validateReportCreation, validateAnonymousReport, async (req, res) => {
+  let report = null;
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      cleanupFiles(req.files);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const claimToken = createClaimToken();
+
+    // The quota was checked before the upload; this is the check that holds
+    // when the same address submits several reports at once
+    report = await createWithinQuota(req.submitterIpHash, {
+      ...buildReportAttributes(req.body, req.files),
+      claimTokenHash: claimToken.hash
+    });
+
+    const { duplicates } = await finalizeNewReport(report);
+
+    logger.info(`Anonymous report submitted: ${report.publicId}`);
+    emitWebhook('report.created', report);
+    streamReport('report.created', report);
+
+    res.status(201).json({
+      success: true,
+      message: 'Report submitted successfully. Keep the claim token to check its status later.',
+      data: {
+        report: {
+          publicId: report.publicId,
+          status: report.status,
+          createdAt: report.createdAt
+        },
+        claimToken: claimToken.token,
+        possibleDuplicates: duplicates.length
+      }
+    });
+
+  } catch (error) {
+    // Files of a report that was saved belong to it now
+    if (!report) {
+      cleanupFiles(req.files);
+    }
+    if (error instanceof AnonymousSubmissionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    logger.error('Anonymous report submission error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during report submission'
+    });
+  }
+});
+
+// @route   GET /api/reports/anonymous/:publicId/status
+// @desc    Check the status of an anonymous report with its claim token
+// @access  Public (X-Claim-Token header required)
+router.get('/anonymous/:publicId/status', async (req, res) => {
+  try {
+    const report = await findClaimedReport(req.params.publicId, req.get('X-Claim-Token'));
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        publicId: report.publicId,
+        status: report.status,
+        verificationLevel: report.verificationLevel,
+        rejectionReason: report.rejectionReason,
+        createdAt: report.createdAt,
+        verifiedAt: report.verifiedAt
+      }
+    });
+
+  } catch (error) {
+    logger.error('Anonymous report status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/reports/sync
+// @desc    Submit a batch of reports captured offline; safe to retry
 // @access  Private
-router.get('/', auth, [
-  query('page').optional().isInt({ min: 1 }).toInt(),
+router.post('/sync', auth, [
+  body('reports')
+    .isArray({ min: 1, max: MAX_SYNC_BATCH })
+    .withMessage(`reports must be an array of 1 to ${MAX_SYNC_BATCH} items`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { results, summary } = await syncReports(req.user, req.body.reports);
+
+    logger.info(`Offline sync by user ${req.user.id}: ${summary.created} created, ${summary.already_synced} already synced, ${summary.invalid} invalid, ${summary.failed} failed`);
+    const createdIds = results
+      .filter(result => result.outcome === 'created')
+      .map(result => result.report.id);
+    emitWebhooks('report.created', createdIds);
+    streamReports('report.created', createdIds);
+
+    res.json({
+      success: summary.failed === 0,
+      message: 'Sync processed',
+      data: {
+        results,
+        summary
+      }
+    });
+
+  } catch (error) {
+    logger.error('Offline sync error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during sync'
+    });
+  }
+});
+
+// @route   POST /api/reports/bulk
+// @desc    Apply a verify/reject/under_review/attach_incident action to many reports
+// @access  Private (Verifiers only)
+router.post('/bulk', auth, requireRole(['verifier', 'analyst', 'admin']), [
+  body('ids')
+    .isArray({ min: 1, max: 200 })
+    .withMessage('ids must be an array of 1 to 200 report IDs'),
+  body('ids.*')
+    .isUUID()
+    .withMessage('Each report ID must be a valid UUID'),
+  body('action')
+    .isIn(BULK_ACTIONS)
+    .withMessage(`Action must be one of: ${BULK_ACTIONS.join(', ')}`),
+  body('verificationLevel')
+    .optional()
+    .isIn(['community_verified', 'expert_verified', 'official_verified'])
+    .withMessage('Invalid verification level'),
+  body('reason')
+    .if(body('action').equals('reject'))
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('Rejection reason must be between 10 and 1000 characters'),
+  body('incidentId')
+    .if(body('action').equals('attach_incident'))
+    .isUUID()
+    .withMessage('incidentId is required to attach reports to an incident'),
+  body('atomic').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      ids,
+      action,
+      verificationLevel = 'expert_verified',
+      reason,
+      incidentId,
+      atomic = false
+    } = req.body;
+
+    const { applied, results } = await runBulkAction(ids, action, {
+      actor: req.user,
+      verificationLevel,
+      reason,
+      incidentId,
+      atomic
+    });
+
+    logger.info(`Bulk ${action} on ${ids.length} reports by user ${req.user.id}: ${applied} applied${atomic ? ' (atomic)' : ''}`);
+    const appliedIds = results.filter(result => result.success).map(result => result.id);
+    if (BULK_ACTION_EVENTS[action]) {
+      emitWebhooks(BULK_ACTION_EVENTS[action], appliedIds);
+    }
+    streamReports(action === 'verify' ? 'report.verified' : 'report.updated', appliedIds);
+
+    const failed = results.length - applied;
+    res.status(atomic && failed > 0 ? 409 : 200).json({
+      success: failed === 0,
+      message: failed === 0 ?
+        `Bulk ${action} applied to ${applied} reports` :
+        `Bulk ${action} applied to ${applied} of ${results.length} reports`,
+      data: {
+        action,
+        atomic,
+        applied,
+        failed,
+        results
+      }
+    });
+
+  } catch (error) {
+    if (error.name === 'BulkItemError') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+    logger.error('Bulk report action error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/reports
+// @desc    Get reports with filtering, full-text search and pagination
+// @access  Private (or API key with reports:read or reports:read-public)
+router.get('/', authOrApiKey(['reports:read', 'reports:read-public']), [
+  query('cursor').optional().isString(),
   query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
-  query('status').optional().isIn(['pending', 'verified', 'rejected', 'under_review', 'resolved']),
+  query('sortBy').optional().isIn([...REPORT_SORT_FIELDS, 'relevance']),
+  query('search').optional().isString().trim().isLength({ min: 1, max: 200 }),
+  query('sortOrder').optional().isIn(['ASC', 'DESC', 'asc', 'desc']),
+  query('includeTotal').optional().isBoolean().toBoolean(),
+  query('status').optional().isIn(STATUSES),
   query('severity').optional().isIn(['low', 'medium', 'high', 'critical']),
   query('hazardType').optional(),
   query('lat').optional().isFloat(),
   query('lng').optional().isFloat(),
-  query('radius').optional().isFloat({ min: 0.1, max: 100 })
+  query('radius').optional().isFloat({ min: 0.1, max: 100 }),
+  query('claimed').optional().isIn(['mine', 'all']),
+  query('savedSearchId').optional().isUUID(),
+  query('source').optional().isIn(['web', 'anonymous', 'api'])
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -183,8 +574,9 @@ router.get('/', auth, [
     }
 
     const {
-      page = 1,
+      cursor,
       limit = 20,
+      includeTotal = false,
       status,
       severity,
       hazardType,
@@ -192,23 +584,58 @@ router.get('/', auth, [
       lng,
       radius = 10,
       search,
-      sortBy = 'createdAt',
-      sortOrder = 'DESC'
+      claimed,
+      savedSearchId,
+      source
     } = req.query;
 
+    // Searches are ordered by relevance unless another sort is requested
+    const { sortBy, sortOrder } = search
+      ? resolveSort(req.query.sortBy, req.query.sortOrder, [...REPORT_SORT_FIELDS, 'relevance'], 'relevance')
+      : resolveSort(req.query.sortBy, req.query.sortOrder, REPORT_SORT_FIELDS);
+
     // Build where clause
     const whereClause = {};
+    const andFilters = [];
+    const publicOnly = isPublicOnly(req.user);
+
+    // Keys limited to public data see the reports GET /public/:publicId shows
+    if (publicOnly) {
+      andFilters.push(PUBLIC_REPORT_WHERE);
+    }
     
     if (status) whereClause.status = status;
     if (severity) whereClause.severity = severity;
     if (hazardType) whereClause.hazardType = hazardType;
+    if (source) whereClause.source = source;
+
+    // Review queue: hide reports other verifiers have claimed unless asked for all
+    if (claimed === 'mine') {
+      whereClause.assignedToId = req.user.id;
+      whereClause.claimExpiresAt = { [Op.gt]: new Date() };
+    } else if (claimed !== 'all' && req.user.canVerifyReports() && ['pending', 'under_review'].includes(status)) {
+      andFilters.push(unclaimedOrOwnFilter(req.user.id));
+    }
     
+    // Saved search filters are combined with the query parameters
+    if (savedSearchId) {
+      const savedSearch = await SavedSearch.findAccessible(savedSearchId, req.user);
+      if (!savedSearch) {
+        return res.status(404).json({
+          success: false,
+          message: 'Saved search not found'
+        });
+      }
+      andFilters.push(...buildFilterConditions(savedSearch.filters));
+      if (!cursor) {
+        await savedSearch.update({ lastUsedAt: new Date() });
+      }
+    }
+
+    let searchFragments = null;
     if (search) {
-      whereClause[Op.or] = [
-        { description: { [Op.iLike]: `%${search}%` } },
-        { address: { [Op.iLike]: `%${search}%` } },
-        { publicId: { [Op.iLike]: `%${search}%` } }
-      ];
+      searchFragments = reportSearch(search);
+      andFilters.push(searchFragments.filter);
     }
 
     // Handle location-based filtering
@@ -216,18 +643,17 @@ router.get('/', auth, [
     if (lat && lng) {
       locationFilter = sequelize.literal(`
         ST_DWithin(
-          ST_SetSRID(ST_MakePoint(CAST(location->>'lng' AS FLOAT), CAST(location->>'lat' AS FLOAT)), 4326),
-          ST_SetSRID(ST_MakePoint(${lng}, ${lat}), 4326),
+          ST_SetSRID(ST_MakePoint(CAST(location->>'lng' AS FLOAT), CAST(location->>'lat' AS FLOAT)), 4326)::geography,
+          ST_SetSRID(ST_MakePoint(${lng}, ${lat}), 4326)::geography,
           ${radius * 1000}
         )
       `);
     }
 
-    const offset = (page - 1) * limit;
-
-    const { count, rows: reports } = await Report.findAndCountAll({
-      where: locationFilter ? { ...whereClause, [Op.and]: locationFilter } : whereClause,
-      include: [
+    const { rows: reports, pageInfo } = await paginate(Report, {
+      where: { ...whereClause, [Op.and]: [...andFilters, locationFilter].filter(Boolean) },
+      attributes: searchFragments ? { include: searchAttributes(searchFragments, sortBy) } : undefined,
+      include: publicOnly ? [] : [
         {
           model: User,
           as: 'submittedBy',
@@ -238,37 +664,47 @@ router.get('/', auth, [
           as: 'verifiedBy',
           attributes: ['id', 'firstName', 'lastName', 'role'],
           required: false
+        },
+        {
+          model: User,
+          as: 'assignedTo',
+          attributes: ['id', 'firstName', 'lastName'],
+          required: false
         }
       ],
+      cursor,
       limit,
-      offset,
-      order: [[sortBy, sortOrder.toUpperCase()]],
-      distinct: true
+      sortBy,
+      sortOrder,
+      sortExpressions: searchFragments ? { relevance: searchFragments.rank } : {},
+      withTotal: includeTotal
     });
 
-    const totalPages = Math.ceil(count / limit);
-
     res.json({
       success: true,
       data: {
-        reports,
-        pagination: {
-          currentPage: page,
-          totalPages,
-          totalReports: count,
-          hasNext: page < totalPages,
-          hasPrev: page > 1
-        },
+        reports: publicOnly
+          ? reports.map(report => report.toPublicJSON())
+          : reports.map(report => withoutDuplicates(report, req.user)),
+        pagination: pageInfo,
         filters: {
           status,
           severity,
           hazardType,
+          search,
+          savedSearchId,
           location: lat && lng ? { lat, lng, radius } : null
         }
       }
     });
 
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     logger.error('Get reports error:', error);
     res.status(500).json({
       success: false,
@@ -311,14 +747,19 @@ router.get('/dashboard', auth, async (req, res) => {
       });
       
       roleSpecificData = {
-        userReports,
+        userReports: userReports.map(report => withoutDuplicates(report, req.user)),
         totalSubmitted: await Report.count({ where: { submittedById: userId } })
       };
     } else if (['verifier', 'analyst', 'admin'].includes(userRole)) {
       // Get pending reports for verification
+      // Reports claimed by other verifiers are left out of the queue;
+      // the rest are ordered by triage priority, oldest first on ties
       const pendingReports = await Report.findAll({
-        where: { status: 'pending' },
-        order: [['createdAt', 'DESC']],
+        where: {
+          status: 'pending',
+          [Op.and]: [unclaimedOrOwnFilter(userId)]
+        },
+        order: [['priorityScore', 'DESC'], ['createdAt', 'ASC']],
         limit: 10,
         include: [{
           model: User,
@@ -330,6 +771,12 @@ router.get('/dashboard', auth, async (req, res) => {
       roleSpecificData = {
         pendingReports,
         totalPending: await Report.count({ where: { status: 'pending' } }),
+        myClaims: await Report.count({
+          where: {
+            assignedToId: userId,
+            claimExpiresAt: { [Op.gt]: new Date() }
+          }
+        }),
         totalVerified: await Report.count({ where: { verifiedById: userId } })
       };
     }
@@ -358,10 +805,11 @@ router.get('/dashboard', auth, async (req, res) => {
 
 // @route   GET /api/reports/:id
 // @desc    Get a specific report
-// @access  Private
-router.get('/:id', auth, async (req, res) => {
+// @access  Private (or API key with reports:read or reports:read-public)
+router.get('/:id', authOrApiKey(['reports:read', 'reports:read-public']), async (req, res) => {
   try {
     const { id } = req.params;
+    const publicOnly = isPublicOnly(req.user);
 
     // Check if it's a public ID or UUID
     const report = await Report.findOne({
@@ -369,9 +817,10 @@ router.get('/:id', auth, async (req, res) => {
         [Op.or]: [
           { id },
           { publicId: id }
-        ]
+        ],
+        ...(publicOnly ? PUBLIC_REPORT_WHERE : {})
       },
-      include: [
+      include: publicOnly ? [] : [
         {
           model: User,
           as: 'submittedBy',
@@ -394,12 +843,7 @@ router.get('/:id', auth, async (req, res) => {
     }
 
     // Check if user can view this report
-    const canView = 
-      report.submittedById === req.user.id ||
-      req.user.role !== 'citizen' ||
-      report.visibility === 'public';
-
-    if (!canView) {
+    if (!report.canBeViewedBy(req.user)) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -409,7 +853,7 @@ router.get('/:id', auth, async (req, res) => {
     res.json({
       success: true,
       data: {
-        report
+        report: publicOnly ? report.toPublicJSON() : withoutDuplicates(report, req.user)
       }
     });
 
@@ -459,29 +903,77 @@ router.put('/:id', auth, validateReportUpdate, async (req, res) => {
       });
     }
 
-    // Handle status changes
+    // Handle status changes through the lifecycle
+    let transition = null;
     if (status && status !== report.status) {
-      if (['verified', 'rejected'].includes(status) && req.user.canVerifyReports()) {
-        report.status = status;
-        report.verifiedById = req.user.id;
-        report.verifiedAt = new Date();
-        
-        if (status === 'rejected' && rejectionReason) {
-          report.rejectionReason = rejectionReason;
-        }
-      } else if (report.submittedById === req.user.id && status === 'under_review') {
-        report.status = status;
-      }
+      transition = transitionReport(report, status, {
+        actor: req.user,
+        reason: rejectionReason
+      });
     }
 
-    // Apply other updates (only for report owner or verifiers)
-    Object.keys(otherUpdates).forEach(key => {
-      if (report.submittedById === req.user.id || req.user.canVerifyReports()) {
+    // Apply content updates; other fields in the body are ignored
+    EDITABLE_FIELDS.forEach(key => {
+      if (otherUpdates[key] !== undefined) {
         report[key] = otherUpdates[key];
       }
     });
 
-    await report.save();
+    // Media can be removed here but not added or changed: entries are kept
+    // by filename from the stored list, so uploads stay server-described
+    if (Array.isArray(otherUpdates.mediaFiles)) {
+      const kept = new Set(otherUpdates.mediaFiles.map(media => media && media.filename));
+      report.mediaFiles = (report.mediaFiles || []).filter(media => kept.has(media.filename));
+    }
+
+    const changes = ReportEvent.captureChanges(report);
+
+    // The edit, its event and its version are stored together or not at all
+    const version = await sequelize.transaction(async (transaction) => {
+      await report.save({ transaction });
+
+      if (Object.keys(changes).length > 0) {
+        const newStatus = changes.status && changes.status.to;
+        await ReportEvent.record(report, {
+          actorId: req.user.id,
+          action: ['verified', 'rejected'].includes(newStatus) ? newStatus : (newStatus ? 'status_changed' : 'updated'),
+          changes,
+          reason: newStatus === 'rejected' ? rejectionReason : null,
+          transaction
+        });
+      }
+
+      return ReportVersion.recordEdit(report, {
+        changes,
+        actorId: req.user.id,
+        transaction
+      });
+    });
+
+    const decidedStatus = changes.status ? changes.status.from : report.status;
+    const sensitiveFields = SENSITIVE_EDIT_FIELDS.filter(field => changes[field]);
+    if (version && report.submittedById === req.user.id && sensitiveFields.length > 0 &&
+      ['verified', 'resolved'].includes(decidedStatus)) {
+      logger.logSecurity('Verified report edited by submitter', {
+        reportId: report.publicId,
+        userId: req.user.id,
+        fields: sensitiveFields,
+        version: version.version
+      });
+    }
+
+    if (PRIORITY_FIELDS.some(field => changes[field])) {
+      await refreshPriority(report);
+    }
+
+    // Status changes recalculate the incident in runTransitionEffects
+    if (report.incidentId && !transition && INCIDENT_FIELDS.some(field => changes[field])) {
+      await Incident.recalculateById(report.incidentId);
+    }
+
+    if (transition) {
+      await runTransitionEffects(report, transition);
+    }
 
     // Load updated report with relations
     const updatedReport = await Report.findByPk(report.id, {
@@ -501,16 +993,23 @@ router.put('/:id', auth, validateReportUpdate, async (req, res) => {
     });
 
     logger.info(`Report updated: ${report.publicId} by user ${req.user.id}`);
+    emitChangeWebhooks(report, changes);
+    if (Object.keys(changes).length > 0) {
+      streamReport(changes.status && changes.status.to === 'verified' ? 'report.verified' : 'report.updated', report);
+    }
 
     res.json({
       success: true,
       message: 'Report updated successfully',
       data: {
-        report: updatedReport
+        report: withoutDuplicates(updatedReport, req.user)
       }
     });
 
   } catch (error) {
+    if (error instanceof ReportTransitionError) {
+      return sendTransitionError(res, error);
+    }
     logger.error('Report update error:', error);
     res.status(500).json({
       success: false,
@@ -542,12 +1041,20 @@ router.delete('/:id', auth, async (req, res) => {
       });
     }
 
-    // Soft delete by setting status
-    report.status = 'deleted';
-    report.visibility = 'private';
+    // Soft delete by archiving
+    transitionReport(report, 'archived', { actor: req.user });
+
+    const changes = ReportEvent.captureChanges(report);
     await report.save();
 
+    await ReportEvent.record(report, {
+      actorId: req.user.id,
+      action: 'deleted',
+      changes
+    });
+
     logger.info(`Report deleted: ${report.publicId} by user ${req.user.id}`);
+    streamReport('report.updated', report);
 
     res.json({
       success: true,
@@ -555,6 +1062,9 @@ router.delete('/:id', auth, async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof ReportTransitionError) {
+      return sendTransitionError(res, error);
+    }
     logger.error('Report deletion error:', error);
     res.status(500).json({
       success: false,
@@ -563,30 +1073,102 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
-// @route   GET /api/reports/public/:publicId
-// @desc    Get a public report by public ID (no auth required)
+// @route   GET /api/reports/public/feeds/:format
+// @desc    Atom or RSS feed of verified public reports, with GeoRSS points
 // @access  Public
-router.get('/public/:publicId', async (req, res) => {
+router.get('/public/feeds/:format', [
+  param('format').isIn(FEED_FORMATS).withMessage(`Feed format must be one of: ${FEED_FORMATS.join(', ')}`),
+  listOf('hazardType', HAZARD_TYPES),
+  listOf('severity', SEVERITIES),
+  query('bounds').optional().matches(BOUNDS_PATTERN),
+  query('lat').optional().isFloat({ min: -90, max: 90 }),
+  query('lng').optional().isFloat({ min: -180, max: 180 }),
+  query('radius').optional().isFloat({ min: 0.1, max: 500 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res) => {
   try {
-    const { publicId } = req.params;
-
-    const report = await Report.findOne({
-      where: { 
-        publicId,
-        visibility: 'public',
-        status: ['verified', 'resolved']
-      },
-      include: [{
-        model: User,
-        as: 'submittedBy',
-        attributes: ['firstName', 'role'] // Limited info for public view
-      }]
-    });
-
-    if (!report) {
-      return res.status(404).json({
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        message: 'Public report not found'
+        message: 'Invalid feed parameters',
+        errors: errors.array()
+      });
+    }
+
+    const { format } = req.params;
+    const { hazardType, severity, bounds, lat, lng, radius, limit = 50 } = req.query;
+
+    const whereClause = {
+      status: 'verified',
+      visibility: 'public'
+    };
+    if (hazardType) whereClause.hazardType = hazardType;
+    if (severity) whereClause.severity = severity;
+
+    const { conditions } = buildLocationConditions({ bounds, lat, lng, radius });
+    const where = { ...whereClause, [Op.and]: conditions };
+
+    // Answer polls with 304 before loading any reports
+    const filterKey = JSON.stringify({ hazardType, severity, bounds, lat, lng, radius, limit });
+    const { lastModified, etag } = await getFeedVersion(where, format, filterKey);
+    res.setHeader('ETag', etag);
+    res.setHeader('Last-Modified', lastModified.toUTCString());
+    res.setHeader('Cache-Control', 'public, max-age=60');
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    const reports = await Report.findAll({
+      where,
+      attributes: FEED_ATTRIBUTES,
+      order: [['verifiedAt', 'DESC NULLS LAST'], ['createdAt', 'DESC']],
+      limit
+    });
+
+    const baseUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+    const { contentType, body: feed } = renderReportFeed(format, reports, {
+      selfUrl: `${req.protocol}://${req.get('host')}${req.originalUrl}`,
+      apiUrl: entry => `${baseUrl}/public/${encodeURIComponent(entry.publicId)}`,
+      updated: lastModified
+    });
+
+    res.setHeader('Content-Type', contentType);
+    res.send(feed);
+
+  } catch (error) {
+    logger.error('Public report feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/reports/public/:publicId
+// @desc    Get a public report by public ID (no auth required)
+// @access  Public
+router.get('/public/:publicId', async (req, res) => {
+  try {
+    const { publicId } = req.params;
+
+    const report = await Report.findOne({
+      where: { 
+        publicId,
+        visibility: 'public',
+        status: ['verified', 'resolved']
+      },
+      include: [{
+        model: User,
+        as: 'submittedBy',
+        attributes: ['firstName', 'role'] // Limited info for public view
+      }]
+    });
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Public report not found'
       });
     }
 
@@ -641,12 +1223,7 @@ router.get('/media/:filename', auth, async (req, res) => {
     }
 
     // Check permissions
-    const canView = 
-      report.submittedById === req.user.id ||
-      req.user.role !== 'citizen' ||
-      report.visibility === 'public';
-
-    if (!canView) {
+    if (!report.canBeViewedBy(req.user)) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -687,14 +1264,25 @@ router.post('/:id/verify', auth, requireRole(['verifier', 'analyst', 'admin']),
       });
     }
 
-    report.status = 'verified';
-    report.verificationLevel = verificationLevel;
-    report.verifiedById = req.user.id;
-    report.verifiedAt = new Date();
+    const transition = transitionReport(report, 'verified', {
+      actor: req.user,
+      verificationLevel
+    });
 
+    const changes = ReportEvent.captureChanges(report);
     await report.save();
 
+    await ReportEvent.record(report, {
+      actorId: req.user.id,
+      action: 'verified',
+      changes
+    });
+
+    await runTransitionEffects(report, transition);
+
     logger.info(`Report verified: ${report.publicId} by user ${req.user.id}`);
+    emitWebhook('report.verified', report);
+    streamReport('report.verified', report);
 
     res.json({
       success: true,
@@ -703,6 +1291,9 @@ router.post('/:id/verify', auth, requireRole(['verifier', 'analyst', 'admin']),
     });
 
   } catch (error) {
+    if (error instanceof ReportTransitionError) {
+      return sendTransitionError(res, error);
+    }
     logger.error('Report verification error:', error);
     res.status(500).json({
       success: false,
@@ -748,14 +1339,26 @@ router.post('/:id/reject', auth, requireRole(['verifier', 'analyst', 'admin']),
       });
     }
 
-    report.status = 'rejected';
-    report.rejectionReason = reason;
-    report.verifiedById = req.user.id;
-    report.verifiedAt = new Date();
+    const transition = transitionReport(report, 'rejected', {
+      actor: req.user,
+      reason
+    });
 
+    const changes = ReportEvent.captureChanges(report);
     await report.save();
 
+    await ReportEvent.record(report, {
+      actorId: req.user.id,
+      action: 'rejected',
+      changes,
+      reason
+    });
+
+    await runTransitionEffects(report, transition);
+
     logger.info(`Report rejected: ${report.publicId} by user ${req.user.id}`);
+    emitWebhook('report.rejected', report);
+    streamReport('report.updated', report);
 
     res.json({
       success: true,
@@ -764,6 +1367,9 @@ router.post('/:id/reject', auth, requireRole(['verifier', 'analyst', 'admin']),
     });
 
   } catch (error) {
+    if (error instanceof ReportTransitionError) {
+      return sendTransitionError(res, error);
+    }
     logger.error('Report rejection error:', error);
     res.status(500).json({
       success: false,
@@ -772,4 +1378,579 @@ router.post('/:id/reject', auth, requireRole(['verifier', 'analyst', 'admin']),
   }
 });
 
+// @route   GET /api/reports/:id/history
+// @desc    Get the status and edit history of a report
+// @access  Private (Verifiers, Analysts, Admins)
+router.get('/:id/history', auth, requireRole(['verifier', 'analyst', 'admin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const report = await Report.findByPk(id, {
+      attributes: ['id', 'publicId', 'status', 'createdAt']
+    });
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    const events = await ReportEvent.getHistory(report.id);
+
+    res.json({
+      success: true,
+      data: {
+        report,
+        events
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get report history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Submitters and reviewers may see a report's versions
+const canViewVersions = (report, user) => {
+  return report.submittedById === user.id || VERIFIER_ROLES.includes(user.role);
+};
+
+// @route   GET /api/reports/:id/versions
+// @desc    List the edit versions of a report
+// @access  Private (submitter and verifiers)
+router.get('/:id/versions', auth, async (req, res) => {
+  try {
+    const report = await Report.findByPk(req.params.id, {
+      attributes: ['id', 'publicId', 'status', 'submittedById']
+    });
+    if (!report || !canViewVersions(report, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    const versions = await ReportVersion.getHistory(report.id);
+
+    res.json({
+      success: true,
+      data: {
+        report,
+        versions
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get report versions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/reports/:id/versions/diff
+// @desc    Field-level diff between two versions (defaults to the latest as `to`)
+// @access  Private (submitter and verifiers)
+router.get('/:id/versions/diff', auth, [
+  query('from').isInt({ min: 1 }).withMessage('from must be a version number').toInt(),
+  query('to').optional().isInt({ min: 1 }).withMessage('to must be a version number').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        errors: errors.array()
+      });
+    }
+
+    const report = await Report.findByPk(req.params.id, {
+      attributes: ['id', 'publicId', 'submittedById']
+    });
+    if (!report || !canViewVersions(report, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    const to = req.query.to || await ReportVersion.max('version', { where: { reportId: report.id } });
+    const versions = await ReportVersion.findAll({
+      where: { reportId: report.id, version: [req.query.from, to] }
+    });
+
+    const fromVersion = versions.find(v => v.version === req.query.from);
+    const toVersion = versions.find(v => v.version === to);
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        from: fromVersion.version,
+        to: toVersion.version,
+        changes: ReportVersion.diff(fromVersion.snapshot, toVersion.snapshot)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Diff report versions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/reports/:id/versions/:version/rollback
+// @desc    Restore a report's content to an earlier version
+// @access  Private (Verifiers only)
+router.post('/:id/versions/:version/rollback', auth, requireRole(['verifier', 'analyst', 'admin']), [
+  param('version').isInt({ min: 1 }).withMessage('Invalid version').toInt(),
+  body('reason')
+    .trim()
+    .isLength({ min: 5, max: 1000 })
+    .withMessage('Rollback reason must be between 5 and 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { reason } = req.body;
+
+    const report = await Report.findByPk(req.params.id);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    if (report.status === 'archived') {
+      return res.status(409).json({
+        success: false,
+        message: 'Archived reports cannot be rolled back'
+      });
+    }
+
+    if (req.user.role !== 'admin' && report.isClaimedByOther(req.user.id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Report is claimed by another verifier'
+      });
+    }
+
+    const target = await ReportVersion.findOne({
+      where: { reportId: report.id, version: req.params.version }
+    });
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    report.set(target.snapshot);
+    const changes = ReportEvent.captureChanges(report);
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Report already matches this version'
+      });
+    }
+
+    const version = await sequelize.transaction(async (transaction) => {
+      await report.save({ transaction });
+
+      await ReportEvent.record(report, {
+        actorId: req.user.id,
+        action: 'updated',
+        changes,
+        reason,
+        metadata: { rolledBackTo: target.version },
+        transaction
+      });
+
+      return ReportVersion.recordEdit(report, {
+        action: 'rolled_back',
+        changes,
+        actorId: req.user.id,
+        reason,
+        rolledBackTo: target.version,
+        transaction
+      });
+    });
+
+    if (PRIORITY_FIELDS.some(field => changes[field])) {
+      await refreshPriority(report);
+    }
+
+    if (report.incidentId && INCIDENT_FIELDS.some(field => changes[field])) {
+      await Incident.recalculateById(report.incidentId);
+    }
+
+    logger.info(`Report ${report.publicId} rolled back to version ${target.version} by user ${req.user.id}`);
+    emitChangeWebhooks(report, changes);
+    streamReport('report.updated', report);
+
+    res.json({
+      success: true,
+      message: `Report rolled back to version ${target.version}`,
+      data: {
+        report,
+        version
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof ReportTransitionError) {
+      return sendTransitionError(res, error);
+    }
+    logger.error('Rollback report version error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Send a claim error as a JSON response
+const sendClaimError = (res, error) => {
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message
+  });
+};
+
+// @route   POST /api/reports/:id/claim
+// @desc    Claim a report for review (or renew your claim)
+// @access  Private (Verifiers only)
+router.post('/:id/claim', auth, requireRole(['verifier', 'analyst', 'admin']), async (req, res) => {
+  try {
+    const report = await Report.findByPk(req.params.id);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    await claimReport(report, req.user);
+
+    logger.info(`Report claimed: ${report.publicId} by user ${req.user.id} until ${report.claimExpiresAt.toISOString()}`);
+
+    res.json({
+      success: true,
+      message: 'Report claimed successfully',
+      data: {
+        reportId: report.id,
+        assignedToId: report.assignedToId,
+        claimExpiresAt: report.claimExpiresAt
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof ReportClaimError) {
+      return sendClaimError(res, error);
+    }
+    logger.error('Report claim error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/reports/:id/claim
+// @desc    Release a claim on a report
+// @access  Private (Claimant or Admin)
+router.delete('/:id/claim', auth, requireRole(['verifier', 'analyst', 'admin']), async (req, res) => {
+  try {
+    const report = await Report.findByPk(req.params.id);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    await releaseClaim(report, req.user);
+
+    logger.info(`Report claim released: ${report.publicId} by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Claim released successfully'
+    });
+
+  } catch (error) {
+    if (error instanceof ReportClaimError) {
+      return sendClaimError(res, error);
+    }
+    logger.error('Report claim release error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/reports/:id/assign
+// @desc    Assign or reassign a report to a verifier
+// @access  Private (Admin)
+router.put('/:id/assign', auth, requireRole(['admin']), [
+  body('assigneeId')
+    .isUUID()
+    .withMessage('A valid assignee ID is required'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const report = await Report.findByPk(req.params.id);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    const assignee = await User.findByPk(req.body.assigneeId);
+    if (!assignee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignee not found'
+      });
+    }
+
+    const previousAssigneeId = report.isClaimActive() ? report.assignedToId : null;
+    await assignReport(report, assignee, req.user, req.body.reason);
+
+    logger.info(`Report assigned: ${report.publicId} to user ${assignee.id}${previousAssigneeId ? ` (was ${previousAssigneeId})` : ''} by admin ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Report assigned successfully',
+      data: {
+        reportId: report.id,
+        assignedToId: report.assignedToId,
+        previousAssigneeId,
+        claimExpiresAt: report.claimExpiresAt
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof ReportClaimError) {
+      return sendClaimError(res, error);
+    }
+    logger.error('Report assign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+const validateCommunityVote = [
+  body('location.lat')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Your current latitude is required'),
+
+  body('location.lng')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Your current longitude is required'),
+
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Comment must not exceed 500 characters')
+];
+
+// Shared handler for confirm/dispute votes
+const handleCommunityVote = (vote) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const report = await Report.findByPk(req.params.id);
+    if (!report || !report.canBeViewedBy(req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    if (report.submittedById === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot vote on your own report'
+      });
+    }
+
+    if (!VOTABLE_STATUSES.includes(report.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Reports with status '${report.status}' cannot be confirmed or disputed`
+      });
+    }
+
+    const { location, comment } = req.body;
+    const distanceKm = report.getDistanceFromPoint(parseFloat(location.lat), parseFloat(location.lng));
+    if (distanceKm > MAX_VOTE_DISTANCE_KM) {
+      return res.status(400).json({
+        success: false,
+        message: `You must be within ${MAX_VOTE_DISTANCE_KM} km of the report to vote on it`
+      });
+    }
+
+    const confirmation = await castVote(report, req.user, { vote, location, comment });
+    const summary = await evaluateCommunityVerification(report);
+
+    logger.info(`Report ${vote}ed by community: ${report.publicId} by user ${req.user.id} (weight ${confirmation.weight})`);
+
+    res.json({
+      success: true,
+      message: vote === 'confirm' ? 'Report confirmed' : 'Report disputed',
+      data: {
+        confirmation,
+        summary
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Community ${vote} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @route   POST /api/reports/:id/confirm
+// @desc    Confirm a report as a nearby citizen ("I see this too")
+// @access  Private
+router.post('/:id/confirm', auth, validateCommunityVote, handleCommunityVote('confirm'));
+
+// @route   POST /api/reports/:id/dispute
+// @desc    Dispute a report as a nearby citizen ("not here anymore")
+// @access  Private
+router.post('/:id/dispute', auth, validateCommunityVote, handleCommunityVote('dispute'));
+
+// @route   DELETE /api/reports/:id/confirmation
+// @desc    Withdraw your confirm/dispute vote
+// @access  Private
+router.delete('/:id/confirmation', auth, async (req, res) => {
+  try {
+    const report = await Report.findByPk(req.params.id);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    const removed = await ReportConfirmation.destroy({
+      where: { reportId: report.id, userId: req.user.id }
+    });
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'You have not voted on this report'
+      });
+    }
+
+    const summary = await evaluateCommunityVerification(report);
+
+    res.json({
+      success: true,
+      message: 'Vote withdrawn',
+      data: {
+        summary
+      }
+    });
+
+  } catch (error) {
+    logger.error('Withdraw community vote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/reports/:id/confirmations
+// @desc    Get the community vote summary for a report
+// @access  Private
+router.get('/:id/confirmations', auth, async (req, res) => {
+  try {
+    const report = await Report.findByPk(req.params.id, {
+      attributes: ['id', 'publicId', 'verificationLevel', 'visibility', 'submittedById']
+    });
+    if (!report || !report.canBeViewedBy(req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    const summary = await ReportConfirmation.getSummary(report.id);
+    const myVote = await ReportConfirmation.findOne({
+      where: { reportId: report.id, userId: req.user.id },
+      attributes: ['vote', 'weight', 'createdAt']
+    });
+
+    res.json({
+      success: true,
+      data: {
+        summary,
+        verificationLevel: report.verificationLevel,
+        myVote
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get community votes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
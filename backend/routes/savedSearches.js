@@ -0,0 +1,321 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const SavedSearch = require('../models/SavedSearch');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const logger = require('../utils/logger');
+const { ReportFilterError, normalizeFilters } = require('../utils/reportFilters');
+
+const router = express.Router();
+
+const MAX_SAVED_SEARCHES_PER_USER = 50;
+
+const validateSavedSearch = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+
+  body('description')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+
+  body('filters')
+    .isObject()
+    .withMessage('filters must be an object'),
+
+  body('sharedWithTeam')
+    .optional()
+    .isBoolean()
+    .withMessage('sharedWithTeam must be a boolean')
+    .toBoolean(),
+
+  body('notifyOnNewMatches')
+    .optional()
+    .isBoolean()
+    .withMessage('notifyOnNewMatches must be a boolean')
+    .toBoolean()
+];
+
+const validateSavedSearchUpdate = [
+  param('id').isUUID().withMessage('Invalid saved search ID'),
+
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+
+  body('description')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+
+  body('filters')
+    .optional()
+    .isObject()
+    .withMessage('filters must be an object'),
+
+  body('sharedWithTeam')
+    .optional()
+    .isBoolean()
+    .withMessage('sharedWithTeam must be a boolean')
+    .toBoolean(),
+
+  body('notifyOnNewMatches')
+    .optional()
+    .isBoolean()
+    .withMessage('notifyOnNewMatches must be a boolean')
+    .toBoolean()
+];
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const ownerInclude = {
+  model: User,
+  as: 'owner',
+  attributes: ['id', 'firstName', 'lastName']
+};
+
+// @route   GET /api/saved-searches
+// @desc    List the user's saved searches and those shared with their team
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const savedSearches = await SavedSearch.findAll({
+      where: SavedSearch.accessibleWhere(req.user),
+      include: [ownerInclude],
+      order: [['name', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        savedSearches
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get saved searches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/saved-searches/:id
+// @desc    Get a saved search
+// @access  Private
+router.get('/:id', auth, param('id').isUUID(), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const savedSearch = await SavedSearch.findAccessible(req.params.id, req.user);
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        savedSearch
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get saved search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/saved-searches
+// @desc    Save a named search
+// @access  Private
+router.post('/', auth, validateSavedSearch, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { name, description, sharedWithTeam = false, notifyOnNewMatches = false } = req.body;
+    const filters = normalizeFilters(req.body.filters);
+
+    if (sharedWithTeam && !req.user.organizationName) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only users with an organization can share saved searches'
+      });
+    }
+
+    const count = await SavedSearch.count({ where: { ownerId: req.user.id } });
+    if (count >= MAX_SAVED_SEARCHES_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save at most ${MAX_SAVED_SEARCHES_PER_USER} searches`
+      });
+    }
+
+    const savedSearch = await SavedSearch.create({
+      ownerId: req.user.id,
+      name,
+      description,
+      filters,
+      sharedWithTeam,
+      organizationName: req.user.organizationName,
+      notifyOnNewMatches
+    });
+
+    logger.info(`Saved search ${savedSearch.id} created by user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Search saved successfully',
+      data: {
+        savedSearch
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof ReportFilterError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    logger.error('Create saved search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/saved-searches/:id
+// @desc    Update a saved search
+// @access  Private (owner)
+router.put('/:id', auth, validateSavedSearchUpdate, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const savedSearch = await SavedSearch.findAccessible(req.params.id, req.user);
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    if (!savedSearch.isOwnedBy(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner can change a saved search'
+      });
+    }
+
+    const { name, description, filters, sharedWithTeam, notifyOnNewMatches } = req.body;
+
+    if (name !== undefined) savedSearch.name = name;
+    if (description !== undefined) savedSearch.description = description;
+    if (filters !== undefined) savedSearch.filters = normalizeFilters(filters);
+    if (notifyOnNewMatches !== undefined) savedSearch.notifyOnNewMatches = notifyOnNewMatches;
+
+    // Queued matches belong to the old filters or are no longer wanted
+    if (filters !== undefined || notifyOnNewMatches === false) {
+      savedSearch.pendingMatches = [];
+    }
+
+    if (sharedWithTeam !== undefined) {
+      if (sharedWithTeam && !req.user.organizationName) {
+        return res.status(400).json({
+          success: false,
+          message: 'Only users with an organization can share saved searches'
+        });
+      }
+      savedSearch.sharedWithTeam = sharedWithTeam;
+      savedSearch.organizationName = req.user.organizationName;
+    }
+
+    await savedSearch.save();
+
+    res.json({
+      success: true,
+      message: 'Saved search updated successfully',
+      data: {
+        savedSearch
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof ReportFilterError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    logger.error('Update saved search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/saved-searches/:id
+// @desc    Delete a saved search
+// @access  Private (owner or admin)
+router.delete('/:id', auth, param('id').isUUID(), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const savedSearch = await SavedSearch.findByPk(req.params.id);
+    if (!savedSearch || !(savedSearch.canBeUsedBy(req.user) || req.user.role === 'admin')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    if (!savedSearch.isOwnedBy(req.user) && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner can delete a saved search'
+      });
+    }
+
+    await savedSearch.destroy();
+
+    logger.info(`Saved search ${savedSearch.id} deleted by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Saved search deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Delete saved search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
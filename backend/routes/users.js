@@ -6,15 +6,23 @@ const Report = require('../models/Report');
 const auth = require('../middleware/auth');
 const { requireRole, canManageUsers } = require('../middleware/authorization');
 const logger = require('../utils/logger');
+const { LOW_TRUST_THRESHOLD } = require('../utils/reporterReputation');
+const { PaginationError, resolveSort, paginate } = require('../utils/pagination');
 
 const router = express.Router();
 
+// Columns users can be sorted and paginated by (all non-null)
+const USER_SORT_FIELDS = ['createdAt', 'updatedAt', 'firstName', 'lastName', 'email', 'role', 'status', 'trustScore'];
+
 // @route   GET /api/users
 // @desc    Get users list (admin only)
 // @access  Private (Admin)
 router.get('/', auth, canManageUsers, [
-  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('cursor').optional().isString(),
   query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('sortBy').optional().isIn(USER_SORT_FIELDS),
+  query('sortOrder').optional().isIn(['ASC', 'DESC', 'asc', 'desc']),
+  query('includeTotal').optional().isBoolean().toBoolean(),
   query('role').optional().isIn(['citizen', 'verifier', 'analyst', 'admin']),
   query('status').optional().isIn(['active', 'inactive', 'suspended', 'pending'])
 ], async (req, res) => {
@@ -29,15 +37,16 @@ router.get('/', auth, canManageUsers, [
     }
 
     const {
-      page = 1,
+      cursor,
       limit = 20,
+      includeTotal = false,
       role,
       status,
-      search,
-      sortBy = 'createdAt',
-      sortOrder = 'DESC'
+      search
     } = req.query;
 
+    const { sortBy, sortOrder } = resolveSort(req.query.sortBy, req.query.sortOrder, USER_SORT_FIELDS);
+
     // Build where clause
     const whereClause = {};
     
@@ -53,9 +62,7 @@ router.get('/', auth, canManageUsers, [
       ];
     }
 
-    const offset = (page - 1) * limit;
-
-    const { count, rows: users } = await User.findAndCountAll({
+    const { rows: users, pageInfo } = await paginate(User, {
       where: whereClause,
       attributes: { exclude: ['password', 'resetPasswordToken', 'emailVerificationToken'] },
       include: [
@@ -68,10 +75,11 @@ router.get('/', auth, canManageUsers, [
           order: [['createdAt', 'DESC']]
         }
       ],
+      cursor,
       limit,
-      offset,
-      order: [[sortBy, sortOrder.toUpperCase()]],
-      distinct: true
+      sortBy,
+      sortOrder,
+      withTotal: includeTotal
     });
 
     // Calculate statistics for each user
@@ -92,23 +100,21 @@ router.get('/', auth, canManageUsers, [
       };
     }));
 
-    const totalPages = Math.ceil(count / limit);
-
     res.json({
       success: true,
       data: {
         users: usersWithStats,
-        pagination: {
-          currentPage: page,
-          totalPages,
-          totalUsers: count,
-          hasNext: page < totalPages,
-          hasPrev: page > 1
-        }
+        pagination: pageInfo
       }
     });
 
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     logger.error('Get users error:', error);
     res.status(500).json({
       success: false,
@@ -169,21 +175,57 @@ router.get('/statistics', auth, canManageUsers, async (req, res) => {
   }
 });
 
+// Reputation block shown on user profiles
+const getReputation = (user) => ({
+  trustScore: parseFloat(user.trustScore),
+  lowTrust: parseFloat(user.trustScore) < LOW_TRUST_THRESHOLD,
+  factors: user.trustFactors,
+  updatedAt: user.trustScoreUpdatedAt
+});
+
 // @route   GET /api/users/:id
-// @desc    Get user profile (admin or self)
+// @desc    Get user profile (admin, verifiers or self)
 // @access  Private
 router.get('/:id', auth, async (req, res) => {
   try {
     const { id } = req.params;
 
-    // Check if user can access this profile
-    if (req.user.id !== id && req.user.role !== 'admin') {
+    // Check if user can access this profile; verifiers need it to judge reporter reliability
+    const fullProfile = req.user.id === id || req.user.role === 'admin';
+    if (!fullProfile && !req.user.canVerifyReports()) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
       });
     }
 
+    // Verifiers only get who the reporter is and how reliable they are
+    if (!fullProfile) {
+      const reporter = await User.findByPk(id, {
+        attributes: ['id', 'firstName', 'lastName', 'role', 'trustScore', 'trustFactors', 'trustScoreUpdatedAt']
+      });
+
+      if (!reporter) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      return res.json({
+        success: true,
+        data: {
+          user: {
+            id: reporter.id,
+            firstName: reporter.firstName,
+            lastName: reporter.lastName,
+            role: reporter.role
+          },
+          reputation: getReputation(reporter)
+        }
+      });
+    }
+
     const user = await User.findByPk(id, {
       attributes: { exclude: ['password', 'resetPasswordToken', 'emailVerificationToken'] },
       include: [
@@ -228,7 +270,8 @@ router.get('/:id', auth, async (req, res) => {
       success: true,
       data: {
         user: user.toJSON(),
-        statistics
+        statistics,
+        reputation: getReputation(user)
       }
     });
 
@@ -0,0 +1,393 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/authorization');
+const logger = require('../utils/logger');
+const { PaginationError, paginate } = require('../utils/pagination');
+const {
+  WEBHOOK_EVENTS,
+  WebhookError,
+  generateSecret,
+  replayDelivery
+} = require('../utils/webhooks');
+
+const router = express.Router();
+
+const isAdmin = requireRole(['admin']);
+
+const subscriptionValidation = [
+  body('url').optional()
+    .isURL({ protocols: ['https', 'http'], require_protocol: true, require_tld: process.env.NODE_ENV === 'production' })
+    .withMessage('url must be an http(s) URL'),
+  body('eventTypes').optional().isArray({ min: 1 }).withMessage('eventTypes must be a non-empty array'),
+  body('eventTypes.*').isIn(WEBHOOK_EVENTS).withMessage(`Event types must be one of: ${WEBHOOK_EVENTS.join(', ')}`),
+  body('description').optional({ nullable: true }).trim().isLength({ max: 200 })
+];
+
+const sendValidationErrors = (res, errors) => {
+  return res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+};
+
+// Send a webhook error as a JSON response
+const sendWebhookError = (res, error) => {
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message
+  });
+};
+
+// @route   GET /api/webhooks
+// @desc    List webhook subscriptions
+// @access  Private (Admin only)
+router.get('/', auth, isAdmin, [
+  query('organizationName').optional().trim().isLength({ min: 1, max: 100 }),
+  query('status').optional().isIn(['active', 'disabled'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const where = {};
+    if (req.query.organizationName) where.organizationName = req.query.organizationName;
+    if (req.query.status) where.status = req.query.status;
+
+    const subscriptions = await WebhookSubscription.findAll({
+      where,
+      order: [['organizationName', 'ASC'], ['createdAt', 'DESC']],
+      include: [{
+        model: User,
+        as: 'createdBy',
+        attributes: ['id', 'firstName', 'lastName']
+      }]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        subscriptions
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get webhook subscriptions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/webhooks
+// @desc    Subscribe an organization's endpoint to report events. The signing secret is only returned here.
+// @access  Private (Admin only)
+router.post('/', auth, isAdmin, [
+  body('organizationName').trim().isLength({ min: 1, max: 100 }).withMessage('organizationName is required'),
+  body('url').exists().withMessage('url is required'),
+  body('eventTypes').exists().withMessage('eventTypes is required'),
+  ...subscriptionValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const secret = generateSecret();
+    const created = await WebhookSubscription.create({
+      organizationName: req.body.organizationName,
+      url: req.body.url,
+      eventTypes: [...new Set(req.body.eventTypes)],
+      description: req.body.description || null,
+      secret,
+      createdById: req.user.id
+    });
+
+    const subscription = await WebhookSubscription.findByPk(created.id);
+
+    logger.info(`Webhook subscription ${subscription.id} created for ${subscription.organizationName} by user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook subscription created. Store the signing secret now: it will not be shown again.',
+      data: {
+        subscription,
+        secret
+      }
+    });
+
+  } catch (error) {
+    logger.error('Create webhook subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/webhooks/deliveries/:deliveryId
+// @desc    Get a delivery with its payload and last response
+// @access  Private (Admin only)
+router.get('/deliveries/:deliveryId', auth, isAdmin, param('deliveryId').isUUID(), async (req, res) => {
+  try {
+    const delivery = validationResult(req).isEmpty() && await WebhookDelivery.findByPk(req.params.deliveryId, {
+      include: [{
+        model: User,
+        as: 'replayedBy',
+        attributes: ['id', 'firstName', 'lastName'],
+        required: false
+      }]
+    });
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        delivery
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get webhook delivery error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/webhooks/deliveries/:deliveryId/replay
+// @desc    Send a delivery's event again
+// @access  Private (Admin only)
+router.post('/deliveries/:deliveryId/replay', auth, isAdmin, param('deliveryId').isUUID(), async (req, res) => {
+  try {
+    const delivery = validationResult(req).isEmpty() && await WebhookDelivery.findByPk(req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found'
+      });
+    }
+
+    const replay = await replayDelivery(delivery, req.user);
+
+    res.status(202).json({
+      success: true,
+      message: 'Delivery queued for replay',
+      data: {
+        delivery: replay
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof WebhookError) {
+      return sendWebhookError(res, error);
+    }
+    logger.error('Replay webhook delivery error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/webhooks/:id
+// @desc    Get a webhook subscription
+// @access  Private (Admin only)
+router.get('/:id', auth, isAdmin, param('id').isUUID(), async (req, res) => {
+  try {
+    const subscription = validationResult(req).isEmpty() && await WebhookSubscription.findByPk(req.params.id, {
+      include: [{
+        model: User,
+        as: 'createdBy',
+        attributes: ['id', 'firstName', 'lastName']
+      }]
+    });
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook subscription not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        subscription
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get webhook subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/webhooks/:id
+// @desc    Update a subscription, or re-enable one that was disabled
+// @access  Private (Admin only)
+router.put('/:id', auth, isAdmin, [
+  param('id').isUUID(),
+  body('status').optional().isIn(['active', 'disabled']),
+  ...subscriptionValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const subscription = await WebhookSubscription.findByPk(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook subscription not found'
+      });
+    }
+
+    const { url, eventTypes, description, status } = req.body;
+    const updates = {};
+    if (url !== undefined) updates.url = url;
+    if (eventTypes !== undefined) updates.eventTypes = [...new Set(eventTypes)];
+    if (description !== undefined) updates.description = description || null;
+
+    if (status === 'active' && !subscription.isActive()) {
+      Object.assign(updates, { status, consecutiveFailures: 0, disabledAt: null, disabledReason: null });
+    } else if (status === 'disabled' && subscription.isActive()) {
+      Object.assign(updates, { status, disabledAt: new Date(), disabledReason: `Disabled by user ${req.user.id}` });
+    }
+
+    await subscription.update(updates);
+
+    logger.info(`Webhook subscription ${subscription.id} updated by user ${req.user.id}: ${Object.keys(updates).join(', ')}`);
+
+    res.json({
+      success: true,
+      message: 'Webhook subscription updated',
+      data: {
+        subscription
+      }
+    });
+
+  } catch (error) {
+    logger.error('Update webhook subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/webhooks/:id
+// @desc    Delete a subscription and its delivery log
+// @access  Private (Admin only)
+router.delete('/:id', auth, isAdmin, param('id').isUUID(), async (req, res) => {
+  try {
+    const subscription = validationResult(req).isEmpty() && await WebhookSubscription.findByPk(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook subscription not found'
+      });
+    }
+
+    await subscription.destroy();
+
+    logger.info(`Webhook subscription ${subscription.id} deleted by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Webhook subscription deleted'
+    });
+
+  } catch (error) {
+    logger.error('Delete webhook subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/webhooks/:id/deliveries
+// @desc    Delivery log of a subscription, newest first
+// @access  Private (Admin only)
+router.get('/:id/deliveries', auth, isAdmin, [
+  param('id').isUUID(),
+  query('status').optional().isIn(['pending', 'delivered', 'failed']),
+  query('eventType').optional().isIn(WEBHOOK_EVENTS),
+  query('reportId').optional().isUUID(),
+  query('cursor').optional().isString(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const subscription = await WebhookSubscription.findByPk(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook subscription not found'
+      });
+    }
+
+    const { status, eventType, reportId, cursor, limit = 50 } = req.query;
+    const where = { subscriptionId: subscription.id };
+    if (status) where.status = status;
+    if (eventType) where.eventType = eventType;
+    if (reportId) where.reportId = reportId;
+
+    const { rows: deliveries, pageInfo } = await paginate(WebhookDelivery, {
+      where,
+      attributes: { exclude: ['payload'] },
+      cursor,
+      limit,
+      sortBy: 'createdAt',
+      sortOrder: 'DESC'
+    });
+
+    res.json({
+      success: true,
+      data: {
+        deliveries,
+        pagination: pageInfo
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    logger.error('Get webhook deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+/**
+ * Import reports from a CSV or GeoJSON file.
+ *
+ *   node scripts/import-reports.js --file observations.csv --admin admin@example.org \
+ *     [--format csv|geojson] [--map description=Notes --map location.lat=Latitude] \
+ *     [--name "INCOIS field survey"] [--status pending|verified] [--dry-run] [--skip-invalid]
+ *
+ *   node scripts/import-reports.js --rollback <batchId> --admin admin@example.org
+ */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { sequelize } = require('../config/database');
+const User = require('../models/User');
+const { runImport, rollbackImport } = require('../utils/reportImport');
+
+const usage = () => {
+  console.error('Usage: import-reports.js --file <path> --admin <email> [--format csv|geojson] ' +
+    '[--map field=column ...] [--name <name>] [--status pending|verified] [--dry-run] [--skip-invalid]');
+  console.error('       import-reports.js --rollback <batchId> --admin <email>');
+  process.exit(2);
+};
+
+const parseArgs = (argv) => {
+  const args = { mapping: {}, dryRun: false, skipInvalid: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) usage();
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case '--file': args.file = next(); break;
+      case '--format': args.format = next(); break;
+      case '--admin': args.admin = next(); break;
+      case '--name': args.name = next(); break;
+      case '--status': args.initialStatus = next(); break;
+      case '--rollback': args.rollback = next(); break;
+      case '--dry-run': args.dryRun = true; break;
+      case '--skip-invalid': args.skipInvalid = true; break;
+      case '--map': {
+        const [field, column] = next().split('=');
+        if (!field || !column) usage();
+        args.mapping[field] = column;
+        break;
+      }
+      default:
+        usage();
+    }
+  }
+
+  return args;
+};
+
+const formatFromExtension = (file) => {
+  const extension = path.extname(file).toLowerCase();
+  if (extension === '.csv') return 'csv';
+  if (extension === '.geojson' || extension === '.json') return 'geojson';
+  return null;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.admin || (!args.file && !args.rollback)) usage();
+
+  await sequelize.authenticate();
+
+  const actor = await User.findOne({ where: { email: args.admin, role: 'admin' } });
+  if (!actor) {
+    throw new Error(`No admin user with email ${args.admin}`);
+  }
+
+  if (args.rollback) {
+    const { archivedReports } = await rollbackImport(args.rollback, actor);
+    console.log(`Rolled back import batch ${args.rollback}: ${archivedReports} report(s) archived`);
+    return;
+  }
+
+  const format = args.format || formatFromExtension(args.file);
+  if (!format) {
+    throw new Error('Cannot tell the format from the file name; pass --format csv or --format geojson');
+  }
+
+  const result = await runImport({
+    content: fs.readFileSync(args.file, 'utf8'),
+    format,
+    mapping: args.mapping,
+    name: args.name,
+    fileName: path.basename(args.file),
+    initialStatus: args.initialStatus,
+    dryRun: args.dryRun,
+    skipInvalid: args.skipInvalid,
+    actor
+  });
+
+  result.rowErrors.forEach(({ row, errors }) => {
+    console.log(`Row ${row}: ${errors.map(e => `${e.field}: ${e.message}`).join('; ')}`);
+  });
+
+  if (result.dryRun) {
+    console.log(`Dry run: ${result.validRows} of ${result.totalRows} rows are valid`);
+  } else {
+    console.log(`Imported ${result.batch.importedCount} of ${result.totalRows} rows as batch ${result.batch.id}`);
+  }
+};
+
+main()
+  .catch(error => {
+    console.error(error.message);
+    (error.rowErrors || []).forEach(({ row, errors }) => {
+      console.error(`Row ${row}: ${errors.map(e => `${e.field}: ${e.message}`).join('; ')}`);
+    });
+    process.exitCode = 1;
+  })
+  .finally(() => sequelize.close());
@@ -0,0 +1,115 @@
+const express = require('express');
+const request = require('supertest');
+
+const mockUser = { id: 'analyst-1', role: 'analyst' };
+const mockFindAll = jest.fn();
+
+jest.mock('sequelize', () => ({ Op: { between: Symbol('between'), ne: Symbol('ne') }, sequelize: {} }), { virtual: true });
+jest.mock('../../models/Report', () => ({ findAll: mockFindAll }), { virtual: true });
+jest.mock('../../models/Incident', () => ({}), { virtual: true });
+jest.mock('../../models/User', () => ({}), { virtual: true });
+// Stand-ins: user tokens come as Bearer tokens, partner keys as X-API-Key
+jest.mock('../../middleware/auth', () => (req, res, next) => {
+  if (!(req.get('Authorization') || '').startsWith('Bearer ')) {
+    return res.status(401).json({ success: false, message: 'No token provided' });
+  }
+  req.user = mockUser;
+  next();
+}, { virtual: true });
+jest.mock('../../middleware/apiKeyAuth', () => ({
+  authOrApiKey: () => (req, res, next) => {
+    if (!req.get('X-API-Key')) {
+      return res.status(401).json({ success: false, message: 'No token provided' });
+    }
+    req.user = { ...mockUser, apiKeyId: 'key-1' };
+    next();
+  }
+}));
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../../utils/reportFilters', () => ({ ReportFilterError: class ReportFilterError extends Error {} }));
+jest.mock('../../utils/mapFilters', () => ({ validateMapFilters: [], buildMapReportFilter: jest.fn() }));
+jest.mock('../../utils/reportExport', () => ({ EXPORT_FORMATS: ['geojson', 'kml', 'gpx'], streamReportExport: jest.fn() }));
+
+const analyticsRoutes = require('../../routes/analytics');
+
+const app = express();
+app.use('/api/analytics', analyticsRoutes);
+
+// Split one CSV line into its fields, undoing "" escapes
+const parseCsvLine = (line) => {
+  const fields = [];
+  const pattern = /"((?:[^"]|"")*)"(,|$)/y;
+  let match;
+  while (pattern.lastIndex < line.length && (match = pattern.exec(line))) {
+    fields.push(match[1].replace(/""/g, '"'));
+    if (!match[2]) break;
+  }
+  if (pattern.lastIndex !== line.length) {
+    throw new Error(`Malformed CSV line: ${line}`);
+  }
+  return fields;
+};
+
+const exportLines = async (type) => {
+  const res = await request(app).get('/api/analytics/exports/csv').query({ type }).set('Authorization', 'Bearer token');
+  expect(res.status).toBe(200);
+  return res.text.trim().split('\n');
+};
+
+const report = {
+  id: 'r1',
+  publicId: 'RPT1',
+  hazardType: 'storm-surge',
+  severity: 'high',
+  status: 'verified',
+  description: 'Waves, "huge" ones, over the sea wall',
+  location: { lat: 13.05, lng: 80.28 },
+  submittedBy: { firstName: 'Asha', lastName: 'Rao' },
+  verifiedBy: { firstName: 'Vel', lastName: 'Murugan' },
+  createdAt: new Date('2024-05-24T10:00:00Z'),
+  verifiedAt: new Date('2024-05-24T12:30:00Z')
+};
+
+describe('GET /api/analytics/exports/csv', () => {
+  beforeEach(() => {
+    mockFindAll.mockResolvedValue([report]);
+  });
+
+  it('writes one field per column for reports', async () => {
+    const [header, row] = await exportLines('reports');
+    const fields = parseCsvLine(row);
+
+    expect(fields).toHaveLength(header.split(',').length);
+    expect(fields.slice(0, 8)).toEqual([
+      'r1', 'RPT1', 'storm-surge', 'high', 'verified',
+      'Waves, "huge" ones, over the sea wall', '13.05, 80.28', 'Asha Rao'
+    ]);
+  });
+
+  it('writes one field per column for verifications', async () => {
+    const [header, row] = await exportLines('verification');
+    const fields = parseCsvLine(row);
+
+    expect(fields).toHaveLength(header.split(',').length);
+    expect(fields.slice(0, 7)).toEqual(['RPT1', 'storm-surge', 'high', 'verified', 'Asha Rao', 'Vel Murugan', '2.50']);
+  });
+
+  it('names anonymous submitters', async () => {
+    mockFindAll.mockResolvedValue([{ ...report, submittedBy: null }]);
+
+    const [, row] = await exportLines('reports');
+
+    expect(parseCsvLine(row)[7]).toBe('Anonymous');
+  });
+});
+
+describe('raw exports', () => {
+  it.each([
+    ['/api/analytics/exports/csv?type=users'],
+    ['/api/analytics/exports/geojson']
+  ])('are not open to API keys: %s', async (path) => {
+    const res = await request(app).get(path).set('X-API-Key', 'ak_test');
+
+    expect(res.status).toBe(401);
+  });
+});
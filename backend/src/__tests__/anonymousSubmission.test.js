@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+
+const mockTransaction = { id: 'tx-1' };
+const mockSequelize = {
+  transaction: jest.fn((work) => work(mockTransaction)),
+  query: jest.fn()
+};
+const mockReport = { count: jest.fn(), create: jest.fn() };
+
+jest.mock('sequelize', () => ({ Op: {} }), { virtual: true });
+jest.mock('../../config/database', () => ({ sequelize: mockSequelize }), { virtual: true });
+jest.mock('../../models/Report', () => mockReport, { virtual: true });
+
+process.env.ANONYMOUS_CHALLENGE_SECRET = 'test-secret';
+process.env.ANONYMOUS_CHALLENGE_DIFFICULTY = '8';
+
+const {
+  CHALLENGE_DIFFICULTY,
+  ANONYMOUS_DAILY_QUOTA,
+  AnonymousSubmissionError,
+  issueChallenge,
+  verifyChallenge,
+  createWithinQuota
+} = require('../../utils/anonymousSubmission');
+
+const IP = '203.0.113.7';
+
+const hashOf = (challenge, solution) => crypto.createHash('sha256').update(`${challenge}:${solution}`).digest();
+
+// With a difficulty of 8 the first byte of the hash must be zero
+const solve = (challenge) => {
+  for (let solution = 0; ; solution += 1) {
+    if (hashOf(challenge, solution)[0] === 0) return String(solution);
+  }
+};
+
+const wrongSolution = (challenge) => {
+  for (let solution = 0; ; solution += 1) {
+    if (hashOf(challenge, solution)[0] !== 0) return String(solution);
+  }
+};
+
+const expectRejection = (challenge, solution, ip, message) => {
+  expect(() => verifyChallenge(challenge, solution, ip)).toThrow(AnonymousSubmissionError);
+  expect(() => verifyChallenge(challenge, solution, ip)).toThrow(message);
+};
+
+describe('proof-of-work challenges', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('are issued with the configured difficulty', () => {
+    const { challenge, difficulty, expiresAt } = issueChallenge(IP);
+
+    expect(CHALLENGE_DIFFICULTY).toBe(8);
+    expect(difficulty).toBe(8);
+    expect(challenge.split('.')).toHaveLength(2);
+    expect(expiresAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('accept a correct solution once', () => {
+    const { challenge } = issueChallenge(IP);
+    const solution = solve(challenge);
+
+    expect(() => verifyChallenge(challenge, solution, IP)).not.toThrow();
+    expectRejection(challenge, solution, IP, 'already been used');
+  });
+
+  it('reject an incorrect solution', () => {
+    const { challenge } = issueChallenge(IP);
+
+    expectRejection(challenge, wrongSolution(challenge), IP, 'solution is incorrect');
+  });
+
+  it('reject a missing or oversized solution', () => {
+    const { challenge } = issueChallenge(IP);
+
+    expectRejection(challenge, undefined, IP, 'solution is required');
+    expectRejection(challenge, '1'.repeat(65), IP, 'solution is required');
+  });
+
+  it('reject a tampered challenge', () => {
+    const { challenge } = issueChallenge(IP);
+    const [payload, signature] = challenge.split('.');
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    const easier = Buffer.from(JSON.stringify({ ...claims, d: 0 })).toString('base64url');
+
+    expectRejection(`${easier}.${signature}`, '0', IP, 'Invalid challenge');
+    expectRejection('', '0', IP, 'Invalid challenge');
+  });
+
+  it('are bound to the IP address they were issued to', () => {
+    const { challenge } = issueChallenge(IP);
+
+    expectRejection(challenge, solve(challenge), '198.51.100.1', 'different client');
+  });
+
+  it('expire', () => {
+    const { challenge, expiresAt } = issueChallenge(IP);
+    const solution = solve(challenge);
+
+    jest.useFakeTimers({ now: expiresAt.getTime() + 1 });
+
+    expectRejection(challenge, solution, IP, 'expired');
+  });
+});
+
+describe('createWithinQuota', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockReport.create.mockImplementation(async (values) => ({ id: 'report-1', ...values }));
+  });
+
+  it('counts and creates under a lock on the address', async () => {
+    mockReport.count.mockResolvedValue(0);
+
+    const report = await createWithinQuota('ip-hash', { description: 'Flooded road' });
+
+    expect(mockSequelize.query).toHaveBeenCalledWith(expect.stringMatching(/pg_advisory_xact_lock/), {
+      replacements: { key: 'anonymous-quota:ip-hash' },
+      transaction: mockTransaction
+    });
+    expect(mockReport.count).toHaveBeenCalledWith(expect.objectContaining({ transaction: mockTransaction }));
+    expect(mockReport.create).toHaveBeenCalledWith({
+      description: 'Flooded road',
+      submittedById: null,
+      source: 'anonymous',
+      submitterIpHash: 'ip-hash'
+    }, { transaction: mockTransaction });
+    expect(mockSequelize.query.mock.invocationCallOrder[0]).toBeLessThan(mockReport.count.mock.invocationCallOrder[0]);
+    expect(report.id).toBe('report-1');
+  });
+
+  it('refuses once the quota is used up', async () => {
+    mockReport.count.mockResolvedValue(ANONYMOUS_DAILY_QUOTA);
+
+    await expect(createWithinQuota('ip-hash', {})).rejects.toMatchObject({
+      name: 'AnonymousSubmissionError',
+      statusCode: 429
+    });
+    expect(mockReport.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,73 @@
+jest.mock('sequelize', () => ({ Op: {} }), { virtual: true });
+jest.mock('../../models/AlertArea', () => ({}), { virtual: true });
+jest.mock('../../models/AreaAlert', () => ({}), { virtual: true });
+jest.mock('../../models/Report', () => ({}), { virtual: true });
+jest.mock('../../models/User', () => ({}), { virtual: true });
+jest.mock('../../utils/emailService', () => ({ sendAreaAlertEmail: jest.fn() }));
+jest.mock('../../utils/smsService', () => ({ sendAreaAlertSms: jest.fn() }));
+jest.mock('../../utils/scheduler', () => ({ registerJob: jest.fn() }));
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const { isQuietTime, channelsFor } = require('../../utils/areaAlerts');
+
+const at = (time) => new Date(`2024-05-24T${time}:00Z`);
+
+describe('isQuietTime', () => {
+  const overnight = { quietHours: { start: '22:00', end: '07:00' } };
+  const afternoon = { quietHours: { start: '13:00', end: '15:00' } };
+
+  it.each([
+    ['21:59', false],
+    ['22:00', true],
+    ['03:00', true],
+    ['06:59', true],
+    ['07:00', false]
+  ])('treats %s UTC as quiet: %s, for hours across midnight', (time, quiet) => {
+    expect(isQuietTime(overnight, at(time))).toBe(quiet);
+  });
+
+  it.each([
+    ['12:59', false],
+    ['13:00', true],
+    ['14:30', true],
+    ['15:00', false]
+  ])('treats %s UTC as quiet: %s, for hours within a day', (time, quiet) => {
+    expect(isQuietTime(afternoon, at(time))).toBe(quiet);
+  });
+
+  it("uses the user's timezone", () => {
+    const preferences = { ...overnight, timezone: 'Asia/Kolkata' };
+
+    // 17:00 UTC is 22:30 in India
+    expect(isQuietTime(preferences, at('17:00'))).toBe(true);
+    expect(isQuietTime(preferences, at('02:00'))).toBe(false);
+  });
+
+  it('falls back to UTC for an unknown timezone', () => {
+    expect(isQuietTime({ ...overnight, timezone: 'Mars/Olympus_Mons' }, at('23:00'))).toBe(true);
+  });
+
+  it.each([
+    ['no preferences', null],
+    ['no quiet hours', {}],
+    ['a malformed time', { quietHours: { start: '10pm', end: '07:00' } }],
+    ['an out of range time', { quietHours: { start: '24:00', end: '07:00' } }],
+    ['an empty range', { quietHours: { start: '22:00', end: '22:00' } }]
+  ])('is never quiet with %s', (description, preferences) => {
+    expect(isQuietTime(preferences, at('23:00'))).toBe(false);
+  });
+});
+
+describe('channelsFor', () => {
+  it('lists the channels the user has turned on', () => {
+    const user = { phoneNumber: '+919800000000', preferences: { emailNotifications: true, smsNotifications: true } };
+
+    expect(channelsFor(user)).toEqual(['email', 'sms']);
+  });
+
+  it('skips SMS without a phone number', () => {
+    const user = { preferences: { emailNotifications: false, smsNotifications: true } };
+
+    expect(channelsFor(user)).toEqual([]);
+  });
+});
@@ -0,0 +1,95 @@
+const mockTransactions = [];
+const mockSequelize = {
+  transaction: jest.fn(async (work) => {
+    const transaction = { id: mockTransactions.length + 1, LOCK: { UPDATE: 'UPDATE' } };
+    mockTransactions.push(transaction);
+    return work(transaction);
+  })
+};
+const mockReports = new Map();
+const mockReportModel = { findByPk: jest.fn(async (id) => mockReports.get(id) || null) };
+const mockReportEvent = { captureChanges: jest.fn(() => ({})), record: jest.fn() };
+const mockLifecycle = {
+  transitionReport: jest.fn((report, to) => {
+    const transition = { from: report.status, to };
+    report.status = to;
+    return transition;
+  }),
+  runTransitionEffects: jest.fn()
+};
+
+jest.mock('../../config/database', () => ({ sequelize: mockSequelize }), { virtual: true });
+jest.mock('../../models/Report', () => mockReportModel, { virtual: true });
+jest.mock('../../models/ReportEvent', () => mockReportEvent, { virtual: true });
+jest.mock('../../models/Incident', () => ({}), { virtual: true });
+jest.mock('../../utils/reportLifecycle', () => mockLifecycle);
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const { EFFECTS_CONCURRENCY, runBulkAction } = require('../../utils/bulkReportActions');
+
+const actor = { id: 'verifier-1', role: 'verifier' };
+
+const addReport = (id, status = 'pending') => {
+  const report = { id, publicId: `RPT-${id}`, status, save: jest.fn() };
+  mockReports.set(id, report);
+  return report;
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockReports.clear();
+  mockTransactions.length = 0;
+  mockLifecycle.runTransitionEffects.mockResolvedValue();
+});
+
+describe('runBulkAction', () => {
+  it('applies each item in its own transaction under a row lock', async () => {
+    const first = addReport('a');
+    addReport('b', 'verified');
+
+    const { applied, results } = await runBulkAction(['a', 'b'], 'verify', { actor });
+
+    expect(applied).toBe(1);
+    expect(results[1]).toMatchObject({ id: 'b', success: false, error: 'Report is not pending verification' });
+    expect(mockTransactions).toHaveLength(2);
+    expect(mockReportModel.findByPk).toHaveBeenCalledWith('a', { transaction: mockTransactions[0], lock: 'UPDATE' });
+    expect(first.save).toHaveBeenCalledWith({ transaction: mockTransactions[0] });
+    expect(mockReportEvent.record).toHaveBeenCalledWith(first, expect.objectContaining({ transaction: mockTransactions[0] }));
+  });
+
+  it('does not wait for the transition effects', async () => {
+    addReport('a');
+    mockLifecycle.runTransitionEffects.mockReturnValue(new Promise(() => {}));
+
+    const { applied } = await runBulkAction(['a'], 'verify', { actor });
+
+    expect(applied).toBe(1);
+    expect(mockLifecycle.runTransitionEffects).toHaveBeenCalledWith(mockReports.get('a'), { from: 'pending', to: 'verified' });
+  });
+
+  it('runs a limited number of transition effects at a time', async () => {
+    const ids = Array.from({ length: EFFECTS_CONCURRENCY + 3 }, (value, index) => `r${index}`);
+    ids.forEach(id => addReport(id));
+    const pending = [];
+    mockLifecycle.runTransitionEffects.mockImplementation(() => new Promise(resolve => pending.push(resolve)));
+
+    await runBulkAction(ids, 'verify', { actor });
+    expect(mockLifecycle.runTransitionEffects).toHaveBeenCalledTimes(EFFECTS_CONCURRENCY);
+
+    pending.forEach(resolve => resolve());
+    await new Promise(resolve => setImmediate(resolve));
+    expect(mockLifecycle.runTransitionEffects).toHaveBeenCalledTimes(ids.length);
+  });
+
+  it('runs no effects when an atomic batch rolls back', async () => {
+    addReport('a');
+    addReport('b', 'rejected');
+
+    const { applied, results } = await runBulkAction(['a', 'b'], 'verify', { actor, atomic: true });
+
+    expect(applied).toBe(0);
+    expect(results[0].error).toBe('Rolled back because another item failed');
+    expect(mockTransactions).toHaveLength(1);
+    expect(mockLifecycle.runTransitionEffects).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,126 @@
+const { CAP_NAMESPACE, validateCapXml } = require('../../utils/capValidator');
+
+const area = `
+    <area>
+      <areaDesc>Marina Beach, Chennai</areaDesc>
+      <circle>13.05,80.28 2.5</circle>
+    </area>`;
+
+const info = (overrides = {}) => {
+  const { headline = 'Storm surge warning for Marina Beach', area: areaXml = area, expires = '2024-05-24T22:49:00+05:30' } = overrides;
+  return `
+  <info>
+    <language>en-US</language>
+    <category>Met</category>
+    <event>Storm surge</event>
+    <urgency>Immediate</urgency>
+    <severity>Severe</severity>
+    <certainty>Observed</certainty>
+    <expires>${expires}</expires>
+    <headline>${headline}</headline>${areaXml}
+  </info>`;
+};
+
+const alert = (overrides = {}) => {
+  const {
+    namespace = CAP_NAMESPACE,
+    sent = '2024-05-24T16:49:00+05:30',
+    msgType = 'Alert',
+    scope = 'Public',
+    extra = '',
+    infos = [info()]
+  } = overrides;
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<alert xmlns="${namespace}">
+  <identifier>RPT1-1</identifier>
+  <sender>alerts@aquasentra.example</sender>
+  <sent>${sent}</sent>
+  <status>Actual</status>
+  <msgType>${msgType}</msgType>
+  <scope>${scope}</scope>${extra}${infos.join('')}
+</alert>`;
+};
+
+describe('validateCapXml', () => {
+  it('accepts a valid alert', () => {
+    const result = validateCapXml(alert());
+
+    expect(result.errors).toEqual([]);
+    expect(result).toMatchObject({
+      valid: true,
+      warnings: [],
+      identifier: 'RPT1-1',
+      msgType: 'Alert',
+      languages: ['en-US']
+    });
+  });
+
+  it('reports XML that does not parse', () => {
+    const result = validateCapXml('<alert><identifier>');
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toHaveLength(1);
+  });
+
+  it('requires the CAP 1.2 namespace', () => {
+    const result = validateCapXml(alert({ namespace: 'urn:oasis:names:tc:emergency:cap:1.1' }));
+
+    expect(result.valid).toBe(false);
+    expect(result.errors[0]).toMatch(/Root element must be <alert>/);
+  });
+
+  it('rejects UTC and fractional date-times', () => {
+    const result = validateCapXml(alert({ sent: '2024-05-24T11:19:00.000Z' }));
+
+    expect(result.valid).toBe(false);
+    expect(result.errors[0]).toMatch(/^alert\/sent:/);
+  });
+
+  it('rejects values outside the CAP enumerations', () => {
+    const result = validateCapXml(alert({ msgType: 'Warning' }));
+
+    expect(result.errors).toContain("alert/msgType: 'Warning' must be one of Alert, Update, Cancel, Ack, Error");
+  });
+
+  it('checks the element order', () => {
+    const xml = alert().replace('<status>Actual</status>\n  <msgType>Alert</msgType>', '<msgType>Alert</msgType>\n  <status>Actual</status>');
+
+    expect(validateCapXml(xml).errors[0]).toMatch(/<status> is out of order/);
+  });
+
+  it('requires a restriction for restricted alerts', () => {
+    expect(validateCapXml(alert({ scope: 'Restricted' })).errors)
+      .toContain("alert: <restriction> is required when scope is 'Restricted'");
+    expect(validateCapXml(alert({ scope: 'Restricted', extra: '\n  <restriction>Responders only</restriction>' })).valid)
+      .toBe(true);
+  });
+
+  it('checks area geometry', () => {
+    const badArea = `
+    <area>
+      <areaDesc>Marina Beach</areaDesc>
+      <polygon>13.0,80.2 13.1,80.2 13.1,80.3</polygon>
+      <circle>13.05,80.28</circle>
+    </area>`;
+    const { errors } = validateCapXml(alert({ infos: [info({ area: badArea })] }));
+
+    expect(errors).toEqual([
+      'alert/info[0]/area[0]/polygon[0]: a polygon needs at least 4 coordinate pairs',
+      "alert/info[0]/area[0]/circle[0]: a circle must be 'lat,lng radius' with the radius in kilometres"
+    ]);
+  });
+
+  it('warns about long headlines, expiry before sending and updates without references', () => {
+    const result = validateCapXml(alert({
+      msgType: 'Update',
+      infos: [info({ headline: 'x'.repeat(161), expires: '2024-05-24T10:00:00+05:30' })]
+    }));
+
+    expect(result.valid).toBe(true);
+    expect(result.warnings).toEqual([
+      'alert: Update messages should reference the message(s) they apply to',
+      'alert/info[0]/headline: longer than 160 characters',
+      'alert/info[0]/expires: is not after alert/sent'
+    ]);
+  });
+});
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+process.env.UPLOAD_PATH = uploadDir;
+
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const logger = require('../../utils/logger');
+const { deleteMediaFiles } = require('../../utils/mediaFiles');
+
+const store = (filename) => fs.writeFileSync(path.join(uploadDir, filename), 'data');
+const stored = (filename) => fs.existsSync(path.join(uploadDir, filename));
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  for (const filename of fs.readdirSync(uploadDir)) {
+    fs.unlinkSync(path.join(uploadDir, filename));
+  }
+});
+
+afterAll(() => {
+  fs.rmdirSync(uploadDir);
+});
+
+describe('deleteMediaFiles', () => {
+  it('deletes images with their thumbnails and counts missing files', async () => {
+    store('wave.jpg');
+    store('thumb-wave.jpg');
+
+    const result = await deleteMediaFiles([
+      { filename: 'wave.jpg', mimetype: 'image/jpeg' },
+      { filename: 'gone.mp4', mimetype: 'video/mp4' }
+    ]);
+
+    expect(result).toEqual({ deleted: 2, missing: 1, failed: 0 });
+    expect(stored('wave.jpg')).toBe(false);
+    expect(stored('thumb-wave.jpg')).toBe(false);
+  });
+
+  it('keeps going when a file cannot be deleted', async () => {
+    store('locked.mp4');
+    store('clip.mp4');
+    const unlink = fs.promises.unlink;
+    jest.spyOn(fs.promises, 'unlink').mockImplementation((target) => {
+      if (path.basename(target) === 'locked.mp4') {
+        return Promise.reject(Object.assign(new Error('permission denied'), { code: 'EACCES' }));
+      }
+      return unlink(target);
+    });
+
+    const result = await deleteMediaFiles([
+      { filename: 'locked.mp4', mimetype: 'video/mp4' },
+      { filename: 'clip.mp4', mimetype: 'video/mp4' }
+    ]);
+
+    expect(result).toEqual({ deleted: 1, missing: 0, failed: 1 });
+    expect(stored('clip.mp4')).toBe(false);
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('locked.mp4'));
+  });
+
+  it('only counts files on a dry run', async () => {
+    store('wave.jpg');
+
+    const result = await deleteMediaFiles([{ filename: 'wave.jpg', mimetype: 'image/jpeg' }], { dryRun: true });
+
+    expect(result).toEqual({ deleted: 1, missing: 1, failed: 0 });
+    expect(stored('wave.jpg')).toBe(true);
+  });
+});
@@ -0,0 +1,58 @@
+jest.mock('sequelize', () => ({ Op: {}, Sequelize: {} }), { virtual: true });
+
+const { PaginationError, encodeCursor, decodeCursor, resolveSort } = require('../../utils/pagination');
+
+describe('cursors', () => {
+  it('decode to the position they were encoded from', () => {
+    const cursor = encodeCursor({ id: 'a1', severity: 'high' }, 'severity', 'DESC');
+
+    expect(decodeCursor(cursor)).toEqual({ s: 'severity', o: 'DESC', v: 'high', id: 'a1' });
+  });
+
+  it('store dates as ISO strings', () => {
+    const createdAt = new Date('2024-05-24T11:19:00.000Z');
+    const cursor = encodeCursor({ id: 'a1', createdAt }, 'createdAt', 'ASC');
+
+    expect(decodeCursor(cursor).v).toBe('2024-05-24T11:19:00.000Z');
+  });
+
+  it('read values through get() on model instances', () => {
+    const row = { id: 'a1', get: (field) => ({ rank: 0.5 })[field] };
+
+    expect(decodeCursor(encodeCursor(row, 'rank', 'DESC')).v).toBe(0.5);
+  });
+
+  it('are safe to put in a URL', () => {
+    const cursor = encodeCursor({ id: 'a1', address: '?&/+= ü' }, 'address', 'ASC');
+
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+  });
+
+  it.each([
+    ['not base64 JSON', 'not-a-cursor'],
+    ['missing the row ID', Buffer.from(JSON.stringify({ s: 'createdAt', o: 'DESC' })).toString('base64url')],
+    ['JSON null', Buffer.from('null').toString('base64url')]
+  ])('are rejected when %s', (description, cursor) => {
+    expect(() => decodeCursor(cursor)).toThrow(PaginationError);
+  });
+});
+
+describe('resolveSort', () => {
+  const allowed = ['createdAt', 'severity'];
+
+  it('defaults to newest first', () => {
+    expect(resolveSort(undefined, undefined, allowed)).toEqual({ sortBy: 'createdAt', sortOrder: 'DESC' });
+  });
+
+  it('accepts a lower case order', () => {
+    expect(resolveSort('severity', 'asc', allowed)).toEqual({ sortBy: 'severity', sortOrder: 'ASC' });
+  });
+
+  it('rejects fields that are not allowed', () => {
+    expect(() => resolveSort('password', 'ASC', allowed)).toThrow('sortBy must be one of: createdAt, severity');
+  });
+
+  it('rejects unknown orders', () => {
+    expect(() => resolveSort('severity', 'sideways', allowed)).toThrow(PaginationError);
+  });
+});
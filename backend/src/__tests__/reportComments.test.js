@@ -0,0 +1,137 @@
+const express = require('express');
+const request = require('supertest');
+
+const mockReport = {
+  id: 'report-1',
+  publicId: 'RPT1',
+  submittedById: 'citizen-1',
+  canBeViewedBy: jest.fn()
+};
+const mockReportModel = { findByPk: jest.fn() };
+const mockCommentModel = { getThread: jest.fn(), findOne: jest.fn(), findAll: jest.fn(), create: jest.fn() };
+
+jest.mock('../../models/Report', () => mockReportModel, { virtual: true });
+jest.mock('../../models/ReportComment', () => mockCommentModel, { virtual: true });
+jest.mock('../../models/User', () => ({ findAll: jest.fn().mockResolvedValue([]) }), { virtual: true });
+// Stand-in for token auth: the test picks the role with a header
+jest.mock('../../middleware/auth', () => (req, res, next) => {
+  const role = req.get('X-Test-Role');
+  req.user = {
+    id: `${role}-1`,
+    role,
+    firstName: 'Test',
+    lastName: 'User',
+    canVerifyReports: () => ['verifier', 'analyst', 'admin'].includes(role)
+  };
+  next();
+}, { virtual: true });
+jest.mock('../../utils/emailService', () => ({ sendCommentNotification: jest.fn() }));
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const commentRoutes = require('../../routes/reportComments');
+
+const app = express();
+app.use(express.json());
+app.use('/api/reports/:id/comments', commentRoutes);
+
+const comments = '/api/reports/report-1/comments';
+
+const comment = (attributes) => ({
+  id: 'comment-1',
+  reportId: 'report-1',
+  visibility: 'public',
+  isInternal() {
+    return this.visibility === 'internal';
+  },
+  ...attributes
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockReportModel.findByPk.mockResolvedValue(mockReport);
+  mockReport.canBeViewedBy.mockReturnValue(true);
+  mockCommentModel.getThread.mockResolvedValue({ thread: [], total: 0 });
+  mockCommentModel.findAll.mockResolvedValue([]);
+  mockCommentModel.create.mockImplementation(async (values) => comment({ id: 'comment-2', ...values }));
+});
+
+describe('GET /api/reports/:id/comments', () => {
+  it.each([
+    ['citizen', false],
+    ['verifier', true],
+    ['admin', true]
+  ])('includes internal notes for the %s role: %s', async (role, includeInternal) => {
+    const res = await request(app).get(comments).set('X-Test-Role', role);
+
+    expect(res.status).toBe(200);
+    expect(mockCommentModel.getThread).toHaveBeenCalledWith('report-1', includeInternal);
+  });
+
+  it('follows the report view rules', async () => {
+    mockReport.canBeViewedBy.mockReturnValue(false);
+
+    const res = await request(app).get(comments).set('X-Test-Role', 'citizen');
+
+    expect(res.status).toBe(403);
+    expect(mockCommentModel.getThread).not.toHaveBeenCalled();
+  });
+
+  it('answers 404 for a missing report', async () => {
+    mockReportModel.findByPk.mockResolvedValue(null);
+
+    const res = await request(app).get(comments).set('X-Test-Role', 'verifier');
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('POST /api/reports/:id/comments', () => {
+  it('lets only verifiers post internal notes', async () => {
+    const res = await request(app).post(comments).set('X-Test-Role', 'citizen')
+      .send({ body: 'Is this confirmed?', visibility: 'internal' });
+
+    expect(res.status).toBe(403);
+    expect(mockCommentModel.create).not.toHaveBeenCalled();
+  });
+
+  it('stores internal notes from verifiers', async () => {
+    const res = await request(app).post(comments).set('X-Test-Role', 'verifier')
+      .send({ body: 'Checked with the coast guard', visibility: 'internal' });
+
+    expect(res.status).toBe(201);
+    expect(mockCommentModel.create).toHaveBeenCalledWith(expect.objectContaining({ visibility: 'internal' }));
+  });
+
+  it('hides internal parents from citizens', async () => {
+    mockCommentModel.findOne.mockResolvedValue(comment({ visibility: 'internal' }));
+
+    const res = await request(app).post(comments).set('X-Test-Role', 'citizen')
+      .send({ body: 'Replying', parentId: '2b5e7a34-6a4f-4f7e-9d3c-1a2b3c4d5e6f' });
+
+    expect(res.status).toBe(404);
+    expect(mockCommentModel.create).not.toHaveBeenCalled();
+  });
+
+  it('keeps replies to internal notes internal', async () => {
+    mockCommentModel.findOne.mockResolvedValue(comment({ visibility: 'internal' }));
+
+    const res = await request(app).post(comments).set('X-Test-Role', 'verifier')
+      .send({ body: 'Replying', parentId: '2b5e7a34-6a4f-4f7e-9d3c-1a2b3c4d5e6f' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Replies to internal notes must be internal');
+  });
+
+  it('lets anyone who can view the report reply in public', async () => {
+    mockCommentModel.findOne.mockResolvedValue(comment());
+
+    const res = await request(app).post(comments).set('X-Test-Role', 'citizen')
+      .send({ body: 'I saw it too', parentId: '2b5e7a34-6a4f-4f7e-9d3c-1a2b3c4d5e6f' });
+
+    expect(res.status).toBe(201);
+    expect(mockCommentModel.create).toHaveBeenCalledWith(expect.objectContaining({
+      authorId: 'citizen-1',
+      visibility: 'public'
+    }));
+  });
+});
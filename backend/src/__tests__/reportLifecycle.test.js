@@ -0,0 +1,139 @@
+jest.mock('../../models/User', () => ({}), { virtual: true });
+jest.mock('../../utils/emailService', () => ({ sendReportVerificationEmail: jest.fn() }));
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const {
+  STATUSES,
+  TRANSITIONS,
+  ReportTransitionError,
+  canTransition,
+  getAllowedTransitions,
+  transitionReport
+} = require('../../utils/reportLifecycle');
+
+const verifier = { id: 'verifier-1', role: 'verifier' };
+const citizen = { id: 'citizen-1', role: 'citizen' };
+const admin = { id: 'admin-1', role: 'admin' };
+
+const makeReport = (overrides = {}) => ({
+  status: 'pending',
+  submittedById: citizen.id,
+  verificationLevel: 'unverified',
+  visibility: 'public',
+  claimExpiresAt: null,
+  isClaimedByOther: () => false,
+  ...overrides
+});
+
+describe('transition table', () => {
+  it('only leads to known statuses', () => {
+    STATUSES.forEach(from => {
+      Object.keys(TRANSITIONS[from]).forEach(to => {
+        expect(STATUSES).toContain(to);
+      });
+    });
+  });
+
+  it('keeps archived final', () => {
+    STATUSES.forEach(to => expect(canTransition('archived', to)).toBe(false));
+  });
+
+  it.each([
+    ['pending', 'verified', true],
+    ['pending', 'resolved', false],
+    ['under_review', 'pending', true],
+    ['verified', 'resolved', true],
+    ['verified', 'pending', false],
+    ['rejected', 'under_review', true],
+    ['rejected', 'verified', false],
+    ['resolved', 'verified', false]
+  ])('%s -> %s is %s', (from, to, allowed) => {
+    expect(canTransition(from, to)).toBe(allowed);
+  });
+
+  it('does not know unknown statuses', () => {
+    expect(canTransition('deleted', 'pending')).toBe(false);
+    expect(canTransition('pending', 'deleted')).toBe(false);
+  });
+});
+
+describe('getAllowedTransitions', () => {
+  it('lets the submitter only start review or withdraw a pending report', () => {
+    expect(getAllowedTransitions(makeReport(), citizen)).toEqual(['under_review', 'archived']);
+  });
+
+  it('does not give other citizens any transition', () => {
+    expect(getAllowedTransitions(makeReport(), { id: 'citizen-2', role: 'citizen' })).toEqual([]);
+  });
+
+  it('lists every transition for system actions', () => {
+    expect(getAllowedTransitions(makeReport({ status: 'verified' }))).toEqual(['resolved', 'archived']);
+  });
+});
+
+describe('transitionReport', () => {
+  it('records who verified the report', () => {
+    const report = makeReport();
+
+    expect(transitionReport(report, 'verified', { actor: verifier })).toEqual({
+      from: 'pending',
+      to: 'verified',
+      reason: null
+    });
+    expect(report.status).toBe('verified');
+    expect(report.verifiedById).toBe(verifier.id);
+    expect(report.verifiedAt).toBeInstanceOf(Date);
+    expect(report.verificationLevel).toBe('expert_verified');
+  });
+
+  it('rejects transitions that are not in the table', () => {
+    const report = makeReport({ status: 'resolved' });
+
+    expect(() => transitionReport(report, 'pending', { actor: admin })).toThrow(ReportTransitionError);
+    expect(report.status).toBe('resolved');
+  });
+
+  it('answers 403 when the role may not make the transition', () => {
+    expect.assertions(2);
+    try {
+      transitionReport(makeReport(), 'verified', { actor: citizen });
+    } catch (error) {
+      expect(error).toBeInstanceOf(ReportTransitionError);
+      expect(error.statusCode).toBe(403);
+    }
+  });
+
+  it('requires a reason to reject', () => {
+    expect.assertions(2);
+    try {
+      transitionReport(makeReport(), 'rejected', { actor: verifier });
+    } catch (error) {
+      expect(error.statusCode).toBe(400);
+      expect(error.allowedTransitions).toContain('rejected');
+    }
+  });
+
+  it('keeps a verifier off a report claimed by someone else', () => {
+    const report = makeReport({ isClaimedByOther: () => true });
+
+    expect(() => transitionReport(report, 'verified', { actor: verifier })).toThrow('claimed by another verifier');
+    expect(() => transitionReport(report, 'verified', { actor: admin })).not.toThrow();
+  });
+
+  it('ends the claim and hides the report when archiving', () => {
+    const report = makeReport({ claimExpiresAt: new Date() });
+
+    transitionReport(report, 'archived', { actor: citizen });
+
+    expect(report.claimExpiresAt).toBeNull();
+    expect(report.visibility).toBe('private');
+  });
+
+  it('sets an expiry date on resolved reports', () => {
+    const report = makeReport({ status: 'verified' });
+
+    transitionReport(report, 'resolved');
+
+    expect(report.expiresAt.getTime()).toBeGreaterThan(Date.now());
+  });
+});
@@ -0,0 +1,53 @@
+// A stand-in for DataTypes: every type, called or not, is the same value
+const mockType = new Proxy(function() {
+  return mockType;
+}, { get: () => mockType });
+
+jest.mock('sequelize', () => ({ DataTypes: mockType, Op: {} }), { virtual: true });
+jest.mock('../config/database', () => ({
+  sequelize: {
+    define: (name, attributes) => {
+      function Model(values) {
+        this.dataValues = values;
+      }
+      Model.rawAttributes = attributes;
+      Model.prototype.get = function() {
+        return Object.assign({}, this.dataValues);
+      };
+      Model.belongsTo = jest.fn();
+      Model.hasMany = jest.fn();
+      return Model;
+    }
+  }
+}));
+jest.mock('../models/User', () => ({ hasMany: jest.fn() }));
+jest.mock('../utils/reportLifecycle', () => ({ STATUSES: [] }), { virtual: true });
+jest.mock('../utils/reportSearch', () => ({}), { virtual: true });
+jest.mock('../utils/mediaFiles', () => ({}), { virtual: true });
+
+const Report = require('../models/Report');
+
+describe('Report#toPublicJSON', () => {
+  const everyColumn = () => Object.keys(Report.rawAttributes).reduce((values, name) => {
+    values[name] = `${name} value`;
+    return values;
+  }, { createdAt: new Date(), updatedAt: new Date(), submittedBy: { firstName: 'Asha', role: 'citizen' } });
+
+  it('returns only the public attributes', () => {
+    const values = new Report(everyColumn()).toPublicJSON();
+
+    expect(Object.keys(values).sort()).toEqual([
+      'address', 'affectedArea', 'createdAt', 'description', 'estimatedDamage', 'hazardType', 'id',
+      'isEmergency', 'location', 'mediaFiles', 'peopleAffected', 'publicId', 'severity', 'status',
+      'submittedBy', 'tags', 'tideLevel', 'updatedAt', 'urgency', 'verificationLevel', 'verifiedAt',
+      'visibility', 'waveHeight', 'weatherConditions', 'windSpeed'
+    ]);
+  });
+
+  it('includes search results when they were selected', () => {
+    const values = new Report({ ...everyColumn(), searchSnippet: '<mark>surge</mark>', relevance: 0.5 }).toPublicJSON();
+
+    expect(values.searchSnippet).toBe('<mark>surge</mark>');
+    expect(values.relevance).toBe(0.5);
+  });
+});
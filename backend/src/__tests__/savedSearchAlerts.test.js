@@ -0,0 +1,93 @@
+const mockOp = { and: Symbol('and'), ne: Symbol('ne') };
+const mockSequelize = {
+  literal: (sql) => ({ sql }),
+  escape: (value) => `'${String(value).replace(/'/g, "''")}'`,
+  query: jest.fn()
+};
+const mockSavedSearch = { findAll: jest.fn() };
+const mockReport = { count: jest.fn() };
+
+jest.mock('sequelize', () => ({ Op: mockOp }), { virtual: true });
+jest.mock('../../config/database', () => ({ sequelize: mockSequelize }), { virtual: true });
+jest.mock('../../models/Report', () => mockReport, { virtual: true });
+jest.mock('../../models/SavedSearch', () => mockSavedSearch, { virtual: true });
+jest.mock('../../models/User', () => ({}), { virtual: true });
+jest.mock('../../utils/reportFilters', () => ({ buildFilterConditions: (filters) => [filters] }));
+jest.mock('../../utils/emailService', () => ({ sendSavedSearchMatchEmail: jest.fn(), sendSavedSearchDigestEmail: jest.fn() }));
+jest.mock('../../utils/scheduler', () => ({ registerJob: jest.fn() }));
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const { sendSavedSearchMatchEmail } = require('../../utils/emailService');
+const { notifySavedSearchMatches } = require('../../utils/savedSearchAlerts');
+
+const report = {
+  id: 'report-1',
+  publicId: 'RPT1',
+  hazardType: 'storm-surge',
+  severity: 'high',
+  status: 'verified',
+  location: { lat: 13.05, lng: 80.28 },
+  tags: ["o'connor pier"],
+  submittedById: 'citizen-1',
+  createdAt: new Date('2024-05-24T10:00:00Z'),
+  canBeViewedBy: () => true
+};
+
+const savedSearch = (filters) => ({
+  id: `search-${Object.keys(filters).join('-') || 'all'}`,
+  name: 'Chennai coast',
+  filters,
+  lastNotifiedAt: null,
+  save: jest.fn(),
+  owner: { id: 'analyst-1', email: 'analyst@example.com', getFullName: () => 'Asha Rao' }
+});
+
+const loadedWhere = () => mockSavedSearch.findAll.mock.calls[0][0].where;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('notifySavedSearchMatches', () => {
+  it('narrows down the searches in the query that loads them', async () => {
+    mockSavedSearch.findAll.mockResolvedValue([]);
+
+    await notifySavedSearchMatches(report);
+
+    const where = loadedWhere();
+    const sql = where[mockOp.and].map(condition => condition.sql).join('\n');
+    expect(where.ownerId).toEqual({ [mockOp.ne]: 'citizen-1' });
+    expect(sql).toContain(`"SavedSearch"."filters" #> '{hazardType}' @> jsonb_build_array('storm-surge'::text)`);
+    expect(sql).toContain(`"SavedSearch"."filters" #> '{severity}' @> jsonb_build_array('high'::text)`);
+    expect(sql).toContain(`13.05 BETWEEN ("SavedSearch"."filters" #>> '{location,bounds,south}')::float`);
+    expect(sql).toContain(`'2024-05-24T10:00:00.000Z'::timestamptz BETWEEN`);
+    expect(sql).toContain(`WHERE tag IN ('o''connor pier')`);
+  });
+
+  it('skips searches filtering on tags or location when the report has neither', async () => {
+    mockSavedSearch.findAll.mockResolvedValue([]);
+
+    await notifySavedSearchMatches({ ...report, tags: [], location: null });
+
+    const sql = loadedWhere()[mockOp.and].map(condition => condition.sql);
+    expect(sql).toContain(`"SavedSearch"."filters" #> '{tags}' IS NULL`);
+    expect(sql).toContain(`"SavedSearch"."filters" #> '{location}' IS NULL`);
+  });
+
+  it('queries the report only for searches with a text query', async () => {
+    mockSavedSearch.findAll.mockResolvedValue([
+      savedSearch({ hazardType: ['storm-surge'] }),
+      savedSearch({ search: 'sea wall' })
+    ]);
+    mockReport.count.mockResolvedValue(0);
+
+    const notified = await notifySavedSearchMatches(report);
+
+    expect(mockReport.count).toHaveBeenCalledTimes(1);
+    expect(mockReport.count).toHaveBeenCalledWith({
+      where: { id: 'report-1', [mockOp.and]: [{ search: 'sea wall' }] }
+    });
+    expect(notified).toBe(1);
+    expect(sendSavedSearchMatchEmail).toHaveBeenCalledTimes(1);
+  });
+});
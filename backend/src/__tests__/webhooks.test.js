@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+
+jest.mock('sequelize', () => ({ Op: {} }), { virtual: true });
+jest.mock('../../config/database', () => ({ sequelize: {} }), { virtual: true });
+jest.mock('../../models/Report', () => ({}), { virtual: true });
+jest.mock('../../models/WebhookSubscription', () => ({ WEBHOOK_EVENTS: ['report.verified'] }), { virtual: true });
+jest.mock('../../models/WebhookDelivery', () => ({}), { virtual: true });
+jest.mock('../../utils/scheduler', () => ({ registerJob: jest.fn() }));
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const { signPayload, retryDelayMs, reportPayload } = require('../../utils/webhooks');
+
+describe('signPayload', () => {
+  const secret = 'whsec_test';
+  const body = JSON.stringify({ id: 'evt_1', type: 'report.verified' });
+
+  it('signs the timestamp and body with HMAC-SHA256', () => {
+    const expected = crypto.createHmac('sha256', secret).update(`1700000000.${body}`).digest('hex');
+
+    expect(signPayload(secret, body, 1700000000)).toBe(`t=1700000000,v1=${expected}`);
+  });
+
+  it('changes with the body, the timestamp and the secret', () => {
+    const signature = signPayload(secret, body, 1700000000);
+
+    expect(signPayload(secret, `${body} `, 1700000000)).not.toBe(signature);
+    expect(signPayload(secret, body, 1700000001)).not.toBe(signature);
+    expect(signPayload('whsec_other', body, 1700000000)).not.toBe(signature);
+  });
+
+  it('uses the current time by default', () => {
+    const [timestamp] = signPayload(secret, body).split(',');
+
+    expect(Number(timestamp.slice(2))).toBeCloseTo(Date.now() / 1000, -1);
+  });
+});
+
+describe('retryDelayMs', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('doubles the delay with every retry', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+
+    expect([1, 2, 3, 4].map(retryDelayMs)).toEqual([30000, 60000, 120000, 240000]);
+  });
+
+  it('adds up to 20% jitter', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+
+    expect(retryDelayMs(1)).toBe(33000);
+  });
+
+  it('never waits more than six hours before jitter', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+
+    expect(retryDelayMs(20)).toBe(6 * 60 * 60 * 1000);
+  });
+});
+
+describe('reportPayload', () => {
+  const report = {
+    id: 'r1',
+    publicId: 'RPT1',
+    status: 'verified',
+    visibility: 'public',
+    description: 'Waves over the sea wall',
+    location: { lat: 13.05, lng: 80.28 },
+    address: 'Marina Beach, Chennai',
+    submittedById: 'u1',
+    claimTokenHash: 'hash'
+  };
+
+  it('leaves out submitter details and claim tokens', () => {
+    const payload = reportPayload(report);
+
+    expect(payload).not.toHaveProperty('submittedById');
+    expect(payload).not.toHaveProperty('claimTokenHash');
+    expect(payload.description).toBe(report.description);
+  });
+
+  it('leaves out the description and whereabouts of reports that are not public', () => {
+    const payload = reportPayload({ ...report, visibility: 'private' });
+
+    expect(payload).not.toHaveProperty('description');
+    expect(payload).not.toHaveProperty('location');
+    expect(payload).not.toHaveProperty('address');
+    expect(payload.publicId).toBe('RPT1');
+  });
+});
@@ -0,0 +1,235 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+const { SEVERITIES, HAZARD_TYPES } = require('../utils/reportFilters');
+
+const SHAPES = ['circle', 'polygon'];
+
+const MAX_RADIUS_KM = 100;
+const MAX_POLYGON_POINTS = 100;
+
+const KM_PER_DEGREE_LAT = 111.32;
+
+const isPoint = (point) => Boolean(point) &&
+  Number.isFinite(point.lat) && point.lat >= -90 && point.lat <= 90 &&
+  Number.isFinite(point.lng) && point.lng >= -180 && point.lng <= 180;
+
+/**
+ * An area a user wants to hear about: a circle around a point or a drawn
+ * polygon. The bounding box columns are derived from the shape and only
+ * used to narrow down the areas checked against a report.
+ */
+const AlertArea = sequelize.define('AlertArea', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+
+  shape: {
+    type: DataTypes.ENUM(...SHAPES),
+    allowNull: false
+  },
+
+  // { lat, lng } for circles
+  center: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+
+  radiusKm: {
+    type: DataTypes.DECIMAL(6, 2),
+    allowNull: true
+  },
+
+  // [{ lat, lng }, ...] for polygons, not closed
+  polygon: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+
+  // Empty means every hazard type
+  hazardTypes: {
+    type: DataTypes.ARRAY(DataTypes.STRING(30)),
+    allowNull: false,
+    defaultValue: [],
+    validate: {
+      isKnownHazard(value) {
+        if (value.some(type => !HAZARD_TYPES.includes(type))) {
+          throw new Error(`Hazard types must be among: ${HAZARD_TYPES.join(', ')}`);
+        }
+      }
+    }
+  },
+
+  minSeverity: {
+    type: DataTypes.ENUM(...SEVERITIES),
+    allowNull: false,
+    defaultValue: 'medium'
+  },
+
+  active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+
+  minLat: {
+    type: DataTypes.DOUBLE,
+    allowNull: false
+  },
+
+  maxLat: {
+    type: DataTypes.DOUBLE,
+    allowNull: false
+  },
+
+  minLng: {
+    type: DataTypes.DOUBLE,
+    allowNull: false
+  },
+
+  maxLng: {
+    type: DataTypes.DOUBLE,
+    allowNull: false
+  },
+
+  lastTriggeredAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'alert_areas',
+
+  validate: {
+    hasGeometry() {
+      if (this.shape === 'circle') {
+        const radius = parseFloat(this.radiusKm);
+        if (!isPoint(this.center) || !(radius > 0 && radius <= MAX_RADIUS_KM)) {
+          throw new Error(`A circle needs a center and a radius of at most ${MAX_RADIUS_KM} km`);
+        }
+      } else if (this.shape === 'polygon') {
+        if (!Array.isArray(this.polygon) || this.polygon.length < 3 ||
+          this.polygon.length > MAX_POLYGON_POINTS || !this.polygon.every(isPoint)) {
+          throw new Error(`A polygon needs between 3 and ${MAX_POLYGON_POINTS} points`);
+        }
+      }
+    }
+  },
+
+  hooks: {
+    beforeValidate: (area) => {
+      if (area.shape === 'circle' && isPoint(area.center)) {
+        const radius = parseFloat(area.radiusKm) || 0;
+        const latDelta = radius / KM_PER_DEGREE_LAT;
+        const lngDelta = radius / (KM_PER_DEGREE_LAT * Math.max(Math.cos(area.center.lat * Math.PI / 180), 0.01));
+        area.minLat = area.center.lat - latDelta;
+        area.maxLat = area.center.lat + latDelta;
+        area.minLng = area.center.lng - lngDelta;
+        area.maxLng = area.center.lng + lngDelta;
+        area.polygon = null;
+      } else if (area.shape === 'polygon' && Array.isArray(area.polygon) && area.polygon.every(isPoint)) {
+        area.minLat = Math.min(...area.polygon.map(point => point.lat));
+        area.maxLat = Math.max(...area.polygon.map(point => point.lat));
+        area.minLng = Math.min(...area.polygon.map(point => point.lng));
+        area.maxLng = Math.max(...area.polygon.map(point => point.lng));
+        area.center = null;
+        area.radiusKm = null;
+      }
+    }
+  },
+
+  indexes: [
+    { fields: ['user_id'] },
+    { fields: ['active', 'min_lat', 'max_lat'] }
+  ]
+});
+
+// Define associations
+AlertArea.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+User.hasMany(AlertArea, {
+  foreignKey: 'userId',
+  as: 'alertAreas'
+});
+
+// Instance methods
+AlertArea.prototype.containsPoint = function(lat, lng) {
+  if (lat < this.minLat || lat > this.maxLat || lng < this.minLng || lng > this.maxLng) {
+    return false;
+  }
+
+  if (this.shape === 'circle') {
+    const R = 6371; // Earth's radius in kilometers
+    const dLat = (lat - this.center.lat) * Math.PI / 180;
+    const dLng = (lng - this.center.lng) * Math.PI / 180;
+    const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
+      Math.cos(this.center.lat * Math.PI / 180) * Math.cos(lat * Math.PI / 180) *
+      Math.sin(dLng/2) * Math.sin(dLng/2);
+    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a)) <= parseFloat(this.radiusKm);
+  }
+
+  // Ray casting
+  let inside = false;
+  for (let i = 0, j = this.polygon.length - 1; i < this.polygon.length; j = i++) {
+    const a = this.polygon[i];
+    const b = this.polygon[j];
+    if ((a.lat > lat) !== (b.lat > lat) &&
+      lng < (b.lng - a.lng) * (lat - a.lat) / (b.lat - a.lat) + a.lng) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+AlertArea.prototype.matchesReport = function(report) {
+  if (this.hazardTypes.length > 0 && !this.hazardTypes.includes(report.hazardType)) return false;
+  if (SEVERITIES.indexOf(report.severity) < SEVERITIES.indexOf(this.minSeverity)) return false;
+
+  return this.containsPoint(parseFloat(report.location.lat), parseFloat(report.location.lng));
+};
+
+// Class methods
+
+/**
+ * Active areas whose bounding box contains a point; callers still need
+ * containsPoint for the exact shape
+ */
+AlertArea.findCandidates = async function(lat, lng) {
+  return this.findAll({
+    where: {
+      active: true,
+      minLat: { [Op.lte]: lat },
+      maxLat: { [Op.gte]: lat },
+      minLng: { [Op.lte]: lng },
+      maxLng: { [Op.gte]: lng }
+    }
+  });
+};
+
+AlertArea.SHAPES = SHAPES;
+AlertArea.MAX_RADIUS_KM = MAX_RADIUS_KM;
+AlertArea.MAX_POLYGON_POINTS = MAX_POLYGON_POINTS;
+
+module.exports = AlertArea;
@@ -0,0 +1,179 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Report = require('./Report');
+const User = require('./User');
+
+const API_KEY_SCOPES = ['reports:read-public', 'reports:read', 'reports:submit', 'analytics:read'];
+
+/**
+ * A partner API key issued to an organization. Only a hash of the secret
+ * is stored; the key itself is shown once when it is created or rotated.
+ */
+const ApiKey = sequelize.define('ApiKey', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+
+  organizationName: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+
+  // Public part of the key, used to look it up
+  keyPrefix: {
+    type: DataTypes.STRING(16),
+    allowNull: false,
+    unique: true
+  },
+
+  keyHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+
+  // After a rotation the previous secret keeps working until it expires
+  previousKeyHash: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+
+  previousKeyExpiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  scopes: {
+    type: DataTypes.ARRAY(DataTypes.STRING(30)),
+    allowNull: false,
+    defaultValue: [],
+    validate: {
+      isKnownScope(value) {
+        if (!value.length || value.some(scope => !API_KEY_SCOPES.includes(scope))) {
+          throw new Error(`Scopes must be one or more of: ${API_KEY_SCOPES.join(', ')}`);
+        }
+      }
+    }
+  },
+
+  rateLimitPerMinute: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 60,
+    validate: { min: 1 }
+  },
+
+  dailyQuota: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 10000,
+    validate: { min: 1 }
+  },
+
+  status: {
+    type: DataTypes.ENUM('active', 'revoked'),
+    allowNull: false,
+    defaultValue: 'active'
+  },
+
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  usageCount: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    defaultValue: 0
+  },
+
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  lastRotatedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  revocationReason: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+
+  revokedById: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+
+  createdById: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'api_keys',
+
+  defaultScope: {
+    attributes: { exclude: ['keyHash', 'previousKeyHash'] }
+  },
+
+  indexes: [
+    { fields: ['organization_name'] },
+    { fields: ['status'] }
+  ]
+});
+
+// Define associations
+ApiKey.belongsTo(User, {
+  foreignKey: 'createdById',
+  as: 'createdBy'
+});
+
+ApiKey.belongsTo(User, {
+  foreignKey: 'revokedById',
+  as: 'revokedBy'
+});
+
+ApiKey.hasMany(Report, {
+  foreignKey: 'apiKeyId',
+  as: 'reports'
+});
+
+Report.belongsTo(ApiKey, {
+  foreignKey: 'apiKeyId',
+  as: 'apiKey'
+});
+
+// Instance methods
+ApiKey.prototype.isActive = function() {
+  return this.status === 'active' &&
+    (!this.expiresAt || new Date(this.expiresAt) > new Date());
+};
+
+ApiKey.prototype.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+ApiKey.API_KEY_SCOPES = API_KEY_SCOPES;
+
+module.exports = ApiKey;
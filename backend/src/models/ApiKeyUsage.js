@@ -0,0 +1,105 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const ApiKey = require('./ApiKey');
+
+/**
+ * Requests made with an API key, per UTC day. Counts are kept with atomic
+ * updates so that several instances share the daily quota.
+ */
+const ApiKeyUsage = sequelize.define('ApiKeyUsage', {
+  apiKeyId: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    references: {
+      model: 'api_keys',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+
+  day: {
+    type: DataTypes.DATEONLY,
+    primaryKey: true
+  },
+
+  // Requests accepted
+  requestCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+
+  // Requests turned away by the rate limit or daily quota
+  rejectedCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  }
+}, {
+  tableName: 'api_key_usage',
+  createdAt: false
+});
+
+// Define associations
+ApiKeyUsage.belongsTo(ApiKey, {
+  foreignKey: 'apiKeyId',
+  as: 'apiKey'
+});
+
+ApiKey.hasMany(ApiKeyUsage, {
+  foreignKey: 'apiKeyId',
+  as: 'usage'
+});
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Class methods
+
+/**
+ * Count a request against a key's daily quota
+ * @param {string} apiKeyId
+ * @param {number} dailyQuota
+ * @returns {Object} - { accepted, used } where used is the number of
+ *   requests accepted today, including this one if it was
+ */
+ApiKeyUsage.consume = async function(apiKeyId, dailyQuota) {
+  const replacements = { apiKeyId, day: today(), dailyQuota };
+
+  const [updated] = await sequelize.query(`
+    UPDATE api_key_usage
+    SET request_count = request_count + 1, updated_at = NOW()
+    WHERE api_key_id = :apiKeyId AND day = :day AND request_count < :dailyQuota
+    RETURNING request_count
+  `, { replacements });
+  if (updated.length) {
+    return { accepted: true, used: updated[0].request_count };
+  }
+
+  // First request of the day
+  const [inserted] = await sequelize.query(`
+    INSERT INTO api_key_usage (api_key_id, day, request_count, rejected_count, updated_at)
+    VALUES (:apiKeyId, :day, 1, 0, NOW())
+    ON CONFLICT (api_key_id, day) DO NOTHING
+    RETURNING request_count
+  `, { replacements });
+  if (inserted.length) {
+    return { accepted: true, used: 1 };
+  }
+
+  await this.recordRejected(apiKeyId);
+  return { accepted: false, used: dailyQuota };
+};
+
+/**
+ * Count a request turned away by the rate limit or the daily quota
+ */
+ApiKeyUsage.recordRejected = async function(apiKeyId) {
+  await sequelize.query(`
+    INSERT INTO api_key_usage (api_key_id, day, request_count, rejected_count, updated_at)
+    VALUES (:apiKeyId, :day, 0, 1, NOW())
+    ON CONFLICT (api_key_id, day) DO UPDATE
+    SET rejected_count = api_key_usage.rejected_count + 1, updated_at = NOW()
+  `, { replacements: { apiKeyId, day: today() } });
+};
+
+module.exports = ApiKeyUsage;
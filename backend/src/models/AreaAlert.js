@@ -0,0 +1,103 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+const Report = require('./Report');
+const AlertArea = require('./AlertArea');
+
+/**
+ * A user told (or to be told) about a verified report inside one of their
+ * alert areas. There is at most one per user and report, however many of
+ * their areas the report falls in and however often it is verified.
+ */
+const AreaAlert = sequelize.define('AreaAlert', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+
+  reportId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'reports',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+
+  // The first matching area; kept when the area is deleted
+  alertAreaId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'alert_areas',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+
+  areaName: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+
+  // queued: being sent now; deferred: held back by the user's quiet hours
+  status: {
+    type: DataTypes.ENUM('queued', 'deferred', 'sent', 'skipped', 'failed'),
+    allowNull: false
+  },
+
+  // Channels the alert was delivered on
+  channels: {
+    type: DataTypes.ARRAY(DataTypes.STRING(10)),
+    allowNull: false,
+    defaultValue: []
+  },
+
+  sentAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  reason: {
+    type: DataTypes.STRING(200),
+    allowNull: true
+  }
+}, {
+  tableName: 'area_alerts',
+
+  indexes: [
+    { fields: ['user_id', 'report_id'], unique: true },
+    { fields: ['status', 'updated_at'] },
+    { fields: ['user_id', 'created_at'] }
+  ]
+});
+
+// Define associations
+AreaAlert.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+AreaAlert.belongsTo(Report, {
+  foreignKey: 'reportId',
+  as: 'report'
+});
+
+AreaAlert.belongsTo(AlertArea, {
+  foreignKey: 'alertAreaId',
+  as: 'alertArea'
+});
+
+module.exports = AreaAlert;
@@ -0,0 +1,189 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Report = require('./Report');
+const Incident = require('./Incident');
+const User = require('./User');
+
+/**
+ * A published CAP 1.2 alert message. The rendered XML is stored as sent:
+ * CAP messages are immutable, so changes are published as a new Update or
+ * Cancel message that references the ones it supersedes.
+ */
+const CapAlert = sequelize.define('CapAlert', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+
+  identifier: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true
+  },
+
+  reportId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'reports',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+
+  incidentId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'incidents',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+
+  msgType: {
+    type: DataTypes.ENUM('Alert', 'Update', 'Cancel'),
+    allowNull: false
+  },
+
+  // CAP <status>; 'Actual' unless the deployment is an exercise or test
+  status: {
+    type: DataTypes.ENUM('Actual', 'Exercise', 'System', 'Test', 'Draft'),
+    allowNull: false,
+    defaultValue: 'Actual'
+  },
+
+  sentAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+
+  // CAP <references> of the messages this one updates or cancels
+  references: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+
+  event: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+
+  severity: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+
+  urgency: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+
+  certainty: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+
+  headline: {
+    type: DataTypes.STRING(200),
+    allowNull: true
+  },
+
+  languages: {
+    type: DataTypes.ARRAY(DataTypes.STRING(10)),
+    defaultValue: []
+  },
+
+  xml: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+
+  // Set when a later Update or Cancel replaces this message
+  supersededAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  // Null when published automatically
+  publishedById: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'cap_alerts',
+  updatedAt: false,
+
+  indexes: [
+    { fields: ['report_id'] },
+    { fields: ['incident_id'] },
+    { fields: ['expires_at', 'superseded_at'] }
+  ]
+});
+
+// Define associations
+CapAlert.belongsTo(Report, {
+  foreignKey: 'reportId',
+  as: 'report'
+});
+
+CapAlert.belongsTo(Incident, {
+  foreignKey: 'incidentId',
+  as: 'incident'
+});
+
+CapAlert.belongsTo(User, {
+  foreignKey: 'publishedById',
+  as: 'publishedBy'
+});
+
+// Instance methods
+CapAlert.prototype.isCurrent = function() {
+  return !this.supersededAt && new Date(this.expiresAt) > new Date();
+};
+
+// Class methods
+
+/**
+ * Current message for a report or incident, if any
+ * @param {Object} source - { reportId } or { incidentId }
+ */
+CapAlert.findCurrent = async function(source, options = {}) {
+  return this.findOne({
+    where: {
+      ...source,
+      supersededAt: null
+    },
+    order: [['sentAt', 'DESC']],
+    transaction: options.transaction
+  });
+};
+
+/**
+ * Messages for the public feed: current, unexpired messages, newest first.
+ * Cancel messages stay in the feed until they expire so consumers see them.
+ */
+CapAlert.findForFeed = async function(options = {}) {
+  const { limit = 100 } = options;
+
+  return this.findAll({
+    where: {
+      supersededAt: null,
+      expiresAt: { [Op.gt]: new Date() }
+    },
+    order: [['sentAt', 'DESC']],
+    limit
+  });
+};
+
+module.exports = CapAlert;
@@ -0,0 +1,121 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Report = require('./Report');
+const User = require('./User');
+
+const ImportBatch = sequelize.define('ImportBatch', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+
+  name: {
+    type: DataTypes.STRING(200),
+    allowNull: false
+  },
+
+  format: {
+    type: DataTypes.ENUM('csv', 'geojson'),
+    allowNull: false
+  },
+
+  fileName: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+
+  status: {
+    type: DataTypes.ENUM('completed', 'rolled_back'),
+    allowNull: false,
+    defaultValue: 'completed'
+  },
+
+  // Report field -> source column (CSV) or property (GeoJSON)
+  columnMapping: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  },
+
+  initialStatus: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+
+  totalRows: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+
+  importedCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+
+  // Row-level errors for rows that were skipped
+  rowErrors: {
+    type: DataTypes.JSONB,
+    defaultValue: []
+  },
+
+  createdById: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+
+  rolledBackAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  rolledBackById: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'import_batches',
+
+  indexes: [
+    { fields: ['created_by_id'] },
+    { fields: ['created_at'] }
+  ]
+});
+
+// Define associations
+ImportBatch.belongsTo(User, {
+  foreignKey: 'createdById',
+  as: 'createdBy'
+});
+
+ImportBatch.belongsTo(User, {
+  foreignKey: 'rolledBackById',
+  as: 'rolledBackBy'
+});
+
+ImportBatch.hasMany(Report, {
+  foreignKey: 'importBatchId',
+  as: 'reports'
+});
+
+Report.belongsTo(ImportBatch, {
+  foreignKey: 'importBatchId',
+  as: 'importBatch'
+});
+
+// Instance methods
+ImportBatch.prototype.isRolledBack = function() {
+  return this.status === 'rolled_back';
+};
+
+module.exports = ImportBatch;
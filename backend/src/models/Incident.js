@@ -0,0 +1,300 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Report = require('./Report');
+const User = require('./User');
+
+const SEVERITY_ORDER = ['low', 'medium', 'high', 'critical'];
+
+const Incident = sequelize.define('Incident', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+
+  publicId: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    unique: true
+  },
+
+  title: {
+    type: DataTypes.STRING(200),
+    allowNull: false,
+    validate: {
+      notEmpty: true,
+      len: [3, 200]
+    }
+  },
+
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+
+  hazardType: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+
+  status: {
+    type: DataTypes.ENUM('active', 'monitoring', 'resolved', 'merged'),
+    allowNull: false,
+    defaultValue: 'active'
+  },
+
+  highestSeverity: {
+    type: DataTypes.ENUM('low', 'medium', 'high', 'critical'),
+    allowNull: true
+  },
+
+  reportCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+
+  // { bounds: { north, south, east, west }, centroid: { lat, lng }, radiusKm }
+  footprint: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  endedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  mergedIntoId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'incidents',
+      key: 'id'
+    }
+  },
+
+  createdById: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'incidents',
+
+  hooks: {
+    beforeValidate: (incident) => {
+      if (!incident.publicId) {
+        incident.publicId = 'INC' + Date.now().toString(36).toUpperCase() +
+          Math.random().toString(36).substr(2, 5).toUpperCase();
+      }
+    }
+  },
+
+  indexes: [
+    { fields: ['public_id'], unique: true },
+    { fields: ['status'] },
+    { fields: ['hazard_type'] },
+    { fields: ['highest_severity'] },
+    { fields: ['started_at'] }
+  ]
+});
+
+// Define associations
+Incident.hasMany(Report, {
+  foreignKey: 'incidentId',
+  as: 'reports'
+});
+
+Report.belongsTo(Incident, {
+  foreignKey: 'incidentId',
+  as: 'incident'
+});
+
+Incident.belongsTo(User, {
+  foreignKey: 'createdById',
+  as: 'createdBy'
+});
+
+Incident.belongsTo(Incident, {
+  foreignKey: 'mergedIntoId',
+  as: 'mergedInto'
+});
+
+// Helpers
+const computeFootprint = (reports) => {
+  const points = reports.map(report => ({
+    lat: parseFloat(report.location.lat),
+    lng: parseFloat(report.location.lng)
+  }));
+
+  const bounds = {
+    north: Math.max(...points.map(p => p.lat)),
+    south: Math.min(...points.map(p => p.lat)),
+    east: Math.max(...points.map(p => p.lng)),
+    west: Math.min(...points.map(p => p.lng))
+  };
+
+  const centroid = {
+    lat: points.reduce((sum, p) => sum + p.lat, 0) / points.length,
+    lng: points.reduce((sum, p) => sum + p.lng, 0) / points.length
+  };
+
+  // Radius that covers every report from the centroid
+  const radiusKm = Math.max(...reports.map(report => report.getDistanceFromPoint(centroid.lat, centroid.lng)));
+
+  return {
+    bounds,
+    centroid,
+    radiusKm: Math.round(radiusKm * 100) / 100
+  };
+};
+
+// Instance methods
+
+/**
+ * Recompute footprint, time span, highest severity and report count from
+ * the reports currently attached to the incident. Rejected and archived
+ * reports do not count.
+ */
+Incident.prototype.recalculate = async function(options = {}) {
+  const { transaction } = options;
+
+  const reports = await Report.findAll({
+    where: {
+      incidentId: this.id,
+      status: { [Op.notIn]: ['rejected', 'archived'] }
+    },
+    transaction
+  });
+
+  this.reportCount = reports.length;
+
+  if (reports.length === 0) {
+    this.footprint = null;
+    this.highestSeverity = null;
+    this.startedAt = null;
+    this.endedAt = null;
+  } else {
+    const times = reports.map(report => new Date(report.createdAt).getTime());
+
+    this.footprint = computeFootprint(reports);
+    this.highestSeverity = reports.reduce((highest, report) => {
+      return SEVERITY_ORDER.indexOf(report.severity) > SEVERITY_ORDER.indexOf(highest) ? report.severity : highest;
+    }, 'low');
+    this.startedAt = new Date(Math.min(...times));
+    this.endedAt = new Date(Math.max(...times));
+  }
+
+  return this.save({ transaction });
+};
+
+/**
+ * Attach reports to this incident, recalculating any incident they leave
+ */
+Incident.prototype.attachReports = async function(reportIds, options = {}) {
+  const { transaction } = options;
+
+  const reports = await Report.findAll({
+    where: { id: reportIds },
+    attributes: ['id', 'incidentId'],
+    transaction
+  });
+
+  const previousIncidentIds = [...new Set(
+    reports.map(report => report.incidentId).filter(id => id && id !== this.id)
+  )];
+
+  await Report.update(
+    { incidentId: this.id },
+    { where: { id: reports.map(report => report.id) }, transaction }
+  );
+
+  for (const incidentId of previousIncidentIds) {
+    const previous = await Incident.findByPk(incidentId, { transaction });
+    if (previous) await previous.recalculate({ transaction });
+  }
+
+  await this.recalculate({ transaction });
+
+  return reports.length;
+};
+
+Incident.prototype.isMerged = function() {
+  return this.status === 'merged';
+};
+
+Incident.prototype.toSummaryJSON = function() {
+  return {
+    id: this.id,
+    publicId: this.publicId,
+    title: this.title,
+    hazardType: this.hazardType,
+    status: this.status,
+    highestSeverity: this.highestSeverity,
+    reportCount: this.reportCount,
+    position: this.footprint ? this.footprint.centroid : null,
+    radiusKm: this.footprint ? this.footprint.radiusKm : null,
+    startedAt: this.startedAt,
+    endedAt: this.endedAt
+  };
+};
+
+// Class methods
+
+/**
+ * Recalculate an incident after one of its reports changed
+ * @returns {Object|null} - The incident, or null if it does not exist
+ */
+Incident.recalculateById = async function(incidentId, options = {}) {
+  const incident = await this.findByPk(incidentId, { transaction: options.transaction });
+  if (!incident) return null;
+
+  return incident.recalculate(options);
+};
+
+/**
+ * Create an incident from a set of reports. The hazard type defaults to the
+ * most common hazard type among the reports.
+ */
+Incident.createFromReports = async function(reportIds, attributes = {}, options = {}) {
+  const { transaction } = options;
+
+  const reports = await Report.findAll({
+    where: { id: reportIds },
+    attributes: ['id', 'hazardType'],
+    transaction
+  });
+
+  if (reports.length === 0) {
+    return null;
+  }
+
+  let hazardType = attributes.hazardType;
+  if (!hazardType) {
+    const counts = reports.reduce((acc, report) => {
+      acc[report.hazardType] = (acc[report.hazardType] || 0) + 1;
+      return acc;
+    }, {});
+    hazardType = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+  }
+
+  const incident = await this.create({
+    ...attributes,
+    hazardType
+  }, { transaction });
+
+  await incident.attachReports(reports.map(report => report.id), { transaction });
+
+  return incident;
+};
+
+module.exports = Incident;
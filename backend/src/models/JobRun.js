@@ -0,0 +1,154 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+
+const JobRun = sequelize.define('JobRun', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+
+  jobName: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+
+  status: {
+    type: DataTypes.ENUM('running', 'succeeded', 'failed', 'abandoned'),
+    allowNull: false,
+    defaultValue: 'running'
+  },
+
+  trigger: {
+    type: DataTypes.ENUM('schedule', 'manual'),
+    allowNull: false,
+    defaultValue: 'schedule'
+  },
+
+  triggeredById: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+
+  dryRun: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+
+  // host:pid of the process that ran the job
+  instanceId: {
+    type: DataTypes.STRING(200),
+    allowNull: false
+  },
+
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+
+  finishedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  durationMs: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+
+  result: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  },
+
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'job_runs',
+  updatedAt: false,
+
+  indexes: [
+    { fields: ['job_name', 'started_at'] },
+    // At most one running instance of a job; this is the job lock
+    {
+      fields: ['job_name'],
+      unique: true,
+      where: { status: 'running' },
+      name: 'job_runs_running_lock'
+    }
+  ]
+});
+
+// Define associations
+JobRun.belongsTo(User, {
+  foreignKey: 'triggeredById',
+  as: 'triggeredBy'
+});
+
+// Instance methods
+JobRun.prototype.finish = async function(status, details = {}) {
+  const finishedAt = new Date();
+
+  this.status = status;
+  this.finishedAt = finishedAt;
+  this.durationMs = finishedAt - new Date(this.startedAt);
+  this.result = details.result || {};
+  this.error = details.error || null;
+
+  return this.save();
+};
+
+// Class methods
+
+/**
+ * Take the lock for a job by inserting its running row. Runs left
+ * 'running' for longer than `staleAfterMs` (a crashed instance) are marked
+ * abandoned first so they do not hold the lock forever.
+ * @returns {Object|null} - The new JobRun, or null if another instance holds the lock
+ */
+JobRun.acquire = async function(jobName, details = {}) {
+  const { staleAfterMs, trigger = 'schedule', triggeredById = null, dryRun = false, instanceId } = details;
+
+  if (staleAfterMs) {
+    await this.update({ status: 'abandoned', finishedAt: new Date() }, {
+      where: {
+        jobName,
+        status: 'running',
+        startedAt: { [Op.lt]: new Date(Date.now() - staleAfterMs) }
+      }
+    });
+  }
+
+  try {
+    return await this.create({
+      jobName,
+      trigger,
+      triggeredById,
+      dryRun,
+      instanceId
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+JobRun.getLastRun = async function(jobName) {
+  return this.findOne({
+    where: { jobName },
+    order: [['startedAt', 'DESC']]
+  });
+};
+
+module.exports = JobRun;
@@ -1,6 +1,26 @@
-const { DataTypes } = require('sequelize');
+const { DataTypes, Op } = require('sequelize');
 const { sequelize } = require('../config/database');
 const User = require('./User');
+const { STATUSES, assertTransition, applyStatusTimestamps } = require('../utils/reportLifecycle');
+const { buildSearchVector, storedSearchVector } = require('../utils/reportSearch');
+const { deleteMediaFiles } = require('../utils/mediaFiles');
+
+// Changes to these fields require the search vector to be rebuilt
+const SEARCHABLE_FIELDS = ['publicId', 'tags', 'description', 'address'];
+
+// Everything else (submitter, reviewer, claim, triage, import and API key
+// fields) is internal and left out of toPublicJSON
+const PUBLIC_ATTRIBUTES = [
+  'id', 'publicId', 'hazardType', 'severity', 'urgency', 'description', 'location', 'address',
+  'status', 'verificationLevel', 'visibility', 'verifiedAt', 'mediaFiles', 'weatherConditions',
+  'tideLevel', 'waveHeight', 'windSpeed', 'affectedArea', 'estimatedDamage', 'peopleAffected',
+  'isEmergency', 'tags', 'createdAt', 'updatedAt',
+  // Included by the public report route and full-text search
+  'submittedBy', 'searchSnippet', 'relevance'
+];
+
+// Tables whose rows reference a report and are deleted along with it
+const DEPENDENT_TABLES = ['report_events', 'report_versions', 'report_confirmations', 'report_comments'];
 
 const Report = sequelize.define('Report', {
   id: {
@@ -63,7 +83,7 @@ const Report = sequelize.define('Report', {
   },
   
   status: {
-    type: DataTypes.ENUM('pending', 'verified', 'rejected', 'under_review', 'resolved'),
+    type: DataTypes.ENUM(...STATUSES),
     allowNull: false,
     defaultValue: 'pending'
   },
@@ -80,9 +100,10 @@ const Report = sequelize.define('Report', {
     defaultValue: 'public'
   },
   
+  // null for anonymous submissions
   submittedById: {
     type: DataTypes.UUID,
-    allowNull: false,
+    allowNull: true,
     references: {
       model: 'users',
       key: 'id'
@@ -175,10 +196,113 @@ const Report = sequelize.define('Report', {
   expiresAt: {
     type: DataTypes.DATE,
     allowNull: true
+  },
+  
+  duplicateCandidates: {
+    type: DataTypes.JSONB,
+    defaultValue: []
+  },
+  
+  incidentId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'incidents',
+      key: 'id'
+    }
+  },
+  
+  assignedToId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  
+  claimExpiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  
+  // Triage priority (0-100) and the factors it was built from
+  priorityScore: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  
+  priorityBreakdown: {
+    type: DataTypes.JSONB,
+    defaultValue: []
+  },
+  
+  // How the report was submitted
+  source: {
+    type: DataTypes.ENUM('web', 'anonymous', 'sync', 'import', 'api'),
+    allowNull: false,
+    defaultValue: 'web'
+  },
+  
+  // Bulk imports: the batch the report was loaded in, so it can be rolled back
+  importBatchId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'import_batches',
+      key: 'id'
+    }
+  },
+  
+  // Partner API submissions: the key the report was submitted with
+  apiKeyId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'api_keys',
+      key: 'id'
+    }
+  },
+  
+  // Offline sync: client-generated key that makes retries safe
+  idempotencyKey: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  
+  // When the hazard was observed, for reports synced from a device or
+  // imported from historical records
+  capturedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  
+  // Anonymous submissions: hash of the claim token given to the witness
+  // and keyed hash of their IP address for quotas
+  claimTokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  
+  submitterIpHash: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  
+  // Full-text search document, maintained by the hooks below
+  searchVector: {
+    type: DataTypes.TSVECTOR,
+    allowNull: true
   }
 }, {
   tableName: 'reports',
   
+  // Search and anonymous-submitter columns are only used in queries, never returned
+  defaultScope: {
+    attributes: { exclude: ['searchVector', 'claimTokenHash', 'submitterIpHash'] }
+  },
+  
   hooks: {
     beforeCreate: (report) => {
       // Generate public ID
@@ -188,24 +312,31 @@ const Report = sequelize.define('Report', {
       // Set emergency flag based on severity and urgency
       report.isEmergency = report.severity === 'critical' || report.urgency === 'emergency';
       
-      // Set expiration for resolved reports
-      if (report.status === 'resolved') {
-        const expiryDate = new Date();
-        expiryDate.setDate(expiryDate.getDate() + 90); // 90 days retention
-        report.expiresAt = expiryDate;
-      }
+      // Set verification and expiration timestamps for the initial status
+      applyStatusTimestamps(report, report.status);
+      
+      report.searchVector = buildSearchVector(report);
     },
     
     beforeUpdate: (report) => {
-      if (report.changed('status') && report.status === 'verified') {
-        report.verifiedAt = new Date();
+      // Keep the emergency flag in step with severity and urgency; it raises
+      // triage priority, so a value set by the client is never kept
+      report.isEmergency = report.severity === 'critical' || report.urgency === 'emergency';
+
+      // Every status change must be a legal lifecycle transition
+      if (report.changed('status')) {
+        assertTransition(report.previous('status'), report.status);
+        applyStatusTimestamps(report, report.status);
       }
       
-      if (report.changed('status') && report.status === 'resolved') {
-        const expiryDate = new Date();
-        expiryDate.setDate(expiryDate.getDate() + 90);
-        report.expiresAt = expiryDate;
+      if (SEARCHABLE_FIELDS.some(field => report.changed(field))) {
+        report.searchVector = buildSearchVector(report);
       }
+    },
+    
+    afterSave: (report) => {
+      // Drop the SQL expression so it does not leak into responses
+      delete report.dataValues.searchVector;
     }
   },
   
@@ -219,6 +350,18 @@ const Report = sequelize.define('Report', {
     { fields: ['is_emergency'] },
     { fields: ['public_id'], unique: true },
     { fields: ['expires_at'] },
+    { fields: ['incident_id'] },
+    { fields: ['assigned_to_id', 'claim_expires_at'] },
+    { fields: ['status', 'priority_score'] },
+    { fields: ['source', 'submitter_ip_hash', 'created_at'] },
+    { fields: ['submitted_by_id', 'idempotency_key'], unique: true },
+    { fields: ['captured_at'] },
+    { fields: ['import_batch_id'] },
+    { fields: ['api_key_id'] },
+    {
+      fields: ['search_vector'],
+      using: 'gin'
+    },
     {
       fields: ['location'],
       using: 'gin'
@@ -237,6 +380,11 @@ Report.belongsTo(User, {
   as: 'verifiedBy' 
 });
 
+Report.belongsTo(User, { 
+  foreignKey: 'assignedToId', 
+  as: 'assignedTo' 
+});
+
 User.hasMany(Report, { 
   foreignKey: 'submittedById', 
   as: 'submittedReports' 
@@ -264,6 +412,24 @@ Report.prototype.isCritical = function() {
   return this.severity === 'critical' || this.urgency === 'emergency';
 };
 
+Report.prototype.isClaimActive = function() {
+  return Boolean(this.assignedToId && this.claimExpiresAt && new Date(this.claimExpiresAt) > new Date());
+};
+
+Report.prototype.isClaimedByOther = function(userId) {
+  return this.isClaimActive() && this.assignedToId !== userId;
+};
+
+Report.prototype.isAnonymous = function() {
+  return this.source === 'anonymous';
+};
+
+Report.prototype.canBeViewedBy = function(user) {
+  return (this.submittedById && this.submittedById === user.id) ||
+    user.role !== 'citizen' ||
+    this.visibility === 'public';
+};
+
 Report.prototype.getDistanceFromPoint = function(lat, lng) {
   const R = 6371; // Earth's radius in kilometers
   const dLat = (lat - this.location.lat) * Math.PI / 180;
@@ -276,16 +442,14 @@ Report.prototype.getDistanceFromPoint = function(lat, lng) {
 };
 
 Report.prototype.toPublicJSON = function() {
-  const values = Object.assign({}, this.get());
-  
-  // Remove sensitive data for public view
-  if (this.visibility === 'public') {
-    delete values.submittedById;
-    delete values.verifiedById;
-    delete values.additionalData;
-  }
-  
-  return values;
+  const values = this.get();
+
+  return PUBLIC_ATTRIBUTES.reduce((result, attribute) => {
+    if (values[attribute] !== undefined) {
+      result[attribute] = values[attribute];
+    }
+    return result;
+  }, {});
 };
 
 // Class methods
@@ -293,18 +457,34 @@ Report.findByPublicId = async function(publicId) {
   return this.findOne({ where: { publicId } });
 };
 
-Report.findNearLocation = async function(lat, lng, radiusKm = 10) {
+Report.findNearLocation = async function(lat, lng, radiusKm = 10, where = {}) {
   return this.findAll({
-    where: sequelize.literal(`
-      ST_DWithin(
-        ST_SetSRID(ST_MakePoint(CAST(location->>'lng' AS FLOAT), CAST(location->>'lat' AS FLOAT)), 4326),
-        ST_SetSRID(ST_MakePoint(${lng}, ${lat}), 4326),
-        ${radiusKm * 1000}
-      )
-    `)
+    where: {
+      ...where,
+      [Op.and]: sequelize.literal(`
+        ST_DWithin(
+          ST_SetSRID(ST_MakePoint(CAST(location->>'lng' AS FLOAT), CAST(location->>'lat' AS FLOAT)), 4326)::geography,
+          ST_SetSRID(ST_MakePoint(${lng}, ${lat}), 4326)::geography,
+          ${radiusKm * 1000}
+        )
+      `)
+    }
   });
 };
 
+/**
+ * Rebuild the search vector of every report from its stored columns,
+ * e.g. after the search configuration changes
+ * @returns {Number} - Number of reports updated
+ */
+Report.refreshSearchVectors = async function() {
+  const [, result] = await sequelize.query(
+    `UPDATE reports SET search_vector = ${storedSearchVector()}`
+  );
+  
+  return result.rowCount;
+};
+
 Report.getStatistics = async function(dateRange = null) {
   const whereClause = dateRange ? {
     createdAt: {
@@ -346,15 +526,52 @@ Report.findCriticalReports = async function() {
   });
 };
 
-Report.cleanupExpiredReports = async function() {
-  const result = await this.destroy({
+/**
+ * Delete resolved reports past their retention date together with their
+ * media files and thumbnails
+ * @param {Object} options - { dryRun, limit }
+ * @returns {Object} - { reports, filesDeleted, filesMissing, filesFailed, publicIds }
+ */
+Report.cleanupExpiredReports = async function(options = {}) {
+  const { dryRun = false, limit = 500 } = options;
+  
+  const expired = await this.findAll({
     where: {
+      status: 'resolved',
       expiresAt: {
-        [sequelize.Op.lt]: new Date()
+        [Op.lt]: new Date()
       }
-    }
+    },
+    attributes: ['id', 'publicId', 'mediaFiles'],
+    order: [['expiresAt', 'ASC']],
+    limit
   });
   
+  const result = { reports: expired.length, filesDeleted: 0, filesMissing: 0, filesFailed: 0, publicIds: [] };
+  
+  for (const report of expired) {
+    if (!dryRun) {
+      // History rows reference the report without ON DELETE, so they go
+      // first and together with it
+      await sequelize.transaction(async (transaction) => {
+        for (const table of DEPENDENT_TABLES) {
+          await sequelize.query(`DELETE FROM ${table} WHERE report_id = :reportId`, {
+            replacements: { reportId: report.id },
+            transaction
+          });
+        }
+        await report.destroy({ transaction });
+      });
+    }
+    
+    // Files are only removed once the report is gone
+    const files = await deleteMediaFiles(report.mediaFiles, { dryRun });
+    result.filesDeleted += files.deleted;
+    result.filesMissing += files.missing;
+    result.filesFailed += files.failed;
+    result.publicIds.push(report.publicId);
+  }
+  
   return result;
 };
 
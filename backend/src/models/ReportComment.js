@@ -0,0 +1,154 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Report = require('./Report');
+const User = require('./User');
+
+const ReportComment = sequelize.define('ReportComment', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+
+  reportId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'reports',
+      key: 'id'
+    }
+  },
+
+  authorId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+
+  parentId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'report_comments',
+      key: 'id'
+    }
+  },
+
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    validate: {
+      notEmpty: true,
+      len: [1, 2000]
+    }
+  },
+
+  // internal comments are only visible to verifiers, analysts and admins
+  visibility: {
+    type: DataTypes.ENUM('public', 'internal'),
+    allowNull: false,
+    defaultValue: 'public'
+  },
+
+  editedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  deletedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'report_comments',
+
+  indexes: [
+    { fields: ['report_id', 'created_at'] },
+    { fields: ['author_id'] },
+    { fields: ['parent_id'] }
+  ]
+});
+
+// Define associations
+ReportComment.belongsTo(Report, {
+  foreignKey: 'reportId',
+  as: 'report'
+});
+
+ReportComment.belongsTo(User, {
+  foreignKey: 'authorId',
+  as: 'author'
+});
+
+ReportComment.belongsTo(ReportComment, {
+  foreignKey: 'parentId',
+  as: 'parent'
+});
+
+Report.hasMany(ReportComment, {
+  foreignKey: 'reportId',
+  as: 'comments'
+});
+
+// Instance methods
+ReportComment.prototype.isDeleted = function() {
+  return Boolean(this.deletedAt);
+};
+
+ReportComment.prototype.isInternal = function() {
+  return this.visibility === 'internal';
+};
+
+ReportComment.prototype.toJSON = function() {
+  const values = Object.assign({}, this.get());
+
+  // Keep deleted comments as placeholders so replies stay threaded
+  if (values.deletedAt) {
+    values.body = null;
+  }
+
+  return values;
+};
+
+// Class methods
+
+/**
+ * Get the comments on a report as a thread tree
+ * @param {String} reportId - Report ID
+ * @param {Boolean} includeInternal - Whether internal verifier notes are included
+ */
+ReportComment.getThread = async function(reportId, includeInternal = false) {
+  const where = { reportId };
+  if (!includeInternal) {
+    where.visibility = 'public';
+  }
+
+  const comments = await this.findAll({
+    where,
+    order: [['createdAt', 'ASC']],
+    include: [{
+      model: User,
+      as: 'author',
+      attributes: ['id', 'firstName', 'lastName', 'role']
+    }]
+  });
+
+  const nodes = new Map(comments.map(comment => [comment.id, { ...comment.toJSON(), replies: [] }]));
+  const thread = [];
+
+  nodes.forEach(node => {
+    const parent = node.parentId && nodes.get(node.parentId);
+    if (parent) {
+      parent.replies.push(node);
+    } else {
+      thread.push(node);
+    }
+  });
+
+  return { thread, total: comments.length };
+};
+
+module.exports = ReportComment;
@@ -0,0 +1,109 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Report = require('./Report');
+const User = require('./User');
+
+const ReportConfirmation = sequelize.define('ReportConfirmation', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+
+  reportId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'reports',
+      key: 'id'
+    }
+  },
+
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+
+  vote: {
+    type: DataTypes.ENUM('confirm', 'dispute'),
+    allowNull: false
+  },
+
+  weight: {
+    type: DataTypes.DECIMAL(4, 3),
+    allowNull: false,
+    defaultValue: 0
+  },
+
+  distanceKm: {
+    type: DataTypes.DECIMAL(8, 2),
+    allowNull: true
+  },
+
+  location: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+
+  comment: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  }
+}, {
+  tableName: 'report_confirmations',
+
+  indexes: [
+    { fields: ['report_id', 'user_id'], unique: true },
+    { fields: ['user_id'] },
+    { fields: ['vote'] }
+  ]
+});
+
+// Define associations
+ReportConfirmation.belongsTo(Report, {
+  foreignKey: 'reportId',
+  as: 'report'
+});
+
+ReportConfirmation.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+Report.hasMany(ReportConfirmation, {
+  foreignKey: 'reportId',
+  as: 'confirmations'
+});
+
+// Class methods
+ReportConfirmation.getSummary = async function(reportId) {
+  const votes = await this.findAll({
+    where: { reportId },
+    attributes: ['vote', 'weight'],
+    raw: true
+  });
+
+  const summary = votes.reduce((acc, vote) => {
+    const weight = parseFloat(vote.weight);
+    if (vote.vote === 'confirm') {
+      acc.confirmations++;
+      acc.confirmWeight += weight;
+    } else {
+      acc.disputes++;
+      acc.disputeWeight += weight;
+    }
+    return acc;
+  }, { confirmations: 0, disputes: 0, confirmWeight: 0, disputeWeight: 0 });
+
+  summary.confirmWeight = Math.round(summary.confirmWeight * 1000) / 1000;
+  summary.disputeWeight = Math.round(summary.disputeWeight * 1000) / 1000;
+  summary.netScore = Math.round((summary.confirmWeight - summary.disputeWeight) * 1000) / 1000;
+
+  return summary;
+};
+
+module.exports = ReportConfirmation;
@@ -0,0 +1,164 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Report = require('./Report');
+const User = require('./User');
+
+// Fields that change on every save and carry no audit value
+const UNTRACKED_FIELDS = ['updatedAt', 'createdAt'];
+
+const ReportEvent = sequelize.define('ReportEvent', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+
+  reportId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'reports',
+      key: 'id'
+    }
+  },
+
+  actorId: {
+    type: DataTypes.UUID,
+    allowNull: true, // null for system-initiated events
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+
+  action: {
+    type: DataTypes.ENUM(
+      'created',
+      'updated',
+      'status_changed',
+      'verified',
+      'rejected',
+      'deleted',
+      'claimed',
+      'released',
+      'assigned'
+    ),
+    allowNull: false
+  },
+
+  fromStatus: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+
+  toStatus: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+
+  changes: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {}
+  },
+
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+
+  metadata: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  }
+}, {
+  tableName: 'report_events',
+  updatedAt: false,
+
+  indexes: [
+    { fields: ['report_id', 'created_at'] },
+    { fields: ['actor_id'] },
+    { fields: ['action'] }
+  ]
+});
+
+// Define associations
+ReportEvent.belongsTo(Report, {
+  foreignKey: 'reportId',
+  as: 'report'
+});
+
+ReportEvent.belongsTo(User, {
+  foreignKey: 'actorId',
+  as: 'actor'
+});
+
+Report.hasMany(ReportEvent, {
+  foreignKey: 'reportId',
+  as: 'events'
+});
+
+// Class methods
+
+/**
+ * Collect the pending (unsaved) changes on a report as { field: { from, to } }.
+ * Must be called before report.save(), since saving clears the change set.
+ * @param {Object} report - Report instance with unsaved changes
+ * @returns {Object} - Map of changed fields to their previous and new values
+ */
+ReportEvent.captureChanges = function(report) {
+  const changed = report.changed() || [];
+
+  return changed
+    .filter(field => !UNTRACKED_FIELDS.includes(field))
+    .reduce((acc, field) => {
+      acc[field] = {
+        from: report.previous(field) === undefined ? null : report.previous(field),
+        to: report.get(field) === undefined ? null : report.get(field)
+      };
+      return acc;
+    }, {});
+};
+
+/**
+ * Record a lifecycle or edit event for a report.
+ * @param {Object} report - Report the event belongs to
+ * @param {Object} details - { actorId, action, changes, reason, metadata, transaction }
+ */
+ReportEvent.record = async function(report, details = {}) {
+  const {
+    actorId = null,
+    action,
+    changes = {},
+    reason = null,
+    metadata = {},
+    transaction
+  } = details;
+
+  const statusChange = changes.status || {};
+
+  return this.create({
+    reportId: report.id,
+    actorId,
+    action,
+    fromStatus: statusChange.from || null,
+    toStatus: statusChange.to || (action === 'created' ? report.status : null),
+    changes,
+    reason,
+    metadata
+  }, { transaction });
+};
+
+ReportEvent.getHistory = async function(reportId) {
+  return this.findAll({
+    where: { reportId },
+    order: [['createdAt', 'ASC']],
+    include: [{
+      model: User,
+      as: 'actor',
+      attributes: ['id', 'firstName', 'lastName', 'role']
+    }]
+  });
+};
+
+module.exports = ReportEvent;
@@ -0,0 +1,56 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const STREAM_EVENTS = ['report.created', 'report.updated', 'report.verified'];
+
+/**
+ * A report change pushed to realtime clients. IDs increase with every
+ * event, so a reconnecting client can ask for everything after the last ID
+ * it saw. Rows are only kept for a short replay window.
+ */
+const ReportStreamEvent = sequelize.define('ReportStreamEvent', {
+  id: {
+    type: DataTypes.BIGINT,
+    autoIncrement: true,
+    primaryKey: true
+  },
+
+  type: {
+    type: DataTypes.ENUM(...STREAM_EVENTS),
+    allowNull: false
+  },
+
+  // Not a foreign key: events outlive reports deleted by retention jobs
+  reportId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+
+  // Copied from the report for visibility checks
+  submittedById: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+
+  visibility: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+
+  // The report as sent to clients, in the map's format
+  payload: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  }
+}, {
+  tableName: 'report_stream_events',
+  updatedAt: false,
+
+  indexes: [
+    { fields: ['created_at'] }
+  ]
+});
+
+ReportStreamEvent.STREAM_EVENTS = STREAM_EVENTS;
+
+module.exports = ReportStreamEvent;
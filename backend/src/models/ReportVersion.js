@@ -0,0 +1,220 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Report = require('./Report');
+const User = require('./User');
+
+// Report content captured in each version. Lifecycle fields (status,
+// verification, claims) are tracked by ReportEvent and never rolled back.
+const VERSIONED_FIELDS = [
+  'hazardType',
+  'severity',
+  'urgency',
+  'description',
+  'location',
+  'address',
+  'visibility',
+  'mediaFiles',
+  'weatherConditions',
+  'tideLevel',
+  'waveHeight',
+  'windSpeed',
+  'affectedArea',
+  'estimatedDamage',
+  'peopleAffected',
+  'isEmergency',
+  'tags',
+  'additionalData'
+];
+
+const ReportVersion = sequelize.define('ReportVersion', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+
+  reportId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'reports',
+      key: 'id'
+    }
+  },
+
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1
+    }
+  },
+
+  action: {
+    type: DataTypes.ENUM('created', 'edited', 'rolled_back'),
+    allowNull: false
+  },
+
+  // Values of VERSIONED_FIELDS after this version was saved
+  snapshot: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+
+  changedFields: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    defaultValue: []
+  },
+
+  actorId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+
+  // Report status when the version was made, so edits after verification stand out
+  reportStatus: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+
+  rolledBackTo: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  }
+}, {
+  tableName: 'report_versions',
+  updatedAt: false,
+
+  indexes: [
+    { fields: ['report_id', 'version'], unique: true },
+    { fields: ['actor_id'] }
+  ]
+});
+
+// Define associations
+ReportVersion.belongsTo(Report, {
+  foreignKey: 'reportId',
+  as: 'report'
+});
+
+ReportVersion.belongsTo(User, {
+  foreignKey: 'actorId',
+  as: 'actor'
+});
+
+Report.hasMany(ReportVersion, {
+  foreignKey: 'reportId',
+  as: 'versions'
+});
+
+const normalize = (value) => (value === undefined ? null : value);
+
+const isSameValue = (a, b) => JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+
+// Class methods
+
+/**
+ * Capture the versioned fields of a report
+ * @param {Object} report - Report instance
+ * @param {Object} overrides - Field values to use instead of the report's
+ */
+ReportVersion.snapshotOf = function(report, overrides = {}) {
+  return VERSIONED_FIELDS.reduce((acc, field) => {
+    acc[field] = normalize(field in overrides ? overrides[field] : report.get(field));
+    return acc;
+  }, {});
+};
+
+/**
+ * Record a new version of a report after it was saved. Reports created
+ * before versioning get their pre-edit state stored as version 1 first.
+ * @param {Object} report - Saved report instance
+ * @param {Object} details - { action, changes (from ReportEvent.captureChanges), actorId, reason, rolledBackTo, transaction }
+ * @returns {Object|null} - The new version, or null when no versioned field changed
+ */
+ReportVersion.recordEdit = async function(report, details = {}) {
+  const {
+    action = 'edited',
+    changes = {},
+    actorId = null,
+    reason = null,
+    rolledBackTo = null,
+    transaction
+  } = details;
+
+  const changedFields = Object.keys(changes).filter(field => VERSIONED_FIELDS.includes(field));
+  if (action !== 'created' && changedFields.length === 0) {
+    return null;
+  }
+
+  const latest = await this.max('version', { where: { reportId: report.id }, transaction });
+  let version = latest || 0;
+
+  if (!version && action !== 'created') {
+    const previousValues = changedFields.reduce((acc, field) => {
+      acc[field] = changes[field].from;
+      return acc;
+    }, {});
+
+    version = 1;
+    await this.create({
+      reportId: report.id,
+      version,
+      action: 'created',
+      snapshot: this.snapshotOf(report, previousValues),
+      actorId: report.submittedById,
+      reportStatus: changes.status ? changes.status.from : report.status
+    }, { transaction });
+  }
+
+  return this.create({
+    reportId: report.id,
+    version: version + 1,
+    action,
+    snapshot: this.snapshotOf(report),
+    changedFields,
+    actorId,
+    reportStatus: report.status,
+    reason,
+    rolledBackTo
+  }, { transaction });
+};
+
+/**
+ * Field-level differences between two snapshots
+ * @returns {Array} - [{ field, from, to }]
+ */
+ReportVersion.diff = function(fromSnapshot, toSnapshot) {
+  return VERSIONED_FIELDS
+    .filter(field => !isSameValue(fromSnapshot[field], toSnapshot[field]))
+    .map(field => ({
+      field,
+      from: normalize(fromSnapshot[field]),
+      to: normalize(toSnapshot[field])
+    }));
+};
+
+ReportVersion.getHistory = async function(reportId) {
+  return this.findAll({
+    where: { reportId },
+    order: [['version', 'ASC']],
+    include: [{
+      model: User,
+      as: 'actor',
+      attributes: ['id', 'firstName', 'lastName', 'role']
+    }]
+  });
+};
+
+ReportVersion.VERSIONED_FIELDS = VERSIONED_FIELDS;
+
+module.exports = ReportVersion;
@@ -0,0 +1,143 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+
+const SavedSearch = sequelize.define('SavedSearch', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+
+  ownerId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+
+  description: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+
+  // Normalized with utils/reportFilters
+  filters: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {}
+  },
+
+  // Shared searches are visible to users of the owner's organization
+  sharedWithTeam: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+
+  organizationName: {
+    type: DataTypes.STRING(200),
+    allowNull: true
+  },
+
+  notifyOnNewMatches: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+
+  lastNotifiedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  // Matches found during the notification cooldown, sent as one digest
+  // when it ends: [{ publicId, hazardType, severity, matchedAt }]
+  pendingMatches: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'saved_searches',
+
+  indexes: [
+    { fields: ['owner_id'] },
+    { fields: ['organization_name', 'shared_with_team'] },
+    { fields: ['notify_on_new_matches'] }
+  ]
+});
+
+// Define associations
+SavedSearch.belongsTo(User, {
+  foreignKey: 'ownerId',
+  as: 'owner'
+});
+
+User.hasMany(SavedSearch, {
+  foreignKey: 'ownerId',
+  as: 'savedSearches'
+});
+
+// Instance methods
+SavedSearch.prototype.isOwnedBy = function(user) {
+  return this.ownerId === user.id;
+};
+
+SavedSearch.prototype.canBeUsedBy = function(user) {
+  return this.isOwnedBy(user) ||
+    Boolean(this.sharedWithTeam && this.organizationName && this.organizationName === user.organizationName);
+};
+
+// Pending matches are only for the owner's digest, not for the team
+SavedSearch.prototype.toJSON = function() {
+  const values = Object.assign({}, this.get());
+  delete values.pendingMatches;
+  return values;
+};
+
+// Class methods
+
+/**
+ * Where clause for the saved searches a user may use: their own and
+ * those shared with their organization
+ */
+SavedSearch.accessibleWhere = function(user) {
+  const conditions = [{ ownerId: user.id }];
+
+  if (user.organizationName) {
+    conditions.push({ sharedWithTeam: true, organizationName: user.organizationName });
+  }
+
+  return { [Op.or]: conditions };
+};
+
+/**
+ * Find a saved search by ID if the user may use it
+ * @returns {Object|null} - SavedSearch or null when missing or not accessible
+ */
+SavedSearch.findAccessible = async function(id, user) {
+  return this.findOne({
+    where: {
+      id,
+      ...this.accessibleWhere(user)
+    }
+  });
+};
+
+module.exports = SavedSearch;
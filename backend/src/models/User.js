@@ -120,6 +120,23 @@ const User = sequelize.define('User', {
   emailVerifiedAt: {
     type: DataTypes.DATE,
     allowNull: true
+  },
+  
+  // Reporter reliability (0-100), recalculated when their reports are decided
+  trustScore: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: false,
+    defaultValue: 50
+  },
+  
+  trustFactors: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  },
+  
+  trustScoreUpdatedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
   }
 }, {
   tableName: 'users',
@@ -143,7 +160,8 @@ const User = sequelize.define('User', {
     { fields: ['role'] },
     { fields: ['status'] },
     { fields: ['created_at'] },
-    { fields: ['last_active_at'] }
+    { fields: ['last_active_at'] },
+    { fields: ['trust_score'] }
   ]
 });
 
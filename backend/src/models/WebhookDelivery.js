@@ -0,0 +1,152 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const WebhookSubscription = require('./WebhookSubscription');
+const User = require('./User');
+
+/**
+ * One event sent to one subscription, with the outcome of its latest
+ * attempt. A replay is a new delivery of the same event.
+ */
+const WebhookDelivery = sequelize.define('WebhookDelivery', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+
+  subscriptionId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'webhook_subscriptions',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+
+  // Shared by every delivery of the same event, so receivers can deduplicate
+  eventId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+
+  eventType: {
+    type: DataTypes.STRING(30),
+    allowNull: false
+  },
+
+  reportId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'reports',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+
+  payload: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+
+  status: {
+    type: DataTypes.ENUM('pending', 'delivered', 'failed'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+
+  // Also used as a lease while an attempt is in flight
+  nextAttemptAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  lastAttemptAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  deliveredAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  responseStatus: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+
+  // Start of the response body, for troubleshooting
+  responseBody: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+
+  durationMs: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+
+  error: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+
+  replayOfId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'webhook_deliveries',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+
+  replayedById: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'webhook_deliveries',
+
+  indexes: [
+    { fields: ['subscription_id', 'created_at'] },
+    { fields: ['status', 'next_attempt_at'] },
+    { fields: ['event_id'] },
+    { fields: ['report_id'] }
+  ]
+});
+
+// Define associations
+WebhookDelivery.belongsTo(WebhookSubscription, {
+  foreignKey: 'subscriptionId',
+  as: 'subscription'
+});
+
+WebhookSubscription.hasMany(WebhookDelivery, {
+  foreignKey: 'subscriptionId',
+  as: 'deliveries'
+});
+
+WebhookDelivery.belongsTo(WebhookDelivery, {
+  foreignKey: 'replayOfId',
+  as: 'replayOf'
+});
+
+WebhookDelivery.belongsTo(User, {
+  foreignKey: 'replayedById',
+  as: 'replayedBy'
+});
+
+module.exports = WebhookDelivery;
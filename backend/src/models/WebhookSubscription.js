@@ -0,0 +1,128 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+
+const WEBHOOK_EVENTS = [
+  'report.created',
+  'report.verified',
+  'report.rejected',
+  'report.escalated',
+  'report.resolved'
+];
+
+/**
+ * An organization's endpoint for report lifecycle events. The secret signs
+ * every delivery, so it is kept (unlike API keys) but never listed.
+ */
+const WebhookSubscription = sequelize.define('WebhookSubscription', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+
+  organizationName: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+
+  url: {
+    type: DataTypes.STRING(500),
+    allowNull: false,
+    validate: {
+      isUrl: true
+    }
+  },
+
+  description: {
+    type: DataTypes.STRING(200),
+    allowNull: true
+  },
+
+  eventTypes: {
+    type: DataTypes.ARRAY(DataTypes.STRING(30)),
+    allowNull: false,
+    defaultValue: [],
+    validate: {
+      isKnownEvent(value) {
+        if (!value.length || value.some(type => !WEBHOOK_EVENTS.includes(type))) {
+          throw new Error(`Event types must be one or more of: ${WEBHOOK_EVENTS.join(', ')}`);
+        }
+      }
+    }
+  },
+
+  secret: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+
+  status: {
+    type: DataTypes.ENUM('active', 'disabled'),
+    allowNull: false,
+    defaultValue: 'active'
+  },
+
+  // Failed attempts since the last successful delivery
+  consecutiveFailures: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+
+  disabledAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  disabledReason: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+
+  lastSuccessAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  lastFailureAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  createdById: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'webhook_subscriptions',
+
+  defaultScope: {
+    attributes: { exclude: ['secret'] }
+  },
+
+  indexes: [
+    { fields: ['organization_name'] },
+    { fields: ['status'] },
+    { fields: ['event_types'], using: 'gin' }
+  ]
+});
+
+// Define associations
+WebhookSubscription.belongsTo(User, {
+  foreignKey: 'createdById',
+  as: 'createdBy'
+});
+
+// Instance methods
+WebhookSubscription.prototype.isActive = function() {
+  return this.status === 'active';
+};
+
+WebhookSubscription.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+
+module.exports = WebhookSubscription;
@@ -8,13 +8,28 @@ const morgan = require("morgan");
 const connectDB = require("./config/database"); // MongoDB connection
 const logger = require("../utils/logger");
 const errorHandler = require("../middleware/errorHandler"); // Correct path
+const { startScheduler } = require("../utils/scheduler");
+const { registerRetentionJobs } = require("../utils/retentionJobs");
+const { registerWebhookJobs } = require("../utils/webhooks");
+const { registerReportStreamJobs } = require("../utils/reportStream");
+const { registerAreaAlertJobs } = require("../utils/areaAlerts");
+const { registerSavedSearchJobs } = require("../utils/savedSearchAlerts");
 
 // Routes
 const authRoutes = require("../routes/auth");
 const reportRoutes = require("../routes/reports");
+const reportCommentRoutes = require("../routes/reportComments");
 const userRoutes = require("../routes/users");
 const analyticsRoutes = require("../routes/analytics");
 const mapRoutes = require("../routes/map");
+const incidentRoutes = require("../routes/incidents");
+const savedSearchRoutes = require("../routes/savedSearches");
+const jobRoutes = require("../routes/jobs");
+const importRoutes = require("../routes/imports");
+const capRoutes = require("../routes/cap");
+const apiKeyRoutes = require("../routes/apiKeys");
+const webhookRoutes = require("../routes/webhooks");
+const alertAreaRoutes = require("../routes/alertAreas");
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -46,10 +61,19 @@ app.use("/uploads", express.static("uploads"));
 
 // API routes
 app.use("/api/auth", authRoutes);
+app.use("/api/reports/:id/comments", reportCommentRoutes);
 app.use("/api/reports", reportRoutes);
 app.use("/api/users", userRoutes);
 app.use("/api/analytics", analyticsRoutes);
 app.use("/api/map", mapRoutes);
+app.use("/api/incidents", incidentRoutes);
+app.use("/api/saved-searches", savedSearchRoutes);
+app.use("/api/jobs", jobRoutes);
+app.use("/api/imports", importRoutes);
+app.use("/api/cap", capRoutes);
+app.use("/api/api-keys", apiKeyRoutes);
+app.use("/api/webhooks", webhookRoutes);
+app.use("/api/alert-areas", alertAreaRoutes);
 
 // Health check
 app.get("/api/health", (req, res) => {
@@ -77,6 +101,16 @@ const startServer = async () => {
     await connectDB(); // Connect to MongoDB
     logger.info("✅ Database connected");
 
+    // Background jobs; set DISABLE_SCHEDULER on instances that should not run them
+    registerRetentionJobs();
+    registerWebhookJobs();
+    registerReportStreamJobs();
+    registerAreaAlertJobs();
+    registerSavedSearchJobs();
+    if (process.env.DISABLE_SCHEDULER !== "true") {
+      startScheduler();
+    }
+
     app.listen(PORT, () => {
       logger.info(`🌊 Aquasentra Backend running on port ${PORT}`);
     });
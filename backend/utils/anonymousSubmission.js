@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Report = require('../models/Report');
+
+const CHALLENGE_SECRET = process.env.ANONYMOUS_CHALLENGE_SECRET || process.env.JWT_SECRET;
+
+// Leading zero bits the proof-of-work hash needs; each extra bit doubles the work
+const CHALLENGE_DIFFICULTY = parseInt(process.env.ANONYMOUS_CHALLENGE_DIFFICULTY) || 20;
+const CHALLENGE_TTL_MINUTES = 10;
+const MAX_SOLUTION_LENGTH = 64;
+
+// Anonymous reports accepted per IP address in a rolling day
+const ANONYMOUS_DAILY_QUOTA = parseInt(process.env.ANONYMOUS_DAILY_QUOTA) || 5;
+
+class AnonymousSubmissionError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'AnonymousSubmissionError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Challenges already used on this instance, until they expire
+const spentChallenges = new Map();
+
+const pruneSpentChallenges = () => {
+  const now = Date.now();
+  spentChallenges.forEach((expiresAt, nonce) => {
+    if (expiresAt < now) spentChallenges.delete(nonce);
+  });
+};
+
+const sign = (payload) => {
+  return crypto.createHmac('sha256', CHALLENGE_SECRET).update(payload).digest('base64url');
+};
+
+/**
+ * IP addresses are only stored as a keyed hash
+ */
+const hashIp = (ip) => {
+  return crypto.createHmac('sha256', CHALLENGE_SECRET).update(String(ip)).digest('hex');
+};
+
+const leadingZeroBits = (buffer) => {
+  let bits = 0;
+  for (const byte of buffer) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+  return bits;
+};
+
+/**
+ * Issue a signed proof-of-work challenge bound to the client's IP. The
+ * client must find a `solution` for which sha256(`${challenge}:${solution}`)
+ * starts with `difficulty` zero bits.
+ * @returns {Object} - { challenge, difficulty, expiresAt }
+ */
+const issueChallenge = (ip) => {
+  const expiresAt = new Date(Date.now() + CHALLENGE_TTL_MINUTES * 60 * 1000);
+  const payload = Buffer.from(JSON.stringify({
+    n: crypto.randomBytes(16).toString('hex'),
+    d: CHALLENGE_DIFFICULTY,
+    e: expiresAt.getTime(),
+    ip: hashIp(ip)
+  })).toString('base64url');
+
+  return {
+    challenge: `${payload}.${sign(payload)}`,
+    difficulty: CHALLENGE_DIFFICULTY,
+    expiresAt
+  };
+};
+
+/**
+ * Check a solved challenge and mark it as used
+ * @throws {AnonymousSubmissionError} - If the challenge is invalid, expired, reused or unsolved
+ */
+const verifyChallenge = (challenge, solution, ip) => {
+  const [payload, signature] = String(challenge || '').split('.');
+  const expected = payload ? sign(payload) : '';
+
+  if (!signature || signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    throw new AnonymousSubmissionError('Invalid challenge');
+  }
+
+  if (!solution || String(solution).length > MAX_SOLUTION_LENGTH) {
+    throw new AnonymousSubmissionError('A challenge solution is required');
+  }
+
+  const { n: nonce, d: difficulty, e: expiresAt, ip: ipHash } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+
+  if (expiresAt < Date.now()) {
+    throw new AnonymousSubmissionError('Challenge has expired, request a new one');
+  }
+  if (ipHash !== hashIp(ip)) {
+    throw new AnonymousSubmissionError('Challenge was issued to a different client');
+  }
+
+  pruneSpentChallenges();
+  if (spentChallenges.has(nonce)) {
+    throw new AnonymousSubmissionError('Challenge has already been used');
+  }
+
+  const hash = crypto.createHash('sha256').update(`${challenge}:${solution}`).digest();
+  if (leadingZeroBits(hash) < difficulty) {
+    throw new AnonymousSubmissionError('Challenge solution is incorrect');
+  }
+
+  spentChallenges.set(nonce, expiresAt);
+};
+
+/**
+ * Throw when the IP address has used up its daily anonymous quota
+ */
+const assertWithinQuota = async (ipHash, options = {}) => {
+  const submitted = await Report.count({
+    where: {
+      source: 'anonymous',
+      submitterIpHash: ipHash,
+      createdAt: { [Op.gt]: new Date(Date.now() - 24 * 60 * 60 * 1000) }
+    },
+    transaction: options.transaction
+  });
+
+  if (submitted >= ANONYMOUS_DAILY_QUOTA) {
+    throw new AnonymousSubmissionError(
+      `Anonymous submissions are limited to ${ANONYMOUS_DAILY_QUOTA} per day; please register to submit more`,
+      429
+    );
+  }
+};
+
+/**
+ * Create an anonymous report if the IP address is still within its quota.
+ * Submissions from one address take a transaction-level advisory lock, so
+ * concurrent requests are counted one after the other.
+ * @param {String} ipHash - Hash of the submitter's IP address, from hashIp
+ * @param {Object} attributes - Report attributes
+ * @returns {Object} - The created report
+ * @throws {AnonymousSubmissionError} - 429 when the quota is used up
+ */
+const createWithinQuota = async (ipHash, attributes) => {
+  return sequelize.transaction(async (transaction) => {
+    await sequelize.query('SELECT pg_advisory_xact_lock(hashtext(:key))', {
+      replacements: { key: `anonymous-quota:${ipHash}` },
+      transaction
+    });
+
+    await assertWithinQuota(ipHash, { transaction });
+
+    return Report.create({
+      ...attributes,
+      submittedById: null,
+      source: 'anonymous',
+      submitterIpHash: ipHash
+    }, { transaction });
+  });
+};
+
+/**
+ * Create a claim token; only its hash is stored on the report
+ * @returns {Object} - { token, hash }
+ */
+const createClaimToken = () => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return { token, hash: hashClaimToken(token) };
+};
+
+const hashClaimToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Find an anonymous report by public ID if the claim token matches
+ */
+const findClaimedReport = async (publicId, token) => {
+  if (!token) return null;
+
+  // The default scope hides claimTokenHash
+  const report = await Report.unscoped().findOne({
+    where: { publicId, source: 'anonymous' }
+  });
+  if (!report || !report.claimTokenHash) return null;
+
+  const expected = Buffer.from(report.claimTokenHash);
+  const actual = Buffer.from(hashClaimToken(token));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  return report;
+};
+
+module.exports = {
+  CHALLENGE_DIFFICULTY,
+  ANONYMOUS_DAILY_QUOTA,
+  AnonymousSubmissionError,
+  hashIp,
+  issueChallenge,
+  verifyChallenge,
+  assertWithinQuota,
+  createWithinQuota,
+  createClaimToken,
+  findClaimedReport
+};
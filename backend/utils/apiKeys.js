@@ -0,0 +1,269 @@
+const crypto = require('crypto');
+const { sequelize } = require('../config/database');
+const ApiKey = require('../models/ApiKey');
+const ApiKeyUsage = require('../models/ApiKeyUsage');
+const logger = require('./logger');
+
+const { API_KEY_SCOPES } = ApiKey;
+
+// Keys look like aqs_<prefix>_<secret>; the prefix identifies the key
+const KEY_PATTERN = /^aqs_([0-9a-f]{12})_([A-Za-z0-9_-]{43})$/;
+
+// How long the previous secret keeps working after a rotation
+const ROTATION_GRACE_HOURS = parseInt(process.env.API_KEY_ROTATION_GRACE_HOURS) || 24;
+
+// Reports a key limited to public data may read, as GET /public/:publicId
+const PUBLIC_REPORT_WHERE = {
+  visibility: 'public',
+  status: ['verified', 'resolved']
+};
+
+// Role a key acts with for each scope, for the role checks routes already make
+const SCOPE_ROLES = {
+  'reports:read-public': 'citizen',
+  'reports:read': 'analyst',
+  'reports:submit': 'citizen',
+  'analytics:read': 'analyst'
+};
+
+class ApiKeyError extends Error {
+  constructor(message, statusCode = 401, retryAfter = null) {
+    super(message);
+    this.name = 'ApiKeyError';
+    this.statusCode = statusCode;
+    this.retryAfter = retryAfter;
+  }
+}
+
+const hashKey = (key) => {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+const generateSecret = () => crypto.randomBytes(32).toString('base64url');
+
+// Requests per key in the current minute, on this instance
+const minuteWindows = new Map();
+
+const pruneMinuteWindows = (currentMinute) => {
+  minuteWindows.forEach((window, id) => {
+    if (window.minute < currentMinute) minuteWindows.delete(id);
+  });
+};
+
+/**
+ * Issue a new API key
+ * @param {Object} attributes - { name, organizationName, scopes, rateLimitPerMinute, dailyQuota, expiresAt }
+ * @param {Object} actor - Admin issuing the key
+ * @returns {Object} - { apiKey, key } where key is the only copy of the secret
+ */
+const createApiKey = async (attributes, actor) => {
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const key = `aqs_${prefix}_${generateSecret()}`;
+
+  const apiKey = await ApiKey.create({
+    name: attributes.name,
+    organizationName: attributes.organizationName,
+    scopes: attributes.scopes,
+    rateLimitPerMinute: attributes.rateLimitPerMinute,
+    dailyQuota: attributes.dailyQuota,
+    expiresAt: attributes.expiresAt || null,
+    keyPrefix: prefix,
+    keyHash: hashKey(key),
+    createdById: actor.id
+  });
+
+  logger.logSecurity('api_key_created', {
+    apiKeyId: apiKey.id,
+    organizationName: apiKey.organizationName,
+    scopes: apiKey.scopes,
+    actorId: actor.id
+  });
+
+  return { apiKey: await ApiKey.findByPk(apiKey.id), key };
+};
+
+/**
+ * Replace a key's secret. The previous secret keeps working for the grace
+ * period so partners can deploy the new one without downtime.
+ * @param {Object} apiKey
+ * @param {Object} options - { gracePeriodHours, actor }
+ * @returns {Object} - { apiKey, key }
+ */
+const rotateApiKey = async (apiKey, { gracePeriodHours = ROTATION_GRACE_HOURS, actor }) => {
+  if (apiKey.status === 'revoked') {
+    throw new ApiKeyError('Revoked keys cannot be rotated', 409);
+  }
+
+  const key = `aqs_${apiKey.keyPrefix}_${generateSecret()}`;
+  const now = new Date();
+
+  await sequelize.transaction(async (transaction) => {
+    const current = await ApiKey.unscoped().findByPk(apiKey.id, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    await current.update({
+      keyHash: hashKey(key),
+      previousKeyHash: gracePeriodHours > 0 ? current.keyHash : null,
+      previousKeyExpiresAt: gracePeriodHours > 0
+        ? new Date(now.getTime() + gracePeriodHours * 60 * 60 * 1000)
+        : null,
+      lastRotatedAt: now
+    }, { transaction });
+  });
+
+  logger.logSecurity('api_key_rotated', {
+    apiKeyId: apiKey.id,
+    gracePeriodHours,
+    actorId: actor.id
+  });
+
+  return { apiKey: await ApiKey.findByPk(apiKey.id), key };
+};
+
+/**
+ * Revoke a key. Revocation is immediate and also ends any rotation grace period.
+ */
+const revokeApiKey = async (apiKey, { reason, actor }) => {
+  if (apiKey.status === 'revoked') {
+    throw new ApiKeyError('API key is already revoked', 409);
+  }
+
+  await apiKey.update({
+    status: 'revoked',
+    revokedAt: new Date(),
+    revokedById: actor.id,
+    revocationReason: reason || null,
+    previousKeyHash: null,
+    previousKeyExpiresAt: null
+  });
+
+  logger.logSecurity('api_key_revoked', {
+    apiKeyId: apiKey.id,
+    reason,
+    actorId: actor.id
+  });
+
+  return apiKey;
+};
+
+const matchesHash = (hash, storedHash) => {
+  return Boolean(storedHash) &&
+    crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(storedHash));
+};
+
+/**
+ * Look up the key a request was made with
+ * @param {string} key - Key as sent by the client
+ * @returns {Object} - The active API key
+ * @throws {ApiKeyError} - 401 if the key is unknown, revoked or expired
+ */
+const authenticateApiKey = async (key) => {
+  const match = KEY_PATTERN.exec(key || '');
+  if (!match) {
+    throw new ApiKeyError('Invalid API key');
+  }
+
+  const apiKey = await ApiKey.unscoped().findOne({ where: { keyPrefix: match[1] } });
+  const hash = hashKey(key);
+  const previousValid = apiKey && apiKey.previousKeyExpiresAt &&
+    new Date(apiKey.previousKeyExpiresAt) > new Date();
+
+  if (!apiKey || !(matchesHash(hash, apiKey.keyHash) || (previousValid && matchesHash(hash, apiKey.previousKeyHash)))) {
+    logger.logSecurity('api_key_rejected', { keyPrefix: match[1], reason: 'unknown' });
+    throw new ApiKeyError('Invalid API key');
+  }
+
+  if (!apiKey.isActive()) {
+    logger.logSecurity('api_key_rejected', { apiKeyId: apiKey.id, reason: apiKey.status === 'revoked' ? 'revoked' : 'expired' });
+    throw new ApiKeyError(apiKey.status === 'revoked' ? 'API key has been revoked' : 'API key has expired');
+  }
+
+  return apiKey;
+};
+
+/**
+ * Apply a key's per-minute rate limit and daily quota, and count the request
+ * @returns {Object} - Rate limit headers to send with the response
+ * @throws {ApiKeyError} - 429 when either limit is exceeded
+ */
+const consumeApiKeyQuota = async (apiKey) => {
+  const now = Date.now();
+  const minute = Math.floor(now / 60000);
+
+  if (minuteWindows.size > 10000) {
+    pruneMinuteWindows(minute);
+  }
+
+  const window = minuteWindows.get(apiKey.id);
+  const current = window && window.minute === minute ? window : { minute, count: 0 };
+
+  if (current.count >= apiKey.rateLimitPerMinute) {
+    await ApiKeyUsage.recordRejected(apiKey.id);
+    throw new ApiKeyError('API key rate limit exceeded', 429, Math.ceil(((minute + 1) * 60000 - now) / 1000));
+  }
+
+  current.count += 1;
+  minuteWindows.set(apiKey.id, current);
+
+  const { accepted, used } = await ApiKeyUsage.consume(apiKey.id, apiKey.dailyQuota);
+  if (!accepted) {
+    const endOfDay = new Date(now);
+    endOfDay.setUTCHours(24, 0, 0, 0);
+    throw new ApiKeyError('API key daily quota exceeded', 429, Math.ceil((endOfDay.getTime() - now) / 1000));
+  }
+
+  ApiKey.update({
+    usageCount: sequelize.literal('usage_count + 1'),
+    lastUsedAt: new Date()
+  }, { where: { id: apiKey.id } })
+    .catch(error => logger.error('API key usage update error:', error));
+
+  return {
+    'X-RateLimit-Limit': apiKey.rateLimitPerMinute,
+    'X-RateLimit-Remaining': apiKey.rateLimitPerMinute - current.count,
+    'X-Quota-Limit': apiKey.dailyQuota,
+    'X-Quota-Remaining': Math.max(apiKey.dailyQuota - used, 0)
+  };
+};
+
+/**
+ * The user a key acts as: an organization-level principal that routes can
+ * treat like a logged-in user with the role its scope maps to
+ * @param {Object} apiKey
+ * @param {string} scope - Scope the request was accepted under
+ */
+const toPrincipal = (apiKey, scope) => {
+  return {
+    id: apiKey.id,
+    role: SCOPE_ROLES[scope],
+    firstName: apiKey.name,
+    lastName: '',
+    organizationName: apiKey.organizationName,
+    apiKeyScope: scope,
+    getFullName: () => `${apiKey.name} (${apiKey.organizationName})`,
+    isActive: () => true,
+    canVerifyReports: () => false,
+    canManageUsers: () => false,
+    canAccessAnalytics: () => SCOPE_ROLES[scope] === 'analyst'
+  };
+};
+
+/**
+ * Whether the request was made with a key that may only read public reports
+ */
+const isPublicOnly = (user) => user.apiKeyScope === 'reports:read-public';
+
+module.exports = {
+  API_KEY_SCOPES,
+  PUBLIC_REPORT_WHERE,
+  ApiKeyError,
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey,
+  authenticateApiKey,
+  consumeApiKeyQuota,
+  toPrincipal,
+  isPublicOnly
+};
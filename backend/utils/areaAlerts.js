@@ -0,0 +1,248 @@
+const { Op } = require('sequelize');
+const AlertArea = require('../models/AlertArea');
+const AreaAlert = require('../models/AreaAlert');
+const Report = require('../models/Report');
+const User = require('../models/User');
+const { sendAreaAlertEmail } = require('./emailService');
+const { sendAreaAlertSms } = require('./smsService');
+const { registerJob } = require('./scheduler');
+const logger = require('./logger');
+
+// Deferred alerts looked at per run, so one run cannot hold the lock for long
+const BATCH_SIZE = parseInt(process.env.AREA_ALERT_BATCH_SIZE) || 500;
+
+// "HH:MM", 24-hour clock
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Minutes since midnight in the user's timezone, UTC if it is not valid
+const localMinutes = (date, timeZone) => {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone: timeZone || 'UTC',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+  } catch (error) {
+    return date.getUTCHours() * 60 + date.getUTCMinutes();
+  }
+
+  const value = (type) => Number(parts.find(part => part.type === type).value);
+  return value('hour') * 60 + value('minute');
+};
+
+/**
+ * Whether it is within the quiet hours in the user's preferences,
+ * e.g. { quietHours: { start: '22:00', end: '07:00' }, timezone: 'Asia/Kolkata' }
+ */
+const isQuietTime = (preferences, now = new Date()) => {
+  const quietHours = preferences && preferences.quietHours;
+  if (!quietHours || !TIME_OF_DAY_PATTERN.test(quietHours.start) || !TIME_OF_DAY_PATTERN.test(quietHours.end)) {
+    return false;
+  }
+
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  const current = localMinutes(now, preferences.timezone);
+
+  if (start === end) return false;
+  return start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+};
+
+/**
+ * Channels the user has turned on and can be reached on
+ */
+const channelsFor = (user) => {
+  const preferences = user.preferences || {};
+  const channels = [];
+
+  if (preferences.emailNotifications) channels.push('email');
+  if (preferences.smsNotifications && user.phoneNumber) channels.push('sms');
+
+  return channels;
+};
+
+/**
+ * Send an alert on the user's channels and record the outcome
+ */
+const deliverAreaAlert = async (alert, user, report) => {
+  const channels = channelsFor(user);
+  if (channels.length === 0) {
+    return alert.update({ status: 'skipped', reason: 'No notification channels enabled' });
+  }
+
+  const details = {
+    publicId: report.publicId,
+    hazardType: report.hazardType,
+    severity: report.severity,
+    address: report.address,
+    location: report.location
+  };
+
+  const delivered = [];
+  if (channels.includes('email') &&
+    await sendAreaAlertEmail(user.email, user.getFullName(), alert.areaName, details)) {
+    delivered.push('email');
+  }
+  if (channels.includes('sms') && await sendAreaAlertSms(user.phoneNumber, alert.areaName, details)) {
+    delivered.push('sms');
+  }
+
+  return alert.update(delivered.length > 0
+    ? { status: 'sent', channels: delivered, sentAt: new Date(), reason: null }
+    : { status: 'failed', reason: `Could not be sent by ${channels.join(' or ')}` });
+};
+
+/**
+ * Alert the owners of alert areas a newly verified report falls in. Each
+ * user hears about a report once, whichever of their areas it matches;
+ * during their quiet hours the alert waits unless the report is critical.
+ * Users are not told about reports they cannot view or submitted themselves.
+ * @param {Object} report - Report instance, verified
+ * @returns {Number} - Number of users alerted or with an alert waiting
+ */
+const notifyAlertAreas = async (report) => {
+  if (report.status !== 'verified') return 0;
+
+  const lat = parseFloat(report.location.lat);
+  const lng = parseFloat(report.location.lng);
+
+  const areas = (await AlertArea.findCandidates(lat, lng)).filter(area => area.matchesReport(report));
+  if (areas.length === 0) return 0;
+
+  await AlertArea.update({ lastTriggeredAt: new Date() }, { where: { id: areas.map(area => area.id) } });
+
+  const areaByUser = new Map();
+  areas.forEach(area => {
+    if (!areaByUser.has(area.userId)) areaByUser.set(area.userId, area);
+  });
+
+  const users = await User.findAll({
+    where: { id: [...areaByUser.keys()], status: 'active' }
+  });
+
+  let notified = 0;
+
+  for (const user of users) {
+    if (user.id === report.submittedById || !report.canBeViewedBy(user)) continue;
+
+    const area = areaByUser.get(user.id);
+    const quiet = isQuietTime(user.preferences) && !report.isCritical();
+
+    try {
+      const [alert, created] = await AreaAlert.findOrCreate({
+        where: { userId: user.id, reportId: report.id },
+        defaults: {
+          alertAreaId: area.id,
+          areaName: area.name,
+          // Only deferred alerts are picked up by the job, so an alert
+          // being sent now can never be sent twice
+          status: quiet ? 'deferred' : 'queued',
+          reason: quiet ? 'Quiet hours' : null
+        }
+      });
+      if (!created) continue;
+
+      if (!quiet) {
+        await deliverAreaAlert(alert, user, report);
+      }
+      notified += 1;
+    } catch (error) {
+      logger.error(`Failed to alert user ${user.id} of report ${report.publicId} in area ${area.id}:`, error);
+    }
+  }
+
+  return notified;
+};
+
+/**
+ * Send alerts held back by quiet hours once those are over, or straight
+ * away if the report has become critical in the meantime
+ */
+const sendDeferredAreaAlerts = async ({ dryRun }) => {
+  // Least recently checked first, so alerts still waiting do not hold up others
+  const alerts = await AreaAlert.findAll({
+    where: { status: 'deferred' },
+    include: [
+      { model: User, as: 'user' },
+      { model: Report, as: 'report' }
+    ],
+    order: [['updatedAt', 'ASC']],
+    limit: BATCH_SIZE
+  });
+
+  const result = { alerts: alerts.length, sent: 0, skipped: 0, failed: 0, waiting: 0 };
+  const waitingIds = [];
+
+  for (const alert of alerts) {
+    const { user, report } = alert;
+
+    try {
+      let skipReason = null;
+      if (!report || !user) {
+        skipReason = 'Report or user no longer exists';
+      } else if (report.status !== 'verified') {
+        skipReason = `Report ${report.status} before quiet hours ended`;
+      } else if (user.status !== 'active') {
+        skipReason = 'User not active';
+      }
+
+      if (skipReason) {
+        if (!dryRun) {
+          await alert.update({ status: 'skipped', reason: skipReason });
+        }
+        result.skipped += 1;
+        continue;
+      }
+
+      if (isQuietTime(user.preferences) && !report.isCritical()) {
+        waitingIds.push(alert.id);
+        result.waiting += 1;
+        continue;
+      }
+
+      if (dryRun) {
+        result.sent += 1;
+        continue;
+      }
+
+      await deliverAreaAlert(alert, user, report);
+      result[alert.status] += 1;
+    } catch (error) {
+      logger.error(`Failed to send deferred area alert ${alert.id}:`, error);
+      result.failed += 1;
+    }
+  }
+
+  // Touching updatedAt moves waiting alerts to the back of the queue
+  if (!dryRun && waitingIds.length > 0) {
+    await AreaAlert.update({ reason: 'Quiet hours' }, { where: { id: { [Op.in]: waitingIds } } });
+  }
+
+  return result;
+};
+
+const registerAreaAlertJobs = () => {
+  registerJob('send-deferred-area-alerts', {
+    description: 'Send alert area notifications held back by quiet hours',
+    schedule: process.env.DEFERRED_AREA_ALERTS_SCHEDULE || '*/5 * * * *',
+    handler: sendDeferredAreaAlerts
+  });
+};
+
+module.exports = {
+  TIME_OF_DAY_PATTERN,
+  isQuietTime,
+  channelsFor,
+  notifyAlertAreas,
+  sendDeferredAreaAlerts,
+  registerAreaAlertJobs
+};
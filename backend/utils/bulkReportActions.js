@@ -0,0 +1,196 @@
+const { sequelize } = require('../config/database');
+const Report = require('../models/Report');
+const ReportEvent = require('../models/ReportEvent');
+const Incident = require('../models/Incident');
+const { transitionReport, runTransitionEffects } = require('./reportLifecycle');
+const logger = require('./logger');
+
+const BULK_ACTIONS = ['verify', 'reject', 'under_review', 'attach_incident'];
+
+// Reports whose notifications and trust score updates run at the same time
+const EFFECTS_CONCURRENCY = parseInt(process.env.BULK_EFFECTS_CONCURRENCY) || 5;
+
+class BulkItemError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BulkItemError';
+  }
+}
+
+/**
+ * Apply one bulk action to a single report
+ * @returns {Object|null} - The lifecycle transition, if the status changed
+ */
+const applyAction = async (report, action, options, transaction) => {
+  const { actor, verificationLevel, reason, incident } = options;
+
+  // Quick verify/reject keep the rule that only pending reports qualify
+  if (['verify', 'reject'].includes(action) && report.status !== 'pending') {
+    throw new BulkItemError('Report is not pending verification');
+  }
+
+  if (action === 'attach_incident') {
+    const changes = { incidentId: { from: report.incidentId || null, to: incident.id } };
+    await incident.attachReports([report.id], { transaction });
+    await ReportEvent.record(report, {
+      actorId: actor.id,
+      action: 'updated',
+      changes,
+      metadata: { bulk: true },
+      transaction
+    });
+    return null;
+  }
+
+  const targetStatus = {
+    verify: 'verified',
+    reject: 'rejected',
+    under_review: 'under_review'
+  }[action];
+
+  const transition = transitionReport(report, targetStatus, { actor, reason, verificationLevel });
+
+  const changes = ReportEvent.captureChanges(report);
+  await report.save({ transaction });
+
+  await ReportEvent.record(report, {
+    actorId: actor.id,
+    action: ['verified', 'rejected'].includes(targetStatus) ? targetStatus : 'status_changed',
+    changes,
+    reason: action === 'reject' ? reason : null,
+    metadata: { bulk: true },
+    transaction
+  });
+
+  return transition;
+};
+
+/**
+ * Run the lifecycle effects of committed transitions, a few at a time.
+ * Not awaited by the request, so a large batch does not hold it open.
+ */
+const runEffectsInBackground = (transitions) => {
+  const queue = [...transitions];
+
+  const worker = async () => {
+    while (queue.length > 0) {
+      const { report, transition } = queue.shift();
+      try {
+        await runTransitionEffects(report, transition);
+      } catch (error) {
+        logger.error(`Bulk action effects failed for report ${report.publicId}:`, error);
+      }
+    }
+  };
+
+  return Promise.all(Array.from({ length: Math.min(EFFECTS_CONCURRENCY, queue.length) }, worker));
+};
+
+/**
+ * Run a bulk action over a list of report IDs.
+ * In atomic mode every item is applied in one transaction and any failure
+ * rolls back the whole batch; otherwise each item is applied in its own
+ * transaction and succeeds or fails alone.
+ * @param {Array} ids - Report IDs
+ * @param {String} action - One of BULK_ACTIONS
+ * @param {Object} options - { actor, verificationLevel, reason, incidentId, atomic }
+ * @returns {Object} - { applied, results: [{ id, publicId, success, status, error }] }
+ */
+const runBulkAction = async (ids, action, options = {}) => {
+  const { atomic = false, incidentId } = options;
+  const uniqueIds = [...new Set(ids)];
+
+  let incident = null;
+  if (action === 'attach_incident') {
+    incident = await Incident.findByPk(incidentId);
+    if (!incident || incident.isMerged()) {
+      throw new BulkItemError('Incident not found');
+    }
+  }
+
+  const actionOptions = { ...options, incident };
+  const results = [];
+  const transitions = [];
+
+  const processItem = async (id, transaction) => {
+    const report = await Report.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!report) {
+      throw new BulkItemError('Report not found');
+    }
+
+    const transition = await applyAction(report, action, actionOptions, transaction);
+    return { report, transition };
+  };
+
+  if (atomic) {
+    let failed = false;
+
+    try {
+      const applied = await sequelize.transaction(async (transaction) => {
+        const items = [];
+        for (const id of uniqueIds) {
+          try {
+            const item = await processItem(id, transaction);
+            items.push(item);
+            results.push({ id, publicId: item.report.publicId, success: true, status: item.report.status });
+          } catch (error) {
+            results.push({ id, success: false, error: itemErrorMessage(error) });
+            failed = true;
+          }
+        }
+
+        if (failed) {
+          throw new BulkItemError('Bulk action rolled back');
+        }
+        return items;
+      });
+      transitions.push(...applied.filter(item => item.transition));
+    } catch (error) {
+      if (!failed) throw error;
+
+      results.forEach(result => {
+        if (result.success) {
+          result.success = false;
+          result.error = 'Rolled back because another item failed';
+        }
+      });
+    }
+  } else {
+    for (const id of uniqueIds) {
+      try {
+        const item = await sequelize.transaction(transaction => processItem(id, transaction));
+        if (item.transition) {
+          transitions.push(item);
+        }
+        results.push({ id, publicId: item.report.publicId, success: true, status: item.report.status });
+      } catch (error) {
+        results.push({ id, success: false, error: itemErrorMessage(error) });
+      }
+    }
+  }
+
+  // Notifications only go out for changes that were committed
+  runEffectsInBackground(transitions);
+
+  return {
+    applied: results.filter(result => result.success).length,
+    results
+  };
+};
+
+// Only expose messages of expected errors to the client
+const itemErrorMessage = (error) => {
+  if (['BulkItemError', 'ReportTransitionError'].includes(error.name)) {
+    return error.message;
+  }
+
+  logger.error('Bulk action item error:', error);
+  return 'Server error';
+};
+
+module.exports = {
+  BULK_ACTIONS,
+  EFFECTS_CONCURRENCY,
+  BulkItemError,
+  runBulkAction
+};
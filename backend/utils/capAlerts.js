@@ -0,0 +1,534 @@
+const crypto = require('crypto');
+const { sequelize } = require('../config/database');
+const Report = require('../models/Report');
+const Incident = require('../models/Incident');
+const CapAlert = require('../models/CapAlert');
+const { escapeXml, xmlElement } = require('./xml');
+const { CAP_NAMESPACE, MAX_HEADLINE_LENGTH, validateCapXml } = require('./capValidator');
+const logger = require('./logger');
+
+const CAP_SENDER = process.env.CAP_SENDER || 'aquasentra';
+const CAP_SENDER_NAME = process.env.CAP_SENDER_NAME || 'Aquasentra Ocean Hazard Reporting';
+
+// 'Actual' in production; 'Exercise' or 'Test' for drills and staging
+const CAP_STATUS = process.env.CAP_STATUS || 'Actual';
+
+// One <info> block per language, in this order
+const CAP_LANGUAGES = (process.env.CAP_LANGUAGES || 'en-IN,hi-IN,ta-IN,ml-IN')
+  .split(',')
+  .map(language => language.trim())
+  .filter(Boolean);
+
+const CAP_EXPIRY_HOURS = parseInt(process.env.CAP_EXPIRY_HOURS) || 24;
+
+// Circle radius for a report without an affected area
+const DEFAULT_RADIUS_KM = parseFloat(process.env.CAP_DEFAULT_RADIUS_KM) || 5;
+
+// Distance incident polygons are pushed out from their reports, so the
+// reports themselves are inside the area rather than on its edge
+const AREA_BUFFER_KM = 2;
+
+const CAP_SEVERITY = {
+  low: 'Minor',
+  medium: 'Moderate',
+  high: 'Severe',
+  critical: 'Extreme'
+};
+
+const CAP_URGENCY = {
+  routine: 'Future',
+  urgent: 'Expected',
+  immediate: 'Immediate',
+  emergency: 'Immediate'
+};
+
+const CAP_CERTAINTY = {
+  official_verified: 'Observed',
+  expert_verified: 'Observed',
+  community_verified: 'Likely',
+  unverified: 'Possible'
+};
+
+// CAP category, recommended response and event name by hazard type
+const HAZARD_EVENTS = {
+  flood: {
+    category: 'Met',
+    responseType: 'Prepare',
+    event: { en: 'Coastal flood', hi: 'तटीय बाढ़', ta: 'கடலோர வெள்ளம்', ml: 'തീരദേശ വെള്ളപ്പൊക്കം' }
+  },
+  'high-waves': {
+    category: 'Met',
+    responseType: 'Avoid',
+    event: { en: 'High waves', hi: 'ऊँची लहरें', ta: 'உயர் அலைகள்', ml: 'ഉയർന്ന തിരമാലകൾ' }
+  },
+  'coastal-erosion': {
+    category: 'Geo',
+    responseType: 'Avoid',
+    event: { en: 'Coastal erosion', hi: 'तटीय कटाव', ta: 'கடலரிப்பு', ml: 'തീരശോഷണം' }
+  },
+  'storm-surge': {
+    category: 'Met',
+    responseType: 'Evacuate',
+    event: { en: 'Storm surge', hi: 'तूफ़ानी लहर', ta: 'புயல் அலை எழுச்சி', ml: 'കൊടുങ്കാറ്റ് തിരമാല' }
+  },
+  tsunami: {
+    category: 'Geo',
+    responseType: 'Evacuate',
+    event: { en: 'Tsunami', hi: 'सुनामी', ta: 'சுனாமி', ml: 'സുനാമി' }
+  },
+  'oil-spill': {
+    category: 'Env',
+    responseType: 'Avoid',
+    event: { en: 'Oil spill', hi: 'तेल रिसाव', ta: 'எண்ணெய் கசிவு', ml: 'എണ്ണ ചോർച്ച' }
+  },
+  'marine-debris': {
+    category: 'Env',
+    responseType: 'Avoid',
+    event: { en: 'Marine debris', hi: 'समुद्री मलबा', ta: 'கடல் குப்பைகள்', ml: 'സമുദ്ര മാലിന്യം' }
+  },
+  'red-tide': {
+    category: 'Health',
+    responseType: 'Avoid',
+    event: { en: 'Red tide', hi: 'लाल ज्वार', ta: 'சிவப்பு அலை', ml: 'ചുവന്ന വേലിയേറ്റം' }
+  },
+  'infrastructure-damage': {
+    category: 'Infra',
+    responseType: 'Avoid',
+    event: {
+      en: 'Coastal infrastructure damage',
+      hi: 'तटीय ढांचे को नुकसान',
+      ta: 'கடலோர கட்டமைப்பு சேதம்',
+      ml: 'തീരദേശ അടിസ്ഥാനസൗകര്യ നാശം'
+    }
+  },
+  other: {
+    category: 'Other',
+    responseType: 'Monitor',
+    event: { en: 'Coastal hazard', hi: 'तटीय खतरा', ta: 'கடலோர அபாயம்', ml: 'തീരദേശ അപകടം' }
+  }
+};
+
+// Text for the <info> blocks, by primary language subtag. Languages
+// without an entry fall back to English.
+const INFO_TEXT = {
+  en: {
+    headline: (event, area) => `${event} warning for ${area}`,
+    cancelledHeadline: (event, area) => `${event} warning for ${area} cancelled`,
+    instruction: 'Stay away from the affected coast and follow instructions from local authorities.',
+    allClear: 'The earlier warning has been cancelled. Follow any further instructions from local authorities.'
+  },
+  hi: {
+    headline: (event, area) => `${area} के लिए ${event} की चेतावनी`,
+    cancelledHeadline: (event, area) => `${area} के लिए ${event} की चेतावनी रद्द`,
+    instruction: 'प्रभावित तट से दूर रहें और स्थानीय अधिकारियों के निर्देशों का पालन करें।',
+    allClear: 'पहले जारी की गई चेतावनी रद्द कर दी गई है। स्थानीय अधिकारियों के आगे के निर्देशों का पालन करें।'
+  },
+  ta: {
+    headline: (event, area) => `${area} பகுதிக்கு ${event} எச்சரிக்கை`,
+    cancelledHeadline: (event, area) => `${area} பகுதிக்கான ${event} எச்சரிக்கை திரும்பப் பெறப்பட்டது`,
+    instruction: 'பாதிக்கப்பட்ட கடற்கரையிலிருந்து விலகி இருங்கள், உள்ளூர் அதிகாரிகளின் அறிவுறுத்தல்களைப் பின்பற்றுங்கள்.',
+    allClear: 'முந்தைய எச்சரிக்கை திரும்பப் பெறப்பட்டது. உள்ளூர் அதிகாரிகளின் மேலதிக அறிவுறுத்தல்களைப் பின்பற்றுங்கள்.'
+  },
+  ml: {
+    headline: (event, area) => `${area} മേഖലയ്ക്ക് ${event} മുന്നറിയിപ്പ്`,
+    cancelledHeadline: (event, area) => `${area} മേഖലയ്ക്കുള്ള ${event} മുന്നറിയിപ്പ് പിൻവലിച്ചു`,
+    instruction: 'ബാധിത തീരത്ത് നിന്ന് അകന്നു നിൽക്കുക, പ്രാദേശിക അധികാരികളുടെ നിർദ്ദേശങ്ങൾ പാലിക്കുക.',
+    allClear: 'മുമ്പത്തെ മുന്നറിയിപ്പ് പിൻവലിച്ചു. പ്രാദേശിക അധികാരികളുടെ തുടർ നിർദ്ദേശങ്ങൾ പാലിക്കുക.'
+  }
+};
+
+const SEVERITY_ORDER = ['low', 'medium', 'high', 'critical'];
+const URGENCY_ORDER = ['Future', 'Expected', 'Immediate'];
+
+class CapAlertError extends Error {
+  constructor(message, statusCode = 409) {
+    super(message);
+    this.name = 'CapAlertError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * CAP date-time: seconds precision with an explicit UTC offset
+ */
+const capDateTime = (date) => {
+  return new Date(date).toISOString().replace(/\.\d{3}Z$/, '+00:00');
+};
+
+const capReference = (alert) => `${CAP_SENDER},${alert.identifier},${capDateTime(alert.sentAt)}`;
+
+const primaryLanguage = (language) => language.split('-')[0].toLowerCase();
+
+const textFor = (language) => INFO_TEXT[primaryLanguage(language)] || INFO_TEXT.en;
+
+const eventFor = (hazardType, language) => {
+  const { event } = HAZARD_EVENTS[hazardType] || HAZARD_EVENTS.other;
+  return event[primaryLanguage(language)] || event.en;
+};
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+// Point `distanceKm` away from `from` in the direction of `to`
+const pushAway = (from, to, distanceKm) => {
+  const kmPerDegreeLat = 111.32;
+  const kmPerDegreeLng = 111.32 * Math.cos(from.lat * Math.PI / 180);
+  const dy = (to.lat - from.lat) * kmPerDegreeLat;
+  const dx = (to.lng - from.lng) * kmPerDegreeLng;
+  const length = Math.sqrt(dx * dx + dy * dy) || 1;
+
+  return {
+    lat: to.lat + (dy / length) * distanceKm / kmPerDegreeLat,
+    lng: to.lng + (dx / length) * distanceKm / kmPerDegreeLng
+  };
+};
+
+/**
+ * Convex hull of points (monotone chain), counter-clockwise
+ */
+const convexHull = (points) => {
+  const sorted = [...points].sort((a, b) => a.lng - b.lng || a.lat - b.lat);
+  const cross = (o, a, b) => (a.lng - o.lng) * (b.lat - o.lat) - (a.lat - o.lat) * (b.lng - o.lng);
+
+  const build = (list) => list.reduce((hull, point) => {
+    while (hull.length >= 2 && cross(hull[hull.length - 2], hull[hull.length - 1], point) <= 0) {
+      hull.pop();
+    }
+    hull.push(point);
+    return hull;
+  }, []);
+
+  const lower = build(sorted);
+  const upper = build([...sorted].reverse());
+  return [...lower.slice(0, -1), ...upper.slice(0, -1)];
+};
+
+const formatPoint = ({ lat, lng }) => `${lat.toFixed(5)},${lng.toFixed(5)}`;
+
+const formatCircle = (center, radiusKm) => `${formatPoint(center)} ${Math.round(radiusKm * 100) / 100}`;
+
+/**
+ * CAP area for an incident: a buffered convex hull of its reports when
+ * they span an area, otherwise a circle around them
+ */
+const incidentArea = (incident, reports) => {
+  const points = reports.map(report => ({
+    lat: parseFloat(report.location.lat),
+    lng: parseFloat(report.location.lng)
+  }));
+  const hull = convexHull(points);
+  const centroid = {
+    lat: points.reduce((sum, p) => sum + p.lat, 0) / points.length,
+    lng: points.reduce((sum, p) => sum + p.lng, 0) / points.length
+  };
+
+  if (hull.length >= 3) {
+    const ring = hull.map(point => pushAway(centroid, point, AREA_BUFFER_KM));
+    return {
+      areaDesc: incident.title,
+      polygons: [[...ring, ring[0]].map(formatPoint).join(' ')],
+      circles: []
+    };
+  }
+
+  const radiusKm = Math.max(...reports.map(report => report.getDistanceFromPoint(centroid.lat, centroid.lng)));
+  return {
+    areaDesc: incident.title,
+    polygons: [],
+    circles: [formatCircle(centroid, Math.max(radiusKm + AREA_BUFFER_KM, DEFAULT_RADIUS_KM))]
+  };
+};
+
+/**
+ * CAP area for a report: a circle sized from its affected area (km²)
+ */
+const reportArea = (report) => {
+  const center = { lat: parseFloat(report.location.lat), lng: parseFloat(report.location.lng) };
+  const affectedArea = parseFloat(report.affectedArea);
+  const radiusKm = affectedArea > 0 ? Math.max(Math.sqrt(affectedArea / Math.PI), 1) : DEFAULT_RADIUS_KM;
+
+  return {
+    areaDesc: report.address || `Within ${radiusKm.toFixed(1)} km of ${center.lat.toFixed(3)}, ${center.lng.toFixed(3)}`,
+    polygons: [],
+    circles: [formatCircle(center, radiusKm)]
+  };
+};
+
+/**
+ * What an alert says about a report
+ */
+const reportAlertContent = (report) => {
+  return {
+    source: { reportId: report.id },
+    hazardType: report.hazardType,
+    severity: CAP_SEVERITY[report.severity],
+    urgency: CAP_URGENCY[report.urgency] || 'Expected',
+    certainty: CAP_CERTAINTY[report.verificationLevel] || 'Likely',
+    onset: report.capturedAt || report.createdAt,
+    // Only public reports have their submitted text broadcast
+    description: report.visibility === 'public' ? report.description : null,
+    web: process.env.FRONTEND_URL ? `${process.env.FRONTEND_URL}/reports/${report.publicId}` : null,
+    parameters: { reportId: report.publicId },
+    area: reportArea(report)
+  };
+};
+
+/**
+ * What an alert says about an incident, from its reports
+ */
+const incidentAlertContent = (incident, reports) => {
+  const severity = reports.reduce((highest, report) => {
+    return SEVERITY_ORDER.indexOf(report.severity) > SEVERITY_ORDER.indexOf(highest) ? report.severity : highest;
+  }, 'low');
+  const urgency = reports.reduce((highest, report) => {
+    const value = CAP_URGENCY[report.urgency] || 'Expected';
+    return URGENCY_ORDER.indexOf(value) > URGENCY_ORDER.indexOf(highest) ? value : highest;
+  }, 'Future');
+
+  return {
+    source: { incidentId: incident.id },
+    hazardType: incident.hazardType,
+    severity: CAP_SEVERITY[severity],
+    urgency,
+    certainty: 'Observed',
+    onset: incident.startedAt || incident.createdAt,
+    description: incident.description || null,
+    web: process.env.FRONTEND_URL ? `${process.env.FRONTEND_URL}/incidents/${incident.publicId}` : null,
+    parameters: { incidentId: incident.publicId, reportCount: String(reports.length) },
+    area: incidentArea(incident, reports)
+  };
+};
+
+const renderArea = (area) => {
+  return '<area>' +
+    xmlElement('areaDesc', area.areaDesc) +
+    area.polygons.map(polygon => xmlElement('polygon', polygon)).join('') +
+    area.circles.map(circle => xmlElement('circle', circle)).join('') +
+    '</area>';
+};
+
+const renderValuePair = (name, valueName, value) => {
+  return `<${name}>${xmlElement('valueName', valueName)}${xmlElement('value', value)}</${name}>`;
+};
+
+const renderInfo = (content, language, { cancelled, sentAt, expiresAt }) => {
+  const text = textFor(language);
+  const { category, responseType } = HAZARD_EVENTS[content.hazardType] || HAZARD_EVENTS.other;
+  const event = eventFor(content.hazardType, language);
+  const headline = (cancelled ? text.cancelledHeadline : text.headline)(event, content.area.areaDesc);
+
+  return '<info>' +
+    xmlElement('language', language) +
+    xmlElement('category', category) +
+    xmlElement('event', event) +
+    xmlElement('responseType', cancelled ? 'AllClear' : responseType) +
+    xmlElement('urgency', cancelled ? 'Past' : content.urgency) +
+    xmlElement('severity', content.severity) +
+    xmlElement('certainty', content.certainty) +
+    renderValuePair('eventCode', 'hazardType', content.hazardType) +
+    xmlElement('effective', capDateTime(sentAt)) +
+    xmlElement('onset', capDateTime(content.onset)) +
+    xmlElement('expires', capDateTime(expiresAt)) +
+    xmlElement('senderName', CAP_SENDER_NAME) +
+    xmlElement('headline', truncate(headline, MAX_HEADLINE_LENGTH)) +
+    xmlElement('description', content.description) +
+    xmlElement('instruction', cancelled ? text.allClear : text.instruction) +
+    xmlElement('web', content.web) +
+    Object.keys(content.parameters).map(name => renderValuePair('parameter', name, content.parameters[name])).join('') +
+    renderArea(content.area) +
+    '</info>';
+};
+
+/**
+ * Render a CAP 1.2 alert document
+ */
+const renderCapXml = ({ identifier, sentAt, expiresAt, msgType, references, note, content }) => {
+  const cancelled = msgType === 'Cancel';
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<alert xmlns="${CAP_NAMESPACE}">` +
+    xmlElement('identifier', identifier) +
+    xmlElement('sender', CAP_SENDER) +
+    xmlElement('sent', capDateTime(sentAt)) +
+    xmlElement('status', CAP_STATUS) +
+    xmlElement('msgType', msgType) +
+    xmlElement('scope', 'Public') +
+    xmlElement('note', note) +
+    xmlElement('references', references) +
+    CAP_LANGUAGES.map(language => renderInfo(content, language, { cancelled, sentAt, expiresAt })).join('') +
+    '</alert>\n';
+};
+
+/**
+ * Store a new message for a source, superseding its current one
+ */
+const storeMessage = async ({ content, msgType, previous, note, expiresAt, actor }) => {
+  const sentAt = new Date();
+  sentAt.setMilliseconds(0);
+
+  const identifier = `urn:uuid:${crypto.randomUUID()}`;
+  const references = previous ? capReference(previous) : null;
+  const xml = renderCapXml({ identifier, sentAt, expiresAt, msgType, references, note, content });
+
+  // Our own output must always pass our validator
+  const validation = validateCapXml(xml);
+  if (!validation.valid) {
+    logger.error(`Generated CAP alert is invalid: ${validation.errors.join('; ')}`);
+    throw new CapAlertError('Generated CAP alert failed validation', 500);
+  }
+
+  const alert = await sequelize.transaction(async (transaction) => {
+    if (previous) {
+      await previous.update({ supersededAt: sentAt }, { transaction });
+    }
+
+    return CapAlert.create({
+      identifier,
+      ...content.source,
+      msgType,
+      status: CAP_STATUS,
+      sentAt,
+      expiresAt,
+      references,
+      event: content.hazardType,
+      severity: content.severity,
+      urgency: content.urgency,
+      certainty: content.certainty,
+      headline: truncate(textFor('en').headline(eventFor(content.hazardType, 'en'), content.area.areaDesc), 200),
+      languages: CAP_LANGUAGES,
+      xml,
+      publishedById: actor ? actor.id : null
+    }, { transaction });
+  });
+
+  logger.info(`CAP ${msgType} ${identifier} published for ${content.source.reportId ? 'report' : 'incident'} ` +
+    `${content.source.reportId || content.source.incidentId}${actor ? ` by user ${actor.id}` : ''}`);
+
+  return alert;
+};
+
+/**
+ * Publish a CAP alert for a verified critical report or an incident with
+ * verified reports. If the source already has a current alert, an Update
+ * referencing it is published instead.
+ * @param {Object} options - { report } or { incident }, plus `actor` (null when automatic)
+ * @returns {Object} - The new CapAlert
+ * @throws {CapAlertError} - If the source cannot be published
+ */
+const publishCapAlert = async ({ report, incident, actor = null }) => {
+  let content;
+  if (report) {
+    if (!report.isVerified() || !report.isCritical()) {
+      throw new CapAlertError('Only verified critical reports can be published as CAP alerts');
+    }
+    content = reportAlertContent(report);
+  } else {
+    if (!['active', 'monitoring'].includes(incident.status)) {
+      throw new CapAlertError(`Alerts cannot be published for ${incident.status} incidents`);
+    }
+    const reports = await Report.findAll({
+      where: { incidentId: incident.id, status: 'verified' }
+    });
+    if (reports.length === 0) {
+      throw new CapAlertError('Incident has no verified reports to publish an alert from');
+    }
+    content = incidentAlertContent(incident, reports);
+  }
+
+  const current = await CapAlert.findCurrent(content.source);
+  const previous = current && current.msgType !== 'Cancel' && current.isCurrent() ? current : null;
+
+  return storeMessage({
+    content,
+    msgType: previous ? 'Update' : 'Alert',
+    previous,
+    expiresAt: new Date(Date.now() + CAP_EXPIRY_HOURS * 60 * 60 * 1000),
+    actor
+  });
+};
+
+/**
+ * Cancel the current alert of a report or incident
+ * @param {Object} source - { reportId } or { incidentId }
+ * @param {Object} options - { reason, actor }
+ * @returns {Object|null} - The Cancel message, or null if there was nothing to cancel
+ * @throws {CapAlertError} - 410 if the report or incident no longer exists
+ */
+const cancelCapAlert = async (source, { reason = null, actor = null } = {}) => {
+  const current = await CapAlert.findCurrent(source);
+  if (!current || current.msgType === 'Cancel' || !current.isCurrent()) {
+    return null;
+  }
+
+  let content = null;
+  if (source.reportId) {
+    const report = await Report.findByPk(source.reportId);
+    content = report && reportAlertContent(report);
+  } else {
+    const incident = await Incident.findByPk(source.incidentId);
+    const reports = incident ? await Report.findAll({ where: { incidentId: incident.id } }) : [];
+    content = reports.length > 0 && incidentAlertContent(incident, reports);
+  }
+
+  if (!content) {
+    throw new CapAlertError('The report or incident behind this alert no longer exists', 410);
+  }
+
+  // Receivers match the Cancel to the alert by what it said, not by what
+  // the source says now
+  return storeMessage({
+    content: {
+      ...content,
+      severity: current.severity,
+      urgency: current.urgency,
+      certainty: current.certainty
+    },
+    msgType: 'Cancel',
+    previous: current,
+    note: reason,
+    expiresAt: current.expiresAt,
+    actor
+  });
+};
+
+/**
+ * Render current alerts as an Atom feed, the usual way CAP messages are
+ * distributed. Each entry links to the alert and embeds it as content.
+ * @param {Array} alerts - CapAlerts, newest first
+ * @param {Object} options - { selfUrl, alertUrl: (alert) => url }
+ */
+const renderCapFeed = (alerts, { selfUrl, alertUrl }) => {
+  const updated = alerts.length > 0 ? alerts[0].sentAt : new Date(0);
+
+  const entries = alerts.map(alert => {
+    const url = alertUrl(alert);
+    return '<entry>' +
+      xmlElement('id', alert.identifier) +
+      xmlElement('title', `${alert.msgType === 'Cancel' ? 'Cancelled: ' : ''}${alert.headline || alert.event}`) +
+      xmlElement('updated', new Date(alert.sentAt).toISOString()) +
+      `<link rel="alternate" type="application/cap+xml" href="${escapeXml(url)}"/>` +
+      xmlElement('summary', `${alert.msgType}: ${alert.event}, severity ${alert.severity}, urgency ${alert.urgency}`) +
+      `<content type="application/cap+xml">${alert.xml.replace(/^<\?xml[^>]*\?>\s*/, '')}</content>` +
+      '</entry>\n';
+  }).join('');
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<feed xmlns="http://www.w3.org/2005/Atom">\n' +
+    xmlElement('id', selfUrl) +
+    xmlElement('title', `${CAP_SENDER_NAME} CAP alerts`) +
+    xmlElement('updated', new Date(updated).toISOString()) +
+    `<link rel="self" href="${escapeXml(selfUrl)}"/>` +
+    `<author>${xmlElement('name', CAP_SENDER_NAME)}</author>\n` +
+    entries +
+    '</feed>\n';
+};
+
+module.exports = {
+  CAP_SENDER,
+  CAP_LANGUAGES,
+  CapAlertError,
+  capDateTime,
+  renderCapXml,
+  renderCapFeed,
+  publishCapAlert,
+  cancelCapAlert
+};
@@ -0,0 +1,337 @@
+const { XmlParseError, parseXml } = require('./xml');
+
+const CAP_NAMESPACE = 'urn:oasis:names:tc:emergency:cap:1.2';
+
+const CAP_STATUSES = ['Actual', 'Exercise', 'System', 'Test', 'Draft'];
+const CAP_MSG_TYPES = ['Alert', 'Update', 'Cancel', 'Ack', 'Error'];
+const CAP_SCOPES = ['Public', 'Restricted', 'Private'];
+const CAP_CATEGORIES = ['Geo', 'Met', 'Safety', 'Security', 'Rescue', 'Fire', 'Health', 'Env', 'Transport', 'Infra', 'CBRNE', 'Other'];
+const CAP_RESPONSE_TYPES = ['Shelter', 'Evacuate', 'Prepare', 'Execute', 'Avoid', 'Monitor', 'Assess', 'AllClear', 'None'];
+const CAP_URGENCIES = ['Immediate', 'Expected', 'Future', 'Past', 'Unknown'];
+const CAP_SEVERITIES = ['Extreme', 'Severe', 'Moderate', 'Minor', 'Unknown'];
+const CAP_CERTAINTIES = ['Observed', 'Likely', 'Possible', 'Unlikely', 'Unknown'];
+
+// CAP date-times carry an explicit offset; 'Z' and fractional seconds are not allowed
+const CAP_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}[-+]\d{2}:\d{2}$/;
+const LANGUAGE_TAG = /^[a-zA-Z]{1,8}(-[a-zA-Z0-9]{1,8})*$/;
+const RESTRICTED_IDENTIFIER_CHARS = /[\s,<&]/;
+
+// Recommended maximum headline length, for text-only and SMS displays
+const MAX_HEADLINE_LENGTH = 160;
+
+// Child elements in schema order as [name, minOccurs, maxOccurs]
+const ALERT_ELEMENTS = [
+  ['identifier', 1, 1],
+  ['sender', 1, 1],
+  ['sent', 1, 1],
+  ['status', 1, 1],
+  ['msgType', 1, 1],
+  ['source', 0, 1],
+  ['scope', 1, 1],
+  ['restriction', 0, 1],
+  ['addresses', 0, 1],
+  ['code', 0, Infinity],
+  ['note', 0, 1],
+  ['references', 0, 1],
+  ['incidents', 0, 1],
+  ['info', 0, Infinity]
+];
+
+const INFO_ELEMENTS = [
+  ['language', 0, 1],
+  ['category', 1, Infinity],
+  ['event', 1, 1],
+  ['responseType', 0, Infinity],
+  ['urgency', 1, 1],
+  ['severity', 1, 1],
+  ['certainty', 1, 1],
+  ['audience', 0, 1],
+  ['eventCode', 0, Infinity],
+  ['effective', 0, 1],
+  ['onset', 0, 1],
+  ['expires', 0, 1],
+  ['senderName', 0, 1],
+  ['headline', 0, 1],
+  ['description', 0, 1],
+  ['instruction', 0, 1],
+  ['web', 0, 1],
+  ['contact', 0, 1],
+  ['parameter', 0, Infinity],
+  ['resource', 0, Infinity],
+  ['area', 0, Infinity]
+];
+
+const RESOURCE_ELEMENTS = [
+  ['resourceDesc', 1, 1],
+  ['mimeType', 1, 1],
+  ['size', 0, 1],
+  ['uri', 0, 1],
+  ['derefUri', 0, 1],
+  ['digest', 0, 1]
+];
+
+const AREA_ELEMENTS = [
+  ['areaDesc', 1, 1],
+  ['polygon', 0, Infinity],
+  ['circle', 0, Infinity],
+  ['geocode', 0, Infinity],
+  ['altitude', 0, 1],
+  ['ceiling', 0, 1]
+];
+
+const VALUE_PAIR_ELEMENTS = [
+  ['valueName', 1, 1],
+  ['value', 1, 1]
+];
+
+/**
+ * Check an element's children against a schema sequence and group them
+ * by name. Problems are added to `errors`.
+ * @returns {Object} - Child elements by local name
+ */
+const checkSequence = (element, sequence, path, errors) => {
+  const names = sequence.map(([name]) => name);
+  const found = {};
+  let lastIndex = -1;
+
+  element.children.forEach(child => {
+    const index = names.indexOf(child.localName);
+    if (child.namespace !== CAP_NAMESPACE || index === -1) {
+      errors.push(`${path}: unexpected element <${child.name}>`);
+      return;
+    }
+    if (index < lastIndex) {
+      errors.push(`${path}: <${child.localName}> is out of order; expected order is ${names.join(', ')}`);
+    }
+    lastIndex = Math.max(lastIndex, index);
+    (found[child.localName] = found[child.localName] || []).push(child);
+  });
+
+  sequence.forEach(([name, min, max]) => {
+    const count = (found[name] || []).length;
+    if (count < min) errors.push(`${path}: <${name}> is required`);
+    if (count > max) errors.push(`${path}: <${name}> may appear at most ${max} time(s)`);
+  });
+
+  return found;
+};
+
+const textOf = (elements) => (elements && elements[0] ? elements[0].text.trim() : null);
+
+const checkEnum = (value, allowed, path, errors) => {
+  if (value !== null && !allowed.includes(value)) {
+    errors.push(`${path}: '${value}' must be one of ${allowed.join(', ')}`);
+  }
+};
+
+const checkDateTime = (value, path, errors) => {
+  if (value === null) return;
+  if (!CAP_DATE_TIME.test(value) || Number.isNaN(new Date(value).getTime())) {
+    errors.push(`${path}: '${value}' must be a date-time like 2024-05-24T16:49:00+05:30 (no 'Z', no fractional seconds)`);
+  }
+};
+
+const checkUri = (value, path, errors) => {
+  if (value === null) return;
+  try {
+    new URL(value);
+  } catch (error) {
+    errors.push(`${path}: '${value}' must be an absolute URI`);
+  }
+};
+
+const parseCoordinate = (pair) => {
+  const parts = pair.split(',');
+  if (parts.length !== 2) return null;
+  const [lat, lng] = parts.map(Number);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return [lat, lng];
+};
+
+const checkPolygon = (value, path, errors) => {
+  const points = value.split(/\s+/).filter(Boolean).map(parseCoordinate);
+  if (points.some(point => point === null)) {
+    errors.push(`${path}: coordinates must be 'lat,lng' pairs within WGS 84 ranges`);
+    return;
+  }
+  if (points.length < 4) {
+    errors.push(`${path}: a polygon needs at least 4 coordinate pairs`);
+    return;
+  }
+  const [first, last] = [points[0], points[points.length - 1]];
+  if (first[0] !== last[0] || first[1] !== last[1]) {
+    errors.push(`${path}: the first and last coordinate pairs must be the same`);
+  }
+};
+
+const checkCircle = (value, path, errors) => {
+  const [center, radius, ...rest] = value.split(/\s+/).filter(Boolean);
+  if (!center || radius === undefined || rest.length > 0 || !parseCoordinate(center) ||
+    !Number.isFinite(Number(radius)) || Number(radius) < 0) {
+    errors.push(`${path}: a circle must be 'lat,lng radius' with the radius in kilometres`);
+  }
+};
+
+const checkValuePairs = (elements = [], path, errors) => {
+  elements.forEach((element, index) => {
+    checkSequence(element, VALUE_PAIR_ELEMENTS, `${path}[${index}]`, errors);
+  });
+};
+
+const checkIdentifierText = (value, path, errors) => {
+  if (value !== null && RESTRICTED_IDENTIFIER_CHARS.test(value)) {
+    errors.push(`${path}: must not contain spaces, commas, '<' or '&'`);
+  }
+};
+
+const checkArea = (area, path, errors) => {
+  const found = checkSequence(area, AREA_ELEMENTS, path, errors);
+
+  (found.polygon || []).forEach((polygon, index) => checkPolygon(polygon.text.trim(), `${path}/polygon[${index}]`, errors));
+  (found.circle || []).forEach((circle, index) => checkCircle(circle.text.trim(), `${path}/circle[${index}]`, errors));
+  checkValuePairs(found.geocode, `${path}/geocode`, errors);
+
+  ['altitude', 'ceiling'].forEach(name => {
+    const value = textOf(found[name]);
+    if (value !== null && !Number.isFinite(Number(value))) {
+      errors.push(`${path}/${name}: must be a number of feet`);
+    }
+  });
+  if (found.ceiling && !found.altitude) {
+    errors.push(`${path}: <ceiling> can only be used with <altitude>`);
+  }
+};
+
+const checkInfo = (info, path, errors, warnings) => {
+  const found = checkSequence(info, INFO_ELEMENTS, path, errors);
+
+  const language = textOf(found.language);
+  if (language !== null && !LANGUAGE_TAG.test(language)) {
+    errors.push(`${path}/language: '${language}' is not a valid language tag`);
+  }
+
+  (found.category || []).forEach(category => checkEnum(category.text.trim(), CAP_CATEGORIES, `${path}/category`, errors));
+  (found.responseType || []).forEach(type => checkEnum(type.text.trim(), CAP_RESPONSE_TYPES, `${path}/responseType`, errors));
+  checkEnum(textOf(found.urgency), CAP_URGENCIES, `${path}/urgency`, errors);
+  checkEnum(textOf(found.severity), CAP_SEVERITIES, `${path}/severity`, errors);
+  checkEnum(textOf(found.certainty), CAP_CERTAINTIES, `${path}/certainty`, errors);
+
+  ['effective', 'onset', 'expires'].forEach(name => checkDateTime(textOf(found[name]), `${path}/${name}`, errors));
+  checkUri(textOf(found.web), `${path}/web`, errors);
+  checkValuePairs(found.eventCode, `${path}/eventCode`, errors);
+  checkValuePairs(found.parameter, `${path}/parameter`, errors);
+
+  const headline = textOf(found.headline);
+  if (headline !== null && headline.length > MAX_HEADLINE_LENGTH) {
+    warnings.push(`${path}/headline: longer than ${MAX_HEADLINE_LENGTH} characters`);
+  }
+
+  (found.resource || []).forEach((resource, index) => {
+    const resourcePath = `${path}/resource[${index}]`;
+    const resourceFound = checkSequence(resource, RESOURCE_ELEMENTS, resourcePath, errors);
+    const size = textOf(resourceFound.size);
+    if (size !== null && !/^\d+$/.test(size)) {
+      errors.push(`${resourcePath}/size: must be a whole number of bytes`);
+    }
+    checkUri(textOf(resourceFound.uri), `${resourcePath}/uri`, errors);
+  });
+
+  (found.area || []).forEach((area, index) => checkArea(area, `${path}/area[${index}]`, errors));
+
+  return { language: language || 'en-US', expires: textOf(found.expires) };
+};
+
+/**
+ * Validate a CAP 1.2 message against the structure, cardinality, ordering
+ * and value rules of the CAP 1.2 specification
+ * @param {string} xml - CAP XML document
+ * @returns {Object} - { valid, errors, warnings, identifier, msgType, languages }
+ */
+const validateCapXml = (xml) => {
+  const errors = [];
+  const warnings = [];
+
+  let alert;
+  try {
+    alert = parseXml(xml);
+  } catch (error) {
+    if (error instanceof XmlParseError) {
+      return { valid: false, errors: [error.message], warnings };
+    }
+    throw error;
+  }
+
+  if (alert.localName !== 'alert' || alert.namespace !== CAP_NAMESPACE) {
+    errors.push(`Root element must be <alert> in the ${CAP_NAMESPACE} namespace`);
+    return { valid: false, errors, warnings };
+  }
+
+  const found = checkSequence(alert, ALERT_ELEMENTS, 'alert', errors);
+
+  const identifier = textOf(found.identifier);
+  const sent = textOf(found.sent);
+  const msgType = textOf(found.msgType);
+  const scope = textOf(found.scope);
+
+  checkIdentifierText(identifier, 'alert/identifier', errors);
+  checkIdentifierText(textOf(found.sender), 'alert/sender', errors);
+  checkDateTime(sent, 'alert/sent', errors);
+  checkEnum(textOf(found.status), CAP_STATUSES, 'alert/status', errors);
+  checkEnum(msgType, CAP_MSG_TYPES, 'alert/msgType', errors);
+  checkEnum(scope, CAP_SCOPES, 'alert/scope', errors);
+
+  if (scope === 'Restricted' && !found.restriction) {
+    errors.push("alert: <restriction> is required when scope is 'Restricted'");
+  }
+  if (scope === 'Private' && !found.addresses) {
+    errors.push("alert: <addresses> is required when scope is 'Private'");
+  }
+
+  const references = textOf(found.references);
+  if (references !== null) {
+    references.split(/\s+/).filter(Boolean).forEach(reference => {
+      const parts = reference.split(',');
+      if (parts.length !== 3 || !parts[0] || !parts[1]) {
+        errors.push(`alert/references: '${reference}' must be sender,identifier,sent`);
+      } else {
+        checkDateTime(parts[2], 'alert/references', errors);
+      }
+    });
+  } else if (['Update', 'Cancel', 'Ack', 'Error'].includes(msgType)) {
+    warnings.push(`alert: ${msgType} messages should reference the message(s) they apply to`);
+  }
+
+  const infos = found.info || [];
+  if (infos.length === 0 && ['Alert', 'Update'].includes(msgType)) {
+    warnings.push(`alert: ${msgType} messages without <info> carry no hazard information`);
+  }
+
+  const languages = [];
+  infos.forEach((info, index) => {
+    const { language, expires } = checkInfo(info, `alert/info[${index}]`, errors, warnings);
+    languages.push(language);
+    if (expires && sent && CAP_DATE_TIME.test(expires) && CAP_DATE_TIME.test(sent) && new Date(expires) <= new Date(sent)) {
+      warnings.push(`alert/info[${index}]/expires: is not after alert/sent`);
+    }
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings,
+    identifier,
+    msgType,
+    languages: [...new Set(languages)]
+  };
+};
+
+module.exports = {
+  CAP_NAMESPACE,
+  CAP_CATEGORIES,
+  CAP_RESPONSE_TYPES,
+  CAP_URGENCIES,
+  CAP_SEVERITIES,
+  CAP_CERTAINTIES,
+  MAX_HEADLINE_LENGTH,
+  validateCapXml
+};
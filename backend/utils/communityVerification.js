@@ -0,0 +1,120 @@
+const ReportConfirmation = require('../models/ReportConfirmation');
+const ReportEvent = require('../models/ReportEvent');
+const logger = require('./logger');
+
+// Votes from further away than this are not accepted
+const MAX_VOTE_DISTANCE_KM = parseFloat(process.env.COMMUNITY_VOTE_RADIUS_KM) || 25;
+
+// Net weighted confirmations needed to reach community_verified
+const COMMUNITY_VERIFICATION_THRESHOLD = parseFloat(process.env.COMMUNITY_VERIFICATION_THRESHOLD) || 3;
+
+// Votes within this distance count with full weight
+const FULL_WEIGHT_DISTANCE_KM = 1;
+
+// Accounts reach full weight after this many days
+const FULL_WEIGHT_ACCOUNT_AGE_DAYS = 30;
+const MIN_ACCOUNT_AGE_FACTOR = 0.2;
+
+// Statuses in which a report can be promoted by the community
+const VOTABLE_STATUSES = ['pending', 'under_review', 'verified'];
+
+/**
+ * Weight a vote by how close the voter is to the report and how old their
+ * account is. Both factors are in [0, 1]; the weight is their product.
+ * @param {Object} params - { distanceKm, accountCreatedAt }
+ * @returns {Number} - Vote weight between 0 and 1
+ */
+const calculateVoteWeight = ({ distanceKm, accountCreatedAt }) => {
+  let distanceFactor = 1;
+  if (distanceKm > FULL_WEIGHT_DISTANCE_KM) {
+    distanceFactor = Math.max(0, 1 - (distanceKm - FULL_WEIGHT_DISTANCE_KM) / (MAX_VOTE_DISTANCE_KM - FULL_WEIGHT_DISTANCE_KM));
+  }
+
+  const accountAgeDays = (Date.now() - new Date(accountCreatedAt).getTime()) / (1000 * 60 * 60 * 24);
+  const ageFactor = Math.min(1, Math.max(MIN_ACCOUNT_AGE_FACTOR, accountAgeDays / FULL_WEIGHT_ACCOUNT_AGE_DAYS));
+
+  return Math.round(distanceFactor * ageFactor * 1000) / 1000;
+};
+
+/**
+ * Record or replace a user's vote on a report
+ * @param {Object} report - Report instance
+ * @param {Object} user - Voting user
+ * @param {Object} params - { vote, location, comment }
+ */
+const castVote = async (report, user, { vote, location, comment }) => {
+  const distanceKm = report.getDistanceFromPoint(parseFloat(location.lat), parseFloat(location.lng));
+  const weight = calculateVoteWeight({ distanceKm, accountCreatedAt: user.createdAt });
+
+  const values = {
+    vote,
+    weight,
+    distanceKm: Math.round(distanceKm * 100) / 100,
+    location: { lat: parseFloat(location.lat), lng: parseFloat(location.lng) },
+    comment: comment || null
+  };
+
+  const existing = await ReportConfirmation.findOne({
+    where: { reportId: report.id, userId: user.id }
+  });
+
+  if (existing) {
+    return existing.update(values);
+  }
+
+  return ReportConfirmation.create({
+    reportId: report.id,
+    userId: user.id,
+    ...values
+  });
+};
+
+/**
+ * Promote a report to community_verified once the net weighted score meets
+ * the threshold, or demote it back when disputes bring it below.
+ * @returns {Object} - Vote summary with the resulting verification level
+ */
+const evaluateCommunityVerification = async (report) => {
+  const summary = await ReportConfirmation.getSummary(report.id);
+
+  let newLevel = null;
+  if (report.verificationLevel === 'unverified' &&
+    VOTABLE_STATUSES.includes(report.status) &&
+    summary.netScore >= COMMUNITY_VERIFICATION_THRESHOLD) {
+    newLevel = 'community_verified';
+  } else if (report.verificationLevel === 'community_verified' &&
+    summary.netScore < COMMUNITY_VERIFICATION_THRESHOLD) {
+    newLevel = 'unverified';
+  }
+
+  if (newLevel) {
+    report.verificationLevel = newLevel;
+
+    const changes = ReportEvent.captureChanges(report);
+    await report.save();
+
+    await ReportEvent.record(report, {
+      action: 'updated',
+      changes,
+      reason: `Community score ${summary.netScore} (threshold ${COMMUNITY_VERIFICATION_THRESHOLD})`,
+      metadata: { source: 'community_verification' }
+    });
+
+    logger.info(`Report ${report.publicId} verification level changed to ${newLevel} by community votes`);
+  }
+
+  return {
+    ...summary,
+    threshold: COMMUNITY_VERIFICATION_THRESHOLD,
+    verificationLevel: report.verificationLevel
+  };
+};
+
+module.exports = {
+  MAX_VOTE_DISTANCE_KM,
+  COMMUNITY_VERIFICATION_THRESHOLD,
+  VOTABLE_STATUSES,
+  calculateVoteWeight,
+  castVote,
+  evaluateCommunityVerification
+};
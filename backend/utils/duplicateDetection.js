@@ -0,0 +1,141 @@
+const { Op } = require('sequelize');
+const Report = require('../models/Report');
+
+// Search window for duplicates, configurable per deployment
+const DUPLICATE_RADIUS_KM = parseFloat(process.env.DUPLICATE_RADIUS_KM) || 2;
+const DUPLICATE_WINDOW_HOURS = parseFloat(process.env.DUPLICATE_WINDOW_HOURS) || 6;
+const DUPLICATE_MIN_SCORE = parseFloat(process.env.DUPLICATE_MIN_SCORE) || 0.5;
+const MAX_CANDIDATES = 5;
+
+const SEVERITY_ORDER = ['low', 'medium', 'high', 'critical'];
+
+// Relative weight of each signal in the similarity score (sums to 1)
+const WEIGHTS = {
+  distance: 0.4,
+  time: 0.3,
+  text: 0.2,
+  severity: 0.1
+};
+
+const tokenize = (text) => {
+  return new Set(
+    (text || '')
+      .toLowerCase()
+      .split(/[^a-z0-9\u0900-\u0D7F]+/) // keep Devanagari to Malayalam script
+      .filter(token => token.length > 2)
+  );
+};
+
+// Jaccard similarity of the word sets of two descriptions
+const textSimilarity = (a, b) => {
+  const tokensA = tokenize(a);
+  const tokensB = tokenize(b);
+  if (tokensA.size === 0 || tokensB.size === 0) return 0;
+
+  let shared = 0;
+  tokensA.forEach(token => {
+    if (tokensB.has(token)) shared++;
+  });
+
+  return shared / (tokensA.size + tokensB.size - shared);
+};
+
+const severitySimilarity = (a, b) => {
+  const gap = Math.abs(SEVERITY_ORDER.indexOf(a) - SEVERITY_ORDER.indexOf(b));
+  if (gap === 0) return 1;
+  if (gap === 1) return 0.5;
+  return 0;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// When the hazard was observed: reports synced from offline devices carry
+// their capture time, which can be well before they reached the server
+const observedAt = (report) => new Date(report.capturedAt || report.createdAt || Date.now());
+
+/**
+ * Score how likely `candidate` describes the same event as `report`
+ * @returns {Object} - { score, distanceKm, minutesApart, breakdown }
+ */
+const scoreCandidate = (report, candidate, options = {}) => {
+  const radiusKm = options.radiusKm || DUPLICATE_RADIUS_KM;
+  const windowHours = options.windowHours || DUPLICATE_WINDOW_HOURS;
+
+  const distanceKm = candidate.getDistanceFromPoint(report.location.lat, report.location.lng);
+  const minutesApart = Math.abs(observedAt(report) - observedAt(candidate)) / (1000 * 60);
+
+  const breakdown = {
+    distance: Math.max(0, 1 - distanceKm / radiusKm),
+    time: Math.max(0, 1 - minutesApart / (windowHours * 60)),
+    text: textSimilarity(report.description, candidate.description),
+    severity: severitySimilarity(report.severity, candidate.severity)
+  };
+
+  const score = Object.keys(WEIGHTS).reduce((sum, key) => sum + WEIGHTS[key] * breakdown[key], 0);
+
+  Object.keys(breakdown).forEach(key => {
+    breakdown[key] = round(breakdown[key]);
+  });
+
+  return {
+    score: round(score),
+    distanceKm: round(distanceKm),
+    minutesApart: Math.round(minutesApart),
+    breakdown
+  };
+};
+
+/**
+ * Find existing reports of the same hazard type near the given report in
+ * space and time, ranked by similarity score.
+ * @param {Object} report - Report instance (saved or built)
+ * @param {Object} options - { radiusKm, windowHours, minScore }
+ * @returns {Array} - Candidate duplicates, best match first
+ */
+const findDuplicateCandidates = async (report, options = {}) => {
+  const radiusKm = options.radiusKm || DUPLICATE_RADIUS_KM;
+  const windowHours = options.windowHours || DUPLICATE_WINDOW_HOURS;
+  const minScore = options.minScore !== undefined ? options.minScore : DUPLICATE_MIN_SCORE;
+
+  const reference = observedAt(report);
+  const windowMs = windowHours * 60 * 60 * 1000;
+  const window = { [Op.between]: [new Date(reference - windowMs), new Date(reference.getTime() + windowMs)] };
+
+  const where = {
+    hazardType: report.hazardType,
+    status: { [Op.notIn]: ['rejected', 'archived'] },
+    [Op.or]: [
+      { capturedAt: window },
+      { capturedAt: null, createdAt: window }
+    ]
+  };
+  if (report.id) {
+    where.id = { [Op.ne]: report.id };
+  }
+
+  const nearby = await Report.findNearLocation(
+    parseFloat(report.location.lat),
+    parseFloat(report.location.lng),
+    radiusKm,
+    where
+  );
+
+  return nearby
+    .map(candidate => ({
+      reportId: candidate.id,
+      publicId: candidate.publicId,
+      status: candidate.status,
+      severity: candidate.severity,
+      createdAt: candidate.createdAt,
+      ...scoreCandidate(report, candidate, { radiusKm, windowHours })
+    }))
+    .filter(candidate => candidate.distanceKm <= radiusKm && candidate.score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_CANDIDATES);
+};
+
+module.exports = {
+  findDuplicateCandidates,
+  scoreCandidate,
+  textSimilarity
+};
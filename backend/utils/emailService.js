@@ -149,6 +149,158 @@ const sendReportVerificationEmail = async (email, fullName, reportId, status, re
   return await sendEmail(mailOptions);
 };
 
+// New comment on a report discussion
+const sendCommentNotification = async (email, fullName, reportId, authorName, excerpt) => {
+  const mailOptions = {
+    to: email,
+    subject: `New comment on report ${reportId}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: #0ea5e9; color: white; padding: 20px; text-align: center;">
+          <h2 style="margin: 0;">New Comment</h2>
+        </div>
+        
+        <div style="background: #f8fafc; padding: 30px;">
+          <p>Hello ${fullName},</p>
+          
+          <p><strong>${authorName}</strong> commented on report <strong>${reportId}</strong>:</p>
+          
+          <div style="background: white; border-left: 4px solid #0ea5e9; padding: 15px; margin: 20px 0;">
+            <p style="color: #475569; margin: 0;">${excerpt}</p>
+          </div>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${process.env.FRONTEND_URL}/reports/${reportId}" 
+               style="background: #0ea5e9; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px;">
+              View Discussion
+            </a>
+          </div>
+        </div>
+      </div>
+    `
+  };
+
+  return await sendEmail(mailOptions);
+};
+
+// New report matching a saved search
+const sendSavedSearchMatchEmail = async (email, fullName, searchName, reportDetails) => {
+  const mailOptions = {
+    to: email,
+    subject: `New report matches "${searchName}"`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: #0ea5e9; color: white; padding: 20px; text-align: center;">
+          <h2 style="margin: 0;">New Matching Report</h2>
+        </div>
+        
+        <div style="background: #f8fafc; padding: 30px;">
+          <p>Hello ${fullName},</p>
+          
+          <p>A report matching your saved search <strong>${searchName}</strong> is now available:</p>
+          
+          <div style="background: white; border-left: 4px solid #0ea5e9; padding: 15px; margin: 20px 0;">
+            <p style="margin: 0;"><strong>Report:</strong> ${reportDetails.publicId}</p>
+            <p style="margin: 5px 0 0;"><strong>Hazard:</strong> ${reportDetails.hazardType}</p>
+            <p style="margin: 5px 0 0;"><strong>Severity:</strong> ${reportDetails.severity}</p>
+          </div>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${process.env.FRONTEND_URL}/reports/${reportDetails.publicId}" 
+               style="background: #0ea5e9; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px;">
+              View Report
+            </a>
+          </div>
+          
+          <p style="color: #64748b; font-size: 14px;">
+            You can turn off these emails in your saved search settings.
+          </p>
+        </div>
+      </div>
+    `
+  };
+
+  return await sendEmail(mailOptions);
+};
+
+// Reports that matched a saved search during its notification cooldown
+const sendSavedSearchDigestEmail = async (email, fullName, searchName, matches, total) => {
+  const rows = matches.map(match => `
+            <p style="margin: 5px 0;">
+              <a href="${process.env.FRONTEND_URL}/reports/${match.publicId}">${match.publicId}</a>
+              &mdash; ${match.hazardType}, ${match.severity}
+            </p>`).join('');
+
+  const mailOptions = {
+    to: email,
+    subject: `${total} new reports match "${searchName}"`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: #0ea5e9; color: white; padding: 20px; text-align: center;">
+          <h2 style="margin: 0;">New Matching Reports</h2>
+        </div>
+        
+        <div style="background: #f8fafc; padding: 30px;">
+          <p>Hello ${fullName},</p>
+          
+          <p>Since our last email, ${total} reports matching your saved search <strong>${searchName}</strong> have become available:</p>
+          
+          <div style="background: white; border-left: 4px solid #0ea5e9; padding: 15px; margin: 20px 0;">${rows}
+            ${total > matches.length ? `<p style="margin: 5px 0 0;">and ${total - matches.length} more</p>` : ''}
+          </div>
+          
+          <p style="color: #64748b; font-size: 14px;">
+            You can turn off these emails in your saved search settings.
+          </p>
+        </div>
+      </div>
+    `
+  };
+
+  return await sendEmail(mailOptions);
+};
+
+// Verified report inside one of the user's alert areas
+const sendAreaAlertEmail = async (email, fullName, areaName, reportDetails) => {
+  const mailOptions = {
+    to: email,
+    subject: `Verified ${reportDetails.hazardType.replace('-', ' ')} in "${areaName}"`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: #0ea5e9; color: white; padding: 20px; text-align: center;">
+          <h2 style="margin: 0;">Hazard In Your Area</h2>
+        </div>
+        
+        <div style="background: #f8fafc; padding: 30px;">
+          <p>Hello ${fullName},</p>
+          
+          <p>A hazard has been verified inside your alert area <strong>${areaName}</strong>:</p>
+          
+          <div style="background: white; border-left: 4px solid #0ea5e9; padding: 15px; margin: 20px 0;">
+            <p style="margin: 0;"><strong>Report:</strong> ${reportDetails.publicId}</p>
+            <p style="margin: 5px 0 0;"><strong>Hazard:</strong> ${reportDetails.hazardType}</p>
+            <p style="margin: 5px 0 0;"><strong>Severity:</strong> ${reportDetails.severity}</p>
+            <p style="margin: 5px 0 0;"><strong>Location:</strong> ${reportDetails.address || `${reportDetails.location.lat}, ${reportDetails.location.lng}`}</p>
+          </div>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${process.env.FRONTEND_URL}/map?reportId=${reportDetails.publicId}" 
+               style="background: #0ea5e9; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px;">
+              View On Map
+            </a>
+          </div>
+          
+          <p style="color: #64748b; font-size: 14px;">
+            You can change or remove your alert areas in your account settings.
+          </p>
+        </div>
+      </div>
+    `
+  };
+
+  return await sendEmail(mailOptions);
+};
+
 // Critical report alert
 const sendCriticalReportAlert = async (email, reportDetails) => {
   const mailOptions = {
@@ -263,6 +415,10 @@ module.exports = {
   sendEmail,
   sendWelcomeEmail,
   sendReportVerificationEmail,
+  sendCommentNotification,
+  sendSavedSearchMatchEmail,
+  sendSavedSearchDigestEmail,
+  sendAreaAlertEmail,
   sendCriticalReportAlert,
   sendPasswordResetEmail,
   sendBulkEmergencyAlert,
@@ -0,0 +1,167 @@
+const { query } = require('express-validator');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const SavedSearch = require('../models/SavedSearch');
+const { SEVERITIES, HAZARD_TYPES, ReportFilterError, buildFilterConditions } = require('./reportFilters');
+const { PUBLIC_REPORT_WHERE, isPublicOnly } = require('./apiKeys');
+
+const BOUNDS_PATTERN = /^-?\d+\.?\d*,-?\d+\.?\d*,-?\d+\.?\d*,-?\d+\.?\d*$/;
+
+// Comma-separated list query parameter whose values must all be allowed
+const listOf = (field, allowed) => query(field)
+  .optional()
+  .custom(value => String(value).split(',').every(item => allowed.includes(item.trim())))
+  .withMessage(`${field} must be a comma-separated list of: ${allowed.join(', ')}`)
+  .customSanitizer(value => [...new Set(String(value).split(',').map(item => item.trim()))]);
+
+// Query parameters shared by the map and by report exports
+const validateMapFilters = [
+  query('lat').optional().isFloat({ min: -90, max: 90 }),
+  query('lng').optional().isFloat({ min: -180, max: 180 }),
+  query('radius').optional().isFloat({ min: 0.1, max: 100 }),
+  query('bounds').optional().matches(BOUNDS_PATTERN),
+  query('status').optional().isIn(['verified', 'pending', 'all']),
+  query('severity').optional().isIn(SEVERITIES),
+  query('hazardType').optional().isIn(HAZARD_TYPES),
+  query('savedSearchId').optional().isUUID()
+];
+
+/**
+ * Location conditions for a bounding box ('swLat,swLng,neLat,neLng') or a
+ * radius in km around a point. The bounding box wins when both are given.
+ * @returns {Object} - { conditions, area } where area is 'bounds', 'radius' or null
+ */
+const buildLocationConditions = ({ bounds, lat, lng, radius = 10 }) => {
+  if (bounds) {
+    const [swLat, swLng, neLat, neLng] = bounds.split(',').map(parseFloat);
+
+    return {
+      conditions: [
+        sequelize.where(
+          sequelize.cast(sequelize.json('location.lat'), 'float'),
+          { [Op.between]: [swLat, neLat] }
+        ),
+        sequelize.where(
+          sequelize.cast(sequelize.json('location.lng'), 'float'),
+          { [Op.between]: [swLng, neLng] }
+        )
+      ],
+      area: 'bounds'
+    };
+  }
+
+  if (lat && lng) {
+    // Compared as geography so that the distance is in metres, not degrees
+    const radiusInMeters = parseFloat(radius) * 1000;
+
+    return {
+      conditions: [
+        sequelize.literal(`
+          ST_DWithin(
+            ST_SetSRID(ST_MakePoint(CAST(location->>'lng' AS FLOAT), CAST(location->>'lat' AS FLOAT)), 4326)::geography,
+            ST_SetSRID(ST_MakePoint(${parseFloat(lng)}, ${parseFloat(lat)}), 4326)::geography,
+            ${radiusInMeters}
+          )
+        `)
+      ],
+      area: 'radius'
+    };
+  }
+
+  return { conditions: [], area: null };
+};
+
+/**
+ * Build the report conditions for map-style query parameters: status,
+ * severity, hazard type, a bounding box or a radius around a point, and
+ * an optional saved search. Citizens only see public reports and their own,
+ * and API keys with the read-public scope only verified public reports.
+ * @param {Object} params - Validated query parameters
+ * @param {Object} user - Requesting user
+ * @returns {Object} - { where, area, savedSearch, filters } where area is
+ *   'bounds', 'radius' or null
+ * @throws {ReportFilterError} - 404 if the saved search is not accessible
+ */
+const buildMapReportFilter = async (params, user) => {
+  const {
+    savedSearchId,
+    lat,
+    lng,
+    radius = 10,
+    bounds,
+    status = 'verified',
+    severity,
+    hazardType
+  } = params;
+
+  const whereClause = {};
+
+  // Filter by status
+  if (status === 'verified') {
+    whereClause.status = 'verified';
+  } else if (status === 'pending') {
+    whereClause.status = 'pending';
+  } else if (status === 'all') {
+    whereClause.status = ['verified', 'pending'];
+  }
+
+  if (severity) {
+    whereClause.severity = severity;
+  }
+
+  if (hazardType) {
+    whereClause.hazardType = hazardType;
+  }
+
+  // Only show public or own reports for citizens
+  if (user.role === 'citizen') {
+    whereClause[Op.or] = [
+      { visibility: 'public' },
+      { submittedById: user.id }
+    ];
+  }
+
+  const { conditions: locationConditions, area } = buildLocationConditions({ bounds, lat, lng, radius });
+
+  // Keys limited to public data never see unverified or restricted reports
+  if (isPublicOnly(user)) {
+    locationConditions.push(PUBLIC_REPORT_WHERE);
+  }
+
+  // Saved search filters are combined with the map filters
+  let savedSearch = null;
+  let savedSearchConditions = [];
+  if (savedSearchId) {
+    savedSearch = await SavedSearch.findAccessible(savedSearchId, user);
+    if (!savedSearch) {
+      throw new ReportFilterError('Saved search not found', 404);
+    }
+    savedSearchConditions = buildFilterConditions(savedSearch.filters);
+    // A saved status filter replaces the default 'verified' one
+    if (savedSearch.filters.status && !params.status) {
+      delete whereClause.status;
+    }
+  }
+
+  return {
+    where: { ...whereClause, [Op.and]: [...locationConditions, ...savedSearchConditions] },
+    area,
+    savedSearch,
+    filters: {
+      status,
+      severity,
+      hazardType,
+      location: lat && lng ? { lat, lng, radius } : null,
+      bounds: bounds || null,
+      savedSearchId: savedSearchId || null
+    }
+  };
+};
+
+module.exports = {
+  BOUNDS_PATTERN,
+  listOf,
+  validateMapFilters,
+  buildLocationConditions,
+  buildMapReportFilter
+};
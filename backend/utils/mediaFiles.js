@@ -0,0 +1,66 @@
+const path = require('path');
+const fs = require('fs');
+const logger = require('./logger');
+
+const uploadDir = process.env.UPLOAD_PATH || './uploads';
+
+/**
+ * Paths of a stored media file and, for images, the thumbnail created by
+ * the upload middleware. Only the file name is used, so entries can never
+ * point outside the upload directory.
+ */
+const getStoredPaths = (media) => {
+  if (!media || typeof media.filename !== 'string') return [];
+
+  const root = path.resolve(uploadDir);
+  const filePath = path.join(root, path.basename(media.filename));
+  if (path.dirname(filePath) !== root) return [];
+
+  const paths = [filePath];
+
+  if (media.mimetype && media.mimetype.startsWith('image/')) {
+    paths.push(path.join(path.dirname(filePath), `thumb-${path.basename(filePath)}`));
+  }
+
+  return paths;
+};
+
+/**
+ * Delete the stored files (and image thumbnails) of a report's mediaFiles.
+ * A file that cannot be deleted is logged and skipped, so one bad file does
+ * not stop the rest.
+ * @param {Array} mediaFiles - Report mediaFiles entries
+ * @param {Object} options - { dryRun } only counts the files that would be deleted
+ * @returns {Object} - { deleted, missing, failed }
+ */
+const deleteMediaFiles = async (mediaFiles, { dryRun = false } = {}) => {
+  const result = { deleted: 0, missing: 0, failed: 0 };
+  if (!Array.isArray(mediaFiles)) return result;
+
+  for (const media of mediaFiles) {
+    for (const target of getStoredPaths(media)) {
+      if (dryRun) {
+        result[fs.existsSync(target) ? 'deleted' : 'missing'] += 1;
+        continue;
+      }
+      try {
+        await fs.promises.unlink(target);
+        result.deleted += 1;
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          result.missing += 1;
+        } else {
+          result.failed += 1;
+          logger.warn(`Failed to delete media file ${target}: ${error.message}`);
+        }
+      }
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  getStoredPaths,
+  deleteMediaFiles
+};
@@ -0,0 +1,134 @@
+const { body } = require('express-validator');
+const Report = require('../models/Report');
+const { validateReportCreation, validateReportFields } = require('./reportValidation');
+const { buildReportAttributes, finalizeNewReport } = require('./reportSubmission');
+const logger = require('./logger');
+
+const MAX_SYNC_BATCH = 50;
+
+// Capture times further back than this are rejected as implausible
+const MAX_CAPTURE_AGE_DAYS = parseInt(process.env.SYNC_MAX_CAPTURE_AGE_DAYS) || 30;
+
+// Device clocks drift; allow capture times slightly in the future
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const validateSyncItem = [
+  ...validateReportCreation,
+
+  body('idempotencyKey')
+    .isString()
+    .trim()
+    .isLength({ min: 8, max: 100 })
+    .withMessage('idempotencyKey must be between 8 and 100 characters'),
+
+  body('capturedAt')
+    .isISO8601()
+    .withMessage('capturedAt must be an ISO 8601 date')
+    .custom(value => {
+      const capturedAt = new Date(value).getTime();
+      if (capturedAt > Date.now() + CLOCK_SKEW_MS) {
+        throw new Error('capturedAt cannot be in the future');
+      }
+      if (capturedAt < Date.now() - MAX_CAPTURE_AGE_DAYS * 24 * 60 * 60 * 1000) {
+        throw new Error(`capturedAt cannot be more than ${MAX_CAPTURE_AGE_DAYS} days ago`);
+      }
+      return true;
+    })
+];
+
+const findSynced = (userId, idempotencyKey) => {
+  return Report.findOne({
+    where: { submittedById: userId, idempotencyKey },
+    attributes: ['id', 'publicId', 'status']
+  });
+};
+
+const alreadySynced = (index, idempotencyKey, report) => ({
+  index,
+  idempotencyKey,
+  outcome: 'already_synced',
+  report: { id: report.id, publicId: report.publicId, status: report.status }
+});
+
+/**
+ * Create one synced report unless its idempotency key was seen before
+ */
+const syncItem = async (user, item, index) => {
+  const idempotencyKey = item && typeof item.idempotencyKey === 'string' ? item.idempotencyKey.trim() : null;
+
+  const { data, errors } = await validateReportFields(item || {}, validateSyncItem);
+  if (errors.length > 0) {
+    return { index, idempotencyKey, outcome: 'invalid', errors };
+  }
+
+  const existing = await findSynced(user.id, data.idempotencyKey);
+  if (existing) {
+    return alreadySynced(index, data.idempotencyKey, existing);
+  }
+
+  let report;
+  try {
+    report = await Report.create({
+      ...buildReportAttributes(data),
+      submittedById: user.id,
+      source: 'sync',
+      idempotencyKey: data.idempotencyKey,
+      capturedAt: new Date(data.capturedAt)
+    });
+  } catch (error) {
+    // A concurrent retry of the same item won the race
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      const winner = await findSynced(user.id, data.idempotencyKey);
+      if (winner) return alreadySynced(index, data.idempotencyKey, winner);
+    }
+    throw error;
+  }
+
+  const { duplicates } = await finalizeNewReport(report, { actorId: user.id });
+
+  return {
+    index,
+    idempotencyKey: data.idempotencyKey,
+    outcome: 'created',
+    report: { id: report.id, publicId: report.publicId, status: report.status },
+    possibleDuplicates: duplicates.length
+  };
+};
+
+/**
+ * Sync a batch of reports captured offline. Items are processed in order
+ * and independently: one bad item does not stop the rest.
+ * @param {Object} user - Submitting user
+ * @param {Array} items - Report payloads with idempotencyKey and capturedAt
+ * @returns {Object} - { results: [{ index, idempotencyKey, outcome, report, errors }], summary }
+ *   where outcome is 'created', 'already_synced', 'invalid' or 'failed'
+ */
+const syncReports = async (user, items) => {
+  const results = [];
+
+  for (let index = 0; index < items.length; index++) {
+    try {
+      results.push(await syncItem(user, items[index], index));
+    } catch (error) {
+      logger.error(`Offline sync item ${index} failed for user ${user.id}:`, error);
+      results.push({
+        index,
+        idempotencyKey: items[index] && items[index].idempotencyKey,
+        outcome: 'failed',
+        errors: [{ msg: 'Server error, retry this item later' }]
+      });
+    }
+  }
+
+  const summary = results.reduce((acc, result) => {
+    acc[result.outcome] = (acc[result.outcome] || 0) + 1;
+    return acc;
+  }, { created: 0, already_synced: 0, invalid: 0, failed: 0 });
+
+  return { results, summary };
+};
+
+module.exports = {
+  MAX_SYNC_BATCH,
+  syncReports
+};
@@ -0,0 +1,173 @@
+const { Op, Sequelize } = require('sequelize');
+
+class PaginationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PaginationError';
+    this.statusCode = 400;
+  }
+}
+
+/**
+ * Encode the position after a row as an opaque cursor
+ */
+const encodeCursor = (row, sortBy, sortOrder) => {
+  const value = row.get ? row.get(sortBy) : row[sortBy];
+  const payload = {
+    s: sortBy,
+    o: sortOrder,
+    v: value instanceof Date ? value.toISOString() : value,
+    id: row.id
+  };
+
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!payload || !payload.s || !payload.o || payload.id === undefined) {
+      throw new Error('Incomplete cursor');
+    }
+    return payload;
+  } catch (error) {
+    throw new PaginationError('Invalid cursor');
+  }
+};
+
+/**
+ * Validate the requested sort against an allow-list of (non-null) columns
+ * @returns {Object} - { sortBy, sortOrder }
+ */
+const resolveSort = (sortBy, sortOrder, allowedSortFields, defaultSort = 'createdAt') => {
+  const field = sortBy || defaultSort;
+  if (!allowedSortFields.includes(field)) {
+    throw new PaginationError(`sortBy must be one of: ${allowedSortFields.join(', ')}`);
+  }
+
+  const order = (sortOrder || 'DESC').toUpperCase();
+  if (!['ASC', 'DESC'].includes(order)) {
+    throw new PaginationError('sortOrder must be ASC or DESC');
+  }
+
+  return { sortBy: field, sortOrder: order };
+};
+
+/**
+ * Keyset condition selecting rows after the cursor position. The row ID
+ * breaks ties so the order is stable while new rows are inserted.
+ * `expression` is set when sorting by a computed value instead of a column.
+ */
+const cursorCondition = (cursor, sortBy, sortOrder, expression) => {
+  const position = decodeCursor(cursor);
+  if (position.s !== sortBy || position.o !== sortOrder) {
+    throw new PaginationError('Cursor does not match the requested sort; start again without a cursor');
+  }
+
+  const op = sortOrder === 'DESC' ? Op.lt : Op.gt;
+
+  if (sortBy === 'id') {
+    return { id: { [op]: position.id } };
+  }
+
+  if (expression) {
+    return {
+      [Op.or]: [
+        Sequelize.where(expression, { [op]: position.v }),
+        { [Op.and]: [Sequelize.where(expression, position.v), { id: { [op]: position.id } }] }
+      ]
+    };
+  }
+
+  return {
+    [Op.or]: [
+      { [sortBy]: { [op]: position.v } },
+      { [sortBy]: position.v, id: { [op]: position.id } }
+    ]
+  };
+};
+
+/**
+ * Add a computed value to the selected attributes under the given alias
+ */
+const withComputedAttribute = (attributes, expression, alias) => {
+  if (Array.isArray(attributes)) {
+    return [...attributes, [expression, alias]];
+  }
+
+  return {
+    ...attributes,
+    include: [...((attributes && attributes.include) || []), [expression, alias]]
+  };
+};
+
+/**
+ * Fetch one page of a model with cursor pagination
+ * @param {Object} Model - Sequelize model
+ * @param {Object} options - { where, include, attributes, cursor, limit, sortBy, sortOrder, sortExpressions, withTotal }
+ *   `sortBy`/`sortOrder` must already be resolved with resolveSort.
+ *   `sortExpressions` maps computed sort names (e.g. a search rank) to the
+ *   SQL literal they are calculated with; the value is returned under that name.
+ * @returns {Object} - { rows, pageInfo: { limit, sortBy, sortOrder, hasNext, nextCursor, total } }
+ */
+const paginate = async (Model, options) => {
+  const {
+    where = {},
+    include,
+    attributes,
+    cursor,
+    limit = 20,
+    sortBy = 'createdAt',
+    sortOrder = 'DESC',
+    sortExpressions = {},
+    withTotal = false
+  } = options;
+
+  const expression = sortExpressions[sortBy];
+
+  const conditions = cursor ? [cursorCondition(cursor, sortBy, sortOrder, expression)] : [];
+  const pageWhere = conditions.length > 0 ? { [Op.and]: [where, ...conditions] } : where;
+
+  let order;
+  if (sortBy === 'id') {
+    order = [['id', sortOrder]];
+  } else {
+    order = [[expression || sortBy, sortOrder], ['id', sortOrder]];
+  }
+
+  const [rows, total] = await Promise.all([
+    Model.findAll({
+      where: pageWhere,
+      include,
+      attributes: expression ? withComputedAttribute(attributes, expression, sortBy) : attributes,
+      order,
+      limit: limit + 1
+    }),
+    withTotal ? Model.count({ where, include, distinct: true }) : Promise.resolve(undefined)
+  ]);
+
+  const hasNext = rows.length > limit;
+  const pageRows = hasNext ? rows.slice(0, limit) : rows;
+
+  const pageInfo = {
+    limit,
+    sortBy,
+    sortOrder,
+    hasNext,
+    nextCursor: hasNext ? encodeCursor(pageRows[pageRows.length - 1], sortBy, sortOrder) : null
+  };
+
+  if (withTotal) {
+    pageInfo.total = total;
+  }
+
+  return { rows: pageRows, pageInfo };
+};
+
+module.exports = {
+  PaginationError,
+  encodeCursor,
+  decodeCursor,
+  resolveSort,
+  paginate
+};
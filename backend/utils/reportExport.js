@@ -0,0 +1,207 @@
+const Report = require('../models/Report');
+const User = require('../models/User');
+const { paginate } = require('./pagination');
+const { escapeXml, xmlElement } = require('./xml');
+
+// Reports fetched per query while streaming an export
+const EXPORT_BATCH_SIZE = 500;
+
+// Marker colours by severity, as RGB
+const SEVERITY_COLORS = {
+  low: '22c55e',
+  medium: 'eab308',
+  high: 'f97316',
+  critical: 'dc2626'
+};
+
+const SEVERITY_ICON_SCALES = {
+  low: 0.8,
+  medium: 1.0,
+  high: 1.2,
+  critical: 1.4
+};
+
+// KML colours are aabbggrr
+const kmlColor = (rgb) => `ff${rgb.slice(4, 6)}${rgb.slice(2, 4)}${rgb.slice(0, 2)}`;
+
+const submitterName = (report) => {
+  return report.submittedBy ? `${report.submittedBy.firstName} ${report.submittedBy.lastName}` : 'Anonymous';
+};
+
+/**
+ * Every report property except the location, which becomes the geometry
+ */
+const exportProperties = (report) => {
+  const values = report.toJSON();
+  delete values.location;
+  values.submittedBy = submitterName(report);
+  return values;
+};
+
+const coordinatesOf = (report) => [Number(report.location.lng), Number(report.location.lat)];
+
+// Text form of a property value for KML ExtendedData
+const propertyText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const geoJsonWriter = {
+  contentType: 'application/geo+json',
+  extension: 'geojson',
+
+  header: () => '{"type":"FeatureCollection","features":[\n',
+
+  item: (report, index) => {
+    const feature = {
+      type: 'Feature',
+      id: report.id,
+      geometry: {
+        type: 'Point',
+        coordinates: coordinatesOf(report)
+      },
+      properties: exportProperties(report)
+    };
+    return `${index > 0 ? ',\n' : ''}${JSON.stringify(feature)}`;
+  },
+
+  footer: () => '\n]}\n'
+};
+
+const kmlWriter = {
+  contentType: 'application/vnd.google-earth.kml+xml',
+  extension: 'kml',
+
+  header: ({ title }) => {
+    const styles = Object.keys(SEVERITY_COLORS).map(severity => (
+      `<Style id="severity-${severity}">` +
+      `<IconStyle><color>${kmlColor(SEVERITY_COLORS[severity])}</color><scale>${SEVERITY_ICON_SCALES[severity]}</scale>` +
+      '<Icon><href>http://maps.google.com/mapfiles/kml/shapes/caution.png</href></Icon></IconStyle>' +
+      `<LabelStyle><color>${kmlColor(SEVERITY_COLORS[severity])}</color></LabelStyle>` +
+      '</Style>\n'
+    )).join('');
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<kml xmlns="http://www.opengis.net/kml/2.2">\n<Document>\n' +
+      `${xmlElement('name', title)}\n${styles}`;
+  },
+
+  item: (report) => {
+    const properties = exportProperties(report);
+    const [lng, lat] = coordinatesOf(report);
+    const data = Object.keys(properties).map(name => (
+      `<Data name="${escapeXml(name)}"><value>${escapeXml(propertyText(properties[name]))}</value></Data>`
+    )).join('');
+
+    return `<Placemark id="${escapeXml(report.id)}">` +
+      xmlElement('name', `${report.publicId} - ${report.hazardType}`) +
+      xmlElement('description', report.description) +
+      `<styleUrl>#severity-${escapeXml(report.severity)}</styleUrl>` +
+      `<TimeStamp>${xmlElement('when', report.capturedAt || report.createdAt)}</TimeStamp>` +
+      `<ExtendedData>${data}</ExtendedData>` +
+      `<Point><coordinates>${lng},${lat}</coordinates></Point>` +
+      '</Placemark>\n';
+  },
+
+  footer: () => '</Document>\n</kml>\n'
+};
+
+const gpxWriter = {
+  contentType: 'application/gpx+xml',
+  extension: 'gpx',
+
+  header: ({ title, generatedAt }) => {
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<gpx version="1.1" creator="Aquasentra" xmlns="http://www.topografix.com/GPX/1/1">\n' +
+      `<metadata>${xmlElement('name', title)}${xmlElement('time', generatedAt)}</metadata>\n`;
+  },
+
+  // GPX waypoints only carry a few fields; use GeoJSON or KML for all properties
+  item: (report) => {
+    const [lng, lat] = coordinatesOf(report);
+    return `<wpt lat="${lat}" lon="${lng}">` +
+      xmlElement('time', report.capturedAt || report.createdAt) +
+      xmlElement('name', report.publicId) +
+      xmlElement('cmt', `Severity: ${report.severity}, status: ${report.status}`) +
+      xmlElement('desc', report.description) +
+      xmlElement('type', report.hazardType) +
+      '</wpt>\n';
+  },
+
+  footer: () => '</gpx>\n'
+};
+
+const EXPORT_WRITERS = {
+  geojson: geoJsonWriter,
+  kml: kmlWriter,
+  gpx: gpxWriter
+};
+
+const EXPORT_FORMATS = Object.keys(EXPORT_WRITERS);
+
+// Resolve once the chunk is written or buffered, waiting for the client
+// to catch up when the buffer is full
+const writeChunk = (res, chunk) => new Promise(resolve => {
+  if (res.write(chunk)) return resolve();
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.once('drain', done);
+  res.once('close', done);
+});
+
+/**
+ * Stream reports matching `where` to the response as GeoJSON, KML or GPX.
+ * Reports are read in keyset-paginated batches so the export is never held
+ * in memory. Stops early if the client disconnects.
+ * @param {Object} res - Express response
+ * @param {Object} options - { format, where, filename }
+ * @returns {number} - Reports written
+ */
+const streamReportExport = async (res, { format, where, filename }) => {
+  const writer = EXPORT_WRITERS[format];
+  const generatedAt = new Date();
+
+  res.setHeader('Content-Type', `${writer.contentType}; charset=utf-8`);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${writer.extension}"`);
+
+  await writeChunk(res, writer.header({ title: 'Hazard reports', generatedAt }));
+
+  let written = 0;
+  let cursor = null;
+  do {
+    const { rows, pageInfo } = await paginate(Report, {
+      where,
+      include: [{
+        model: User,
+        as: 'submittedBy',
+        attributes: ['firstName', 'lastName', 'role']
+      }],
+      cursor,
+      limit: EXPORT_BATCH_SIZE,
+      sortBy: 'createdAt',
+      sortOrder: 'DESC'
+    });
+
+    for (const report of rows) {
+      if (res.destroyed) return written;
+      await writeChunk(res, writer.item(report, written));
+      written++;
+    }
+
+    cursor = pageInfo.nextCursor;
+  } while (cursor && !res.destroyed);
+
+  res.end(writer.footer());
+  return written;
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  SEVERITY_COLORS,
+  streamReportExport
+};
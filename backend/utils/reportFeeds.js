@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const { fn, col } = require('sequelize');
+const Report = require('../models/Report');
+const { escapeXml, xmlElement } = require('./xml');
+
+const FEED_FORMATS = ['atom', 'rss'];
+
+const FEED_TITLE = process.env.REPORT_FEED_TITLE || 'Aquasentra verified ocean hazard reports';
+
+const GEORSS_NAMESPACE = 'http://www.georss.org/georss';
+
+// Only what is safe to publish is read from the database
+const FEED_ATTRIBUTES = [
+  'id',
+  'publicId',
+  'hazardType',
+  'severity',
+  'description',
+  'location',
+  'address',
+  'status',
+  'visibility',
+  'tags',
+  'verifiedAt',
+  'createdAt',
+  'updatedAt'
+];
+
+const hazardLabel = (hazardType) => {
+  const label = hazardType.replace(/-/g, ' ');
+  return label.charAt(0).toUpperCase() + label.slice(1);
+};
+
+/**
+ * Feed entry for a report, built from its public representation
+ */
+const toFeedEntry = (report) => {
+  const values = report.toPublicJSON();
+  const lat = Number(values.location.lat);
+  const lng = Number(values.location.lng);
+  const place = values.address || `${lat.toFixed(3)}, ${lng.toFixed(3)}`;
+
+  return {
+    id: `urn:aquasentra:report:${values.publicId}`,
+    publicId: values.publicId,
+    title: `${hazardLabel(values.hazardType)} (${values.severity}) - ${place}`,
+    summary: values.description,
+    link: process.env.FRONTEND_URL ? `${process.env.FRONTEND_URL}/reports/${values.publicId}` : null,
+    published: new Date(values.verifiedAt || values.createdAt),
+    updated: new Date(values.updatedAt),
+    categories: [values.hazardType, `severity:${values.severity}`, ...(values.tags || [])],
+    point: `${lat} ${lng}`
+  };
+};
+
+const renderAtom = (entries, { selfUrl, apiUrl, updated }) => {
+  const items = entries.map(entry => {
+    return '<entry>' +
+      xmlElement('id', entry.id) +
+      xmlElement('title', entry.title) +
+      xmlElement('published', entry.published.toISOString()) +
+      xmlElement('updated', entry.updated.toISOString()) +
+      (entry.link ? `<link rel="alternate" type="text/html" href="${escapeXml(entry.link)}"/>` : '') +
+      `<link rel="related" type="application/json" href="${escapeXml(apiUrl(entry))}"/>` +
+      xmlElement('summary', entry.summary) +
+      entry.categories.map(term => `<category term="${escapeXml(term)}"/>`).join('') +
+      xmlElement('georss:point', entry.point) +
+      '</entry>\n';
+  }).join('');
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<feed xmlns="http://www.w3.org/2005/Atom" xmlns:georss="${GEORSS_NAMESPACE}">\n` +
+    xmlElement('id', selfUrl) +
+    xmlElement('title', FEED_TITLE) +
+    xmlElement('updated', updated.toISOString()) +
+    `<link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}"/>` +
+    (process.env.FRONTEND_URL ? `<link rel="alternate" type="text/html" href="${escapeXml(process.env.FRONTEND_URL)}"/>` : '') +
+    `<author>${xmlElement('name', FEED_TITLE)}</author>\n` +
+    items +
+    '</feed>\n';
+};
+
+const renderRss = (entries, { selfUrl, apiUrl, updated }) => {
+  const items = entries.map(entry => {
+    return '<item>' +
+      xmlElement('title', entry.title) +
+      xmlElement('link', entry.link || apiUrl(entry)) +
+      `<guid isPermaLink="false">${escapeXml(entry.id)}</guid>` +
+      xmlElement('pubDate', entry.published.toUTCString()) +
+      xmlElement('description', entry.summary) +
+      entry.categories.map(term => xmlElement('category', term)).join('') +
+      xmlElement('georss:point', entry.point) +
+      '</item>\n';
+  }).join('');
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:georss="${GEORSS_NAMESPACE}">\n<channel>\n` +
+    xmlElement('title', FEED_TITLE) +
+    xmlElement('link', process.env.FRONTEND_URL || selfUrl) +
+    xmlElement('description', 'Verified public reports of coastal and ocean hazards') +
+    xmlElement('lastBuildDate', updated.toUTCString()) +
+    `<atom:link rel="self" type="application/rss+xml" href="${escapeXml(selfUrl)}"/>\n` +
+    items +
+    '</channel>\n</rss>\n';
+};
+
+const RENDERERS = {
+  atom: { contentType: 'application/atom+xml', render: renderAtom },
+  rss: { contentType: 'application/rss+xml', render: renderRss }
+};
+
+/**
+ * Version of the reports matching a feed: when any of them last changed
+ * and how many there are. Cheap enough to run on every poll.
+ * @returns {Object} - { lastModified, etag }
+ */
+const getFeedVersion = async (where, format, filterKey) => {
+  const [stats] = await Report.findAll({
+    where,
+    attributes: [
+      [fn('MAX', col('updated_at')), 'lastModified'],
+      [fn('COUNT', col('id')), 'count']
+    ],
+    raw: true
+  });
+
+  const lastModified = stats && stats.lastModified ? new Date(stats.lastModified) : new Date(0);
+  // HTTP dates have second precision
+  lastModified.setMilliseconds(0);
+
+  const hash = crypto.createHash('sha1')
+    .update(`${format}|${filterKey}|${lastModified.toISOString()}|${stats ? stats.count : 0}`)
+    .digest('base64url');
+
+  return { lastModified, etag: `W/"${hash}"` };
+};
+
+/**
+ * Render a feed of reports
+ * @param {string} format - 'atom' or 'rss'
+ * @param {Array} reports - Reports selected with FEED_ATTRIBUTES, newest first
+ * @param {Object} options - { selfUrl, apiUrl: (entry) => url, updated }
+ * @returns {Object} - { contentType, body }
+ */
+const renderReportFeed = (format, reports, options) => {
+  const { contentType, render } = RENDERERS[format];
+  return {
+    contentType: `${contentType}; charset=utf-8`,
+    body: render(reports.map(toFeedEntry), options)
+  };
+};
+
+module.exports = {
+  FEED_FORMATS,
+  FEED_ATTRIBUTES,
+  getFeedVersion,
+  renderReportFeed
+};
@@ -0,0 +1,158 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { STATUSES } = require('./reportLifecycle');
+const { reportSearch } = require('./reportSearch');
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const HAZARD_TYPES = [
+  'flood',
+  'high-waves',
+  'coastal-erosion',
+  'storm-surge',
+  'tsunami',
+  'oil-spill',
+  'marine-debris',
+  'red-tide',
+  'infrastructure-damage',
+  'other'
+];
+
+const MAX_TAGS = 20;
+const MAX_SEARCH_LENGTH = 200;
+
+class ReportFilterError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ReportFilterError';
+    this.statusCode = statusCode;
+  }
+}
+
+const assertSubset = (values, allowed, field) => {
+  if (!Array.isArray(values) || values.length === 0) {
+    throw new ReportFilterError(`${field} must be a non-empty array`);
+  }
+  const invalid = values.filter(value => !allowed.includes(value));
+  if (invalid.length > 0) {
+    throw new ReportFilterError(`Invalid ${field}: ${invalid.join(', ')}`);
+  }
+  return [...new Set(values)];
+};
+
+const parseDate = (value, field) => {
+  const date = new Date(value);
+  if (value === undefined || value === null || Number.isNaN(date.getTime())) {
+    throw new ReportFilterError(`${field} must be a valid date`);
+  }
+  return date;
+};
+
+/**
+ * Validate a filter set shaped like the frontend ReportFilter type and
+ * return it in the form it is stored in
+ * @param {Object} input - { dateRange: { start, end }, location: { bounds: { north, south, east, west } },
+ *   severity[], hazardType[], status[], tags[], search }
+ * @returns {Object} - Normalized filters
+ */
+const normalizeFilters = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new ReportFilterError('filters must be an object');
+  }
+
+  const filters = {};
+
+  if (input.dateRange) {
+    const start = parseDate(input.dateRange.start, 'dateRange.start');
+    const end = parseDate(input.dateRange.end, 'dateRange.end');
+    if (start > end) {
+      throw new ReportFilterError('dateRange.start must be before dateRange.end');
+    }
+    filters.dateRange = { start: start.toISOString(), end: end.toISOString() };
+  }
+
+  if (input.location) {
+    const bounds = input.location.bounds || {};
+    const values = ['north', 'south', 'east', 'west'].map(side => parseFloat(bounds[side]));
+    const [north, south, east, west] = values;
+    if (values.some(Number.isNaN) || north < -90 || north > 90 || south < -90 || south > 90 ||
+      east < -180 || east > 180 || west < -180 || west > 180 || south > north || west > east) {
+      throw new ReportFilterError('location.bounds must have valid north, south, east and west coordinates');
+    }
+    filters.location = { bounds: { north, south, east, west } };
+  }
+
+  if (input.severity !== undefined) {
+    filters.severity = assertSubset(input.severity, SEVERITIES, 'severity');
+  }
+
+  if (input.hazardType !== undefined) {
+    filters.hazardType = assertSubset(input.hazardType, HAZARD_TYPES, 'hazardType');
+  }
+
+  if (input.status !== undefined) {
+    filters.status = assertSubset(input.status, STATUSES, 'status');
+  }
+
+  if (input.tags !== undefined) {
+    if (!Array.isArray(input.tags) || input.tags.length === 0 || input.tags.length > MAX_TAGS ||
+      input.tags.some(tag => typeof tag !== 'string' || !tag.trim())) {
+      throw new ReportFilterError(`tags must be an array of 1 to ${MAX_TAGS} strings`);
+    }
+    filters.tags = [...new Set(input.tags.map(tag => tag.trim()))];
+  }
+
+  if (input.search !== undefined) {
+    if (typeof input.search !== 'string' || !input.search.trim() || input.search.length > MAX_SEARCH_LENGTH) {
+      throw new ReportFilterError(`search must be between 1 and ${MAX_SEARCH_LENGTH} characters`);
+    }
+    filters.search = input.search.trim();
+  }
+
+  return filters;
+};
+
+/**
+ * Build Sequelize conditions for a normalized filter set, to be combined
+ * with the caller's own filters under Op.and
+ * @param {Object} filters - Output of normalizeFilters
+ * @returns {Array} - Where conditions
+ */
+const buildFilterConditions = (filters = {}) => {
+  const conditions = [];
+
+  if (filters.dateRange) {
+    conditions.push({
+      createdAt: { [Op.between]: [new Date(filters.dateRange.start), new Date(filters.dateRange.end)] }
+    });
+  }
+
+  if (filters.location) {
+    const { north, south, east, west } = filters.location.bounds;
+    conditions.push(
+      sequelize.where(
+        sequelize.cast(sequelize.json('location.lat'), 'float'),
+        { [Op.between]: [south, north] }
+      ),
+      sequelize.where(
+        sequelize.cast(sequelize.json('location.lng'), 'float'),
+        { [Op.between]: [west, east] }
+      )
+    );
+  }
+
+  if (filters.severity) conditions.push({ severity: filters.severity });
+  if (filters.hazardType) conditions.push({ hazardType: filters.hazardType });
+  if (filters.status) conditions.push({ status: filters.status });
+  if (filters.tags) conditions.push({ tags: { [Op.overlap]: filters.tags } });
+  if (filters.search) conditions.push(reportSearch(filters.search).filter);
+
+  return conditions;
+};
+
+module.exports = {
+  SEVERITIES,
+  HAZARD_TYPES,
+  ReportFilterError,
+  normalizeFilters,
+  buildFilterConditions
+};
@@ -0,0 +1,382 @@
+const { Op } = require('sequelize');
+const { body } = require('express-validator');
+const { sequelize } = require('../config/database');
+const Report = require('../models/Report');
+const ReportEvent = require('../models/ReportEvent');
+const ReportVersion = require('../models/ReportVersion');
+const ImportBatch = require('../models/ImportBatch');
+const { validateReportCreation, validateReportFields } = require('./reportValidation');
+const { buildReportAttributes } = require('./reportSubmission');
+const { transitionReport, runTransitionEffects } = require('./reportLifecycle');
+const logger = require('./logger');
+
+const IMPORT_FORMATS = ['csv', 'geojson'];
+const IMPORT_STATUSES = ['pending', 'verified'];
+const MAX_IMPORT_ROWS = parseInt(process.env.MAX_IMPORT_ROWS) || 5000;
+
+// Row errors kept on the batch; the rest are only counted
+const MAX_STORED_ERRORS = 500;
+
+// Report fields that can be mapped from a column. For GeoJSON the location
+// comes from the Point geometry unless it is mapped explicitly.
+const IMPORT_FIELDS = [
+  'hazardType',
+  'severity',
+  'urgency',
+  'description',
+  'location.lat',
+  'location.lng',
+  'address',
+  'capturedAt',
+  'tags',
+  'peopleAffected',
+  'waveHeight',
+  'windSpeed',
+  'tideLevel',
+  'affectedArea',
+  'estimatedDamage'
+];
+
+class ReportImportError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ReportImportError';
+    this.statusCode = statusCode;
+  }
+}
+
+const validateImportRow = [
+  ...validateReportCreation,
+
+  body('capturedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('capturedAt must be an ISO 8601 date')
+];
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, newlines inside
+ * quotes) into objects keyed by the header row
+ */
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new ReportImportError('CSV has an unterminated quoted field');
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter(r => r.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) {
+    throw new ReportImportError('CSV file is empty');
+  }
+
+  const headers = nonEmpty[0].map(header => header.trim());
+  return nonEmpty.slice(1).map(values => headers.reduce((row, header, index) => {
+    row[header] = values[index] !== undefined ? values[index].trim() : '';
+    return row;
+  }, {}));
+};
+
+/**
+ * Parse a GeoJSON FeatureCollection into flat rows of feature properties,
+ * with `__lat`/`__lng` taken from Point geometries
+ */
+const parseGeoJson = (text) => {
+  let collection;
+  try {
+    collection = typeof text === 'string' ? JSON.parse(text) : text;
+  } catch (error) {
+    throw new ReportImportError('GeoJSON is not valid JSON');
+  }
+
+  if (!collection || collection.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+    throw new ReportImportError('GeoJSON must be a FeatureCollection');
+  }
+
+  return collection.features.map(feature => {
+    const row = { ...((feature && feature.properties) || {}) };
+    const geometry = feature && feature.geometry;
+    if (geometry && geometry.type === 'Point' && Array.isArray(geometry.coordinates)) {
+      const [lng, lat] = geometry.coordinates;
+      row.__lng = lng;
+      row.__lat = lat;
+    }
+    return row;
+  });
+};
+
+/**
+ * Complete a column mapping: unmapped fields default to a column of the
+ * same name, and GeoJSON locations default to the Point geometry
+ */
+const resolveMapping = (mapping = {}, format) => {
+  const unknown = Object.keys(mapping).filter(field => !IMPORT_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new ReportImportError(`Unknown fields in column mapping: ${unknown.join(', ')}`);
+  }
+
+  return IMPORT_FIELDS.reduce((resolved, field) => {
+    if (mapping[field]) {
+      resolved[field] = mapping[field];
+    } else if (format === 'geojson' && field === 'location.lat') {
+      resolved[field] = '__lat';
+    } else if (format === 'geojson' && field === 'location.lng') {
+      resolved[field] = '__lng';
+    } else if (field === 'location.lat') {
+      resolved[field] = 'lat';
+    } else if (field === 'location.lng') {
+      resolved[field] = 'lng';
+    } else {
+      resolved[field] = field;
+    }
+    return resolved;
+  }, {});
+};
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Turn a source row into submission-shaped report data
+ */
+const mapRow = (row, mapping) => {
+  const data = {};
+
+  Object.keys(mapping).forEach(field => {
+    const value = row[mapping[field]];
+    if (isBlank(value)) return;
+
+    if (field === 'location.lat' || field === 'location.lng') {
+      // Number() rather than parseFloat so values like '12abc' fail validation
+      data.location = data.location || {};
+      data.location[field.split('.')[1]] = Number(value);
+    } else if (field === 'tags') {
+      data.tags = Array.isArray(value) ? value : String(value).split(/[;,]/).map(tag => tag.trim()).filter(Boolean);
+    } else {
+      data[field] = value;
+    }
+  });
+
+  return data;
+};
+
+/**
+ * Validate and, unless it is a dry run, import reports from a CSV or
+ * GeoJSON document. Rows are imported in one transaction, tagged with a
+ * new ImportBatch.
+ * @param {Object} options - { content, format, mapping, name, fileName, initialStatus,
+ *   dryRun, skipInvalid, actor }
+ *   Without `skipInvalid`, any invalid row stops the import.
+ * @returns {Object} - { dryRun, totalRows, validRows, rowErrors, batch }
+ */
+const runImport = async (options) => {
+  const {
+    content,
+    format,
+    mapping,
+    name,
+    fileName = null,
+    initialStatus = 'pending',
+    dryRun = false,
+    skipInvalid = false,
+    actor
+  } = options;
+
+  if (!IMPORT_FORMATS.includes(format)) {
+    throw new ReportImportError(`format must be one of: ${IMPORT_FORMATS.join(', ')}`);
+  }
+  if (!IMPORT_STATUSES.includes(initialStatus)) {
+    throw new ReportImportError(`initialStatus must be one of: ${IMPORT_STATUSES.join(', ')}`);
+  }
+
+  const rows = format === 'csv' ? parseCsv(String(content)) : parseGeoJson(content);
+  if (rows.length === 0) {
+    throw new ReportImportError('The file has no rows to import');
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ReportImportError(`Imports are limited to ${MAX_IMPORT_ROWS} rows`);
+  }
+
+  const resolvedMapping = resolveMapping(mapping, format);
+
+  const validRows = [];
+  const rowErrors = [];
+  for (let index = 0; index < rows.length; index++) {
+    const { data, errors } = await validateReportFields(mapRow(rows[index], resolvedMapping), validateImportRow);
+    // Row numbers are 1-based; for CSV row 1 is the header
+    const rowNumber = format === 'csv' ? index + 2 : index + 1;
+    if (errors.length > 0) {
+      rowErrors.push({ row: rowNumber, errors: errors.map(e => ({ field: e.path, message: e.msg })) });
+    } else {
+      validRows.push({ row: rowNumber, data });
+    }
+  }
+
+  const result = {
+    dryRun,
+    totalRows: rows.length,
+    validRows: validRows.length,
+    rowErrors,
+    batch: null
+  };
+
+  if (dryRun) return result;
+
+  if (rowErrors.length > 0 && !skipInvalid) {
+    throw Object.assign(
+      new ReportImportError(`${rowErrors.length} row(s) failed validation; fix them or import with skipInvalid`),
+      { rowErrors }
+    );
+  }
+  if (validRows.length === 0) {
+    throw new ReportImportError('No valid rows to import');
+  }
+
+  result.batch = await sequelize.transaction(async (transaction) => {
+    const batch = await ImportBatch.create({
+      name: name || fileName || `Import ${new Date().toISOString()}`,
+      format,
+      fileName,
+      columnMapping: resolvedMapping,
+      initialStatus,
+      totalRows: rows.length,
+      importedCount: validRows.length,
+      rowErrors: rowErrors.slice(0, MAX_STORED_ERRORS),
+      createdById: actor.id
+    }, { transaction });
+
+    for (const { data } of validRows) {
+      const report = await Report.create({
+        ...buildReportAttributes(data),
+        status: initialStatus,
+        verificationLevel: initialStatus === 'verified' ? 'official_verified' : 'unverified',
+        verifiedById: initialStatus === 'verified' ? actor.id : null,
+        submittedById: actor.id,
+        source: 'import',
+        importBatchId: batch.id,
+        capturedAt: data.capturedAt ? new Date(data.capturedAt) : null
+      }, { transaction });
+
+      await ReportEvent.record(report, {
+        actorId: actor.id,
+        action: 'created',
+        metadata: { source: 'import', importBatchId: batch.id },
+        transaction
+      });
+
+      await ReportVersion.recordEdit(report, {
+        action: 'created',
+        actorId: actor.id,
+        transaction
+      });
+    }
+
+    return batch;
+  });
+
+  logger.info(`Import batch ${result.batch.id}: ${validRows.length} of ${rows.length} rows imported by user ${actor.id}`);
+
+  return result;
+};
+
+/**
+ * Archive every report of an import batch. Reports are archived through
+ * the lifecycle rather than deleted, so their history is kept.
+ * @returns {Object} - { batch, archivedReports }
+ */
+const rollbackImport = async (batchId, actor) => {
+  const reason = `Import batch ${batchId} rolled back`;
+
+  const { batch, archived } = await sequelize.transaction(async (transaction) => {
+    const batch = await ImportBatch.findByPk(batchId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!batch) {
+      throw new ReportImportError('Import batch not found', 404);
+    }
+    if (batch.isRolledBack()) {
+      throw new ReportImportError('Import batch has already been rolled back', 409);
+    }
+
+    const reports = await Report.findAll({
+      where: { importBatchId: batch.id, status: { [Op.ne]: 'archived' } },
+      transaction
+    });
+
+    const archived = [];
+    for (const report of reports) {
+      const transition = transitionReport(report, 'archived', { actor, reason });
+      const changes = ReportEvent.captureChanges(report);
+      await report.save({ transaction });
+      await ReportEvent.record(report, {
+        actorId: actor.id,
+        action: 'deleted',
+        changes,
+        reason,
+        transaction
+      });
+      archived.push({ report, transition });
+    }
+
+    batch.status = 'rolled_back';
+    batch.rolledBackAt = new Date();
+    batch.rolledBackById = actor.id;
+    await batch.save({ transaction });
+
+    return { batch, archived };
+  });
+
+  for (const { report, transition } of archived) {
+    await runTransitionEffects(report, transition);
+  }
+
+  logger.info(`Import batch ${batch.id} rolled back by user ${actor.id}: ${archived.length} report(s) archived`);
+
+  return { batch, archivedReports: archived.length };
+};
+
+module.exports = {
+  IMPORT_FORMATS,
+  IMPORT_FIELDS,
+  IMPORT_STATUSES,
+  ReportImportError,
+  parseCsv,
+  parseGeoJson,
+  resolveMapping,
+  runImport,
+  rollbackImport
+};
@@ -0,0 +1,268 @@
+const User = require('../models/User');
+const { sendReportVerificationEmail } = require('./emailService');
+const logger = require('./logger');
+
+const VERIFIER_ROLES = ['verifier', 'analyst', 'admin'];
+
+// Days a resolved report is kept before cleanup
+const RESOLVED_RETENTION_DAYS = 90;
+
+// Publish CAP alerts for critical reports as soon as they are verified
+const CAP_AUTO_PUBLISH = process.env.CAP_AUTO_PUBLISH !== 'false';
+
+/**
+ * Allowed status transitions. Each entry lists the roles that may perform it;
+ * `allowOwner` also lets the report's submitter perform it and
+ * `requiresReason` makes a reason mandatory. A missing actor means the
+ * transition is system-initiated (jobs, hooks) and skips the role guard.
+ */
+const TRANSITIONS = {
+  pending: {
+    under_review: { roles: VERIFIER_ROLES, allowOwner: true },
+    verified: { roles: VERIFIER_ROLES },
+    rejected: { roles: VERIFIER_ROLES, requiresReason: true },
+    archived: { roles: ['admin'], allowOwner: true }
+  },
+  under_review: {
+    pending: { roles: VERIFIER_ROLES },
+    verified: { roles: VERIFIER_ROLES },
+    rejected: { roles: VERIFIER_ROLES, requiresReason: true },
+    archived: { roles: ['admin'], allowOwner: true }
+  },
+  verified: {
+    resolved: { roles: VERIFIER_ROLES },
+    archived: { roles: ['admin'] }
+  },
+  rejected: {
+    under_review: { roles: VERIFIER_ROLES },
+    archived: { roles: ['admin'], allowOwner: true }
+  },
+  resolved: {
+    archived: { roles: ['admin'] }
+  },
+  archived: {}
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+
+class ReportTransitionError extends Error {
+  constructor(message, { from, to, statusCode = 409 } = {}) {
+    super(message);
+    this.name = 'ReportTransitionError';
+    this.statusCode = statusCode;
+    this.from = from;
+    this.to = to;
+    this.allowedTransitions = from ? Object.keys(TRANSITIONS[from] || {}) : [];
+  }
+}
+
+const canTransition = (from, to) => {
+  return Boolean(TRANSITIONS[from] && TRANSITIONS[from][to]);
+};
+
+/**
+ * Throw if the transition is not in the table (role guards are not checked)
+ */
+const assertTransition = (from, to) => {
+  if (!canTransition(from, to)) {
+    throw new ReportTransitionError(`Cannot change report status from '${from}' to '${to}'`, { from, to });
+  }
+};
+
+const isActorAllowed = (rule, report, actor) => {
+  if (!actor) return true;
+  if (rule.roles.includes(actor.role)) return true;
+  return Boolean(rule.allowOwner && report.submittedById && report.submittedById === actor.id);
+};
+
+/**
+ * List the statuses the given actor may move the report to
+ */
+const getAllowedTransitions = (report, actor = null) => {
+  const rules = TRANSITIONS[report.status] || {};
+  return Object.keys(rules).filter(to => isActorAllowed(rules[to], report, actor));
+};
+
+/**
+ * Set the timestamp side effects of entering a status. Called from the
+ * Report model hooks so that every save, not just route handlers, gets them.
+ */
+const applyStatusTimestamps = (report, to) => {
+  if (to === 'verified' && !report.verifiedAt) {
+    report.verifiedAt = new Date();
+  }
+
+  if (to === 'resolved') {
+    const expiryDate = new Date();
+    expiryDate.setDate(expiryDate.getDate() + RESOLVED_RETENTION_DAYS);
+    report.expiresAt = expiryDate;
+  }
+};
+
+/**
+ * Validate and apply a status transition on a report instance. The caller
+ * is responsible for saving the report and then calling runTransitionEffects.
+ * @param {Object} report - Report instance
+ * @param {String} to - Target status
+ * @param {Object} options - { actor, reason, verificationLevel }
+ * @returns {Object} - { from, to } describing the applied transition
+ */
+const transitionReport = (report, to, options = {}) => {
+  const { actor = null, reason = null, verificationLevel } = options;
+  const from = report.status;
+
+  assertTransition(from, to);
+
+  const rule = TRANSITIONS[from][to];
+  if (!isActorAllowed(rule, report, actor)) {
+    throw new ReportTransitionError(`Your role is not allowed to change report status from '${from}' to '${to}'`, {
+      from,
+      to,
+      statusCode: 403
+    });
+  }
+
+  // Claimed reports can only be decided by the claimant (admins may override)
+  if (actor && actor.role !== 'admin' && VERIFIER_ROLES.includes(actor.role) &&
+    report.isClaimedByOther(actor.id)) {
+    throw new ReportTransitionError('Report is claimed by another verifier', { from, to });
+  }
+
+  if (rule.requiresReason && !reason) {
+    throw new ReportTransitionError(`A reason is required to change report status to '${to}'`, {
+      from,
+      to,
+      statusCode: 400
+    });
+  }
+
+  report.status = to;
+
+  // Leaving review ends any claim on the report
+  if (!['pending', 'under_review'].includes(to)) {
+    report.claimExpiresAt = null;
+  }
+
+  switch (to) {
+    case 'verified':
+      report.verifiedById = actor ? actor.id : report.verifiedById;
+      report.verifiedAt = new Date();
+      report.rejectionReason = null;
+      if (verificationLevel) {
+        report.verificationLevel = verificationLevel;
+      } else if (report.verificationLevel === 'unverified') {
+        report.verificationLevel = 'expert_verified';
+      }
+      break;
+
+    case 'rejected':
+      report.verifiedById = actor ? actor.id : report.verifiedById;
+      report.verifiedAt = new Date();
+      report.rejectionReason = reason;
+      break;
+
+    case 'under_review':
+      if (from === 'rejected') {
+        report.rejectionReason = null;
+      }
+      break;
+
+    case 'archived':
+      report.visibility = 'private';
+      break;
+  }
+
+  applyStatusTimestamps(report, to);
+
+  return { from, to, reason };
+};
+
+/**
+ * Run the side effects that must happen after a transition has been saved
+ */
+const runTransitionEffects = async (report, transition) => {
+  const { to } = transition;
+
+  if (to === 'verified' && report.isCritical()) {
+    logger.warn(`Critical report verified: ${report.publicId}`);
+
+    if (CAP_AUTO_PUBLISH) {
+      // Lazy because capAlerts loads the Report model; not awaited so
+      // publishing does not hold up the verifier
+      const { publishCapAlert } = require('./capAlerts');
+      publishCapAlert({ report }).catch(error => {
+        logger.error(`CAP alert publishing failed for report ${report.publicId}:`, error);
+      });
+    }
+  }
+
+  if (['resolved', 'archived'].includes(to)) {
+    const { cancelCapAlert } = require('./capAlerts');
+    cancelCapAlert({ reportId: report.id }, { reason: `Report ${to}` }).catch(error => {
+      logger.error(`CAP alert cancellation failed for report ${report.publicId}:`, error);
+    });
+  }
+
+  if (['verified', 'rejected'].includes(to) && report.submittedById) {
+    try {
+      // Required here because reporterReputation loads the Report model,
+      // which itself depends on this module
+      const { recalculateTrustScore } = require('./reporterReputation');
+      await recalculateTrustScore(report.submittedById);
+    } catch (error) {
+      logger.error(`Failed to update trust score for user ${report.submittedById}:`, error);
+    }
+
+    try {
+      const submitter = await User.findByPk(report.submittedById);
+      if (submitter && submitter.preferences && submitter.preferences.emailNotifications) {
+        await sendReportVerificationEmail(
+          submitter.email,
+          submitter.getFullName(),
+          report.publicId,
+          to,
+          to === 'rejected' ? report.rejectionReason : null
+        );
+      }
+    } catch (error) {
+      logger.error(`Failed to notify submitter of report ${report.publicId}:`, error);
+    }
+  }
+
+  if (report.incidentId) {
+    try {
+      // Lazy because the Incident model loads the Report model
+      const Incident = require('../models/Incident');
+      await Incident.recalculateById(report.incidentId);
+    } catch (error) {
+      logger.error(`Failed to recalculate incident ${report.incidentId} for report ${report.publicId}:`, error);
+    }
+  }
+
+  if (to === 'verified') {
+    // Lazy for the same reason as reporterReputation; not awaited so
+    // matching saved searches does not hold up the caller
+    const { notifySavedSearchMatches } = require('./savedSearchAlerts');
+    notifySavedSearchMatches(report).catch(error => {
+      logger.error(`Saved search notifications failed for report ${report.publicId}:`, error);
+    });
+
+    const { notifyAlertAreas } = require('./areaAlerts');
+    notifyAlertAreas(report).catch(error => {
+      logger.error(`Alert area notifications failed for report ${report.publicId}:`, error);
+    });
+  }
+};
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  VERIFIER_ROLES,
+  ReportTransitionError,
+  canTransition,
+  assertTransition,
+  getAllowedTransitions,
+  applyStatusTimestamps,
+  transitionReport,
+  runTransitionEffects
+};
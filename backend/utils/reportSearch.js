@@ -0,0 +1,154 @@
+const { sequelize } = require('../config/database');
+
+// Stemming configuration for English text. Reports are also indexed with
+// the 'simple' configuration, which keeps words as written so transliterated
+// Tamil/Hindi/Malayalam words are not mangled by the English stemmer.
+const STEMMED_CONFIG = process.env.REPORT_SEARCH_CONFIG || 'english';
+const LITERAL_CONFIG = 'simple';
+
+/**
+ * Common transliterated hazard words and the English term they are searched
+ * as. Spellings vary a lot between reporters, so the usual variants are listed.
+ */
+const TRANSLITERATIONS = {
+  // Tamil
+  kadal: 'sea',
+  alai: 'wave',
+  alaigal: 'waves',
+  vellam: 'flood',
+  puyal: 'cyclone',
+  kaatru: 'wind',
+  katru: 'wind',
+  aazhipperalai: 'tsunami',
+  azhiperalai: 'tsunami',
+  karai: 'shore',
+  mazhai: 'rain',
+  // Hindi
+  samudra: 'sea',
+  samundar: 'sea',
+  lahar: 'wave',
+  leher: 'wave',
+  lehren: 'waves',
+  baadh: 'flood',
+  badh: 'flood',
+  toofan: 'storm',
+  tufan: 'storm',
+  chakravat: 'cyclone',
+  kinara: 'shore',
+  barish: 'rain',
+  // Malayalam
+  kadalkshobham: 'storm surge',
+  thira: 'wave',
+  thirakal: 'waves',
+  vellappokkam: 'flood',
+  chuzhalikkattu: 'cyclone',
+  theeram: 'shore',
+  mazha: 'rain'
+};
+
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=30, MinWords=10, MaxFragments=2';
+
+// Reporters' text is HTML-escaped before it is highlighted, so the
+// <mark> tags are the only markup a snippet can contain
+const escapedHtmlSql = (expression) => [
+  ['&', '&amp;'],
+  ['<', '&lt;'],
+  ['>', '&gt;'],
+  ['"', '&quot;'],
+  ["''", '&#39;']
+].reduce((sql, [from, to]) => `replace(${sql}, '${from}', '${to}')`, expression);
+
+// Qualified so the expressions work when other tables are joined in
+const column = (name) => `"Report"."${name}"`;
+
+/**
+ * SQL for a report's search document. Matches in the public ID and tags
+ * rank highest, then the description, then the address.
+ * @param {Object} fields - SQL expressions for { publicId, tags, description, address }
+ */
+const documentSql = ({ publicId, tags, description, address }) => {
+  const weighted = (expression, weight) =>
+    `setweight(to_tsvector('${STEMMED_CONFIG}', ${expression}) || to_tsvector('${LITERAL_CONFIG}', ${expression}), '${weight}')`;
+
+  return [
+    `setweight(to_tsvector('${LITERAL_CONFIG}', ${publicId}), 'A')`,
+    weighted(tags, 'A'),
+    weighted(description, 'B'),
+    weighted(address, 'C')
+  ].join(' || ');
+};
+
+/**
+ * Search vector for a report instance, for use in the model hooks
+ */
+const buildSearchVector = (report) => {
+  return sequelize.literal(documentSql({
+    publicId: sequelize.escape(report.publicId || ''),
+    tags: sequelize.escape((report.tags || []).join(' ')),
+    description: sequelize.escape(report.description || ''),
+    address: sequelize.escape(report.address || '')
+  }));
+};
+
+/**
+ * Search vector computed from the stored columns, used to backfill rows
+ */
+const storedSearchVector = () => documentSql({
+  publicId: 'public_id',
+  tags: "array_to_string(coalesce(tags, '{}'), ' ')",
+  description: "coalesce(description, '')",
+  address: "coalesce(address, '')"
+});
+
+/**
+ * Replace known transliterated words with their English equivalent,
+ * leaving quoted phrases and search operators intact
+ */
+const translateTerms = (text) => {
+  return text.replace(/[A-Za-z]+/g, word => TRANSLITERATIONS[word.toLowerCase()] || word);
+};
+
+/**
+ * SQL tsquery for a user's search text. Accepts web search syntax:
+ * "quoted phrases", `or` and `-excluded` words.
+ */
+const buildSearchQuery = (text) => {
+  const queries = [
+    `websearch_to_tsquery('${STEMMED_CONFIG}', ${sequelize.escape(text)})`,
+    `websearch_to_tsquery('${LITERAL_CONFIG}', ${sequelize.escape(text)})`
+  ];
+
+  const translated = translateTerms(text);
+  if (translated !== text) {
+    queries.push(`websearch_to_tsquery('${STEMMED_CONFIG}', ${sequelize.escape(translated)})`);
+  }
+
+  return `(${queries.join(' || ')})`;
+};
+
+/**
+ * Sequelize fragments for a full-text search over reports
+ * @param {String} text - Search text from the user
+ * @returns {Object} - { filter, rank, snippet } where `rank` is rounded so it
+ *   can be used as a pagination cursor value and `snippet` is escaped HTML
+ *   with matches wrapped in <mark>
+ */
+const reportSearch = (text) => {
+  const tsquery = buildSearchQuery(text);
+
+  return {
+    filter: sequelize.literal(`${column('search_vector')} @@ ${tsquery}`),
+    rank: sequelize.literal(`ROUND(ts_rank_cd(${column('search_vector')}, ${tsquery})::numeric, 6)`),
+    snippet: sequelize.literal(
+      `ts_headline('${STEMMED_CONFIG}', ${escapedHtmlSql(column('description'))}, ${tsquery}, '${HEADLINE_OPTIONS}')`
+    )
+  };
+};
+
+module.exports = {
+  TRANSLITERATIONS,
+  buildSearchVector,
+  storedSearchVector,
+  buildSearchQuery,
+  reportSearch
+};
@@ -0,0 +1,323 @@
+const { Op } = require('sequelize');
+const Report = require('../models/Report');
+const ReportStreamEvent = require('../models/ReportStreamEvent');
+const { PUBLIC_REPORT_WHERE, isPublicOnly } = require('./apiKeys');
+const { registerJob } = require('./scheduler');
+const logger = require('./logger');
+
+const { STREAM_EVENTS } = ReportStreamEvent;
+
+// How often each instance looks for new events while clients are connected
+const POLL_INTERVAL_MS = parseInt(process.env.REPORT_STREAM_POLL_MS) || 2000;
+
+// Comment lines that keep proxies from closing idle connections
+const HEARTBEAT_MS = 25 * 1000;
+
+// How long events are kept for clients that reconnect
+const RETENTION_HOURS = parseInt(process.env.REPORT_STREAM_RETENTION_HOURS) || 24;
+
+const MAX_CLIENTS = parseInt(process.env.REPORT_STREAM_MAX_CLIENTS) || 1000;
+
+// Larger gaps are not replayed; the client is asked to reload instead
+const REPLAY_LIMIT = 1000;
+
+const POLL_BATCH = 500;
+
+class ReportStreamError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ReportStreamError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * A report as sent to stream clients, in the format of GET /api/map/reports
+ */
+const toStreamReport = (report) => {
+  return {
+    id: report.id,
+    publicId: report.publicId,
+    position: {
+      lat: report.location.lat,
+      lng: report.location.lng
+    },
+    hazardType: report.hazardType,
+    severity: report.severity,
+    urgency: report.urgency,
+    status: report.status,
+    description: report.description.substring(0, 100) + (report.description.length > 100 ? '...' : ''),
+    createdAt: report.createdAt,
+    updatedAt: report.updatedAt,
+    verifiedAt: report.verifiedAt,
+    hasMedia: Boolean(report.mediaFiles && report.mediaFiles.length > 0)
+  };
+};
+
+/**
+ * Record a report event for realtime clients
+ * @param {String} type - One of STREAM_EVENTS
+ * @param {Object} report - The report, as saved
+ */
+const publishReportEvent = async (type, report) => {
+  if (!STREAM_EVENTS.includes(type)) {
+    throw new ReportStreamError(`Unknown stream event '${type}'`);
+  }
+
+  return ReportStreamEvent.create({
+    type,
+    reportId: report.id,
+    submittedById: report.submittedById,
+    visibility: report.visibility,
+    payload: toStreamReport(report)
+  });
+};
+
+/**
+ * Record an event for reports known only by ID, e.g. after bulk actions
+ */
+const publishReportEvents = async (type, reportIds) => {
+  if (reportIds.length === 0) return;
+
+  const reports = await Report.findAll({ where: { id: reportIds } });
+  await ReportStreamEvent.bulkCreate(reports.map(report => ({
+    type,
+    reportId: report.id,
+    submittedById: report.submittedById,
+    visibility: report.visibility,
+    payload: toStreamReport(report)
+  })));
+};
+
+// Statuses GET /api/map/reports can show
+const MAP_STATUSES = ['verified', 'pending'];
+
+// Same rules as GET /api/map/reports: citizens see verified and pending
+// reports that are public or their own, keys limited to public data only
+// verified public reports
+const canSee = (event, user) => {
+  if (isPublicOnly(user)) {
+    return event.visibility === PUBLIC_REPORT_WHERE.visibility &&
+      PUBLIC_REPORT_WHERE.status.includes(event.payload.status);
+  }
+  if (user.role === 'citizen') {
+    return MAP_STATUSES.includes(event.payload.status) && (event.visibility === 'public' ||
+      Boolean(event.submittedById && event.submittedById === user.id));
+  }
+  return true;
+};
+
+const matchesFilters = (report, { bounds, hazardTypes, severities }) => {
+  if (hazardTypes && !hazardTypes.includes(report.hazardType)) return false;
+  if (severities && !severities.includes(report.severity)) return false;
+
+  if (bounds) {
+    const [swLat, swLng, neLat, neLng] = bounds;
+    const lat = Number(report.position.lat);
+    const lng = Number(report.position.lng);
+    if (lat < swLat || lat > neLat || lng < swLng || lng > neLng) return false;
+  }
+
+  return true;
+};
+
+// Connected clients on this instance
+const clients = new Set();
+let pollTimer = null;
+let lastPolledId = null;
+let polling = false;
+
+const writeToClient = (client, text) => {
+  client.res.write(text);
+};
+
+const sendEvent = (client, event) => {
+  const id = Number(event.id);
+  if (id <= client.lastEventId) return;
+  client.lastEventId = id;
+
+  if (!canSee(event, client.user) || !matchesFilters(event.payload, client.filters)) return;
+
+  writeToClient(client, `id: ${id}\nevent: ${event.type}\ndata: ${JSON.stringify({
+    type: event.type,
+    report: event.payload,
+    at: event.createdAt
+  })}\n\n`);
+};
+
+// Events polled while a client is still replaying are held until it is done
+const deliver = (client, event) => {
+  if (client.ready) {
+    sendEvent(client, event);
+  } else {
+    client.buffer.push(event);
+  }
+};
+
+/**
+ * Fan out events recorded since the last poll, by any instance
+ */
+const poll = async () => {
+  if (polling || lastPolledId === null) return;
+  polling = true;
+
+  try {
+    let events;
+    do {
+      events = await ReportStreamEvent.findAll({
+        where: { id: { [Op.gt]: lastPolledId } },
+        order: [['id', 'ASC']],
+        limit: POLL_BATCH,
+        raw: true
+      });
+
+      events.forEach(event => {
+        clients.forEach(client => deliver(client, event));
+      });
+
+      if (events.length > 0) {
+        lastPolledId = Number(events[events.length - 1].id);
+      }
+    } while (events.length === POLL_BATCH && clients.size > 0);
+  } catch (error) {
+    logger.error('Report stream poll error:', error);
+  } finally {
+    polling = false;
+  }
+};
+
+const startPolling = async () => {
+  if (pollTimer) return;
+
+  // Only events recorded from now on; earlier ones are replayed per client
+  const latestId = Number(await ReportStreamEvent.max('id')) || 0;
+  if (pollTimer) return;
+
+  lastPolledId = latestId;
+  pollTimer = setInterval(poll, POLL_INTERVAL_MS);
+  pollTimer.unref();
+};
+
+const stopPolling = () => {
+  clearInterval(pollTimer);
+  pollTimer = null;
+  lastPolledId = null;
+};
+
+/**
+ * Send the events after `lastEventId`, or ask the client to reload when
+ * they are no longer (all) available
+ */
+const replay = async (client, lastEventId) => {
+  const oldest = Number(await ReportStreamEvent.min('id')) || 0;
+
+  const events = oldest && lastEventId >= oldest - 1
+    ? await ReportStreamEvent.findAll({
+      where: { id: { [Op.gt]: lastEventId } },
+      order: [['id', 'ASC']],
+      limit: REPLAY_LIMIT + 1,
+      raw: true
+    })
+    : null;
+
+  if (!events || events.length > REPLAY_LIMIT) {
+    writeToClient(client, `event: reset\ndata: ${JSON.stringify({
+      message: 'Missed events are no longer available; reload reports and reconnect without Last-Event-ID'
+    })}\n\n`);
+    client.lastEventId = Number(await ReportStreamEvent.max('id')) || 0;
+    return 0;
+  }
+
+  events.forEach(event => sendEvent(client, event));
+  return events.length;
+};
+
+/**
+ * Stream report events to a client as Server-Sent Events until it disconnects
+ * @param {Object} req - Authenticated request
+ * @param {Object} res - Response to stream to
+ * @param {Object} options - { filters: { bounds, hazardTypes, severities }, lastEventId }
+ * @throws {ReportStreamError} - 503 when this instance has too many clients
+ */
+const openReportStream = async (req, res, { filters, lastEventId = null }) => {
+  if (clients.size >= MAX_CLIENTS) {
+    throw new ReportStreamError('Too many stream connections, retry later', 503);
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    // no-transform keeps the compression middleware from buffering events
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+
+  const client = {
+    res,
+    user: req.user,
+    filters,
+    lastEventId: 0,
+    ready: false,
+    buffer: []
+  };
+
+  clients.add(client);
+  const heartbeat = setInterval(() => writeToClient(client, ': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(client);
+    if (clients.size === 0) {
+      stopPolling();
+    }
+  });
+
+  try {
+    await startPolling();
+
+    const replayed = lastEventId === null ? 0 : await replay(client, lastEventId);
+
+    client.ready = true;
+    client.buffer.forEach(event => sendEvent(client, event));
+    client.buffer = [];
+
+    logger.info(`Report stream opened by ${req.apiKey ? `API key ${req.apiKey.id}` : `user ${req.user.id}`}${lastEventId === null ? '' : ` from event ${lastEventId} (${replayed} replayed)`}`);
+  } catch (error) {
+    logger.error('Report stream replay error:', error);
+    res.end();
+  }
+};
+
+/**
+ * Delete events past the replay window
+ */
+const purgeStreamEvents = async ({ dryRun }) => {
+  const where = {
+    createdAt: { [Op.lt]: new Date(Date.now() - RETENTION_HOURS * 60 * 60 * 1000) }
+  };
+
+  if (dryRun) {
+    return { events: await ReportStreamEvent.count({ where }) };
+  }
+
+  return { events: await ReportStreamEvent.destroy({ where }) };
+};
+
+const registerReportStreamJobs = () => {
+  registerJob('purge-stream-events', {
+    description: `Delete realtime report events older than ${RETENTION_HOURS} hours`,
+    schedule: process.env.PURGE_STREAM_EVENTS_SCHEDULE || '40 * * * *',
+    handler: purgeStreamEvents
+  });
+};
+
+module.exports = {
+  STREAM_EVENTS,
+  ReportStreamError,
+  publishReportEvent,
+  publishReportEvents,
+  openReportStream,
+  purgeStreamEvents,
+  registerReportStreamJobs
+};
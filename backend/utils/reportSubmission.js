@@ -0,0 +1,115 @@
+const ReportEvent = require('../models/ReportEvent');
+const ReportVersion = require('../models/ReportVersion');
+const { findDuplicateCandidates } = require('./duplicateDetection');
+const { refreshPriority } = require('./triagePriority');
+const { notifySavedSearchMatches } = require('./savedSearchAlerts');
+const logger = require('./logger');
+
+// Multipart forms send objects as JSON strings; JSON bodies send them as is
+const parseJsonField = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  return typeof value === 'string' ? JSON.parse(value) : value;
+};
+
+/**
+ * Build the attributes of a new report from a submission body and its
+ * uploaded files. Validation is the caller's job.
+ * @param {Object} body - Request body
+ * @param {Array} files - Files stored by the upload middleware
+ * @returns {Object} - Attributes for Report.create (without the submitter)
+ */
+const buildReportAttributes = (body, files = []) => {
+  const {
+    hazardType,
+    severity,
+    urgency = 'routine',
+    description,
+    location,
+    address,
+    weatherConditions,
+    tideLevel,
+    waveHeight,
+    windSpeed,
+    affectedArea,
+    estimatedDamage,
+    peopleAffected,
+    tags
+  } = body;
+
+  const mediaFiles = (files || []).map(file => ({
+    filename: file.filename,
+    originalName: file.originalname,
+    mimetype: file.mimetype,
+    size: file.size,
+    path: file.path,
+    uploadedAt: new Date()
+  }));
+
+  return {
+    hazardType,
+    severity,
+    urgency,
+    description,
+    location: parseJsonField(location),
+    address,
+    mediaFiles,
+    weatherConditions: parseJsonField(weatherConditions),
+    tideLevel: parseFloat(tideLevel) || null,
+    waveHeight: parseFloat(waveHeight) || null,
+    windSpeed: parseFloat(windSpeed) || null,
+    affectedArea: parseFloat(affectedArea) || null,
+    estimatedDamage,
+    peopleAffected: parseInt(peopleAffected) || null,
+    tags: parseJsonField(tags) || []
+  };
+};
+
+/**
+ * Run the steps every newly created report goes through: audit event,
+ * first version, duplicate linking, triage priority and saved search
+ * notifications
+ * @param {Object} report - Newly created report
+ * @param {Object} options - { actorId } (null for anonymous and API key submissions)
+ * @returns {Object} - { duplicates }
+ */
+const finalizeNewReport = async (report, options = {}) => {
+  const { actorId = null } = options;
+
+  await ReportEvent.record(report, {
+    actorId,
+    action: 'created',
+    metadata: { source: report.source }
+  });
+
+  await ReportVersion.recordEdit(report, {
+    action: 'created',
+    actorId
+  });
+
+  // Link likely duplicates so verifiers can see them in the review queue
+  const duplicates = await findDuplicateCandidates(report);
+  if (duplicates.length > 0) {
+    await report.update({ duplicateCandidates: duplicates });
+    logger.info(`Report ${report.publicId} has ${duplicates.length} possible duplicate(s)`);
+  }
+
+  await refreshPriority(report);
+
+  // Not awaited: matching every saved search should not delay the response
+  notifySavedSearchMatches(report).catch(error => {
+    logger.error(`Saved search notifications failed for report ${report.publicId}:`, error);
+  });
+
+  // Send notification for critical reports (implement as needed)
+  if (report.isCritical()) {
+    logger.warn(`Critical report submitted: ${report.publicId}`);
+  }
+
+  return { duplicates };
+};
+
+module.exports = {
+  parseJsonField,
+  buildReportAttributes,
+  finalizeNewReport
+};
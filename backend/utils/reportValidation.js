@@ -0,0 +1,62 @@
+const { body, validationResult } = require('express-validator');
+
+// Rules every new report must pass, whichever way it is submitted
+const validateReportCreation = [
+  body('hazardType')
+    .isIn(['flood', 'high-waves', 'coastal-erosion', 'storm-surge', 'tsunami', 'oil-spill', 'marine-debris', 'red-tide', 'infrastructure-damage', 'other'])
+    .withMessage('Invalid hazard type'),
+  
+  body('severity')
+    .isIn(['low', 'medium', 'high', 'critical'])
+    .withMessage('Invalid severity level'),
+  
+  body('urgency')
+    .optional()
+    .isIn(['routine', 'urgent', 'immediate', 'emergency'])
+    .withMessage('Invalid urgency level'),
+  
+  body('description')
+    .trim()
+    .isLength({ min: 10, max: 2000 })
+    .withMessage('Description must be between 10 and 2000 characters'),
+  
+  body('location.lat')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Invalid latitude'),
+  
+  body('location.lng')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Invalid longitude'),
+  
+  body('address')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Address must not exceed 500 characters')
+];
+
+/**
+ * Run validation chains against report data outside of a request, e.g.
+ * for each item of a sync batch or each row of an import. Sanitizers
+ * (such as trim) are applied to the returned copy of the data.
+ * @param {Object} data - Report fields
+ * @param {Array} chains - Validation chains (defaults to validateReportCreation)
+ * @returns {Object} - { data, errors }
+ */
+const validateReportFields = async (data, chains = validateReportCreation) => {
+  const req = { body: { ...data } };
+
+  for (const chain of chains) {
+    await chain.run(req);
+  }
+
+  return {
+    data: req.body,
+    errors: validationResult(req).array()
+  };
+};
+
+module.exports = {
+  validateReportCreation,
+  validateReportFields
+};
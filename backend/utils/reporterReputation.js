@@ -0,0 +1,116 @@
+const { Op } = require('sequelize');
+const Report = require('../models/Report');
+const ReportConfirmation = require('../models/ReportConfirmation');
+const User = require('../models/User');
+const logger = require('./logger');
+
+// A decided report loses half its influence after this many days
+const HISTORY_HALF_LIFE_DAYS = parseFloat(process.env.TRUST_HALF_LIFE_DAYS) || 180;
+
+// Weight of the neutral prior; keeps new reporters near the middle
+const PRIOR_WEIGHT = 2;
+const NEUTRAL_SCORE = 50;
+
+// Community confirmations move the score by at most this many points
+const MAX_COMMUNITY_ADJUSTMENT = 10;
+
+// Reporters below this score are flagged for abuse review
+const LOW_TRUST_THRESHOLD = parseFloat(process.env.LOW_TRUST_THRESHOLD) || 20;
+
+const recencyWeight = (date) => {
+  const ageDays = (Date.now() - new Date(date).getTime()) / (1000 * 60 * 60 * 24);
+  return Math.pow(0.5, Math.max(0, ageDays) / HISTORY_HALF_LIFE_DAYS);
+};
+
+/**
+ * Calculate a 0-100 trust score for a reporter from their verified vs.
+ * rejected reports (recent ones count more) and the community votes their
+ * reports received.
+ * @param {String} userId - User ID
+ * @returns {Object} - { score, factors }
+ */
+const calculateTrustScore = async (userId) => {
+  const decidedReports = await Report.findAll({
+    where: {
+      submittedById: userId,
+      status: ['verified', 'resolved', 'rejected']
+    },
+    attributes: ['id', 'status', 'verifiedAt', 'createdAt']
+  });
+
+  let verifiedWeight = 0;
+  let rejectedWeight = 0;
+  decidedReports.forEach(report => {
+    const weight = recencyWeight(report.verifiedAt || report.createdAt);
+    if (report.status === 'rejected') {
+      rejectedWeight += weight;
+    } else {
+      verifiedWeight += weight;
+    }
+  });
+
+  const historyScore = 100 * (verifiedWeight + PRIOR_WEIGHT * NEUTRAL_SCORE / 100) /
+    (verifiedWeight + rejectedWeight + PRIOR_WEIGHT);
+
+  const votes = await ReportConfirmation.findAll({
+    attributes: ['vote', 'weight'],
+    include: [{
+      model: Report,
+      as: 'report',
+      attributes: [],
+      where: { submittedById: userId }
+    }],
+    where: { userId: { [Op.ne]: userId } },
+    raw: true
+  });
+
+  const communityNet = votes.reduce((sum, vote) => {
+    const weight = parseFloat(vote.weight);
+    return vote.vote === 'confirm' ? sum + weight : sum - weight;
+  }, 0);
+
+  // tanh keeps a flood of votes from dominating the history
+  const communityAdjustment = MAX_COMMUNITY_ADJUSTMENT * Math.tanh(communityNet / 5);
+
+  const score = Math.round(Math.max(0, Math.min(100, historyScore + communityAdjustment)) * 100) / 100;
+
+  return {
+    score,
+    factors: {
+      verifiedReports: decidedReports.filter(r => r.status !== 'rejected').length,
+      rejectedReports: decidedReports.filter(r => r.status === 'rejected').length,
+      decidedReports: decidedReports.length,
+      historyScore: Math.round(historyScore * 100) / 100,
+      communityVotes: votes.length,
+      communityAdjustment: Math.round(communityAdjustment * 100) / 100,
+      halfLifeDays: HISTORY_HALF_LIFE_DAYS
+    }
+  };
+};
+
+/**
+ * Recalculate and store a reporter's trust score
+ */
+const recalculateTrustScore = async (userId) => {
+  const user = await User.findByPk(userId);
+  if (!user) return null;
+
+  const { score, factors } = await calculateTrustScore(userId);
+
+  user.trustScore = score;
+  user.trustFactors = factors;
+  user.trustScoreUpdatedAt = new Date();
+  await user.save({ fields: ['trustScore', 'trustFactors', 'trustScoreUpdatedAt'] });
+
+  if (score < LOW_TRUST_THRESHOLD && factors.decidedReports > 0) {
+    logger.logSecurity('Low-trust reporter', { userId, trustScore: score });
+  }
+
+  return user;
+};
+
+module.exports = {
+  LOW_TRUST_THRESHOLD,
+  calculateTrustScore,
+  recalculateTrustScore
+};
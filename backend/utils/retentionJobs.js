@@ -0,0 +1,113 @@
+const { Op } = require('sequelize');
+const Report = require('../models/Report');
+const ReportEvent = require('../models/ReportEvent');
+const User = require('../models/User');
+const { transitionReport } = require('./reportLifecycle');
+const { registerJob } = require('./scheduler');
+const logger = require('./logger');
+
+// Pending reports untouched for this many days are archived
+const STALE_PENDING_DAYS = parseInt(process.env.STALE_PENDING_DAYS) || 30;
+
+// Reports handled per run, so one run cannot hold the lock for hours
+const BATCH_SIZE = parseInt(process.env.RETENTION_BATCH_SIZE) || 500;
+
+/**
+ * Delete resolved reports past their expiry date and their media files
+ */
+const expireResolvedReports = async ({ dryRun }) => {
+  return Report.cleanupExpiredReports({ dryRun, limit: BATCH_SIZE });
+};
+
+/**
+ * Archive pending reports that nobody has acted on
+ */
+const archiveStalePendingReports = async ({ dryRun }) => {
+  const cutoff = new Date(Date.now() - STALE_PENDING_DAYS * 24 * 60 * 60 * 1000);
+  const reason = `No review activity for ${STALE_PENDING_DAYS} days`;
+
+  const stale = await Report.findAll({
+    where: {
+      status: 'pending',
+      updatedAt: { [Op.lt]: cutoff }
+    },
+    order: [['updatedAt', 'ASC']],
+    limit: BATCH_SIZE
+  });
+
+  const result = { reports: stale.length, archived: 0, failed: 0, publicIds: stale.map(r => r.publicId) };
+  if (dryRun) return result;
+
+  for (const report of stale) {
+    try {
+      transitionReport(report, 'archived', { reason });
+      const changes = ReportEvent.captureChanges(report);
+      await report.save();
+      await ReportEvent.record(report, {
+        action: 'status_changed',
+        changes,
+        reason,
+        metadata: { job: 'archive-stale-pending' }
+      });
+      result.archived += 1;
+    } catch (error) {
+      result.failed += 1;
+      logger.error(`Failed to archive stale report ${report.publicId}:`, error);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Clear password reset tokens that can no longer be used
+ */
+const purgeExpiredResetTokens = async ({ dryRun }) => {
+  const where = {
+    resetPasswordToken: { [Op.ne]: null },
+    resetPasswordExpires: { [Op.lt]: new Date() }
+  };
+
+  if (dryRun) {
+    return { tokens: await User.count({ where }) };
+  }
+
+  const [tokens] = await User.update({
+    resetPasswordToken: null,
+    resetPasswordExpires: null
+  }, { where });
+
+  return { tokens };
+};
+
+/**
+ * Register the retention jobs with the scheduler. Schedules are cron
+ * expressions and can be overridden per deployment.
+ */
+const registerRetentionJobs = () => {
+  registerJob('expire-resolved-reports', {
+    description: 'Delete resolved reports past their retention date, with their media and thumbnails',
+    schedule: process.env.EXPIRE_RESOLVED_SCHEDULE || '0 3 * * *',
+    handler: expireResolvedReports
+  });
+
+  registerJob('archive-stale-pending', {
+    description: `Archive pending reports with no activity for ${STALE_PENDING_DAYS} days`,
+    schedule: process.env.ARCHIVE_STALE_SCHEDULE || '30 3 * * *',
+    handler: archiveStalePendingReports
+  });
+
+  registerJob('purge-reset-tokens', {
+    description: 'Clear expired password reset tokens',
+    schedule: process.env.PURGE_RESET_TOKENS_SCHEDULE || '15 * * * *',
+    handler: purgeExpiredResetTokens
+  });
+};
+
+module.exports = {
+  STALE_PENDING_DAYS,
+  expireResolvedReports,
+  archiveStalePendingReports,
+  purgeExpiredResetTokens,
+  registerRetentionJobs
+};
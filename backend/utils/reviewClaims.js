@@ -0,0 +1,134 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const ReportEvent = require('../models/ReportEvent');
+
+// How long a verifier holds a report before the claim lapses
+const CLAIM_TIMEOUT_MINUTES = parseInt(process.env.REVIEW_CLAIM_TIMEOUT_MINUTES) || 30;
+
+// Statuses a report can be claimed in
+const CLAIMABLE_STATUSES = ['pending', 'under_review'];
+
+class ReportClaimError extends Error {
+  constructor(message, statusCode = 409) {
+    super(message);
+    this.name = 'ReportClaimError';
+    this.statusCode = statusCode;
+  }
+}
+
+const claimExpiry = () => new Date(Date.now() + CLAIM_TIMEOUT_MINUTES * 60 * 1000);
+
+/**
+ * Where clause that hides reports actively claimed by someone else
+ */
+const unclaimedOrOwnFilter = (userId) => ({
+  [Op.or]: [
+    { assignedToId: null },
+    { assignedToId: userId },
+    { claimExpiresAt: null },
+    { claimExpiresAt: { [Op.lt]: new Date() } }
+  ]
+});
+
+const recordClaimEvent = (report, actorId, action, changes, reason, transaction) => {
+  return ReportEvent.record(report, {
+    actorId,
+    action,
+    changes,
+    reason,
+    metadata: { claimExpiresAt: report.claimExpiresAt },
+    transaction
+  });
+};
+
+/**
+ * Run a claim change on the report's current row, locked so that two
+ * verifiers cannot both pass the checks at the same time
+ */
+const withLockedReport = (report, change) => {
+  return sequelize.transaction(async (transaction) => {
+    await report.reload({ transaction, lock: transaction.LOCK.UPDATE });
+    return change(transaction);
+  });
+};
+
+/**
+ * Claim a report for review, or renew the caller's own claim
+ */
+const claimReport = async (report, user) => {
+  await withLockedReport(report, async (transaction) => {
+    if (!CLAIMABLE_STATUSES.includes(report.status)) {
+      throw new ReportClaimError(`Reports with status '${report.status}' cannot be claimed`);
+    }
+
+    if (report.isClaimedByOther(user.id)) {
+      throw new ReportClaimError('Report is already claimed by another verifier');
+    }
+
+    report.assignedToId = user.id;
+    report.claimExpiresAt = claimExpiry();
+
+    const changes = ReportEvent.captureChanges(report);
+    await report.save({ transaction });
+    await recordClaimEvent(report, user.id, 'claimed', changes, null, transaction);
+  });
+
+  return report;
+};
+
+/**
+ * Release a claim. Only the claimant or an admin may release it.
+ */
+const releaseClaim = async (report, user) => {
+  await withLockedReport(report, async (transaction) => {
+    if (!report.isClaimActive()) {
+      throw new ReportClaimError('Report is not claimed', 404);
+    }
+
+    if (report.assignedToId !== user.id && user.role !== 'admin') {
+      throw new ReportClaimError('Only the claiming verifier or an admin can release this claim', 403);
+    }
+
+    report.assignedToId = null;
+    report.claimExpiresAt = null;
+
+    const changes = ReportEvent.captureChanges(report);
+    await report.save({ transaction });
+    await recordClaimEvent(report, user.id, 'released', changes, null, transaction);
+  });
+
+  return report;
+};
+
+/**
+ * Assign (or reassign) a report to a verifier. Admin only.
+ */
+const assignReport = async (report, assignee, admin, reason = null) => {
+  if (!assignee.canVerifyReports() || !assignee.isActive()) {
+    throw new ReportClaimError('Reports can only be assigned to active verifiers', 400);
+  }
+
+  await withLockedReport(report, async (transaction) => {
+    if (!CLAIMABLE_STATUSES.includes(report.status)) {
+      throw new ReportClaimError(`Reports with status '${report.status}' cannot be assigned`);
+    }
+
+    report.assignedToId = assignee.id;
+    report.claimExpiresAt = claimExpiry();
+
+    const changes = ReportEvent.captureChanges(report);
+    await report.save({ transaction });
+    await recordClaimEvent(report, admin.id, 'assigned', changes, reason, transaction);
+  });
+
+  return report;
+};
+
+module.exports = {
+  CLAIM_TIMEOUT_MINUTES,
+  ReportClaimError,
+  unclaimedOrOwnFilter,
+  claimReport,
+  releaseClaim,
+  assignReport
+};
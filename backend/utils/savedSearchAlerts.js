@@ -0,0 +1,221 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Report = require('../models/Report');
+const SavedSearch = require('../models/SavedSearch');
+const User = require('../models/User');
+const { buildFilterConditions } = require('./reportFilters');
+const { sendSavedSearchMatchEmail, sendSavedSearchDigestEmail } = require('./emailService');
+const { registerJob } = require('./scheduler');
+const logger = require('./logger');
+
+// Minimum time between two match emails for the same saved search
+const NOTIFY_COOLDOWN_MINUTES = parseInt(process.env.SAVED_SEARCH_NOTIFY_COOLDOWN_MINUTES) || 60;
+
+// Matches listed in one digest email; any beyond are only counted
+const MAX_PENDING_MATCHES = 50;
+
+const cooldownStart = () => new Date(Date.now() - NOTIFY_COOLDOWN_MINUTES * 60 * 1000);
+
+const isCoolingDown = (search) => Boolean(search.lastNotifiedAt && search.lastNotifiedAt >= cooldownStart());
+
+/**
+ * Queue a match for the search's next digest. Appended in SQL so that
+ * reports verified at the same time do not overwrite each other.
+ */
+const queueMatch = async (search, report) => {
+  const match = {
+    publicId: report.publicId,
+    hazardType: report.hazardType,
+    severity: report.severity,
+    matchedAt: new Date().toISOString()
+  };
+
+  await sequelize.query(
+    `UPDATE saved_searches
+     SET pending_matches = pending_matches || jsonb_build_array(:match::jsonb)
+     WHERE id = :id`,
+    { replacements: { id: search.id, match: JSON.stringify(match) } }
+  );
+};
+
+const filterAt = (path) => `"SavedSearch"."filters" #> '{${path}}'`;
+const filterTextAt = (path) => `"SavedSearch"."filters" #>> '{${path}}'`;
+
+/**
+ * SQL conditions that keep the saved searches whose filters the report
+ * meets, apart from text search. Mirrors buildFilterConditions, so only
+ * searches with a text query still need checking against the report.
+ * @param {Object} report - Report instance
+ * @returns {Array} - Literal where conditions on SavedSearch
+ */
+const structuredFilterConditions = (report) => {
+  const unsetOr = (field, condition) => sequelize.literal(`(${filterAt(field)} IS NULL OR ${condition})`);
+  const listed = (field, value) => unsetOr(field, `${filterAt(field)} @> jsonb_build_array(${sequelize.escape(String(value))}::text)`);
+
+  const createdAt = sequelize.escape(new Date(report.createdAt).toISOString());
+  const conditions = [
+    unsetOr('dateRange', `${createdAt}::timestamptz BETWEEN (${filterTextAt('dateRange,start')})::timestamptz ` +
+      `AND (${filterTextAt('dateRange,end')})::timestamptz`),
+    listed('severity', report.severity),
+    listed('hazardType', report.hazardType),
+    listed('status', report.status)
+  ];
+
+  const lat = parseFloat(report.location && report.location.lat);
+  const lng = parseFloat(report.location && report.location.lng);
+  conditions.push(Number.isFinite(lat) && Number.isFinite(lng)
+    ? unsetOr('location', `${lat} BETWEEN (${filterTextAt('location,bounds,south')})::float ` +
+      `AND (${filterTextAt('location,bounds,north')})::float ` +
+      `AND ${lng} BETWEEN (${filterTextAt('location,bounds,west')})::float ` +
+      `AND (${filterTextAt('location,bounds,east')})::float`)
+    : sequelize.literal(`${filterAt('location')} IS NULL`));
+
+  const tags = (report.tags || []).map(tag => sequelize.escape(tag));
+  conditions.push(tags.length > 0
+    ? unsetOr('tags', `EXISTS (SELECT 1 FROM jsonb_array_elements_text(${filterAt('tags')}) AS tag ` +
+      `WHERE tag IN (${tags.join(', ')}))`)
+    : sequelize.literal(`${filterAt('tags')} IS NULL`));
+
+  return conditions;
+};
+
+/**
+ * Email the owners of saved searches with notifications enabled when a
+ * report newly matches their filters. Called when a report is created and
+ * when it becomes verified. Owners are not told about reports they cannot
+ * view or that they submitted themselves. Matches during the cooldown are
+ * queued and sent as a digest once it ends. Searches are narrowed down in
+ * the query that loads them; only a text query is checked per search.
+ * @param {Object} report - Report instance
+ * @returns {Number} - Number of notifications sent or queued
+ */
+const notifySavedSearchMatches = async (report) => {
+  const searches = await SavedSearch.findAll({
+    where: {
+      notifyOnNewMatches: true,
+      ...(report.submittedById && { ownerId: { [Op.ne]: report.submittedById } }),
+      [Op.and]: structuredFilterConditions(report)
+    },
+    include: [{
+      model: User,
+      as: 'owner',
+      where: { status: 'active' }
+    }]
+  });
+
+  let notified = 0;
+
+  for (const search of searches) {
+    const { owner } = search;
+    if (!report.canBeViewedBy(owner)) continue;
+
+    try {
+      if (search.filters.search) {
+        const matches = await Report.count({
+          where: {
+            id: report.id,
+            [Op.and]: buildFilterConditions({ search: search.filters.search })
+          }
+        });
+        if (matches === 0) continue;
+      }
+
+      if (isCoolingDown(search)) {
+        await queueMatch(search, report);
+        notified += 1;
+        continue;
+      }
+
+      search.lastNotifiedAt = new Date();
+      await search.save({ fields: ['lastNotifiedAt'] });
+
+      await sendSavedSearchMatchEmail(owner.email, owner.getFullName(), search.name, {
+        publicId: report.publicId,
+        hazardType: report.hazardType,
+        severity: report.severity
+      });
+      notified += 1;
+    } catch (error) {
+      logger.error(`Failed to check saved search ${search.id} against report ${report.publicId}:`, error);
+    }
+  }
+
+  return notified;
+};
+
+/**
+ * Send the matches queued during a search's cooldown as one email once
+ * the cooldown is over. The queue is taken under a row lock, so matches
+ * added while the digest is sent wait for the next one.
+ */
+const sendSavedSearchDigests = async ({ dryRun }) => {
+  const searches = await SavedSearch.findAll({
+    where: {
+      notifyOnNewMatches: true,
+      [Op.or]: [
+        { lastNotifiedAt: null },
+        { lastNotifiedAt: { [Op.lt]: cooldownStart() } }
+      ],
+      [Op.and]: sequelize.literal('jsonb_array_length("SavedSearch"."pending_matches") > 0')
+    },
+    include: [{
+      model: User,
+      as: 'owner',
+      where: { status: 'active' }
+    }]
+  });
+
+  const result = { searches: searches.length, sent: 0, matches: 0, failed: 0 };
+
+  for (const search of searches) {
+    const { owner } = search;
+
+    try {
+      if (dryRun) {
+        result.sent += 1;
+        result.matches += search.pendingMatches.length;
+        continue;
+      }
+
+      const queued = await sequelize.transaction(async (transaction) => {
+        await search.reload({ transaction, lock: transaction.LOCK.UPDATE });
+        const pending = search.pendingMatches || [];
+
+        search.pendingMatches = [];
+        search.lastNotifiedAt = new Date();
+        await search.save({ fields: ['pendingMatches', 'lastNotifiedAt'], transaction });
+
+        return pending;
+      });
+
+      // A report can match twice, when created and again when verified
+      const matches = [...new Map(queued.map(match => [match.publicId, match])).values()];
+      if (matches.length === 0) continue;
+
+      await sendSavedSearchDigestEmail(owner.email, owner.getFullName(), search.name,
+        matches.slice(0, MAX_PENDING_MATCHES), matches.length);
+      result.sent += 1;
+      result.matches += matches.length;
+    } catch (error) {
+      logger.error(`Failed to send digest for saved search ${search.id}:`, error);
+      result.failed += 1;
+    }
+  }
+
+  return result;
+};
+
+const registerSavedSearchJobs = () => {
+  registerJob('send-saved-search-digests', {
+    description: 'Email saved search matches held back by the notification cooldown',
+    schedule: process.env.SAVED_SEARCH_DIGEST_SCHEDULE || '*/10 * * * *',
+    handler: sendSavedSearchDigests
+  });
+};
+
+module.exports = {
+  NOTIFY_COOLDOWN_MINUTES,
+  notifySavedSearchMatches,
+  sendSavedSearchDigests,
+  registerSavedSearchJobs
+};
@@ -0,0 +1,234 @@
+const os = require('os');
+const JobRun = require('../models/JobRun');
+const logger = require('./logger');
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// A run still marked running after this long is assumed to have crashed
+const DEFAULT_LOCK_TIMEOUT_MINUTES = 60;
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+class SchedulerError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'SchedulerError';
+    this.statusCode = statusCode;
+  }
+}
+
+const parseCronField = (part, { name, min, max }) => {
+  const values = new Set();
+
+  part.split(',').forEach(item => {
+    const [range, stepText] = item.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = min;
+      end = max;
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map(n => parseInt(n, 10));
+    } else {
+      start = parseInt(range, 10);
+      end = stepText === undefined ? start : max;
+    }
+
+    if ([start, end, step].some(Number.isNaN) || start < min || end > max || start > end || step < 1) {
+      throw new SchedulerError(`Invalid ${name} in cron expression: '${item}'`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      // Sunday may be written as 0 or 7
+      values.add(name === 'dayOfWeek' && value === 7 ? 0 : value);
+    }
+  });
+
+  return values;
+};
+
+/**
+ * Parse a five-field cron expression (minute hour day-of-month month
+ * day-of-week) supporting `*`, lists, ranges and steps
+ */
+const parseCron = (expression) => {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new SchedulerError(`Cron expression must have ${CRON_FIELDS.length} fields: '${expression}'`);
+  }
+
+  const schedule = {};
+  CRON_FIELDS.forEach((field, index) => {
+    schedule[field.name] = parseCronField(parts[index], field);
+  });
+
+  // As in cron, a restricted day of month and day of week match either
+  schedule.anyDayOfMonth = parts[2] === '*';
+  schedule.anyDayOfWeek = parts[4] === '*';
+
+  return schedule;
+};
+
+const cronMatches = (schedule, date) => {
+  const dayOfMonth = schedule.dayOfMonth.has(date.getDate());
+  const dayOfWeek = schedule.dayOfWeek.has(date.getDay());
+  const dayMatches = schedule.anyDayOfMonth || schedule.anyDayOfWeek
+    ? dayOfMonth && dayOfWeek
+    : dayOfMonth || dayOfWeek;
+
+  return dayMatches &&
+    schedule.minute.has(date.getMinutes()) &&
+    schedule.hour.has(date.getHours()) &&
+    schedule.month.has(date.getMonth() + 1);
+};
+
+/**
+ * Next time after `from` (minute precision) the schedule fires, or null
+ * if it does not fire within a year
+ */
+const nextRunAfter = (schedule, from = new Date()) => {
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = new Date(date);
+  limit.setFullYear(limit.getFullYear() + 1);
+
+  while (date < limit) {
+    if (cronMatches(schedule, date)) return date;
+    date.setMinutes(date.getMinutes() + 1);
+  }
+
+  return null;
+};
+
+const jobs = new Map();
+let timer = null;
+
+/**
+ * Register a job
+ * @param {String} name - Unique job name
+ * @param {Object} definition - { schedule (cron expression), description, handler(options), lockTimeoutMinutes }
+ *   `handler` receives { dryRun, run } and returns a JSON-serializable result
+ */
+const registerJob = (name, definition) => {
+  if (jobs.has(name)) {
+    throw new SchedulerError(`Job '${name}' is already registered`);
+  }
+
+  jobs.set(name, {
+    name,
+    description: definition.description,
+    schedule: definition.schedule,
+    parsedSchedule: parseCron(definition.schedule),
+    handler: definition.handler,
+    lockTimeoutMinutes: definition.lockTimeoutMinutes || DEFAULT_LOCK_TIMEOUT_MINUTES
+  });
+};
+
+const getJob = (name) => {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new SchedulerError(`Unknown job '${name}'`, 404);
+  }
+  return job;
+};
+
+const listJobs = () => {
+  return [...jobs.values()].map(job => ({
+    name: job.name,
+    description: job.description,
+    schedule: job.schedule,
+    nextRunAt: nextRunAfter(job.parsedSchedule)
+  }));
+};
+
+/**
+ * Run a job now, holding its lock and recording the run
+ * @param {String} name - Job name
+ * @param {Object} options - { dryRun, trigger ('schedule' | 'manual'), triggeredById }
+ * @returns {Object|null} - The finished JobRun, or null if the job is already running
+ */
+const runJob = async (name, options = {}) => {
+  const job = getJob(name);
+  const { dryRun = false, trigger = 'schedule', triggeredById = null } = options;
+
+  const run = await JobRun.acquire(name, {
+    staleAfterMs: job.lockTimeoutMinutes * 60 * 1000,
+    trigger,
+    triggeredById,
+    dryRun,
+    instanceId: INSTANCE_ID
+  });
+
+  if (!run) {
+    logger.info(`Job ${name} is already running elsewhere, skipping`);
+    return null;
+  }
+
+  try {
+    const result = await job.handler({ dryRun, run });
+    await run.finish('succeeded', { result });
+    logger.info(`Job ${name} finished${dryRun ? ' (dry run)' : ''}`, result);
+  } catch (error) {
+    await run.finish('failed', { error: error.message });
+    logger.error(`Job ${name} failed:`, error);
+  }
+
+  return run;
+};
+
+const tick = () => {
+  const now = new Date();
+  now.setSeconds(0, 0);
+
+  jobs.forEach(job => {
+    if (!cronMatches(job.parsedSchedule, now)) return;
+
+    runJob(job.name, { dryRun: process.env.JOBS_DRY_RUN === 'true' }).catch(error => {
+      logger.error(`Could not start job ${job.name}:`, error);
+    });
+  });
+};
+
+// Wake up at the start of every minute
+const scheduleTick = () => {
+  const delay = 60 * 1000 - (Date.now() % (60 * 1000));
+  timer = setTimeout(() => {
+    tick();
+    scheduleTick();
+  }, delay);
+  timer.unref();
+};
+
+const startScheduler = () => {
+  if (timer) return;
+  scheduleTick();
+  logger.info(`Job scheduler started with ${jobs.size} job(s) on ${INSTANCE_ID}`);
+};
+
+const stopScheduler = () => {
+  clearTimeout(timer);
+  timer = null;
+};
+
+module.exports = {
+  SchedulerError,
+  parseCron,
+  cronMatches,
+  nextRunAfter,
+  registerJob,
+  getJob,
+  listJobs,
+  runJob,
+  startScheduler,
+  stopScheduler
+};
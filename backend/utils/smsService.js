@@ -0,0 +1,60 @@
+const logger = require('./logger');
+
+// SMS goes through an HTTP gateway that accepts { to, message } as JSON
+const SMS_GATEWAY_URL = process.env.SMS_GATEWAY_URL;
+const SMS_GATEWAY_TOKEN = process.env.SMS_GATEWAY_TOKEN;
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Longer messages are cut, so they fit a few concatenated SMS
+const MAX_LENGTH = 300;
+
+if (!SMS_GATEWAY_URL) {
+  logger.warn('SMS gateway not configured. SMS notifications will be disabled.');
+}
+
+// Base SMS sending function
+const sendSms = async (phoneNumber, message) => {
+  if (!SMS_GATEWAY_URL) {
+    logger.warn('SMS gateway not available. Skipping SMS send.');
+    return false;
+  }
+
+  try {
+    const response = await fetch(SMS_GATEWAY_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(SMS_GATEWAY_TOKEN ? { Authorization: `Bearer ${SMS_GATEWAY_TOKEN}` } : {})
+      },
+      body: JSON.stringify({
+        to: phoneNumber,
+        message: message.length > MAX_LENGTH ? `${message.slice(0, MAX_LENGTH - 1)}…` : message
+      }),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      logger.error(`SMS sending failed: gateway responded ${response.status}`);
+      return false;
+    }
+
+    logger.info('SMS sent successfully');
+    return true;
+  } catch (error) {
+    logger.error('SMS sending failed:', error);
+    return false;
+  }
+};
+
+// Verified hazard inside one of the user's alert areas
+const sendAreaAlertSms = async (phoneNumber, areaName, reportDetails) => {
+  return sendSms(phoneNumber,
+    `Aquasentra: verified ${reportDetails.severity} ${reportDetails.hazardType} in "${areaName}". ` +
+    `${process.env.FRONTEND_URL}/reports/${reportDetails.publicId}`);
+};
+
+module.exports = {
+  sendSms,
+  sendAreaAlertSms
+};
@@ -0,0 +1,164 @@
+const { Op } = require('sequelize');
+const Report = require('../models/Report');
+const User = require('../models/User');
+
+// Area and time window in which other reports count as corroboration
+const CORROBORATION_RADIUS_KM = parseFloat(process.env.TRIAGE_CORROBORATION_RADIUS_KM) || 5;
+const CORROBORATION_WINDOW_HOURS = parseFloat(process.env.TRIAGE_CORROBORATION_WINDOW_HOURS) || 12;
+
+const SEVERITY_POINTS = { low: 5, medium: 15, high: 25, critical: 35 };
+const URGENCY_POINTS = { routine: 0, urgent: 8, immediate: 15, emergency: 20 };
+const EMERGENCY_POINTS = 10;
+const MAX_PEOPLE_POINTS = 15;
+const POINTS_PER_CORROBORATION = 4;
+const MAX_CORROBORATION_POINTS = 12;
+
+// Reporter track record ranges from a penalty to a bonus
+const MIN_REPORTER_POINTS = -5;
+const MAX_REPORTER_POINTS = 10;
+const MIN_DECIDED_REPORTS = 3;
+
+/**
+ * Points for the reporter's trust score. New reporters get 0 until they
+ * have enough decided reports for the score to mean something.
+ */
+const reporterPoints = ({ trustScore = 50, decidedReports = 0, anonymous = false } = {}) => {
+  if (anonymous) {
+    return { points: 0, detail: 'Anonymous submitter, no history' };
+  }
+
+  if (decidedReports < MIN_DECIDED_REPORTS) {
+    return { points: 0, detail: `${decidedReports} decided reports, not enough history` };
+  }
+
+  const points = Math.round(MIN_REPORTER_POINTS + (trustScore / 100) * (MAX_REPORTER_POINTS - MIN_REPORTER_POINTS));
+  return { points, detail: `Reporter trust score ${trustScore}` };
+};
+
+/**
+ * Compute a 0-100 triage priority and an explanation of how it was built
+ * @param {Object} report - Report instance or plain values
+ * @param {Object} signals - { reporterStats: { trustScore, decidedReports, anonymous }, corroboratingCount }
+ * @returns {Object} - { score, breakdown: [{ factor, points, detail }] }
+ */
+const computePriority = (report, signals = {}) => {
+  const { reporterStats, corroboratingCount = 0 } = signals;
+  const breakdown = [];
+
+  breakdown.push({
+    factor: 'severity',
+    points: SEVERITY_POINTS[report.severity] || 0,
+    detail: report.severity
+  });
+
+  breakdown.push({
+    factor: 'urgency',
+    points: URGENCY_POINTS[report.urgency] || 0,
+    detail: report.urgency
+  });
+
+  if (report.isEmergency) {
+    breakdown.push({
+      factor: 'emergency',
+      points: EMERGENCY_POINTS,
+      detail: 'Flagged as emergency'
+    });
+  }
+
+  if (report.peopleAffected > 0) {
+    breakdown.push({
+      factor: 'peopleAffected',
+      points: Math.min(MAX_PEOPLE_POINTS, Math.round(Math.log10(report.peopleAffected + 1) * 5)),
+      detail: `${report.peopleAffected} people affected`
+    });
+  }
+
+  const reporter = reporterPoints(reporterStats);
+  breakdown.push({
+    factor: 'reporterTrackRecord',
+    points: reporter.points,
+    detail: reporter.detail
+  });
+
+  if (corroboratingCount > 0) {
+    breakdown.push({
+      factor: 'corroboration',
+      points: Math.min(MAX_CORROBORATION_POINTS, corroboratingCount * POINTS_PER_CORROBORATION),
+      detail: `${corroboratingCount} nearby ${corroboratingCount === 1 ? 'report' : 'reports'} within ${CORROBORATION_RADIUS_KM} km and ${CORROBORATION_WINDOW_HOURS} h`
+    });
+  }
+
+  const total = breakdown.reduce((sum, item) => sum + item.points, 0);
+
+  return {
+    score: Math.max(0, Math.min(100, total)),
+    breakdown
+  };
+};
+
+/**
+ * Gather the signals for a report from the database
+ */
+const collectSignals = async (report) => {
+  let reporterStats = { trustScore: 50, decidedReports: 0, anonymous: !report.submittedById };
+  if (report.submittedById) {
+    const submitter = await User.findByPk(report.submittedById, {
+      attributes: ['id', 'trustScore', 'trustFactors']
+    });
+    if (submitter) {
+      reporterStats = {
+        trustScore: parseFloat(submitter.trustScore),
+        decidedReports: (submitter.trustFactors && submitter.trustFactors.decidedReports) || 0
+      };
+    }
+  }
+
+  const reference = new Date(report.createdAt || Date.now());
+  const windowMs = CORROBORATION_WINDOW_HOURS * 60 * 60 * 1000;
+
+  // Unscoped to load submitterIpHash, which the default scope hides
+  const nearby = await Report.unscoped().findNearLocation(
+    parseFloat(report.location.lat),
+    parseFloat(report.location.lng),
+    CORROBORATION_RADIUS_KM,
+    {
+      id: { [Op.ne]: report.id },
+      hazardType: report.hazardType,
+      status: { [Op.notIn]: ['rejected', 'archived'] },
+      createdAt: { [Op.between]: [new Date(reference - windowMs), new Date(reference.getTime() + windowMs)] }
+    }
+  );
+
+  // Reports from the same submitter (or, for anonymous reports, the same
+  // IP address) do not corroborate each other
+  const sameSubmitter = (other) => report.submittedById
+    ? other.submittedById === report.submittedById
+    : Boolean(report.submitterIpHash) && other.submitterIpHash === report.submitterIpHash;
+
+  const corroboratingCount = nearby.filter(other =>
+    !sameSubmitter(other) &&
+    other.getDistanceFromPoint(report.location.lat, report.location.lng) <= CORROBORATION_RADIUS_KM
+  ).length;
+
+  return { reporterStats, corroboratingCount };
+};
+
+/**
+ * Recompute and store the triage priority of a report
+ */
+const refreshPriority = async (report) => {
+  const signals = await collectSignals(report);
+  const { score, breakdown } = computePriority(report, signals);
+
+  report.priorityScore = score;
+  report.priorityBreakdown = breakdown;
+  await report.save({ fields: ['priorityScore', 'priorityBreakdown'] });
+
+  return { score, breakdown };
+};
+
+module.exports = {
+  computePriority,
+  collectSignals,
+  refreshPriority
+};
@@ -0,0 +1,435 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Report = require('../models/Report');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { registerJob } = require('./scheduler');
+const logger = require('./logger');
+
+const { WEBHOOK_EVENTS } = WebhookSubscription;
+
+// Attempts per delivery, including the first
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+
+// Delay before the first retry; doubled for every further retry
+const RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30;
+const RETRY_MAX_SECONDS = 6 * 60 * 60;
+
+// Failed attempts in a row after which a subscription is disabled
+const DISABLE_AFTER_FAILURES = parseInt(process.env.WEBHOOK_DISABLE_AFTER_FAILURES) || 15;
+
+const REQUEST_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+
+// Deliveries retried per job run
+const BATCH_SIZE = 100;
+
+const RESPONSE_BODY_LIMIT = 1000;
+
+// Report statuses that have their own event
+const STATUS_EVENTS = {
+  verified: 'report.verified',
+  rejected: 'report.rejected',
+  resolved: 'report.resolved'
+};
+
+const SEVERITY_RANK = ['low', 'medium', 'high', 'critical'];
+const URGENCY_RANK = ['routine', 'urgent', 'immediate', 'emergency'];
+
+class WebhookError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'WebhookError';
+    this.statusCode = statusCode;
+  }
+}
+
+const generateSecret = () => `whsec_${crypto.randomBytes(32).toString('base64url')}`;
+
+/**
+ * Signature header for a delivery body: the HMAC-SHA256 of
+ * `${timestamp}.${body}` with the subscription secret. Receivers should
+ * recompute it and reject stale timestamps to prevent replays.
+ */
+const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Delay before the given retry, with jitter so failed endpoints are not
+ * retried in lockstep
+ */
+const retryDelayMs = (attempts) => {
+  const seconds = Math.min(RETRY_BASE_SECONDS * Math.pow(2, attempts - 1), RETRY_MAX_SECONDS);
+  return Math.round(seconds * 1000 * (1 + Math.random() * 0.2));
+};
+
+/**
+ * Event for a status change, if the new status has one
+ */
+const statusEvent = (status) => STATUS_EVENTS[status] || null;
+
+/**
+ * Severity or urgency increases among captured report changes
+ * @param {Object} changes - Changes from ReportEvent.captureChanges
+ * @returns {Object|null} - The escalating changes, or null if there are none
+ */
+const escalationChanges = (changes) => {
+  const escalated = {};
+  const raised = (field, rank) => changes[field] &&
+    rank.indexOf(changes[field].to) > rank.indexOf(changes[field].from);
+
+  if (raised('severity', SEVERITY_RANK)) escalated.severity = changes.severity;
+  if (raised('urgency', URGENCY_RANK)) escalated.urgency = changes.urgency;
+
+  return Object.keys(escalated).length > 0 ? escalated : null;
+};
+
+// Left out of payloads for reports that are not public
+const RESTRICTED_FIELDS = ['description', 'location', 'address'];
+
+/**
+ * What subscribers receive about a report: no submitter details, claim
+ * tokens or internal review fields, and for reports that are not public
+ * no description or whereabouts either
+ */
+const reportPayload = (report) => {
+  const payload = {
+    id: report.id,
+    publicId: report.publicId,
+    hazardType: report.hazardType,
+    severity: report.severity,
+    urgency: report.urgency,
+    status: report.status,
+    visibility: report.visibility,
+    verificationLevel: report.verificationLevel,
+    source: report.source,
+    description: report.description,
+    location: report.location,
+    address: report.address,
+    incidentId: report.incidentId,
+    rejectionReason: report.status === 'rejected' ? report.rejectionReason : undefined,
+    verifiedAt: report.verifiedAt,
+    createdAt: report.createdAt,
+    updatedAt: report.updatedAt,
+    url: process.env.FRONTEND_URL ? `${process.env.FRONTEND_URL}/reports/${report.publicId}` : undefined
+  };
+
+  if (report.visibility !== 'public') {
+    RESTRICTED_FIELDS.forEach(field => delete payload[field]);
+  }
+
+  return payload;
+};
+
+const truncate = (text, limit) => {
+  return text && text.length > limit ? `${text.slice(0, limit)}...` : text;
+};
+
+/**
+ * POST a delivery to its endpoint
+ * @returns {Object} - { ok, status, body, error, durationMs }
+ */
+const sendDelivery = async (delivery, subscription) => {
+  const body = JSON.stringify(delivery.payload);
+  const started = Date.now();
+
+  try {
+    const response = await fetch(subscription.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Aquasentra-Webhooks/1.0',
+        'X-Aquasentra-Event': delivery.eventType,
+        'X-Aquasentra-Delivery': delivery.id,
+        'X-Aquasentra-Signature': signPayload(subscription.secret, body)
+      },
+      body,
+      // Redirects are not followed: the signature is for the configured URL
+      redirect: 'manual',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    const text = await response.text().catch(() => null);
+
+    return {
+      ok: response.status >= 200 && response.status < 300,
+      status: response.status,
+      body: truncate(text, RESPONSE_BODY_LIMIT),
+      error: response.status >= 200 && response.status < 300 ? null : `HTTP ${response.status}`,
+      durationMs: Date.now() - started
+    };
+  } catch (error) {
+    return {
+      ok: false,
+      status: null,
+      body: null,
+      error: truncate(error.name === 'TimeoutError' ? `Timed out after ${REQUEST_TIMEOUT_MS} ms` : error.message, 500),
+      durationMs: Date.now() - started
+    };
+  }
+};
+
+/**
+ * Disable a subscription and fail the deliveries still waiting for it
+ */
+const disableSubscription = async (subscription, reason) => {
+  await sequelize.transaction(async (transaction) => {
+    await subscription.update({
+      status: 'disabled',
+      disabledAt: new Date(),
+      disabledReason: reason
+    }, { transaction });
+
+    await WebhookDelivery.update({
+      status: 'failed',
+      nextAttemptAt: null,
+      error: 'Subscription disabled'
+    }, {
+      where: { subscriptionId: subscription.id, status: 'pending' },
+      transaction
+    });
+  });
+
+  logger.warn(`Webhook subscription ${subscription.id} (${subscription.organizationName}) disabled: ${reason}`);
+};
+
+/**
+ * Record a failed attempt against the subscription and disable it once
+ * too many attempts in a row have failed
+ */
+const recordSubscriptionFailure = async (subscription) => {
+  await WebhookSubscription.update({
+    consecutiveFailures: sequelize.literal('consecutive_failures + 1'),
+    lastFailureAt: new Date()
+  }, { where: { id: subscription.id } });
+  await subscription.reload();
+
+  if (subscription.isActive() && subscription.consecutiveFailures >= DISABLE_AFTER_FAILURES) {
+    await disableSubscription(subscription, `${subscription.consecutiveFailures} consecutive failed delivery attempts`);
+  }
+};
+
+/**
+ * Make one attempt at a delivery if it is due. The attempt is leased first,
+ * so the scheduler and the immediate attempt after an event never both send it.
+ * @returns {String|null} - Resulting status, or null if the delivery was not due
+ */
+const attemptDelivery = async (deliveryId) => {
+  const now = new Date();
+
+  const [leased] = await WebhookDelivery.update({
+    nextAttemptAt: new Date(now.getTime() + REQUEST_TIMEOUT_MS + 60 * 1000)
+  }, {
+    where: {
+      id: deliveryId,
+      status: 'pending',
+      nextAttemptAt: { [Op.lte]: now }
+    }
+  });
+  if (!leased) {
+    return null;
+  }
+
+  const delivery = await WebhookDelivery.findByPk(deliveryId);
+  const subscription = await WebhookSubscription.unscoped().findByPk(delivery.subscriptionId);
+
+  if (!subscription || !subscription.isActive()) {
+    await delivery.update({ status: 'failed', nextAttemptAt: null, error: 'Subscription disabled' });
+    return delivery.status;
+  }
+
+  const result = await sendDelivery(delivery, subscription);
+  const attempts = delivery.attempts + 1;
+
+  if (result.ok) {
+    await delivery.update({
+      status: 'delivered',
+      attempts,
+      lastAttemptAt: now,
+      deliveredAt: new Date(),
+      nextAttemptAt: null,
+      responseStatus: result.status,
+      responseBody: result.body,
+      durationMs: result.durationMs,
+      error: null
+    });
+    await subscription.update({ consecutiveFailures: 0, lastSuccessAt: new Date() });
+    return delivery.status;
+  }
+
+  const exhausted = attempts >= MAX_ATTEMPTS;
+  await delivery.update({
+    status: exhausted ? 'failed' : 'pending',
+    attempts,
+    lastAttemptAt: now,
+    nextAttemptAt: exhausted ? null : new Date(Date.now() + retryDelayMs(attempts)),
+    responseStatus: result.status,
+    responseBody: result.body,
+    durationMs: result.durationMs,
+    error: result.error
+  });
+
+  logger.warn(`Webhook delivery ${delivery.id} to ${subscription.url} failed (attempt ${attempts}/${MAX_ATTEMPTS}): ${result.error}`);
+
+  await recordSubscriptionFailure(subscription);
+
+  return delivery.status;
+};
+
+// Attempt new deliveries right away instead of waiting for the next job run
+const attemptNow = (deliveries) => {
+  deliveries.forEach(delivery => {
+    attemptDelivery(delivery.id).catch(error => {
+      logger.error(`Webhook delivery ${delivery.id} attempt failed:`, error);
+    });
+  });
+};
+
+/**
+ * Queue an event for a report to every active subscription that wants it
+ * and start delivering it
+ * @param {String} type - One of WEBHOOK_EVENTS
+ * @param {Object} report - The report, as saved
+ * @param {Object} details - { changes } for escalations
+ * @returns {Array} - Created deliveries
+ */
+const emitReportEvent = async (type, report, details = {}) => {
+  if (!WEBHOOK_EVENTS.includes(type)) {
+    throw new WebhookError(`Unknown webhook event '${type}'`);
+  }
+
+  const subscriptions = await WebhookSubscription.findAll({
+    where: {
+      status: 'active',
+      eventTypes: { [Op.contains]: [type] }
+    },
+    attributes: ['id']
+  });
+  if (subscriptions.length === 0) {
+    return [];
+  }
+
+  const now = new Date();
+  const payload = {
+    id: crypto.randomUUID(),
+    type,
+    createdAt: now.toISOString(),
+    data: {
+      report: reportPayload(report),
+      ...(details.changes ? { changes: details.changes } : {})
+    }
+  };
+
+  const deliveries = await WebhookDelivery.bulkCreate(subscriptions.map(subscription => ({
+    subscriptionId: subscription.id,
+    eventId: payload.id,
+    eventType: type,
+    reportId: report.id,
+    payload,
+    nextAttemptAt: now
+  })));
+
+  attemptNow(deliveries);
+
+  return deliveries;
+};
+
+/**
+ * Emit an event for reports known only by ID, e.g. after bulk actions
+ */
+const emitReportEvents = async (type, reportIds) => {
+  if (reportIds.length === 0) return;
+
+  const reports = await Report.findAll({ where: { id: reportIds } });
+  for (const report of reports) {
+    await emitReportEvent(type, report);
+  }
+};
+
+/**
+ * Send a delivery's event again as a new delivery to the same subscription
+ * @returns {Object} - The new delivery
+ * @throws {WebhookError} - 409 if the subscription is disabled
+ */
+const replayDelivery = async (delivery, actor) => {
+  const subscription = await WebhookSubscription.findByPk(delivery.subscriptionId);
+  if (!subscription || !subscription.isActive()) {
+    throw new WebhookError('Re-enable the subscription before replaying its deliveries', 409);
+  }
+
+  const replay = await WebhookDelivery.create({
+    subscriptionId: delivery.subscriptionId,
+    eventId: delivery.eventId,
+    eventType: delivery.eventType,
+    reportId: delivery.reportId,
+    payload: delivery.payload,
+    nextAttemptAt: new Date(),
+    replayOfId: delivery.id,
+    replayedById: actor.id
+  });
+
+  logger.info(`Webhook delivery ${delivery.id} replayed as ${replay.id} by user ${actor.id}`);
+
+  attemptNow([replay]);
+
+  return replay;
+};
+
+/**
+ * Retry deliveries whose backoff has elapsed
+ */
+const deliverDueWebhooks = async ({ dryRun }) => {
+  const due = await WebhookDelivery.findAll({
+    where: {
+      status: 'pending',
+      nextAttemptAt: { [Op.lte]: new Date() }
+    },
+    attributes: ['id'],
+    order: [['nextAttemptAt', 'ASC']],
+    limit: BATCH_SIZE
+  });
+
+  const result = { due: due.length, delivered: 0, retrying: 0, failed: 0 };
+  if (dryRun) return result;
+
+  for (const { id } of due) {
+    try {
+      const status = await attemptDelivery(id);
+      if (status === 'delivered') result.delivered += 1;
+      else if (status === 'pending') result.retrying += 1;
+      else if (status === 'failed') result.failed += 1;
+    } catch (error) {
+      logger.error(`Webhook delivery ${id} attempt failed:`, error);
+    }
+  }
+
+  return result;
+};
+
+const registerWebhookJobs = () => {
+  registerJob('deliver-webhooks', {
+    description: `Retry failed webhook deliveries with exponential backoff (up to ${MAX_ATTEMPTS} attempts)`,
+    schedule: process.env.WEBHOOK_RETRY_SCHEDULE || '* * * * *',
+    handler: deliverDueWebhooks,
+    lockTimeoutMinutes: 10
+  });
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  MAX_ATTEMPTS,
+  WebhookError,
+  generateSecret,
+  signPayload,
+  retryDelayMs,
+  reportPayload,
+  statusEvent,
+  escalationChanges,
+  emitReportEvent,
+  emitReportEvents,
+  replayDelivery,
+  deliverDueWebhooks,
+  registerWebhookJobs
+};
@@ -0,0 +1,181 @@
+const XML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&apos;'
+};
+
+const NAME = '[A-Za-z_][\\w.:-]*';
+const OPEN_TAG = new RegExp(`<(${NAME})((?:\\s+${NAME}\\s*=\\s*(?:"[^"<]*"|'[^'<]*'))*)\\s*(/?)>`, 'y');
+const CLOSE_TAG = new RegExp(`</(${NAME})\\s*>`, 'y');
+const ATTRIBUTE = new RegExp(`(${NAME})\\s*=\\s*(?:"([^"<]*)"|'([^'<]*)')`, 'g');
+
+const NAMED_ENTITIES = {
+  lt: '<',
+  gt: '>',
+  amp: '&',
+  quot: '"',
+  apos: "'"
+};
+
+class XmlParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'XmlParseError';
+    this.statusCode = 400;
+  }
+}
+
+/**
+ * Escape text for use in XML content or attribute values. Characters that
+ * are not allowed in XML 1.0 are dropped.
+ */
+const escapeXml = (value) => {
+  return String(value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/[&<>"']/g, char => XML_ESCAPES[char]);
+};
+
+/**
+ * Render `<name>value</name>`, or an empty string when the value is missing
+ */
+const xmlElement = (name, value) => {
+  if (value === undefined || value === null || value === '') return '';
+  const text = value instanceof Date ? value.toISOString() : value;
+  return `<${name}>${escapeXml(text)}</${name}>`;
+};
+
+const decodeEntities = (text) => {
+  return text.replace(/&([^;\s&]*);?/g, (match, entity) => {
+    if (!match.endsWith(';')) {
+      throw new XmlParseError(`Unescaped '&' in "${text.slice(0, 40)}"`);
+    }
+    if (NAMED_ENTITIES[entity]) return NAMED_ENTITIES[entity];
+    const code = /^#x[0-9a-f]+$/i.test(entity) ? parseInt(entity.slice(2), 16)
+      : /^#\d+$/.test(entity) ? parseInt(entity.slice(1), 10)
+        : null;
+    if (code === null || code > 0x10FFFF) {
+      throw new XmlParseError(`Unknown entity &${entity};`);
+    }
+    return String.fromCodePoint(code);
+  });
+};
+
+const splitName = (name) => {
+  const colon = name.indexOf(':');
+  return colon === -1 ? { prefix: '', localName: name } : { prefix: name.slice(0, colon), localName: name.slice(colon + 1) };
+};
+
+/**
+ * Parse an XML document into a tree of
+ * `{ name, localName, namespace, attributes, children, text }` elements.
+ * Comments and processing instructions are skipped. DOCTYPE and entity
+ * declarations are rejected rather than expanded.
+ * @throws {XmlParseError} - If the document is not well-formed
+ */
+const parseXml = (text) => {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const stack = [];
+  let root = null;
+  let pos = 0;
+
+  const fail = (message) => {
+    throw new XmlParseError(`${message} (at offset ${pos})`);
+  };
+
+  const skipTo = (terminator, what) => {
+    const end = input.indexOf(terminator, pos);
+    if (end === -1) fail(`Unterminated ${what}`);
+    const content = input.slice(pos, end);
+    pos = end + terminator.length;
+    return content;
+  };
+
+  while (pos < input.length) {
+    const current = stack[stack.length - 1];
+
+    if (input.startsWith('<?', pos)) {
+      skipTo('?>', 'processing instruction');
+    } else if (input.startsWith('<!--', pos)) {
+      skipTo('-->', 'comment');
+    } else if (input.startsWith('<![CDATA[', pos)) {
+      if (!current) fail('CDATA outside the root element');
+      pos += 9;
+      current.text += skipTo(']]>', 'CDATA section');
+    } else if (input.startsWith('<!', pos)) {
+      fail('DOCTYPE and entity declarations are not allowed');
+    } else if (input.startsWith('</', pos)) {
+      CLOSE_TAG.lastIndex = pos;
+      const match = CLOSE_TAG.exec(input);
+      if (!match) fail('Malformed closing tag');
+      if (!current || current.name !== match[1]) {
+        fail(`Unexpected closing tag </${match[1]}>`);
+      }
+      stack.pop();
+      pos = CLOSE_TAG.lastIndex;
+    } else if (input[pos] === '<') {
+      OPEN_TAG.lastIndex = pos;
+      const match = OPEN_TAG.exec(input);
+      if (!match) fail('Malformed tag');
+      if (!current && root) fail('Content after the root element');
+
+      const attributes = {};
+      const namespaces = { ...(current ? current.namespaces : {}) };
+      for (const [, name, doubleQuoted, singleQuoted] of match[2].matchAll(ATTRIBUTE)) {
+        if (Object.prototype.hasOwnProperty.call(attributes, name)) {
+          fail(`Duplicate attribute ${name}`);
+        }
+        attributes[name] = decodeEntities(doubleQuoted !== undefined ? doubleQuoted : singleQuoted);
+        if (name === 'xmlns') namespaces[''] = attributes[name];
+        if (name.startsWith('xmlns:')) namespaces[name.slice(6)] = attributes[name];
+      }
+
+      const { prefix, localName } = splitName(match[1]);
+      if (prefix && !namespaces[prefix]) fail(`Undeclared namespace prefix ${prefix}`);
+
+      const element = {
+        name: match[1],
+        localName,
+        namespace: namespaces[prefix] || null,
+        namespaces,
+        attributes,
+        children: [],
+        text: ''
+      };
+
+      if (current) {
+        current.children.push(element);
+      } else {
+        root = element;
+      }
+      if (!match[3]) stack.push(element);
+      pos = OPEN_TAG.lastIndex;
+    } else {
+      const end = input.indexOf('<', pos);
+      const segment = input.slice(pos, end === -1 ? input.length : end);
+      if (current) {
+        current.text += decodeEntities(segment);
+      } else if (segment.trim()) {
+        fail('Text outside the root element');
+      }
+      pos = end === -1 ? input.length : end;
+    }
+  }
+
+  if (stack.length > 0) {
+    fail(`Unclosed element <${stack[stack.length - 1].name}>`);
+  }
+  if (!root) {
+    throw new XmlParseError('Document has no root element');
+  }
+
+  return root;
+};
+
+module.exports = {
+  XmlParseError,
+  escapeXml,
+  xmlElement,
+  parseXml
+};